@@ -1,49 +1,39 @@
-const express = require('express');
-const cors = require('cors');
-const { connectDatabase, initializeDatabase } = require('./src/config/database');
-
-const app = express();
+const database = require('./src/config/database');
+const { createApp } = require('./src/app');
+const { scheduleTrashPurge } = require('./src/services/trashService');
+const { scheduleIdempotencyPurge } = require('./src/services/idempotencyService');
 
 // Cloud Run usa PORT, fallback a 3000 para local
 const PORT = process.env.PORT || 3000;
 
 console.log(`🚀 Starting server on port ${PORT}`);
 
-// Middlewares
-app.use(cors());
-app.use(express.json());
-
-// Health check (IMPORTANTE para Cloud Run)
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Todo API - Cloud Run',
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// API Routes
-app.use('/api/v1/todos', require('./src/routes/todoRoutes'));
-
 // Función para iniciar servidor
 async function startServer() {
   try {
     // Conectar base de datos (solo si tienes DATABASE_URL)
     if (process.env.DATABASE_URL) {
-      await connectDatabase();
-      await initializeDatabase();
+      await database.connectDatabase();
+      await database.initializeDatabase();
       console.log('📊 Database connected');
     } else {
       console.log('⚠️ No DATABASE_URL found, running without database');
     }
-    
+
+    // Misma app (y mismos middlewares) que usan los tests
+    const app = createApp({ db: database });
+
+    // Borrado definitivo de la papelera (TRASH_RETENTION_DAYS), adjuntos incluidos
+    if (process.env.DATABASE_URL) {
+      scheduleTrashPurge({
+        todos: app.locals.repositories.todos,
+        attachments: app.locals.repositories.attachments,
+        storage: app.locals.storage
+      });
+      // Limpieza de Idempotency-Keys caducadas (IDEMPOTENCY_KEY_TTL_HOURS)
+      scheduleIdempotencyPurge({ idempotencyKeys: app.locals.repositories.idempotencyKeys });
+    }
+
     // Iniciar servidor
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`✅ Server running on port ${PORT}`);
@@ -55,4 +45,4 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+startServer();
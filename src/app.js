@@ -4,75 +4,174 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const database = require('./config/database');
+const emailService = require('./services/emailService');
+const { systemClock } = require('./utils/clock');
+const PostgresTodoRepository = require('./repositories/postgresTodoRepository');
+const PostgresUserRepository = require('./repositories/postgresUserRepository');
+const PostgresRefreshTokenRepository = require('./repositories/postgresRefreshTokenRepository');
+const PostgresApiKeyRepository = require('./repositories/postgresApiKeyRepository');
+const PostgresTagRepository = require('./repositories/postgresTagRepository');
+const PostgresProjectRepository = require('./repositories/postgresProjectRepository');
+const PostgresAuditLogRepository = require('./repositories/postgresAuditLogRepository');
+const PostgresIdempotencyKeyRepository = require('./repositories/postgresIdempotencyKeyRepository');
+const PostgresTodoRevisionRepository = require('./repositories/postgresTodoRevisionRepository');
+const PostgresCommentRepository = require('./repositories/postgresCommentRepository');
+const PostgresAttachmentRepository = require('./repositories/postgresAttachmentRepository');
+const { createStorage } = require('./storage');
+const postgresTransaction = require('./repositories/postgresTransaction');
+const { TokenService } = require('./services/tokenService');
+const authRoutes = require('./routes/authRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 const todoRoutes = require('./routes/todoRoutes');
 
-const app = express();
-
-// Security middleware
-app.use(helmet());
-app.use(cors());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use(limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
-    version: process.env.npm_package_version || '1.0.0'
+// Build the Express application.
+// Dependencies are injected so server.js and the test suites run the exact same
+// middleware stack against different backends:
+//   db        - object exposing query()/getClient() (defaults to the pg pool)
+//   repositories - storage overrides, e.g. { todos: new MemoryTodoRepository() };
+//               anything not provided is built on top of `db`
+//   transaction - runs work({ todos, tags, projects, savepoint }) atomically (defaults to a
+//               PostgreSQL transaction on `db`, see repositories/postgresTransaction)
+//   storage   - AttachmentStorage for attachment contents (defaults to the ATTACHMENT_STORAGE
+//               driver, see storage/index.js)
+//   mailer    - notification service (defaults to the EmailService singleton)
+//   clock     - object exposing now() (defaults to the system clock)
+//   rateLimit - express-rate-limit options ({ windowMs, max })
+function createApp(options = {}) {
+  const {
+    db = database,
+    mailer = emailService,
+    clock = systemClock,
+    repositories = {},
+    transaction = postgresTransaction(db, { clock }),
+    storage = createStorage(),
+    rateLimit: rateLimitOptions = {}
+  } = options;
+
+  const app = express();
+
+  // Shared dependencies, available to handlers through req.app.locals
+  app.locals.db = db;
+  app.locals.mailer = mailer;
+  app.locals.clock = clock;
+  app.locals.repositories = {
+    todos: repositories.todos || new PostgresTodoRepository(db, { clock }),
+    users: repositories.users || new PostgresUserRepository(db),
+    refreshTokens: repositories.refreshTokens || new PostgresRefreshTokenRepository(db),
+    apiKeys: repositories.apiKeys || new PostgresApiKeyRepository(db),
+    tags: repositories.tags || new PostgresTagRepository(db),
+    projects: repositories.projects || new PostgresProjectRepository(db),
+    auditLogs: repositories.auditLogs || new PostgresAuditLogRepository(db),
+    idempotencyKeys: repositories.idempotencyKeys || new PostgresIdempotencyKeyRepository(db),
+    todoRevisions: repositories.todoRevisions || new PostgresTodoRevisionRepository(db),
+    comments: repositories.comments || new PostgresCommentRepository(db),
+    attachments: repositories.attachments || new PostgresAttachmentRepository(db)
+  };
+  app.locals.transaction = transaction;
+  app.locals.storage = storage;
+  app.locals.tokenService = new TokenService({ ...app.locals.repositories, clock });
+
+  // Security middleware
+  app.use(helmet());
+  // Let browser clients read the concurrency and idempotency headers
+  app.use(cors({ exposedHeaders: ['ETag', 'Idempotent-Replayed'] }));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to 100 requests per windowMs
+    message: 'Too many requests from this IP, please try again later.',
+    ...rateLimitOptions
   });
-});
-
-// API routes
-app.use('/api/v1/todos', todoRoutes);
-
-// Default route
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Todo API - DevOps Project',
-    version: '1.0.0',
-    endpoints: {
-      health: '/health',
-      todos: '/api/v1/todos',
-      documentation: '/api/v1/docs'
-    }
+  app.use(limiter);
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Health check endpoint (IMPORTANTE para Cloud Run)
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      timestamp: clock.now().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      version: process.env.npm_package_version || '1.0.0'
+    });
+  });
+
+  // API routes
+  app.use('/api/v1/auth', authRoutes);
+  app.use('/api/v1/api-keys', apiKeyRoutes);
+  app.use('/api/v1/tags', tagRoutes);
+  app.use('/api/v1/projects', projectRoutes);
+  app.use('/api/v1/audit', auditRoutes);
+  app.use('/api/v1/todos', todoRoutes);
+
+  // Default route
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Todo API - DevOps Project',
+      version: '1.0.0',
+      endpoints: {
+        health: '/health',
+        auth: '/api/v1/auth',
+        apiKeys: '/api/v1/api-keys',
+        tags: '/api/v1/tags',
+        projects: '/api/v1/projects',
+        audit: '/api/v1/audit',
+        todos: '/api/v1/todos',
+        documentation: '/api/v1/docs'
+      }
+    });
   });
-});
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    message: `The route ${req.originalUrl} does not exist`
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Route not found',
+      message: `The route ${req.originalUrl} does not exist`
+    });
   });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: err.message
+
+  // Error handling middleware
+  app.use((err, req, res, _next) => {
+    // Malformed JSON bodies are a client error, not a server failure
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        error: 'Invalid JSON',
+        message: 'Request body could not be parsed as JSON'
+      });
+    }
+
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: 'Payload too large',
+        message: err.message
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error(err.stack);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: process.env.NODE_ENV === 'production' ? 'Something went wrong!' : err.message
     });
-  }
-  
-  res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'production' ? 'Something went wrong!' : err.message
   });
-});
 
-module.exports = app;
\ No newline at end of file
+  return app;
+}
+
+module.exports = {
+  createApp
+};
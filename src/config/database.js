@@ -101,12 +101,49 @@ async function initializeDatabase() {
       priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
       due_date TIMESTAMP,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP,
+      version INTEGER NOT NULL DEFAULT 1,
+      recurrence JSONB,
+      series_id UUID,
+      occurrence INTEGER,
+      parent_id INTEGER REFERENCES todos(id) ON DELETE SET NULL,
+      subtask_position INTEGER,
+      complete_subtasks BOOLEAN NOT NULL DEFAULT FALSE,
+      auto_complete BOOLEAN NOT NULL DEFAULT FALSE
     );
 
+    -- Soft delete: trashed todos keep their row until the purge job removes them
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+    -- Version for ETags / If-Match, bumped by the trigger below
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+    -- Recurring todos: rule (src/utils/recurrence.js) and the series each occurrence belongs to
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS recurrence JSONB;
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS series_id UUID;
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS occurrence INTEGER;
+
+    -- Subtasks: parent, order among siblings and the completion settings of parents
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES todos(id) ON DELETE SET NULL;
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS subtask_position INTEGER;
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS complete_subtasks BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN NOT NULL DEFAULT FALSE;
+
+    -- Full-text search document (same definition as database/init.sql)
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+      ) STORED;
+
     CREATE INDEX IF NOT EXISTS idx_todos_completed ON todos(completed);
+    CREATE INDEX IF NOT EXISTS idx_todos_deleted_at ON todos(deleted_at);
+    CREATE INDEX IF NOT EXISTS idx_todos_search_vector ON todos USING GIN (search_vector);
     CREATE INDEX IF NOT EXISTS idx_todos_priority ON todos(priority);
     CREATE INDEX IF NOT EXISTS idx_todos_created_at ON todos(created_at);
+    CREATE INDEX IF NOT EXISTS idx_todos_series_id ON todos(series_id);
+    CREATE INDEX IF NOT EXISTS idx_todos_parent_id ON todos(parent_id);
 
     -- Create updated_at trigger function
     CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -122,6 +159,327 @@ async function initializeDatabase() {
       BEFORE UPDATE ON todos
       FOR EACH ROW
       EXECUTE FUNCTION update_updated_at_column();
+
+    -- Every update bumps the version
+    CREATE OR REPLACE FUNCTION increment_version_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.version = OLD.version + 1;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS increment_todos_version ON todos;
+    CREATE TRIGGER increment_todos_version
+      BEFORE UPDATE ON todos
+      FOR EACH ROW
+      EXECUTE FUNCTION increment_version_column();
+
+    -- Users (same definition as database/init.sql)
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) UNIQUE NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+    DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+    CREATE TRIGGER update_users_updated_at
+      BEFORE UPDATE ON users
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+
+    -- Todo ownership (same definition as database/init.sql)
+    CREATE TABLE IF NOT EXISTS user_todos (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      todo_id INTEGER REFERENCES todos(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, todo_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_todos_user_id ON user_todos(user_id);
+    CREATE INDEX IF NOT EXISTS idx_user_todos_todo_id ON user_todos(todo_id);
+
+    -- Projects grouping the todos of their owner (same definition as database/init.sql)
+    CREATE TABLE IF NOT EXISTS projects (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      color VARCHAR(7) DEFAULT '#6c757d',
+      description TEXT,
+      archived BOOLEAN NOT NULL DEFAULT FALSE,
+      workflow JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE projects ADD COLUMN IF NOT EXISTS workflow JSONB;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_owner_name ON projects (COALESCE(owner_id, 0), LOWER(name));
+
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES projects(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_todos_project_id ON todos(project_id);
+
+    -- Kanban state of the todo in its project's workflow and its rank in the column;
+    -- numbered columns become ranks in the same order (see database/init.sql)
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS state VARCHAR(50);
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS state_position TEXT COLLATE "C";
+    CREATE INDEX IF NOT EXISTS idx_todos_project_state ON todos(project_id, state);
+
+    DO $$
+    BEGIN
+      IF (SELECT data_type FROM information_schema.columns
+          WHERE table_name = 'todos' AND column_name = 'state_position') = 'integer' THEN
+        ALTER TABLE todos ALTER COLUMN state_position TYPE TEXT COLLATE "C"
+          USING '0' || LPAD(TO_HEX(state_position), 8, '0') || 'V';
+      END IF;
+    END $$;
+
+    -- Manual order: lexicographic ranks, new todos ranked newest first (see database/init.sql)
+    ALTER TABLE todos ADD COLUMN IF NOT EXISTS position TEXT COLLATE "C";
+    CREATE INDEX IF NOT EXISTS idx_todos_position ON todos(position);
+
+    CREATE OR REPLACE FUNCTION todo_default_position(created TIMESTAMP, todo_id INTEGER)
+    RETURNS TEXT AS $$
+      SELECT LPAD(TO_HEX(140737488355327 - (EXTRACT(EPOCH FROM created) * 1000)::BIGINT), 12, '0')
+        || LPAD(TO_HEX(2147483647 - todo_id), 8, '0') || 'V';
+    $$ LANGUAGE sql IMMUTABLE;
+
+    CREATE OR REPLACE FUNCTION todo_arrival_position(arrived TIMESTAMP, todo_id INTEGER)
+    RETURNS TEXT AS $$
+      SELECT LPAD(TO_HEX((EXTRACT(EPOCH FROM arrived) * 1000)::BIGINT), 12, '0')
+        || LPAD(TO_HEX(todo_id), 8, '0') || 'V';
+    $$ LANGUAGE sql IMMUTABLE;
+
+    -- Ranks of a new todo from its created_at, which PostgresTodoRepository.create() takes from
+    -- the application clock like every other rank (src/utils/rank.js)
+    CREATE OR REPLACE FUNCTION set_todo_position()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      IF NEW.position IS NULL THEN
+        NEW.position = todo_default_position(NEW.created_at, NEW.id);
+      END IF;
+      IF NEW.state_position IS NULL THEN
+        NEW.state_position = todo_arrival_position(NEW.created_at, NEW.id);
+      END IF;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS set_todos_position ON todos;
+    CREATE TRIGGER set_todos_position
+      BEFORE INSERT ON todos
+      FOR EACH ROW
+      EXECUTE FUNCTION set_todo_position();
+
+    UPDATE todos SET position = todo_default_position(created_at, id) WHERE position IS NULL;
+    UPDATE todos SET state_position = todo_arrival_position(created_at, id) WHERE state_position IS NULL;
+
+    -- Categories of databases set up with scripts/migrate.sql become projects, once
+    DO $$
+    BEGIN
+      IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'todos' AND column_name = 'category')
+         AND NOT EXISTS (SELECT 1 FROM projects) THEN
+        INSERT INTO projects (name)
+        SELECT DISTINCT ON (LOWER(category)) category FROM todos
+        WHERE COALESCE(category, '') <> ''
+        ORDER BY LOWER(category), category;
+
+        UPDATE todos SET project_id = projects.id
+        FROM projects
+        WHERE LOWER(projects.name) = LOWER(todos.category);
+      END IF;
+    END $$;
+
+    -- Tags shared by all users (same definition as database/init.sql)
+    CREATE TABLE IF NOT EXISTS tags (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) UNIQUE NOT NULL,
+      color VARCHAR(7) DEFAULT '#6c757d',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS todo_tags (
+      id SERIAL PRIMARY KEY,
+      todo_id INTEGER REFERENCES todos(id) ON DELETE CASCADE,
+      tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(todo_id, tag_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_todo_tags_todo_id ON todo_tags(todo_id);
+    CREATE INDEX IF NOT EXISTS idx_todo_tags_tag_id ON todo_tags(tag_id);
+
+    -- Todo dependencies: todo_id can't start until depends_on_id is done
+    CREATE TABLE IF NOT EXISTS todo_dependencies (
+      todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+      depends_on_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (todo_id, depends_on_id),
+      CHECK (todo_id <> depends_on_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_todo_dependencies_depends_on_id ON todo_dependencies(depends_on_id);
+
+    -- Comments on todos (same definition as database/init.sql)
+    CREATE TABLE IF NOT EXISTS todo_comments (
+      id SERIAL PRIMARY KEY,
+      todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+      author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_todo_comments_todo_id ON todo_comments(todo_id, created_at);
+
+    DROP TRIGGER IF EXISTS update_todo_comments_updated_at ON todo_comments;
+    CREATE TRIGGER update_todo_comments_updated_at
+      BEFORE UPDATE ON todo_comments
+      FOR EACH ROW
+      EXECUTE FUNCTION update_updated_at_column();
+
+    -- Attachment metadata; purged todos leave theirs with todo_id NULL (see database/init.sql)
+    CREATE TABLE IF NOT EXISTS todo_attachments (
+      id SERIAL PRIMARY KEY,
+      todo_id INTEGER REFERENCES todos(id) ON DELETE SET NULL,
+      uploader_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      filename VARCHAR(255) NOT NULL,
+      mime_type VARCHAR(100) NOT NULL,
+      size INTEGER NOT NULL,
+      storage_key VARCHAR(255) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_todo_attachments_todo_id ON todo_attachments(todo_id);
+
+    -- Audit log of todo changes (same definition as database/init.sql)
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id SERIAL PRIMARY KEY,
+      table_name VARCHAR(50) NOT NULL,
+      record_id INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+      old_values JSONB,
+      new_values JSONB,
+      user_id INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_table_record ON audit_logs(table_name, record_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+
+    -- Todo revisions: the record_todo_revision trigger stores every version of a todo
+    CREATE TABLE IF NOT EXISTS todo_revisions (
+      todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      completed BOOLEAN,
+      priority VARCHAR(20),
+      due_date TIMESTAMP,
+      recurrence JSONB,
+      complete_subtasks BOOLEAN,
+      auto_complete BOOLEAN,
+      project_id INTEGER, -- No reference: the revision outlives the project
+      state VARCHAR(50),
+      deleted_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (todo_id, revision)
+    );
+
+    -- Columns revisions didn't keep at first
+    ALTER TABLE todo_revisions ADD COLUMN IF NOT EXISTS recurrence JSONB;
+    ALTER TABLE todo_revisions ADD COLUMN IF NOT EXISTS complete_subtasks BOOLEAN;
+    ALTER TABLE todo_revisions ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN;
+    ALTER TABLE todo_revisions ADD COLUMN IF NOT EXISTS project_id INTEGER;
+    ALTER TABLE todo_revisions ADD COLUMN IF NOT EXISTS state VARCHAR(50);
+
+    -- AFTER trigger, so it sees the version set by increment_version_column
+    CREATE OR REPLACE FUNCTION record_todo_revision()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      -- Moves that only change a rank (position, state_position, subtask_position) aren't edits
+      IF TG_OP = 'UPDATE' AND to_jsonb(NEW) - ARRAY['position', 'state_position', 'subtask_position', 'version', 'updated_at']
+          = to_jsonb(OLD) - ARRAY['position', 'state_position', 'subtask_position', 'version', 'updated_at'] THEN
+          RETURN NEW;
+      END IF;
+
+      INSERT INTO todo_revisions (todo_id, revision, title, description, completed, priority, due_date, recurrence,
+          complete_subtasks, auto_complete, project_id, state, deleted_at, created_at)
+      VALUES (NEW.id, NEW.version, NEW.title, NEW.description, NEW.completed, NEW.priority, NEW.due_date, NEW.recurrence,
+          NEW.complete_subtasks, NEW.auto_complete, NEW.project_id, NEW.state, NEW.deleted_at, NEW.updated_at);
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql';
+
+    DROP TRIGGER IF EXISTS record_todos_revision ON todos;
+    CREATE TRIGGER record_todos_revision
+      AFTER INSERT OR UPDATE ON todos
+      FOR EACH ROW
+      EXECUTE FUNCTION record_todo_revision();
+
+    -- Todos created before revisions existed start with their current version
+    INSERT INTO todo_revisions (todo_id, revision, title, description, completed, priority, due_date, recurrence,
+        complete_subtasks, auto_complete, project_id, state, deleted_at, created_at)
+    SELECT id, version, title, description, completed, priority, due_date, recurrence,
+        complete_subtasks, auto_complete, project_id, state, deleted_at, updated_at FROM todos
+    ON CONFLICT DO NOTHING;
+
+    -- Refresh tokens (only SHA-256 hashes are stored)
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      family_id UUID NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+
+    -- API keys (only SHA-256 hashes are stored, prefix identifies the key)
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      prefix VARCHAR(20) NOT NULL,
+      key_hash CHAR(64) UNIQUE NOT NULL,
+      scope VARCHAR(20) NOT NULL DEFAULT 'read-write' CHECK (scope IN ('read-only', 'read-write')),
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+    -- Idempotency keys (responses replayed when a client retries with the same Idempotency-Key)
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      owner VARCHAR(50) NOT NULL,
+      key VARCHAR(255) NOT NULL,
+      fingerprint CHAR(64) NOT NULL,
+      status_code INTEGER,
+      response_headers JSONB,
+      response_body JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (owner, key)
+    );
+
+    -- Replayed responses didn't keep their headers at first
+    ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS response_headers JSONB;
+
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
   `;
 
   try {
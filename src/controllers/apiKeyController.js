@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { generateOpaqueToken, hashToken } = require('../utils/token');
+
+// Keys look like `tk_1a2b3c4d_<secret>`; the `tk_1a2b3c4d` prefix is stored in
+// clear so users can tell their keys apart, the full key only as a hash.
+function generateApiKey() {
+  const prefix = `tk_${crypto.randomBytes(4).toString('hex')}`;
+  return { prefix, key: `${prefix}_${generateOpaqueToken()}` };
+}
+
+// Never send key hashes to clients
+function toPublicApiKey(apiKey) {
+  const { key_hash: _keyHash, user_id: _userId, ...publicApiKey } = apiKey;
+  return publicApiKey;
+}
+
+class ApiKeyController {
+  // List the authenticated user's API keys
+  static async listApiKeys(req, res) {
+    try {
+      const { apiKeys } = req.app.locals.repositories;
+
+      const keys = await apiKeys.listByUser(req.user.userId);
+
+      res.json({ data: keys.map(toPublicApiKey) });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({
+        error: 'Failed to list API keys',
+        message: error.message
+      });
+    }
+  }
+
+  // Create an API key; the plain key is only returned in this response
+  static async createApiKey(req, res) {
+    try {
+      const { apiKeys } = req.app.locals.repositories;
+      const { name, scope, expiresAt } = req.body;
+      const { prefix, key } = generateApiKey();
+
+      const apiKey = await apiKeys.create({
+        userId: req.user.userId,
+        name,
+        prefix,
+        keyHash: hashToken(key),
+        scope,
+        expiresAt
+      });
+
+      res.status(201).json({
+        data: { ...toPublicApiKey(apiKey), key },
+        message: 'API key created successfully. Store it now, it will not be shown again.'
+      });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({
+        error: 'Failed to create API key',
+        message: error.message
+      });
+    }
+  }
+
+  // Revoke one of the authenticated user's API keys
+  static async revokeApiKey(req, res) {
+    try {
+      const { apiKeys } = req.app.locals.repositories;
+      const { clock } = req.app.locals;
+      const { id } = req.params;
+
+      const apiKey = await apiKeys.revoke(id, req.user.userId, clock.now());
+
+      if (!apiKey) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: `API key with ID ${id} does not exist`
+        });
+      }
+
+      res.json({
+        data: toPublicApiKey(apiKey),
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({
+        error: 'Failed to revoke API key',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ApiKeyController;
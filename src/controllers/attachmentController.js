@@ -0,0 +1,168 @@
+const { pipeline } = require('stream/promises');
+const { AttachmentError, uploadAttachment, deleteAttachment } = require('../services/attachmentService');
+
+// Attachments live under their todo: every handler first checks that the todo is visible
+// to the request (req.todoScope) and not in the trash
+
+const todoNotFound = (res, id) => res.status(404).json({
+  error: 'Todo not found',
+  message: `Todo with ID ${id} does not exist`
+});
+
+const attachmentNotFound = (res, id) => res.status(404).json({
+  error: 'Attachment not found',
+  message: `Attachment with ID ${id} does not exist`
+});
+
+const attachmentRejected = (res, error) => res.status(error.status).json({
+  error: error.error,
+  message: error.message
+});
+
+// Attachment metadata as returned by the API (the storage key stays internal)
+const toPayload = (attachment) => ({
+  id: attachment.id,
+  todo_id: attachment.todo_id,
+  uploader_id: attachment.uploader_id,
+  filename: attachment.filename,
+  mime_type: attachment.mime_type,
+  size: attachment.size,
+  created_at: attachment.created_at
+});
+
+// The attachment `attachmentId` of the visible todo `id`, or null after sending the 404
+async function findAttachment(req, res) {
+  const { todos, attachments } = req.app.locals.repositories;
+  const { id, attachmentId } = req.params;
+
+  if (!await todos.getById(id, req.todoScope)) {
+    todoNotFound(res, id);
+    return null;
+  }
+
+  const attachment = await attachments.getById(attachmentId);
+  if (!attachment || attachment.todo_id !== Number(id)) {
+    attachmentNotFound(res, attachmentId);
+    return null;
+  }
+
+  return attachment;
+}
+
+class AttachmentController {
+  // List the attachments of a todo, oldest first
+  static async getAttachments(req, res) {
+    try {
+      const { todos, attachments } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const rows = await attachments.listForTodo(todo.id);
+      res.json({ data: rows.map(toPayload) });
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+      res.status(500).json({
+        error: 'Failed to fetch attachments',
+        message: error.message
+      });
+    }
+  }
+
+  // Upload a file (multipart/form-data, field "file") as an attachment of the todo
+  static async uploadAttachment(req, res) {
+    try {
+      const { repositories, storage } = req.app.locals;
+      const { id } = req.params;
+
+      const todo = await repositories.todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const uploaderId = req.user ? req.user.userId : null;
+      const attachment = await uploadAttachment({ attachments: repositories.attachments, storage }, todo, req, uploaderId);
+
+      res.status(201).json({
+        data: toPayload(attachment),
+        message: 'Attachment uploaded successfully'
+      });
+    } catch (error) {
+      if (error instanceof AttachmentError) {
+        return attachmentRejected(res, error);
+      }
+      console.error('Error uploading attachment:', error);
+      res.status(500).json({
+        error: 'Failed to upload attachment',
+        message: error.message
+      });
+    }
+  }
+
+  // Stream the contents of an attachment, always as a download
+  static async downloadAttachment(req, res) {
+    try {
+      const { storage } = req.app.locals;
+      const attachment = await findAttachment(req, res);
+
+      if (!attachment) {
+        return;
+      }
+
+      const stream = await storage.get(attachment.storage_key);
+
+      if (!stream) {
+        return attachmentNotFound(res, attachment.id);
+      }
+
+      res.attachment(attachment.filename);
+      res.set({
+        'Content-Type': attachment.mime_type,
+        'Content-Length': String(attachment.size)
+      });
+      await pipeline(stream, res);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        error: 'Failed to download attachment',
+        message: error.message
+      });
+    }
+  }
+
+  static async deleteAttachment(req, res) {
+    try {
+      const { repositories, storage } = req.app.locals;
+      const attachment = await findAttachment(req, res);
+
+      if (!attachment) {
+        return;
+      }
+
+      if (!await deleteAttachment({ attachments: repositories.attachments, storage }, attachment)) {
+        return attachmentNotFound(res, attachment.id);
+      }
+
+      res.json({
+        message: 'Attachment deleted successfully',
+        data: { id: attachment.id }
+      });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      res.status(500).json({
+        error: 'Failed to delete attachment',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AttachmentController;
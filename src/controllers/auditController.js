@@ -0,0 +1,34 @@
+class AuditController {
+  // List audit log entries, newest first
+  static async listAuditLogs(req, res) {
+    try {
+      const { auditLogs } = req.app.locals.repositories;
+      const { userId, action, from, to, page, limit } = req.query;
+      const offset = (page - 1) * limit;
+      const filters = { userId, action, from, to };
+
+      const [data, total] = await Promise.all([
+        auditLogs.list({ ...filters, limit, offset }),
+        auditLogs.count(filters)
+      ]);
+
+      res.json({
+        data,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+      res.status(500).json({
+        error: 'Failed to fetch audit logs',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AuditController;
@@ -0,0 +1,187 @@
+const { TokenError } = require('../services/tokenService');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+// Never send password hashes to clients
+function toPublicUser(user) {
+  const { password_hash: _passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+const userExists = (res) => res.status(409).json({
+  error: 'User already exists',
+  message: 'A user with that email or username is already registered'
+});
+
+class AuthController {
+  // Register a new user
+  static async register(req, res) {
+    try {
+      const { users } = req.app.locals.repositories;
+      const { tokenService } = req.app.locals;
+      const { username, email, password } = req.body;
+
+      if (await users.findByEmail(email) || await users.findByUsername(username)) {
+        return userExists(res);
+      }
+
+      const passwordHash = await hashPassword(password);
+      const user = await users.create({ username, email, passwordHash });
+
+      // A concurrent registration got there first
+      if (!user) {
+        return userExists(res);
+      }
+      const tokens = await tokenService.issue(user);
+
+      res.status(201).json({
+        data: {
+          user: toPublicUser(user),
+          ...tokens
+        },
+        message: 'User registered successfully'
+      });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      res.status(500).json({
+        error: 'Failed to register user',
+        message: error.message
+      });
+    }
+  }
+
+  // Log in with email and password
+  static async login(req, res) {
+    try {
+      const { users } = req.app.locals.repositories;
+      const { tokenService } = req.app.locals;
+      const { email, password } = req.body;
+
+      const user = await users.findByEmail(email);
+      const valid = user && await verifyPassword(password, user.password_hash);
+
+      // Same answer for unknown email and wrong password
+      if (!valid) {
+        return res.status(401).json({
+          error: 'Invalid credentials',
+          message: 'Email or password is incorrect'
+        });
+      }
+
+      if (!user.is_active) {
+        return res.status(403).json({
+          error: 'Account disabled',
+          message: 'This account has been deactivated'
+        });
+      }
+
+      const tokens = await tokenService.issue(user);
+
+      res.json({
+        data: {
+          user: toPublicUser(user),
+          ...tokens
+        },
+        message: 'Login successful'
+      });
+    } catch (error) {
+      console.error('Error logging in:', error);
+      res.status(500).json({
+        error: 'Failed to log in',
+        message: error.message
+      });
+    }
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair
+  static async refresh(req, res) {
+    try {
+      const { tokenService } = req.app.locals;
+
+      const { user, ...tokens } = await tokenService.rotate(req.body.refreshToken);
+
+      res.json({
+        data: {
+          user: toPublicUser(user),
+          ...tokens
+        },
+        message: 'Token refreshed successfully'
+      });
+    } catch (error) {
+      if (error instanceof TokenError) {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: error.message
+        });
+      }
+
+      console.error('Error refreshing token:', error);
+      res.status(500).json({
+        error: 'Failed to refresh token',
+        message: error.message
+      });
+    }
+  }
+
+  // Log out the session the refresh token belongs to
+  static async logout(req, res) {
+    try {
+      const { tokenService } = req.app.locals;
+
+      await tokenService.revoke(req.body.refreshToken);
+
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+      res.status(500).json({
+        error: 'Failed to log out',
+        message: error.message
+      });
+    }
+  }
+
+  // Log out every session of the authenticated user
+  static async logoutAll(req, res) {
+    try {
+      const { tokenService } = req.app.locals;
+
+      const revoked = await tokenService.revokeAll(req.user.userId);
+
+      res.json({
+        data: { revoked },
+        message: 'All sessions logged out'
+      });
+    } catch (error) {
+      console.error('Error logging out all sessions:', error);
+      res.status(500).json({
+        error: 'Failed to log out',
+        message: error.message
+      });
+    }
+  }
+
+  // Get the authenticated user
+  static async me(req, res) {
+    try {
+      const { users } = req.app.locals.repositories;
+
+      const user = await users.findById(req.user.userId);
+
+      if (!user || !user.is_active) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The authenticated user no longer exists'
+        });
+      }
+
+      res.json({ data: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+      res.status(500).json({
+        error: 'Failed to fetch user',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,167 @@
+// Comments live under their todo: every handler first checks that the todo is visible
+// to the request (req.todoScope) and not in the trash
+
+const todoNotFound = (res, id) => res.status(404).json({
+  error: 'Todo not found',
+  message: `Todo with ID ${id} does not exist`
+});
+
+const commentNotFound = (res, id) => res.status(404).json({
+  error: 'Comment not found',
+  message: `Comment with ID ${id} does not exist`
+});
+
+// Only the author of a comment, or an admin, may edit or delete it
+const canChange = (user, comment) => user.isAdmin || comment.author_id === user.userId;
+
+const notAuthor = (res) => res.status(403).json({
+  error: 'Access forbidden',
+  message: 'Only the author of a comment or an admin can change it'
+});
+
+// The comment `commentId` of the visible todo `id`, or null after sending the 404
+async function findComment(req, res) {
+  const { todos, comments } = req.app.locals.repositories;
+  const { id, commentId } = req.params;
+
+  if (!await todos.getById(id, req.todoScope)) {
+    todoNotFound(res, id);
+    return null;
+  }
+
+  const comment = await comments.getById(commentId);
+  if (!comment || comment.todo_id !== Number(id)) {
+    commentNotFound(res, commentId);
+    return null;
+  }
+
+  return comment;
+}
+
+class CommentController {
+  // List the comments of a todo, oldest first
+  static async getComments(req, res) {
+    try {
+      const { todos, comments } = req.app.locals.repositories;
+      const { id } = req.params;
+      const { page, limit } = req.query;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const [rows, counts] = await Promise.all([
+        comments.listForTodo(todo.id, { limit, offset: (page - 1) * limit }),
+        comments.countForTodos([todo.id])
+      ]);
+      const total = counts.get(todo.id);
+
+      res.json({
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(500).json({
+        error: 'Failed to fetch comments',
+        message: error.message
+      });
+    }
+  }
+
+  // Comment on a todo as the authenticated user
+  static async createComment(req, res) {
+    try {
+      const { todos, comments } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const comment = await comments.create({ todoId: todo.id, authorId: req.user.userId, body: req.body.body });
+
+      res.status(201).json({
+        data: comment,
+        message: 'Comment created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      res.status(500).json({
+        error: 'Failed to create comment',
+        message: error.message
+      });
+    }
+  }
+
+  static async updateComment(req, res) {
+    try {
+      const { comments } = req.app.locals.repositories;
+      const comment = await findComment(req, res);
+
+      if (!comment) {
+        return;
+      }
+      if (!canChange(req.user, comment)) {
+        return notAuthor(res);
+      }
+
+      const updated = await comments.update(comment.id, { body: req.body.body });
+
+      if (!updated) {
+        return commentNotFound(res, comment.id);
+      }
+
+      res.json({
+        data: updated,
+        message: 'Comment updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      res.status(500).json({
+        error: 'Failed to update comment',
+        message: error.message
+      });
+    }
+  }
+
+  static async deleteComment(req, res) {
+    try {
+      const { comments } = req.app.locals.repositories;
+      const comment = await findComment(req, res);
+
+      if (!comment) {
+        return;
+      }
+      if (!canChange(req.user, comment)) {
+        return notAuthor(res);
+      }
+
+      if (!await comments.delete(comment.id)) {
+        return commentNotFound(res, comment.id);
+      }
+
+      res.json({
+        message: 'Comment deleted successfully',
+        data: { id: comment.id }
+      });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({
+        error: 'Failed to delete comment',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = CommentController;
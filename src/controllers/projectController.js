@@ -0,0 +1,232 @@
+const TodoController = require('./todoController');
+const { getBoard, countByState } = require('../services/workflowService');
+const { todoDetails } = require('../services/todoDetailsService');
+const { workflowOf } = require('../utils/workflow');
+
+// Projects without a workflow of their own show the default one
+const withWorkflow = (project) => ({ ...project, workflow: workflowOf(project) });
+
+const projectNotFound = (res, id) => res.status(404).json({
+  error: 'Project not found',
+  message: `Project with ID ${id} does not exist`
+});
+
+const projectExists = (res, name) => res.status(409).json({
+  error: 'Project already exists',
+  message: `A project named "${name}" already exists`
+});
+
+class ProjectController {
+  // List the projects visible to the request (active ones unless ?archived=true)
+  static async getAllProjects(req, res) {
+    try {
+      const { projects } = req.app.locals.repositories;
+
+      const data = await projects.getAll({ ...req.todoScope, archived: req.query.archived });
+
+      res.json({ data: data.map(withWorkflow) });
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+      res.status(500).json({
+        error: 'Failed to fetch projects',
+        message: error.message
+      });
+    }
+  }
+
+  // Get project by ID
+  static async getProjectById(req, res) {
+    try {
+      const { projects } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const project = await projects.getById(id, req.todoScope);
+
+      if (!project) {
+        return projectNotFound(res, id);
+      }
+
+      res.json({ data: withWorkflow(project) });
+    } catch (error) {
+      console.error('Error fetching project:', error);
+      res.status(500).json({
+        error: 'Failed to fetch project',
+        message: error.message
+      });
+    }
+  }
+
+  // Create project, owned by the authenticated user (names are unique per owner)
+  static async createProject(req, res) {
+    try {
+      const { projects } = req.app.locals.repositories;
+      const ownerId = req.user ? req.user.userId : null;
+
+      if (await projects.findByName(req.body.name, { ownerId })) {
+        return projectExists(res, req.body.name);
+      }
+
+      const project = await projects.create(req.body, { ownerId });
+
+      res.status(201).json({
+        data: withWorkflow(project),
+        message: 'Project created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating project:', error);
+      res.status(500).json({
+        error: 'Failed to create project',
+        message: error.message
+      });
+    }
+  }
+
+  // Update project (also archives and unarchives it)
+  static async updateProject(req, res) {
+    try {
+      const { projects } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const project = await projects.getById(id, req.todoScope);
+
+      if (!project) {
+        return projectNotFound(res, id);
+      }
+
+      if (req.body.name) {
+        const existing = await projects.findByName(req.body.name, { ownerId: project.owner_id });
+        if (existing && existing.id !== project.id) {
+          return projectExists(res, req.body.name);
+        }
+      }
+
+      const updated = await projects.update(id, req.body, req.todoScope);
+
+      if (!updated) {
+        return projectNotFound(res, id);
+      }
+
+      res.json({
+        data: withWorkflow(updated),
+        message: 'Project updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating project:', error);
+      res.status(500).json({
+        error: 'Failed to update project',
+        message: error.message
+      });
+    }
+  }
+
+  // Delete project (its todos stay, without a project)
+  static async deleteProject(req, res) {
+    try {
+      const { projects } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const deleted = await projects.delete(id, req.todoScope);
+
+      if (!deleted) {
+        return projectNotFound(res, id);
+      }
+
+      res.json({
+        message: 'Project deleted successfully',
+        data: { id }
+      });
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      res.status(500).json({
+        error: 'Failed to delete project',
+        message: error.message
+      });
+    }
+  }
+
+  // List the todos of a project; takes the same query as GET /todos
+  static async getProjectTodos(req, res) {
+    try {
+      const { projects } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const project = await projects.getById(id, req.todoScope);
+
+      if (!project) {
+        return projectNotFound(res, id);
+      }
+
+      req.query = { ...req.query, project_id: project.id };
+    } catch (error) {
+      console.error('Error fetching project todos:', error);
+      return res.status(500).json({
+        error: 'Failed to fetch todos',
+        message: error.message
+      });
+    }
+
+    return TodoController.getAllTodos(req, res);
+  }
+
+  // Kanban board of a project: its workflow states with their todos
+  static async getProjectBoard(req, res) {
+    try {
+      const { projects, todos } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const project = await projects.getById(id, req.todoScope);
+
+      if (!project) {
+        return projectNotFound(res, id);
+      }
+
+      const columns = await getBoard(todos, project, { scope: req.todoScope, limit: req.query.limit });
+
+      res.json({
+        data: {
+          project_id: project.id,
+          transitions: workflowOf(project).transitions,
+          columns: await Promise.all(columns.map(async (column) => ({
+            ...column,
+            todos: await todoDetails(req.app.locals.repositories, column.todos)
+          })))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching project board:', error);
+      res.status(500).json({
+        error: 'Failed to fetch board',
+        message: error.message
+      });
+    }
+  }
+
+  // Statistics of the todos in a project, with the number of todos in each state
+  static async getProjectStats(req, res) {
+    try {
+      const { projects, todos } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const project = await projects.getById(id, req.todoScope);
+
+      if (!project) {
+        return projectNotFound(res, id);
+      }
+
+      const [stats, byState] = await Promise.all([
+        todos.getStats({ ...req.todoScope, projectId: project.id }),
+        countByState(todos, project, { scope: req.todoScope })
+      ]);
+
+      res.json({ data: { ...stats, by_state: byState } });
+    } catch (error) {
+      console.error('Error fetching project stats:', error);
+      res.status(500).json({
+        error: 'Failed to fetch statistics',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ProjectController;
@@ -0,0 +1,133 @@
+const tagNotFound = (res, id) => res.status(404).json({
+  error: 'Tag not found',
+  message: `Tag with ID ${id} does not exist`
+});
+
+const tagExists = (res, name) => res.status(409).json({
+  error: 'Tag already exists',
+  message: `A tag named "${name}" already exists`
+});
+
+class TagController {
+  // List every tag
+  static async getAllTags(req, res) {
+    try {
+      const { tags } = req.app.locals.repositories;
+
+      const data = await tags.getAll();
+
+      res.json({ data });
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      res.status(500).json({
+        error: 'Failed to fetch tags',
+        message: error.message
+      });
+    }
+  }
+
+  // Get tag by ID
+  static async getTagById(req, res) {
+    try {
+      const { tags } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const tag = await tags.getById(id);
+
+      if (!tag) {
+        return tagNotFound(res, id);
+      }
+
+      res.json({ data: tag });
+    } catch (error) {
+      console.error('Error fetching tag:', error);
+      res.status(500).json({
+        error: 'Failed to fetch tag',
+        message: error.message
+      });
+    }
+  }
+
+  // Create tag (names are unique, case-insensitively)
+  static async createTag(req, res) {
+    try {
+      const { tags } = req.app.locals.repositories;
+
+      if (await tags.findByName(req.body.name)) {
+        return tagExists(res, req.body.name);
+      }
+
+      const tag = await tags.create(req.body);
+
+      res.status(201).json({
+        data: tag,
+        message: 'Tag created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      res.status(500).json({
+        error: 'Failed to create tag',
+        message: error.message
+      });
+    }
+  }
+
+  // Update tag
+  static async updateTag(req, res) {
+    try {
+      const { tags } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      if (req.body.name) {
+        const existing = await tags.findByName(req.body.name);
+        if (existing && existing.id !== id) {
+          return tagExists(res, req.body.name);
+        }
+      }
+
+      const tag = await tags.update(id, req.body);
+
+      if (!tag) {
+        return tagNotFound(res, id);
+      }
+
+      res.json({
+        data: tag,
+        message: 'Tag updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      res.status(500).json({
+        error: 'Failed to update tag',
+        message: error.message
+      });
+    }
+  }
+
+  // Delete tag (it is removed from every todo)
+  static async deleteTag(req, res) {
+    try {
+      const { tags } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const deleted = await tags.delete(id);
+
+      if (!deleted) {
+        return tagNotFound(res, id);
+      }
+
+      res.json({
+        message: 'Tag deleted successfully',
+        data: { id }
+      });
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      res.status(500).json({
+        error: 'Failed to delete tag',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = TagController;
@@ -1,85 +1,244 @@
-const { query } = require('../config/database');
-const Joi = require('joi');
-
-// Validation schemas
-const createTodoSchema = Joi.object({
-  title: Joi.string().min(1).max(255).required(),
-  description: Joi.string().max(1000).optional().allow(''),
-  priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
-  dueDate: Joi.date().optional().allow(null)
+const { trashRetentionDays } = require('../services/trashService');
+const { CursorError, cursorContext, encodeCursor, decodeCursor } = require('../utils/cursor');
+const { BulkRequestError, BulkAbortedError, runBulk } = require('../services/bulkService');
+const { completeTodo } = require('../services/completionService');
+const { ProjectError, checkProject } = require('../services/projectService');
+const { WorkflowError, moveTodo } = require('../services/workflowService');
+const { OrderingError, reorderTodo } = require('../services/orderingService');
+const { todoDetails } = require('../services/todoDetailsService');
+const { ifMatchVersions, ifNoneMatch } = require('../utils/etag');
+const { revisionDiff, revisionChanges } = require('../utils/revisions');
+
+// Send a notification through the injected mailer without holding up the response.
+// Delivery failures are logged; they never turn a successful request into an error.
+function notify(req, method, todo) {
+  const { mailer } = req.app.locals;
+
+  if (!mailer || typeof mailer[method] !== 'function') {
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => mailer[method](todo))
+    .catch((error) => console.error(`Failed to send ${method} notification:`, error.message));
+}
+
+// Tags, subtask progress, blockers, workflow state and ETag of each todo (todoDetails)
+const withDetails = (req, rows) => todoDetails(req.app.locals.repositories, rows);
+
+async function withDetailsOne(req, todo) {
+  const [detailed] = await withDetails(req, [todo]);
+  return detailed;
+}
+
+// withDetailsOne(), also sending its ETag
+async function withEtag(req, res, todo) {
+  const detailed = await withDetailsOne(req, todo);
+  res.set('ETag', detailed.etag);
+  return detailed;
+}
+
+// Visibility scope plus the acting user, so the change is recorded in the audit log
+const changeScope = (req) => ({ ...req.todoScope, actorId: req.user ? req.user.userId : null });
+
+// changeScope() limited to the versions named by If-Match (no header -> any version)
+const conditionalScope = (req) => ({ ...changeScope(req), versions: ifMatchVersions(req.get('If-Match')) });
+
+// Owner of the next occurrence of a completed recurring todo: the owner in scope, or the
+// acting user (the admin, for admins completing with scope=all)
+const occurrenceOwner = (req, scope) => (req.todoScope.ownerId !== undefined ? req.todoScope.ownerId : scope.actorId);
+
+// Repository filter options for the GET /todos query string (see listTodosSchema)
+const listFilters = (query) => ({
+  status: query.status,
+  priority: query.priority,
+  dueBefore: query.due_before,
+  dueAfter: query.due_after,
+  createdBefore: query.created_before,
+  createdAfter: query.created_after,
+  updatedBefore: query.updated_before,
+  updatedAfter: query.updated_after,
+  overdue: query.overdue,
+  hasDescription: query.has_description,
+  blocked: query.blocked,
+  projectId: query.project_id,
+  tags: query.tag,
+  tagMatch: query.tagMatch
 });
 
-const updateTodoSchema = Joi.object({
-  title: Joi.string().min(1).max(255).optional(),
-  description: Joi.string().max(1000).optional().allow(''),
-  priority: Joi.string().valid('low', 'medium', 'high').optional(),
-  completed: Joi.boolean().optional(),
-  dueDate: Joi.date().optional().allow(null)
+// next_cursor / prev_cursor pointing past the last / before the first row of a page.
+// `positions` takes the ids of those rows and returns their cursorKeys() from the repository.
+async function pageCursors(rows, { context, positions }, { hasNext, hasPrev }) {
+  if (rows.length === 0) {
+    return { next_cursor: null, prev_cursor: null };
+  }
+
+  const first = rows[0].id;
+  const last = rows[rows.length - 1].id;
+  const keys = await positions([first, last]);
+
+  return {
+    next_cursor: hasNext ? encodeCursor({ keys: keys.get(last), direction: 'next', context }) : null,
+    prev_cursor: hasPrev ? encodeCursor({ keys: keys.get(first), direction: 'prev', context }) : null
+  };
+}
+
+// Read one page from a cursor; `fetch` takes { limit, cursor } and calls the repository.
+// One extra row is fetched to tell whether there is more beyond the page. No COUNT(*)
+// is run: cursor clients follow next/prev instead of jumping to a page number.
+async function cursorPage(fetch, { cursor, limit, context, positions }) {
+  const position = decodeCursor(cursor, context);
+  const backward = position.direction === 'prev';
+
+  const rows = await fetch({ limit: limit + 1, cursor: position });
+  const hasMore = rows.length > limit;
+  let page = rows;
+  if (hasMore) {
+    page = backward ? rows.slice(1) : rows.slice(0, limit);
+  }
+
+  return {
+    rows: page,
+    cursors: await pageCursors(page, { context, positions }, { hasNext: backward || hasMore, hasPrev: !backward || hasMore })
+  };
+}
+
+// A ProjectError, WorkflowError or OrderingError, with the details some of them carry
+const serviceRejected = (res, error) => res.status(error.status).json({
+  error: error.error,
+  message: error.message,
+  ...error.details
 });
 
-const searchSchema = Joi.object({
-  q: Joi.string().min(1).required(),
-  page: Joi.number().integer().min(1).default(1),
-  limit: Joi.number().integer().min(1).max(100).default(10)
+const todoBlocked = (res, id, blockedBy) => res.status(409).json({
+  error: 'Todo is blocked',
+  message: `Todo with ID ${id} is blocked by unfinished todos ${blockedBy.join(', ')}; use force=true to complete it anyway`,
+  blocked_by: blockedBy
 });
 
+const invalidCursor = (res, error) => res.status(400).json({
+  error: 'Invalid cursor',
+  message: error.message
+});
+
+const todoNotFound = (res, id) => res.status(404).json({
+  error: 'Todo not found',
+  message: `Todo with ID ${id} does not exist`
+});
+
+const revisionNotFound = (res, id, revision) => res.status(404).json({
+  error: 'Revision not found',
+  message: `Todo with ID ${id} has no revision ${revision}`
+});
+
+// A conditional change found nothing: 412 when the todo exists at another version
+// (sending its current ETag), 404 when it doesn't exist at all
+async function rejectChange(req, res, id) {
+  const { versions } = conditionalScope(req);
+  const todo = versions ? await req.app.locals.repositories.todos.getById(id, req.todoScope) : null;
+
+  if (!todo) {
+    return todoNotFound(res, id);
+  }
+
+  await withEtag(req, res, todo);
+  return res.status(412).json({
+    error: 'Precondition failed',
+    message: `Todo with ID ${id} has changed; it is now at version ${todo.version}`
+  });
+}
+
+// update() data for a todo; `completed: true` completes it like PATCH /complete (see
+// completionService), along with the other fields. Resolves to what completeTodo() does.
+async function applyChanges(req, id, { completed, ...changes }) {
+  const { repositories, transaction, clock } = req.app.locals;
+  const scope = conditionalScope(req);
+
+  await checkProject(repositories.projects, changes.projectId, req.todoScope);
+
+  if (completed === true) {
+    return completeTodo(transaction, id, {
+      scope,
+      ownerId: occurrenceOwner(req, scope),
+      actorId: scope.actorId,
+      now: clock.now(),
+      force: req.query.force,
+      changes
+    });
+  }
+
+  const todo = await repositories.todos.update(id, { ...changes, completed }, scope);
+  return { todo, blockedBy: [], next: null, subtasks: [], parents: [] };
+}
+
+// Response to applyChanges(): 409 when the todo is blocked, 412/404 when there was
+// nothing to change, otherwise the todo with what got completed along with it
+async function sendChanges(req, res, id, result, message) {
+  const { todo, blockedBy, next, subtasks, parents } = result;
+
+  if (!todo && blockedBy.length > 0) {
+    return todoBlocked(res, id, blockedBy);
+  }
+
+  if (!todo) {
+    return rejectChange(req, res, id);
+  }
+
+  return res.json({
+    data: await withEtag(req, res, todo),
+    ...(next && { next_occurrence: await withDetailsOne(req, next) }),
+    ...(subtasks.length + parents.length > 0 && { also_completed: { subtasks, parents } }),
+    ...(blockedBy.length > 0 && {
+      warning: `Todo completed while blocked by unfinished todos ${blockedBy.join(', ')}`
+    }),
+    message
+  });
+}
+
 class TodoController {
   // Get all todos
   static async getAllTodos(req, res) {
     try {
-      const { page = 1, limit = 10, status, priority } = req.query;
+      const { todos } = req.app.locals.repositories;
+      const { page, limit, sort, cursor } = req.query;
       const offset = (page - 1) * limit;
-      
-      let whereClause = '';
-      let params = [];
-      let paramCount = 0;
-
-      if (status === 'completed') {
-        paramCount++;
-        whereClause += `WHERE completed = $${paramCount}`;
-        params.push(true);
-      } else if (status === 'pending') {
-        paramCount++;
-        whereClause += `WHERE completed = $${paramCount}`;
-        params.push(false);
-      }
-
-      if (priority) {
-        paramCount++;
-        whereClause += whereClause ? ` AND priority = $${paramCount}` : `WHERE priority = $${paramCount}`;
-        params.push(priority);
-      }
-
-      params.push(limit, offset);
-      const limitOffset = `ORDER BY created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-
-      const queryText = `
-        SELECT 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-        FROM todos 
-        ${whereClause}
-        ${limitOffset}
-      `;
-
-      const result = await query(queryText, params);
-      
-      // Get total count
-      const countQuery = `SELECT COUNT(*) as count FROM todos ${whereClause}`;
-      const countParams = params.slice(0, paramCount);
-      const countResult = await query(countQuery, countParams);
-      const total = parseInt(countResult.rows[0].count);
+      const filters = { ...listFilters(req.query), ...req.todoScope };
+      const paging = {
+        context: cursorContext('todos', sort || [], filters),
+        positions: (ids) => todos.cursorKeys(ids, { sort })
+      };
+
+      if (cursor) {
+        const { rows, cursors } = await cursorPage(
+          (position) => todos.getAll({ ...position, sort, ...filters }),
+          { cursor, limit, ...paging }
+        );
+
+        return res.json({
+          data: await withDetails(req, rows),
+          pagination: { limit, ...cursors }
+        });
+      }
+
+      const [rows, total] = await Promise.all([
+        todos.getAll({ limit, offset, sort, ...filters }),
+        todos.count(filters)
+      ]);
       
       res.json({
-        data: result.rows,
+        data: await withDetails(req, rows),
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          page,
+          limit,
           total,
-          pages: Math.ceil(total / limit)
+          pages: Math.ceil(total / limit),
+          ...await pageCursors(rows, paging, { hasNext: offset + rows.length < total, hasPrev: offset > 0 })
         }
       });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return invalidCursor(res, error);
+      }
       console.error('Error fetching todos:', error);
       res.status(500).json({ 
         error: 'Failed to fetch todos',
@@ -91,25 +250,21 @@ class TodoController {
   // Get todo by ID
   static async getTodoById(req, res) {
     try {
+      const { todos } = req.app.locals.repositories;
       const { id } = req.params;
-      const queryText = `
-        SELECT 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-        FROM todos 
-        WHERE id = $1
-      `;
-
-      const result = await query(queryText, [id]);
+
+      const todo = await todos.getById(id, req.todoScope);
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({ 
-          error: 'Todo not found',
-          message: `Todo with ID ${id} does not exist`
-        });
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const data = await withEtag(req, res, todo);
+      if (ifNoneMatch(req.get('If-None-Match'), data.etag)) {
+        return res.status(304).end();
       }
       
-      res.json({ data: result.rows[0] });
+      res.json({ data });
     } catch (error) {
       console.error('Error fetching todo:', error);
       res.status(500).json({ 
@@ -122,32 +277,25 @@ class TodoController {
   // Create new todo
   static async createTodo(req, res) {
     try {
-      const { error, value } = createTodoSchema.validate(req.body);
-      
-      if (error) {
-        return res.status(400).json({
-          error: 'Validation error',
-          message: error.details[0].message
-        });
+      const { todos, projects } = req.app.locals.repositories;
+
+      const ownerId = req.user ? req.user.userId : null;
+
+      await checkProject(projects, req.body.projectId, req.todoScope);
+      const todo = await todos.create(req.body, { ownerId, actorId: ownerId });
+
+      if (todo.priority === 'high') {
+        notify(req, 'sendHighPriorityNotification', todo);
       }
-      
-      const { title, description, priority = 'medium', dueDate } = value;
-      
-      const queryText = `
-        INSERT INTO todos (title, description, priority, due_date)
-        VALUES ($1, $2, $3, $4)
-        RETURNING 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-      `;
-
-      const result = await query(queryText, [title, description, priority, dueDate]);
-      
+
       res.status(201).json({ 
-        data: result.rows[0],
+        data: await withEtag(req, res, todo),
         message: 'Todo created successfully'
       });
     } catch (error) {
+      if (error instanceof ProjectError) {
+        return serviceRejected(res, error);
+      }
       console.error('Error creating todo:', error);
       res.status(500).json({ 
         error: 'Failed to create todo',
@@ -157,86 +305,18 @@ class TodoController {
   }
 
   // Update todo
+  // `completed: true` completes the todo like PATCH /complete (see completionService),
+  // along with the other fields
   static async updateTodo(req, res) {
     try {
       const { id } = req.params;
-      const { error, value } = updateTodoSchema.validate(req.body);
-      
-      if (error) {
-        return res.status(400).json({
-          error: 'Validation error',
-          message: error.details[0].message
-        });
-      }
-      
-      // Build dynamic update query
-      const updates = [];
-      const params = [];
-      let paramCount = 0;
-
-      if (value.title !== undefined) {
-        paramCount++;
-        updates.push(`title = $${paramCount}`);
-        params.push(value.title);
-      }
-
-      if (value.description !== undefined) {
-        paramCount++;
-        updates.push(`description = $${paramCount}`);
-        params.push(value.description);
-      }
-
-      if (value.completed !== undefined) {
-        paramCount++;
-        updates.push(`completed = $${paramCount}`);
-        params.push(value.completed);
-      }
-
-      if (value.priority !== undefined) {
-        paramCount++;
-        updates.push(`priority = $${paramCount}`);
-        params.push(value.priority);
-      }
-
-      if (value.dueDate !== undefined) {
-        paramCount++;
-        updates.push(`due_date = $${paramCount}`);
-        params.push(value.dueDate);
-      }
 
-      if (updates.length === 0) {
-        return res.status(400).json({
-          error: 'No fields to update',
-          message: 'At least one field must be provided for update'
-        });
-      }
-
-      paramCount++;
-      params.push(id);
-
-      const queryText = `
-        UPDATE todos 
-        SET ${updates.join(', ')}
-        WHERE id = $${paramCount}
-        RETURNING 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-      `;
-
-      const result = await query(queryText, params);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({ 
-          error: 'Todo not found',
-          message: `Todo with ID ${id} does not exist`
-        });
-      }
-      
-      res.json({ 
-        data: result.rows[0],
-        message: 'Todo updated successfully'
-      });
+      const result = await applyChanges(req, id, req.body);
+      await sendChanges(req, res, id, result, 'Todo updated successfully');
     } catch (error) {
+      if (error instanceof ProjectError) {
+        return serviceRejected(res, error);
+      }
       console.error('Error updating todo:', error);
       res.status(500).json({ 
         error: 'Failed to update todo',
@@ -248,21 +328,18 @@ class TodoController {
   // Delete todo
   static async deleteTodo(req, res) {
     try {
+      const { todos } = req.app.locals.repositories;
       const { id } = req.params;
       
-      const queryText = 'DELETE FROM todos WHERE id = $1 RETURNING id';
-      const result = await query(queryText, [id]);
+      const deleted = await todos.delete(id, conditionalScope(req));
       
-      if (result.rows.length === 0) {
-        return res.status(404).json({ 
-          error: 'Todo not found',
-          message: `Todo with ID ${id} does not exist`
-        });
+      if (!deleted) {
+        return rejectChange(req, res, id);
       }
       
       res.json({ 
-        message: 'Todo deleted successfully',
-        data: { id: parseInt(id) }
+        message: 'Todo moved to trash',
+        data: { id }
       });
     } catch (error) {
       console.error('Error deleting todo:', error);
@@ -276,34 +353,11 @@ class TodoController {
   // Get statistics
   static async getStats(req, res) {
     try {
-      const queryText = `
-        SELECT 
-          COUNT(*) as total,
-          COUNT(*) FILTER (WHERE completed = true) as completed,
-          COUNT(*) FILTER (WHERE completed = false) as pending,
-          COUNT(*) FILTER (WHERE priority = 'high') as high_priority,
-          COUNT(*) FILTER (WHERE priority = 'medium') as medium_priority,
-          COUNT(*) FILTER (WHERE priority = 'low') as low_priority,
-          COUNT(*) FILTER (WHERE due_date < NOW() AND completed = false) as overdue
-        FROM todos
-      `;
-
-      const result = await query(queryText);
-      const stats = result.rows[0];
+      const { todos } = req.app.locals.repositories;
+
+      const stats = await todos.getStats(req.todoScope);
       
-      res.json({
-        data: {
-          total: parseInt(stats.total),
-          completed: parseInt(stats.completed),
-          pending: parseInt(stats.pending),
-          by_priority: {
-            high: parseInt(stats.high_priority),
-            medium: parseInt(stats.medium_priority),
-            low: parseInt(stats.low_priority)
-          },
-          overdue: parseInt(stats.overdue)
-        }
-      });
+      res.json({ data: stats });
     } catch (error) {
       console.error('Error fetching stats:', error);
       res.status(500).json({ 
@@ -316,41 +370,49 @@ class TodoController {
   // Search todos
   static async searchTodos(req, res) {
     try {
-      const { error, value } = searchSchema.validate(req.query);
-      
-      if (error) {
-        return res.status(400).json({
-          error: 'Validation error',
-          message: error.details[0].message
+      const { todos } = req.app.locals.repositories;
+      const { q, page, limit, cursor } = req.query;
+      const offset = (page - 1) * limit;
+      const paging = {
+        context: cursorContext('search', q, req.todoScope),
+        positions: (ids) => todos.cursorKeys(ids, { search: q })
+      };
+
+      if (cursor) {
+        const { rows, cursors } = await cursorPage(
+          (position) => todos.search(q, { ...position, ...req.todoScope }),
+          { cursor, limit, ...paging }
+        );
+        const data = await withDetails(req, rows);
+
+        return res.json({
+          data,
+          search: { query: q, limit, results: data.length, ...cursors }
         });
       }
-      
-      const { q, page, limit } = value;
-      const offset = (page - 1) * limit;
-      
-      const queryText = `
-        SELECT 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-        FROM todos 
-        WHERE 
-          title ILIKE $1 OR description ILIKE $1
-        ORDER BY created_at DESC 
-        LIMIT $2 OFFSET $3
-      `;
-
-      const result = await query(queryText, [`%${q}%`, limit, offset]);
+
+      const [rows, total] = await Promise.all([
+        todos.search(q, { limit, offset, ...req.todoScope }),
+        todos.countSearch(q, req.todoScope)
+      ]);
+      const data = await withDetails(req, rows);
       
       res.json({
-        data: result.rows,
+        data,
         search: {
           query: q,
           page,
           limit,
-          results: result.rows.length
+          results: data.length,
+          total,
+          pages: Math.ceil(total / limit),
+          ...await pageCursors(rows, paging, { hasNext: offset + rows.length < total, hasPrev: offset > 0 })
         }
       });
     } catch (error) {
+      if (error instanceof CursorError) {
+        return invalidCursor(res, error);
+      }
       console.error('Error searching todos:', error);
       res.status(500).json({ 
         error: 'Failed to search todos',
@@ -359,31 +421,104 @@ class TodoController {
     }
   }
 
+  // Apply one action to many todos in a single transaction
+  static async bulkTodos(req, res) {
+    try {
+      const { transaction, clock } = req.app.locals;
+      const { action, mode, items, ids, filter, data, tagId, projectId, force } = req.body;
+      const ownerId = req.user ? req.user.userId : null;
+      const filters = filter ? listFilters(filter) : undefined;
+
+      const results = await runBulk(
+        transaction,
+        { action, mode, items, ids, filters, data, tagId, projectId, force },
+        { scope: req.todoScope, ownerId, actorId: ownerId, now: clock.now() }
+      );
+      const succeeded = results.filter((result) => result.status === 'ok');
+
+      // Resulting todos carry the same details as from the single-todo routes (workflow state...)
+      if (!['delete', 'tag', 'untag'].includes(action)) {
+        const detailed = await withDetails(req, succeeded.map((result) => result.data));
+        succeeded.forEach((result, index) => { result.data = detailed[index]; });
+      }
+
+      // Notifications only go out once the batch is committed
+      succeeded.forEach(({ data: todo }) => {
+        if (action === 'create' && todo.priority === 'high') {
+          notify(req, 'sendHighPriorityNotification', todo);
+        }
+        if (action === 'complete') {
+          notify(req, 'sendCompletionNotification', todo);
+        }
+      });
+
+      res.json({
+        data: {
+          results,
+          succeeded: succeeded.length,
+          failed: results.length - succeeded.length
+        },
+        message: `Bulk ${action} applied to ${succeeded.length} of ${results.length} todos`
+      });
+    } catch (error) {
+      if (error instanceof BulkRequestError) {
+        return res.status(error.status).json({ error: error.error, message: error.message });
+      }
+      if (error instanceof ProjectError) {
+        return serviceRejected(res, error);
+      }
+      if (error instanceof BulkAbortedError) {
+        return res.status(409).json({
+          error: 'Bulk operation rolled back',
+          message: error.message,
+          failed: error.failure
+        });
+      }
+      console.error('Error running bulk operation:', error);
+      res.status(500).json({
+        error: 'Failed to run bulk operation',
+        message: error.message
+      });
+    }
+  }
+
   // Complete todo
+  // Recurring todos get their next occurrence (see occurrenceOwner); subtasks and parents
+  // may be completed along with it (see completionService).
+  // Blocked todos are only completed with ?force=true, and then with a warning.
   static async completeTodo(req, res) {
     try {
+      const { transaction, clock } = req.app.locals;
       const { id } = req.params;
-      
-      const queryText = `
-        UPDATE todos 
-        SET completed = true
-        WHERE id = $1
-        RETURNING 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-      `;
-
-      const result = await query(queryText, [id]);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({ 
-          error: 'Todo not found',
-          message: `Todo with ID ${id} does not exist`
-        });
+      const { force } = req.query;
+      const scope = conditionalScope(req);
+      const ownerId = occurrenceOwner(req, scope);
+
+      const { todo, blockedBy, next, subtasks, parents } = await completeTodo(transaction, id, {
+        scope,
+        ownerId,
+        actorId: scope.actorId,
+        now: clock.now(),
+        force
+      });
+
+      if (!todo && blockedBy.length > 0) {
+        return todoBlocked(res, id, blockedBy);
       }
       
+      if (!todo) {
+        return rejectChange(req, res, id);
+      }
+
+      notify(req, 'sendCompletionNotification', todo);
+
       res.json({ 
-        data: result.rows[0],
+        data: await withEtag(req, res, todo),
+        next_occurrence: next ? await withDetailsOne(req, next) : null,
+        also_completed: { subtasks, parents },
+        ...(blockedBy.length > 0 && {
+          warning: `Todo completed while blocked by unfinished todos ${blockedBy.join(', ')}`
+        }),
         message: 'Todo marked as completed'
       });
     } catch (error) {
@@ -398,28 +533,17 @@ class TodoController {
   // Uncomplete todo
   static async uncompleteTodo(req, res) {
     try {
+      const { todos } = req.app.locals.repositories;
       const { id } = req.params;
+
+      const todo = await todos.update(id, { completed: false }, conditionalScope(req));
       
-      const queryText = `
-        UPDATE todos 
-        SET completed = false
-        WHERE id = $1
-        RETURNING 
-          id, title, description, completed, priority, 
-          due_date, created_at, updated_at
-      `;
-
-      const result = await query(queryText, [id]);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({ 
-          error: 'Todo not found',
-          message: `Todo with ID ${id} does not exist`
-        });
+      if (!todo) {
+        return rejectChange(req, res, id);
       }
-      
+
       res.json({ 
-        data: result.rows[0],
+        data: await withEtag(req, res, todo),
         message: 'Todo marked as not completed'
       });
     } catch (error) {
@@ -430,6 +554,559 @@ class TodoController {
       });
     }
   }
+
+  // Move todo to another state of its project's workflow and/or position in the column
+  static async moveTodo(req, res) {
+    try {
+      const { transaction, clock } = req.app.locals;
+      const { id } = req.params;
+      const { force } = req.query;
+      const scope = conditionalScope(req);
+      const ownerId = occurrenceOwner(req, scope);
+
+      const { todo, from, to, blockedBy, next, subtasks, parents } = await moveTodo(transaction, id, {
+        ...req.body,
+        scope,
+        ownerId,
+        actorId: scope.actorId,
+        now: clock.now(),
+        force
+      });
+
+      if (!todo && blockedBy.length > 0) {
+        return todoBlocked(res, id, blockedBy);
+      }
+
+      if (!todo) {
+        return rejectChange(req, res, id);
+      }
+
+      if (from !== to && todo.completed) {
+        notify(req, 'sendCompletionNotification', todo);
+      }
+
+      res.json({
+        data: await withEtag(req, res, todo),
+        from,
+        to,
+        ...(next && { next_occurrence: await withDetailsOne(req, next) }),
+        ...(subtasks.length + parents.length > 0 && { also_completed: { subtasks, parents } }),
+        ...(blockedBy.length > 0 && {
+          warning: `Todo completed while blocked by unfinished todos ${blockedBy.join(', ')}`
+        }),
+        message: from === to ? 'Todo reordered' : `Todo moved from "${from}" to "${to}"`
+      });
+    } catch (error) {
+      if (error instanceof WorkflowError) {
+        return serviceRejected(res, error);
+      }
+      console.error('Error moving todo:', error);
+      res.status(500).json({
+        error: 'Failed to move todo',
+        message: error.message
+      });
+    }
+  }
+
+  // Place a todo in the manual order (sort=position), right after and/or before others
+  static async reorderTodo(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await reorderTodo(todos, id, req.body, conditionalScope(req));
+
+      if (!todo) {
+        return rejectChange(req, res, id);
+      }
+
+      res.json({
+        data: await withEtag(req, res, todo),
+        message: 'Todo reordered successfully'
+      });
+    } catch (error) {
+      if (error instanceof OrderingError) {
+        return serviceRejected(res, error);
+      }
+      console.error('Error reordering todo:', error);
+      res.status(500).json({
+        error: 'Failed to reorder todo',
+        message: error.message
+      });
+    }
+  }
+
+  // List trashed todos, most recently deleted first
+  static async getTrash(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { page, limit } = req.query;
+      const offset = (page - 1) * limit;
+
+      const [rows, total] = await Promise.all([
+        todos.getAll({ limit, offset, trashed: true, ...req.todoScope }),
+        todos.count({ trashed: true, ...req.todoScope })
+      ]);
+
+      res.json({
+        data: await withDetails(req, rows),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        retention_days: trashRetentionDays()
+      });
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      res.status(500).json({
+        error: 'Failed to fetch trash',
+        message: error.message
+      });
+    }
+  }
+
+  // Restore todo from the trash
+  static async restoreTodo(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.restore(id, changeScope(req));
+
+      if (!todo) {
+        return res.status(404).json({
+          error: 'Todo not found',
+          message: `Todo with ID ${id} is not in the trash`
+        });
+      }
+
+      res.json({
+        data: await withEtag(req, res, todo),
+        message: 'Todo restored successfully'
+      });
+    } catch (error) {
+      console.error('Error restoring todo:', error);
+      res.status(500).json({
+        error: 'Failed to restore todo',
+        message: error.message
+      });
+    }
+  }
+
+  // Audit log entries of a todo, oldest first
+  static async getTodoHistory(req, res) {
+    try {
+      const { todos, auditLogs } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const data = await auditLogs.listForRecord('todos', todo.id);
+
+      res.json({ data });
+    } catch (error) {
+      console.error('Error fetching todo history:', error);
+      res.status(500).json({
+        error: 'Failed to fetch todo history',
+        message: error.message
+      });
+    }
+  }
+
+  // Every revision of a todo, oldest first
+  static async getTodoRevisions(req, res) {
+    try {
+      const { todos, todoRevisions } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const data = await todoRevisions.listForTodo(todo.id);
+
+      res.json({ data });
+    } catch (error) {
+      console.error('Error fetching todo revisions:', error);
+      res.status(500).json({
+        error: 'Failed to fetch todo revisions',
+        message: error.message
+      });
+    }
+  }
+
+  // Field by field changes between two revisions (by default the previous one and this one)
+  static async getRevisionDiff(req, res) {
+    try {
+      const { todos, todoRevisions } = req.app.locals.repositories;
+      const { id, revision } = req.params;
+      const { against } = req.query;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      // By default the revision right before it (moves leave gaps in the numbers)
+      const revisions = await todoRevisions.listForTodo(todo.id);
+      const index = revisions.findIndex((entry) => entry.revision === revision);
+      const newer = revisions[index];
+      const older = against !== undefined
+        ? revisions.find((entry) => entry.revision === against)
+        : revisions[index - 1];
+
+      if (!newer) {
+        return revisionNotFound(res, id, revision);
+      }
+      if (against !== undefined && !older) {
+        return revisionNotFound(res, id, against);
+      }
+
+      res.json({
+        data: {
+          todo_id: todo.id,
+          revision,
+          against: older ? older.revision : null,
+          changes: revisionDiff(older || null, newer)
+        }
+      });
+    } catch (error) {
+      console.error('Error comparing todo revisions:', error);
+      res.status(500).json({
+        error: 'Failed to compare todo revisions',
+        message: error.message
+      });
+    }
+  }
+
+  // Bring a todo back to an earlier revision; the revert is itself a new revision
+  static async revertTodo(req, res) {
+    try {
+      const { todos, todoRevisions } = req.app.locals.repositories;
+      const { id, revision } = req.params;
+
+      const current = await todos.getById(id, req.todoScope);
+
+      if (!current) {
+        return todoNotFound(res, id);
+      }
+
+      const target = await todoRevisions.get(current.id, revision);
+
+      if (!target) {
+        return revisionNotFound(res, id, revision);
+      }
+
+      const result = await applyChanges(req, id, revisionChanges(target));
+      await sendChanges(req, res, id, result, `Todo reverted to revision ${revision}`);
+    } catch (error) {
+      if (error instanceof ProjectError) {
+        return serviceRejected(res, error);
+      }
+      console.error('Error reverting todo:', error);
+      res.status(500).json({
+        error: 'Failed to revert todo',
+        message: error.message
+      });
+    }
+  }
+
+  // Create a subtask of a visible todo; it belongs to the parent's owners and, unless
+  // given another one, to the parent's project
+  static async createSubtask(req, res) {
+    try {
+      const { todos, projects } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const parent = await todos.getById(id, req.todoScope);
+
+      if (!parent) {
+        return todoNotFound(res, id);
+      }
+
+      const projectId = req.body.projectId !== undefined ? req.body.projectId : parent.project_id;
+      await checkProject(projects, projectId, req.todoScope);
+
+      const actorId = req.user ? req.user.userId : null;
+      const todo = await todos.create({ ...req.body, parentId: parent.id, projectId }, { actorId });
+
+      if (todo.priority === 'high') {
+        notify(req, 'sendHighPriorityNotification', todo);
+      }
+
+      res.status(201).json({
+        data: await withEtag(req, res, todo),
+        message: 'Subtask created successfully'
+      });
+    } catch (error) {
+      if (error instanceof ProjectError) {
+        return serviceRejected(res, error);
+      }
+      console.error('Error creating subtask:', error);
+      res.status(500).json({
+        error: 'Failed to create subtask',
+        message: error.message
+      });
+    }
+  }
+
+  // Put the subtasks of a todo in a new order; `ids` must list each live subtask once
+  static async reorderSubtasks(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id } = req.params;
+      const { ids } = req.body;
+
+      const parent = await todos.getById(id, req.todoScope);
+
+      if (!parent) {
+        return todoNotFound(res, id);
+      }
+
+      const subtasks = (await todos.getDescendants(parent.id, req.todoScope))
+        .filter((todo) => todo.parent_id === parent.id);
+      const current = new Set(subtasks.map((todo) => todo.id));
+
+      if (ids.length !== current.size || !ids.every((subtaskId) => current.has(subtaskId))) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: `ids must list every subtask of todo ${id} exactly once`
+        });
+      }
+
+      await todos.reorderSubtasks(parent.id, ids);
+      const reordered = (await todos.getDescendants(parent.id, req.todoScope))
+        .filter((todo) => todo.parent_id === parent.id);
+
+      res.json({
+        data: await withDetails(req, reordered),
+        message: 'Subtasks reordered successfully'
+      });
+    } catch (error) {
+      console.error('Error reordering subtasks:', error);
+      res.status(500).json({
+        error: 'Failed to reorder subtasks',
+        message: error.message
+      });
+    }
+  }
+
+  // A todo with its subtasks nested under `subtasks`, at every depth
+  static async getTodoTree(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      // Descendants come in subtask order, so siblings are appended in order
+      const nodes = await withDetails(req, [todo, ...await todos.getDescendants(todo.id, req.todoScope)]);
+      const byId = new Map(nodes.map((node) => [node.id, { ...node, subtasks: [] }]));
+      byId.forEach((node) => {
+        if (node.id !== todo.id && byId.has(node.parent_id)) {
+          byId.get(node.parent_id).subtasks.push(node);
+        }
+      });
+
+      res.json({ data: byId.get(todo.id) });
+    } catch (error) {
+      console.error('Error fetching todo tree:', error);
+      res.status(500).json({
+        error: 'Failed to fetch todo tree',
+        message: error.message
+      });
+    }
+  }
+
+  // Make a todo depend on another one, unless that would close a cycle
+  static async addDependency(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id } = req.params;
+      const { dependsOnId } = req.body;
+
+      if (dependsOnId === id) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: 'A todo cannot depend on itself'
+        });
+      }
+
+      const [todo, blocker] = await Promise.all([
+        todos.getById(id, req.todoScope),
+        todos.getById(dependsOnId, req.todoScope)
+      ]);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+      if (!blocker) {
+        return todoNotFound(res, dependsOnId);
+      }
+
+      const outcome = await todos.addDependency(todo.id, blocker.id);
+
+      if (outcome === 'cycle') {
+        return res.status(409).json({
+          error: 'Dependency cycle',
+          message: `Todo ${dependsOnId} already depends on todo ${id}, directly or through other todos`
+        });
+      }
+
+      res.status(outcome === 'created' ? 201 : 200).json({
+        data: await withDetailsOne(req, todo),
+        message: outcome === 'created' ? 'Dependency added' : 'Dependency already exists'
+      });
+    } catch (error) {
+      console.error('Error adding dependency:', error);
+      res.status(500).json({
+        error: 'Failed to add dependency',
+        message: error.message
+      });
+    }
+  }
+
+  // Remove a dependency of a todo
+  static async removeDependency(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id, dependsOnId } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      if (!await todos.removeDependency(todo.id, dependsOnId)) {
+        return res.status(404).json({
+          error: 'Dependency not found',
+          message: `Todo with ID ${id} does not depend on todo ${dependsOnId}`
+        });
+      }
+
+      res.json({
+        data: await withDetailsOne(req, todo),
+        message: 'Dependency removed'
+      });
+    } catch (error) {
+      console.error('Error removing dependency:', error);
+      res.status(500).json({
+        error: 'Failed to remove dependency',
+        message: error.message
+      });
+    }
+  }
+
+  // Everything a todo depends on and everything that depends on it, transitively
+  static async getDependencyGraph(req, res) {
+    try {
+      const { todos } = req.app.locals.repositories;
+      const { id } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      const { nodes, edges } = await todos.getDependencyGraph(todo.id, req.todoScope);
+
+      res.json({
+        data: {
+          todo_id: todo.id,
+          nodes: await withDetails(req, nodes),
+          edges
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching dependency graph:', error);
+      res.status(500).json({
+        error: 'Failed to fetch dependency graph',
+        message: error.message
+      });
+    }
+  }
+
+  // Attach a tag to a todo
+  static async attachTag(req, res) {
+    try {
+      const { todos, tags } = req.app.locals.repositories;
+      const { id } = req.params;
+      const { tagId } = req.body;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      if (!await tags.getById(tagId)) {
+        return res.status(404).json({
+          error: 'Tag not found',
+          message: `Tag with ID ${tagId} does not exist`
+        });
+      }
+
+      await tags.attach(todo.id, tagId);
+
+      res.json({
+        data: await withDetailsOne(req, todo),
+        message: 'Tag attached to todo'
+      });
+    } catch (error) {
+      console.error('Error attaching tag:', error);
+      res.status(500).json({
+        error: 'Failed to attach tag',
+        message: error.message
+      });
+    }
+  }
+
+  // Detach a tag from a todo
+  static async detachTag(req, res) {
+    try {
+      const { todos, tags } = req.app.locals.repositories;
+      const { id, tagId } = req.params;
+
+      const todo = await todos.getById(id, req.todoScope);
+
+      if (!todo) {
+        return todoNotFound(res, id);
+      }
+
+      if (!await tags.detach(todo.id, tagId)) {
+        return res.status(404).json({
+          error: 'Tag not found',
+          message: `Tag with ID ${tagId} is not attached to todo ${id}`
+        });
+      }
+
+      res.json({
+        data: await withDetailsOne(req, todo),
+        message: 'Tag detached from todo'
+      });
+    } catch (error) {
+      console.error('Error detaching tag:', error);
+      res.status(500).json({
+        error: 'Failed to detach tag',
+        message: error.message
+      });
+    }
+  }
 }
 
-module.exports = TodoController;
\ No newline at end of file
+module.exports = TodoController;
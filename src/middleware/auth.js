@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const { hashToken } = require('../utils/token');
 require('dotenv').config();
 
 // Authentication middleware
@@ -63,6 +64,8 @@ const auth = (req, res, next) => {
 };
 
 // Optional authentication - doesn't fail if no token provided
+// A token that is sent but fails verification is still rejected: treating it as
+// anonymous would let an expired session read and create unowned todos
 const optionalAuth = (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
@@ -83,18 +86,36 @@ const optionalAuth = (req, res, next) => {
     // Try to verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     req.user = decoded;
-    
+
     next();
   } catch (error) {
-    // Invalid token, but don't fail the request
-    req.user = null;
-    next();
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid token'
+      });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Token expired'
+      });
+    }
+
+    console.error('Optional auth middleware error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Authentication failed'
+    });
   }
 };
 
 // Generate JWT token
-const generateToken = (userId, email, expiresIn = null) => {
+// `claims` adds extra fields to the payload (e.g. { isAdmin: true } for adminAuth)
+const generateToken = (userId, email, expiresIn = null, claims = {}) => {
   const payload = {
+    ...claims,
     userId,
     email,
     iat: Math.floor(Date.now() / 1000)
@@ -104,7 +125,8 @@ const generateToken = (userId, email, expiresIn = null) => {
   if (expiresIn) {
     options.expiresIn = expiresIn;
   } else {
-    options.expiresIn = process.env.JWT_EXPIRES_IN || '24h';
+    // Access tokens are short-lived; clients renew them with a refresh token
+    options.expiresIn = process.env.JWT_EXPIRES_IN || '15m';
   }
 
   return jwt.sign(payload, process.env.JWT_SECRET, options);
@@ -119,11 +141,28 @@ const verifyToken = (token) => {
   }
 };
 
+// Let only admins past, once req.user is set
+const requireAdmin = (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({
+      error: 'Access forbidden',
+      message: 'Admin privileges required'
+    });
+  }
+
+  next();
+};
+
 // Admin authentication middleware
+// Takes a JWT, or an API key, which stands for its owner just like a JWT (validateApiKey)
 const adminAuth = (req, res, next) => {
   try {
     // First check if user is authenticated
     const authHeader = req.header('Authorization');
+
+    if (!authHeader && req.header('X-API-Key')) {
+      return validateApiKey(req, res, () => requireAdmin(req, res, next));
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
@@ -133,18 +172,9 @@ const adminAuth = (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Check if user has admin role
-    if (!decoded.isAdmin) {
-      return res.status(403).json({
-        error: 'Access forbidden',
-        message: 'Admin privileges required'
-      });
-    }
+    req.user = jwt.verify(token, process.env.JWT_SECRET);
 
-    req.user = decoded;
-    next();
+    requireAdmin(req, res, next);
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
@@ -219,8 +249,13 @@ const requestLogger = (req, res, next) => {
   next();
 };
 
+// Methods a read-only API key may call
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 // Validate API key middleware (alternative to JWT)
-const validateApiKey = (req, res, next) => {
+// Keys live hashed in the api_keys table; a valid key authenticates as its owner,
+// so req.user has the same shape as with a JWT (plus apiKeyId/apiKeyScope).
+const validateApiKey = async (req, res, next) => {
   const apiKey = req.header('X-API-Key');
   
   if (!apiKey) {
@@ -230,13 +265,77 @@ const validateApiKey = (req, res, next) => {
     });
   }
 
-  // In a real application, you would validate against a database
-  const validApiKeys = process.env.VALID_API_KEYS?.split(',') || [];
-  
-  if (!validApiKeys.includes(apiKey)) {
+  try {
+    const { apiKeys, users } = req.app.locals.repositories;
+    const now = req.app.locals.clock.now();
+
+    const storedKey = await apiKeys.findByHash(hashToken(apiKey));
+
+    if (!storedKey || storedKey.revoked_at) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid API key'
+      });
+    }
+
+    if (storedKey.expires_at && new Date(storedKey.expires_at) <= now) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'API key expired'
+      });
+    }
+
+    const user = await users.findById(storedKey.user_id);
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid API key'
+      });
+    }
+
+    if (storedKey.scope === 'read-only' && !READ_ONLY_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: 'This API key is read-only'
+      });
+    }
+
+    await apiKeys.touch(storedKey.id, now);
+
+    req.user = {
+      userId: user.id,
+      email: user.email,
+      username: user.username,
+      isAdmin: user.role === 'admin',
+      apiKeyId: storedKey.id,
+      apiKeyScope: storedKey.scope
+    };
+
+    next();
+  } catch (error) {
+    console.error('API key middleware error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// Optional API key - only checks X-API-Key when it is sent and no JWT user is set
+const optionalApiKey = (req, res, next) => {
+  if (req.user || !req.header('X-API-Key')) {
+    return next();
+  }
+
+  return validateApiKey(req, res, next);
+};
+
+// Require a user identified by optionalAuth or optionalApiKey (JWT or API key)
+const requireUser = (req, res, next) => {
+  if (!req.user) {
     return res.status(401).json({
       error: 'Access denied',
-      message: 'Invalid API key'
+      message: 'Authentication required'
     });
   }
 
@@ -246,10 +345,12 @@ const validateApiKey = (req, res, next) => {
 module.exports = {
   auth,
   optionalAuth,
+  requireUser,
   adminAuth,
   generateToken,
   verifyToken,
   createUserRateLimit,
   requestLogger,
-  validateApiKey
+  validateApiKey,
+  optionalApiKey
 };
\ No newline at end of file
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { idempotencyTtlMs } = require('../services/idempotencyService');
+
+const IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+const MAX_KEY_LENGTH = 255;
+
+// Same method, URL and body -> same fingerprint
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+  .digest('hex');
+
+// Honor the Idempotency-Key header on POST and PATCH requests.
+// The first request with a key runs normally and its response is stored
+// (IdempotencyKeyRepository); retries with the same key and the same request get that
+// response replayed (status, body and the headers the handler set, like ETag), with an
+// Idempotent-Replayed: true header, instead of running again.
+// Keys are per user and expire after idempotencyTtlMs(); anonymous requests would all
+// share one namespace, so the key is ignored for them.
+// Reusing a key for a different request is a 422; retrying while the first request is
+// still running is a 409. 5xx responses are not stored, so the request can be retried;
+// neither are responses sent other than with res.json().
+// Multipart bodies (attachment uploads) are only read by the route, so they can't be
+// fingerprinted: the key is ignored for them.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!IDEMPOTENT_METHODS.includes(req.method) || key === undefined || !req.user || req.is('multipart/form-data')) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Validation error',
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const { repositories, clock } = req.app.locals;
+  const { idempotencyKeys } = repositories;
+  const owner = `user:${req.user.userId}`;
+  const requestFingerprint = fingerprint(req);
+
+  try {
+    const now = clock.now();
+    const reserved = await idempotencyKeys.reserve({
+      owner,
+      key,
+      fingerprint: requestFingerprint,
+      expiresAt: new Date(now.getTime() + idempotencyTtlMs())
+    }, now);
+
+    if (!reserved) {
+      const record = await idempotencyKeys.find(owner, key, now);
+
+      if (record && record.fingerprint !== requestFingerprint) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (!record || record.status_code === null) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set(record.response_headers || {});
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status_code).json(record.response_body);
+    }
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    return res.status(500).json({
+      error: 'Failed to process request',
+      message: error.message
+    });
+  }
+
+  // Store the response before it is sent, so a retry can never miss it. Only the headers
+  // set after this point belong to the response: CORS, rate limit and the like are
+  // computed afresh for every request.
+  const inherited = res.getHeaders();
+  let stored = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    stored = true;
+    const headers = Object.fromEntries(
+      Object.entries(res.getHeaders()).filter(([name, value]) => inherited[name] !== value)
+    );
+    const saved = res.statusCode >= 500
+      ? idempotencyKeys.release(owner, key)
+      : idempotencyKeys.complete(owner, key, { statusCode: res.statusCode, headers, body });
+
+    saved
+      .catch((error) => console.error('Error storing idempotent response:', error.message))
+      .then(() => json(body));
+    return res;
+  };
+
+  // Any other response (res.send, res.end, a stream) leaves nothing to replay: free the key
+  res.on('finish', () => {
+    if (!stored) {
+      idempotencyKeys.release(owner, key)
+        .catch((error) => console.error('Error releasing idempotency key:', error.message));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,25 @@
+// Decide which todos a request may see, based on the authenticated user.
+// Runs after optionalAuth and stores the result in req.todoScope:
+//   authenticated user       -> { ownerId: userId }  (only their own todos)
+//   anonymous request        -> { ownerId: null }    (only todos nobody owns)
+//   admin with ?scope=all    -> {}                   (every user's todos)
+const todoScope = (req, res, next) => {
+  if (req.query.scope === 'all') {
+    if (!req.user || !req.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Access forbidden',
+        message: 'Admin privileges required for scope=all'
+      });
+    }
+
+    req.todoScope = {};
+    return next();
+  }
+
+  req.todoScope = { ownerId: req.user ? req.user.userId : null };
+  next();
+};
+
+module.exports = {
+  todoScope
+};
@@ -0,0 +1,22 @@
+// Validate a request property against a Joi schema.
+// On success the validated (and defaulted/converted) value replaces the original,
+// so handlers can rely on the shape described by the schema.
+const validate = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property]);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: error.details[0].message
+      });
+    }
+
+    req[property] = value;
+    next();
+  };
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,31 @@
+// ApiKeyRepository interface
+// Only SHA-256 hashes of API keys are stored; `prefix` identifies a key in listings.
+//
+//   create({ userId, name, prefix, keyHash, scope, expiresAt }) -> apiKey
+//   findByHash(keyHash)        -> apiKey | null
+//   listByUser(userId)         -> apiKey[] (newest first)
+//   revoke(id, userId, now)    -> apiKey | null (null if not found or not the user's)
+//   touch(id, now)             -> records last_used_at
+class ApiKeyRepository {
+  async create(_apiKeyData) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async findByHash(_keyHash) {
+    throw new Error(`${this.constructor.name}.findByHash() is not implemented`);
+  }
+
+  async listByUser(_userId) {
+    throw new Error(`${this.constructor.name}.listByUser() is not implemented`);
+  }
+
+  async revoke(_id, _userId, _now) {
+    throw new Error(`${this.constructor.name}.revoke() is not implemented`);
+  }
+
+  async touch(_id, _now) {
+    throw new Error(`${this.constructor.name}.touch() is not implemented`);
+  }
+}
+
+module.exports = ApiKeyRepository;
@@ -0,0 +1,37 @@
+// AttachmentRepository interface
+// Metadata of the files attached to todos (todo_attachments table); the contents live
+// in an AttachmentStorage under `storage_key`. Each attachment records its uploader
+// (uploader_id, null for anonymous requests or once the user is deleted).
+//
+//   listForTodo(todoId)        -> attachment[] (oldest first)
+//   getById(id)                -> attachment | null
+//   create({ todoId, uploaderId, filename, mimeType, size, storageKey }) -> attachment
+//   delete(id)                 -> boolean
+//   listOrphans(limit, afterId = 0) -> attachment[] whose todo was purged, by id, after afterId
+//
+// Purging a todo keeps its attachments with todo_id null (ON DELETE SET NULL), so their
+// contents can be removed from storage before the rows go (removeOrphanedAttachments()
+// in src/services/attachmentService.js).
+class AttachmentRepository {
+  async listForTodo(_todoId) {
+    throw new Error(`${this.constructor.name}.listForTodo() is not implemented`);
+  }
+
+  async getById(_id) {
+    throw new Error(`${this.constructor.name}.getById() is not implemented`);
+  }
+
+  async create(_attachmentData) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async delete(_id) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  async listOrphans(_limit, _afterId = 0) {
+    throw new Error(`${this.constructor.name}.listOrphans() is not implemented`);
+  }
+}
+
+module.exports = AttachmentRepository;
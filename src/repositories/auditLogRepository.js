@@ -0,0 +1,28 @@
+// AuditLogRepository interface (audit_logs table)
+// Entries are written by the todo repositories, in the same transaction as the change.
+//
+//   record({ tableName, recordId, action, oldValues, newValues, userId }) -> entry
+//   listForRecord(tableName, recordId)                      -> entry[] (oldest first)
+//   list({ userId, action, from, to, limit, offset })       -> entry[] (newest first)
+//   count({ userId, action, from, to })                     -> number
+//
+// `action` is 'INSERT', 'UPDATE' or 'DELETE'; `userId` is null for anonymous changes.
+class AuditLogRepository {
+  async record(_entry) {
+    throw new Error(`${this.constructor.name}.record() is not implemented`);
+  }
+
+  async listForRecord(_tableName, _recordId) {
+    throw new Error(`${this.constructor.name}.listForRecord() is not implemented`);
+  }
+
+  async list(_options = {}) {
+    throw new Error(`${this.constructor.name}.list() is not implemented`);
+  }
+
+  async count(_options = {}) {
+    throw new Error(`${this.constructor.name}.count() is not implemented`);
+  }
+}
+
+module.exports = AuditLogRepository;
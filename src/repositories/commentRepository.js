@@ -0,0 +1,39 @@
+// CommentRepository interface
+// Comments are a discussion thread on a todo (todo_comments table). Each one records
+// its author (author_id, null once the user is deleted) and its timestamps; updated_at
+// moves on every edit. Purging a todo deletes its comments. Who may see, edit or delete
+// a comment is up to the caller (src/controllers/commentController.js).
+//
+//   listForTodo(todoId, { limit, offset }) -> comment[] (oldest first)
+//   countForTodos(todoIds)                 -> Map of todo id -> number of comments
+//   getById(id)                            -> comment | null
+//   create({ todoId, authorId, body })     -> comment
+//   update(id, { body })                   -> comment | null
+//   delete(id)                             -> boolean
+class CommentRepository {
+  async listForTodo(_todoId, _options = {}) {
+    throw new Error(`${this.constructor.name}.listForTodo() is not implemented`);
+  }
+
+  async countForTodos(_todoIds) {
+    throw new Error(`${this.constructor.name}.countForTodos() is not implemented`);
+  }
+
+  async getById(_id) {
+    throw new Error(`${this.constructor.name}.getById() is not implemented`);
+  }
+
+  async create(_commentData) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async update(_id, _commentData) {
+    throw new Error(`${this.constructor.name}.update() is not implemented`);
+  }
+
+  async delete(_id) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+}
+
+module.exports = CommentRepository;
@@ -0,0 +1,36 @@
+// IdempotencyKeyRepository interface
+// Remembers the outcome of mutating requests sent with an Idempotency-Key header
+// (see middleware/idempotency). Keys are namespaced by `owner` ('user:<id>').
+//
+//   find(owner, key, now)                                -> record | null (expired records are ignored)
+//   reserve({ owner, key, fingerprint, expiresAt }, now) -> boolean (false if a live record exists)
+//   complete(owner, key, { statusCode, headers, body })  -> stores the response to replay
+//   release(owner, key)                                  -> forgets the key, so it can be retried
+//   purgeExpired(now)                                    -> number of records deleted
+//
+// A record is { owner, key, fingerprint, status_code, response_headers, response_body,
+// created_at, expires_at }; response_headers maps header names to the values the handler
+// set. status_code is null while the first request is still being handled.
+class IdempotencyKeyRepository {
+  async find(_owner, _key, _now) {
+    throw new Error(`${this.constructor.name}.find() is not implemented`);
+  }
+
+  async reserve(_record, _now) {
+    throw new Error(`${this.constructor.name}.reserve() is not implemented`);
+  }
+
+  async complete(_owner, _key, _response) {
+    throw new Error(`${this.constructor.name}.complete() is not implemented`);
+  }
+
+  async release(_owner, _key) {
+    throw new Error(`${this.constructor.name}.release() is not implemented`);
+  }
+
+  async purgeExpired(_now) {
+    throw new Error(`${this.constructor.name}.purgeExpired() is not implemented`);
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
@@ -0,0 +1,62 @@
+const ApiKeyRepository = require('./apiKeyRepository');
+const { systemClock } = require('../utils/clock');
+
+// In-memory implementation of ApiKeyRepository, used by the test suites
+class MemoryApiKeyRepository extends ApiKeyRepository {
+  constructor({ clock = systemClock } = {}) {
+    super();
+    this.clock = clock;
+    this.apiKeys = new Map();
+    this.nextId = 1;
+  }
+
+  async create(apiKeyData) {
+    const { userId, name, prefix, keyHash, scope, expiresAt = null } = apiKeyData;
+    const apiKey = {
+      id: this.nextId++,
+      user_id: userId,
+      name,
+      prefix,
+      key_hash: keyHash,
+      scope,
+      expires_at: expiresAt ? new Date(expiresAt) : null,
+      last_used_at: null,
+      revoked_at: null,
+      created_at: this.clock.now()
+    };
+
+    this.apiKeys.set(apiKey.id, apiKey);
+    return { ...apiKey };
+  }
+
+  async findByHash(keyHash) {
+    const apiKey = [...this.apiKeys.values()].find((candidate) => candidate.key_hash === keyHash);
+    return apiKey ? { ...apiKey } : null;
+  }
+
+  async listByUser(userId) {
+    return [...this.apiKeys.values()]
+      .filter((apiKey) => apiKey.user_id === userId)
+      .sort((a, b) => (b.created_at - a.created_at) || (b.id - a.id))
+      .map((apiKey) => ({ ...apiKey }));
+  }
+
+  async revoke(id, userId, now) {
+    const apiKey = this.apiKeys.get(Number(id));
+    if (!apiKey || apiKey.user_id !== userId) {
+      return null;
+    }
+
+    apiKey.revoked_at = apiKey.revoked_at || now;
+    return { ...apiKey };
+  }
+
+  async touch(id, now) {
+    const apiKey = this.apiKeys.get(id);
+    if (apiKey) {
+      apiKey.last_used_at = now;
+    }
+  }
+}
+
+module.exports = MemoryApiKeyRepository;
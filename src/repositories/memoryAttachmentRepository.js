@@ -0,0 +1,67 @@
+const AttachmentRepository = require('./attachmentRepository');
+const { systemClock } = require('../utils/clock');
+
+const byOldest = (a, b) => (a.created_at - b.created_at) || (a.id - b.id);
+
+// In-memory implementation of AttachmentRepository, used by the test suites.
+// MemoryTodoRepository.purge() calls orphanTodos() when given one, like ON DELETE SET
+// NULL does in PostgreSQL.
+class MemoryAttachmentRepository extends AttachmentRepository {
+  constructor({ clock = systemClock } = {}) {
+    super();
+    this.clock = clock;
+    this.attachments = new Map();
+    this.nextId = 1;
+  }
+
+  async listForTodo(todoId) {
+    return [...this.attachments.values()]
+      .filter((attachment) => attachment.todo_id === Number(todoId))
+      .sort(byOldest)
+      .map((attachment) => ({ ...attachment }));
+  }
+
+  async getById(id) {
+    const attachment = this.attachments.get(Number(id));
+    return attachment ? { ...attachment } : null;
+  }
+
+  async create({ todoId, uploaderId = null, filename, mimeType, size, storageKey }) {
+    const attachment = {
+      id: this.nextId++,
+      todo_id: Number(todoId),
+      uploader_id: uploaderId,
+      filename,
+      mime_type: mimeType,
+      size,
+      storage_key: storageKey,
+      created_at: this.clock.now()
+    };
+
+    this.attachments.set(attachment.id, attachment);
+    return { ...attachment };
+  }
+
+  async delete(id) {
+    return this.attachments.delete(Number(id));
+  }
+
+  async listOrphans(limit, afterId = 0) {
+    return [...this.attachments.values()]
+      .filter((attachment) => attachment.todo_id === null && attachment.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map((attachment) => ({ ...attachment }));
+  }
+
+  // The todos `todoIds` were purged
+  orphanTodos(todoIds) {
+    this.attachments.forEach((attachment) => {
+      if (todoIds.includes(attachment.todo_id)) {
+        attachment.todo_id = null;
+      }
+    });
+  }
+}
+
+module.exports = MemoryAttachmentRepository;
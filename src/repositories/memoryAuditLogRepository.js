@@ -0,0 +1,74 @@
+const AuditLogRepository = require('./auditLogRepository');
+const { systemClock } = require('../utils/clock');
+
+const byOldest = (a, b) => (a.created_at - b.created_at) || (a.id - b.id);
+
+// In-memory implementation of AuditLogRepository, used by the test suites.
+// MemoryTodoRepository records its changes here when given one.
+class MemoryAuditLogRepository extends AuditLogRepository {
+  constructor({ clock = systemClock } = {}) {
+    super();
+    this.clock = clock;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  // Copy of the current state; calling the returned function rolls back to it
+  snapshot() {
+    const entries = [...this.entries];
+    const { nextId } = this;
+
+    return () => {
+      Object.assign(this, { entries, nextId });
+    };
+  }
+
+  async record(entry) {
+    const { tableName, recordId, action, oldValues = null, newValues = null, userId = null } = entry;
+    const stored = {
+      id: this.nextId++,
+      table_name: tableName,
+      record_id: recordId,
+      action,
+      old_values: oldValues,
+      new_values: newValues,
+      user_id: userId,
+      created_at: this.clock.now()
+    };
+
+    this.entries.push(stored);
+    return { ...stored };
+  }
+
+  async listForRecord(tableName, recordId) {
+    return this.entries
+      .filter((entry) => entry.table_name === tableName && entry.record_id === Number(recordId))
+      .sort(byOldest)
+      .map((entry) => ({ ...entry }));
+  }
+
+  filter(options = {}) {
+    const { userId, action, from, to } = options;
+
+    return this.entries.filter((entry) =>
+      (userId === undefined || entry.user_id === userId) &&
+      (!action || entry.action === action) &&
+      (!from || entry.created_at >= new Date(from)) &&
+      (!to || entry.created_at <= new Date(to))
+    );
+  }
+
+  async list(options = {}) {
+    const { limit = 10, offset = 0 } = options;
+    return this.filter(options)
+      .sort((a, b) => byOldest(b, a))
+      .slice(Number(offset), Number(offset) + Number(limit))
+      .map((entry) => ({ ...entry }));
+  }
+
+  async count(options = {}) {
+    return this.filter(options).length;
+  }
+}
+
+module.exports = MemoryAuditLogRepository;
@@ -0,0 +1,66 @@
+const CommentRepository = require('./commentRepository');
+const { systemClock } = require('../utils/clock');
+
+const byOldest = (a, b) => (a.created_at - b.created_at) || (a.id - b.id);
+
+// In-memory implementation of CommentRepository, used by the test suites.
+// Comments of purged todos stay behind; nothing can reach them once the todo is gone.
+class MemoryCommentRepository extends CommentRepository {
+  constructor({ clock = systemClock } = {}) {
+    super();
+    this.clock = clock;
+    this.comments = new Map();
+    this.nextId = 1;
+  }
+
+  commentsOf(todoId) {
+    return [...this.comments.values()].filter((comment) => comment.todo_id === Number(todoId));
+  }
+
+  async listForTodo(todoId, { limit, offset = 0 } = {}) {
+    return this.commentsOf(todoId)
+      .sort(byOldest)
+      .slice(offset, limit === undefined ? undefined : offset + limit)
+      .map((comment) => ({ ...comment }));
+  }
+
+  async countForTodos(todoIds) {
+    return new Map(todoIds.map((todoId) => [Number(todoId), this.commentsOf(todoId).length]));
+  }
+
+  async getById(id) {
+    const comment = this.comments.get(Number(id));
+    return comment ? { ...comment } : null;
+  }
+
+  async create({ todoId, authorId = null, body }) {
+    const now = this.clock.now();
+    const comment = {
+      id: this.nextId++,
+      todo_id: Number(todoId),
+      author_id: authorId,
+      body,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.comments.set(comment.id, comment);
+    return { ...comment };
+  }
+
+  async update(id, { body }) {
+    const comment = this.comments.get(Number(id));
+    if (!comment) {
+      return null;
+    }
+
+    Object.assign(comment, { body, updated_at: this.clock.now() });
+    return { ...comment };
+  }
+
+  async delete(id) {
+    return this.comments.delete(Number(id));
+  }
+}
+
+module.exports = MemoryCommentRepository;
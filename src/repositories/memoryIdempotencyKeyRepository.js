@@ -0,0 +1,65 @@
+const IdempotencyKeyRepository = require('./idempotencyKeyRepository');
+
+const recordId = (owner, key) => `${owner}\n${key}`;
+
+// In-memory implementation of IdempotencyKeyRepository, used by the test suites
+class MemoryIdempotencyKeyRepository extends IdempotencyKeyRepository {
+  constructor() {
+    super();
+    this.records = new Map();
+  }
+
+  async find(owner, key, now) {
+    const record = this.records.get(recordId(owner, key));
+    return record && record.expires_at > now ? { ...record } : null;
+  }
+
+  async reserve({ owner, key, fingerprint, expiresAt }, now) {
+    if (await this.find(owner, key, now)) {
+      return false;
+    }
+
+    this.records.set(recordId(owner, key), {
+      owner,
+      key,
+      fingerprint,
+      status_code: null,
+      response_headers: null,
+      response_body: null,
+      created_at: now,
+      expires_at: new Date(expiresAt)
+    });
+    return true;
+  }
+
+  async complete(owner, key, { statusCode, headers = {}, body }) {
+    const record = this.records.get(recordId(owner, key));
+    if (record) {
+      // Stored as JSON, like the JSONB columns
+      Object.assign(record, {
+        status_code: statusCode,
+        response_headers: JSON.parse(JSON.stringify(headers)),
+        response_body: JSON.parse(JSON.stringify(body))
+      });
+    }
+  }
+
+  async release(owner, key) {
+    this.records.delete(recordId(owner, key));
+  }
+
+  async purgeExpired(now) {
+    let purged = 0;
+
+    this.records.forEach((record, id) => {
+      if (record.expires_at <= now) {
+        this.records.delete(id);
+        purged++;
+      }
+    });
+
+    return purged;
+  }
+}
+
+module.exports = MemoryIdempotencyKeyRepository;
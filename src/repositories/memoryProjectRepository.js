@@ -0,0 +1,130 @@
+const ProjectRepository = require('./projectRepository');
+const { systemClock } = require('../utils/clock');
+
+const DEFAULT_COLOR = '#6c757d';
+
+// Workflows are JSONB in PostgreSQL: every caller gets its own copy
+const copy = (workflow) => JSON.parse(JSON.stringify(workflow));
+const toRow = (project) => ({ ...project, workflow: project.workflow && copy(project.workflow) });
+
+const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || (a.id - b.id);
+
+// In-memory implementation of ProjectRepository, used by the test suites.
+// `todos` is the MemoryTodoRepository whose todos leave a deleted project
+// (ON DELETE SET NULL in PostgreSQL).
+class MemoryProjectRepository extends ProjectRepository {
+  constructor({ clock = systemClock, todos = null } = {}) {
+    super();
+    this.clock = clock;
+    this.todos = todos;
+    this.projects = new Map();
+    this.nextId = 1;
+  }
+
+  // Copy of the current state; calling the returned function rolls back to it
+  snapshot() {
+    const projects = new Map([...this.projects].map(([id, project]) => [id, { ...project }]));
+    const { nextId } = this;
+
+    return () => {
+      Object.assign(this, { projects, nextId });
+    };
+  }
+
+  // Same semantics as ownerCondition() in the PostgreSQL repository
+  isVisible(project, ownerId) {
+    return ownerId === undefined || project.owner_id === ownerId;
+  }
+
+  find(id, scope = {}) {
+    const project = this.projects.get(Number(id));
+    return project && this.isVisible(project, scope.ownerId) ? project : undefined;
+  }
+
+  async getAll(options = {}) {
+    const { ownerId, archived } = options;
+
+    return [...this.projects.values()]
+      .filter((project) => this.isVisible(project, ownerId))
+      .filter((project) => archived === undefined || project.archived === archived)
+      .sort(byName)
+      .map(toRow);
+  }
+
+  async getById(id, scope = {}) {
+    const project = this.find(id, scope);
+    return project ? toRow(project) : null;
+  }
+
+  async getByIds(ids) {
+    return ids
+      .map((id) => this.projects.get(Number(id)))
+      .filter(Boolean)
+      .sort((a, b) => a.id - b.id)
+      .map(toRow);
+  }
+
+  async findByName(name, { ownerId = null } = {}) {
+    const lowerName = name.toLowerCase();
+    const project = [...this.projects.values()]
+      .find((candidate) => candidate.owner_id === ownerId && candidate.name.toLowerCase() === lowerName);
+    return project ? toRow(project) : null;
+  }
+
+  async create(projectData, { ownerId = null } = {}) {
+    const { name, color, description, workflow } = projectData;
+
+    if (await this.findByName(name, { ownerId })) {
+      throw new Error('Failed to create project');
+    }
+
+    const now = this.clock.now();
+    const project = {
+      id: this.nextId++,
+      owner_id: ownerId,
+      name,
+      color: color || DEFAULT_COLOR,
+      description: description || null,
+      archived: false,
+      workflow: workflow ? copy(workflow) : null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.projects.set(project.id, project);
+    return toRow(project);
+  }
+
+  async update(id, projectData, scope = {}) {
+    const project = this.find(id, scope);
+    if (!project) {
+      return null;
+    }
+
+    ['name', 'color', 'description', 'archived'].forEach((field) => {
+      if (projectData[field] !== undefined) {
+        project[field] = projectData[field];
+      }
+    });
+    if (projectData.workflow !== undefined) {
+      project.workflow = projectData.workflow ? copy(projectData.workflow) : null;
+    }
+    project.updated_at = this.clock.now();
+    return toRow(project);
+  }
+
+  async delete(id, scope = {}) {
+    const project = this.find(id, scope);
+    if (!project) {
+      return false;
+    }
+
+    this.projects.delete(project.id);
+    if (this.todos) {
+      await this.todos.leaveProject(project.id);
+    }
+    return true;
+  }
+}
+
+module.exports = MemoryProjectRepository;
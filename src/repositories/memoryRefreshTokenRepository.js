@@ -0,0 +1,62 @@
+const RefreshTokenRepository = require('./refreshTokenRepository');
+
+// In-memory implementation of RefreshTokenRepository, used by the test suites
+class MemoryRefreshTokenRepository extends RefreshTokenRepository {
+  constructor() {
+    super();
+    this.tokens = new Map();
+    this.nextId = 1;
+  }
+
+  async create(tokenData) {
+    const { userId, familyId, tokenHash, expiresAt } = tokenData;
+    const token = {
+      id: this.nextId++,
+      user_id: userId,
+      family_id: familyId,
+      token_hash: tokenHash,
+      expires_at: new Date(expiresAt),
+      revoked_at: null,
+      created_at: new Date()
+    };
+
+    this.tokens.set(token.id, token);
+    return { ...token };
+  }
+
+  async findByHash(tokenHash) {
+    const token = [...this.tokens.values()].find((candidate) => candidate.token_hash === tokenHash);
+    return token ? { ...token } : null;
+  }
+
+  async consume(id, now) {
+    const token = this.tokens.get(id);
+    if (!token || token.revoked_at) {
+      return false;
+    }
+
+    token.revoked_at = now;
+    return true;
+  }
+
+  async revokeFamily(familyId, now) {
+    return this.revokeWhere((token) => token.family_id === familyId, now);
+  }
+
+  async revokeAllForUser(userId, now) {
+    return this.revokeWhere((token) => token.user_id === userId, now);
+  }
+
+  revokeWhere(predicate, now) {
+    let revoked = 0;
+    for (const token of this.tokens.values()) {
+      if (predicate(token) && !token.revoked_at) {
+        token.revoked_at = now;
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+}
+
+module.exports = MemoryRefreshTokenRepository;
@@ -0,0 +1,112 @@
+const TagRepository = require('./tagRepository');
+const { systemClock } = require('../utils/clock');
+
+const DEFAULT_COLOR = '#6c757d';
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// In-memory implementation of TagRepository, used by the test suites.
+// MemoryTodoRepository reads the links through tagNamesFor() to filter by tag.
+class MemoryTagRepository extends TagRepository {
+  constructor({ clock = systemClock } = {}) {
+    super();
+    this.clock = clock;
+    this.tags = new Map();
+    // todo id -> Set of tag ids (the todo_tags join table)
+    this.links = new Map();
+    this.nextId = 1;
+  }
+
+  // Copy of the current state; calling the returned function rolls back to it
+  snapshot() {
+    const tags = new Map([...this.tags].map(([id, tag]) => [id, { ...tag }]));
+    const links = new Map([...this.links].map(([id, tagIds]) => [id, new Set(tagIds)]));
+    const { nextId } = this;
+
+    return () => {
+      Object.assign(this, { tags, links, nextId });
+    };
+  }
+
+  async getAll() {
+    return [...this.tags.values()].sort(byName).map((tag) => ({ ...tag }));
+  }
+
+  async getById(id) {
+    const tag = this.tags.get(Number(id));
+    return tag ? { ...tag } : null;
+  }
+
+  async findByName(name) {
+    const lowerName = name.toLowerCase();
+    const tag = [...this.tags.values()].find((candidate) => candidate.name.toLowerCase() === lowerName);
+    return tag ? { ...tag } : null;
+  }
+
+  async create(tagData) {
+    const { name, color } = tagData;
+
+    if (await this.findByName(name)) {
+      throw new Error('Failed to create tag');
+    }
+
+    const tag = {
+      id: this.nextId++,
+      name,
+      color: color || DEFAULT_COLOR,
+      created_at: this.clock.now()
+    };
+
+    this.tags.set(tag.id, tag);
+    return { ...tag };
+  }
+
+  async update(id, tagData) {
+    const tag = this.tags.get(Number(id));
+    if (!tag) {
+      return null;
+    }
+
+    if (tagData.name) tag.name = tagData.name;
+    if (tagData.color) tag.color = tagData.color;
+    return { ...tag };
+  }
+
+  async delete(id) {
+    const tagId = Number(id);
+    this.links.forEach((tagIds) => tagIds.delete(tagId));
+    return this.tags.delete(tagId);
+  }
+
+  async attach(todoId, tagId) {
+    const id = Number(todoId);
+    if (!this.links.has(id)) {
+      this.links.set(id, new Set());
+    }
+    this.links.get(id).add(Number(tagId));
+  }
+
+  async detach(todoId, tagId) {
+    const tagIds = this.links.get(Number(todoId));
+    return Boolean(tagIds && tagIds.delete(Number(tagId)));
+  }
+
+  async listForTodos(todoIds) {
+    return new Map(todoIds.map((todoId) => [Number(todoId), this.tagsFor(todoId)]));
+  }
+
+  tagsFor(todoId) {
+    const tagIds = this.links.get(Number(todoId)) || new Set();
+    return [...tagIds]
+      .map((tagId) => this.tags.get(tagId))
+      .sort(byName)
+      .map(({ id, name, color }) => ({ id, name, color }));
+  }
+
+  // Lowercase tag names of a todo, for tag filters in MemoryTodoRepository
+  tagNamesFor(todoId) {
+    return this.tagsFor(todoId).map((tag) => tag.name.toLowerCase());
+  }
+}
+
+module.exports = MemoryTagRepository;
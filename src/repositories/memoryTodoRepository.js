@@ -0,0 +1,676 @@
+const crypto = require('crypto');
+const TodoRepository = require('./todoRepository');
+const { systemClock } = require('../utils/clock');
+const { auditDiff } = require('../utils/audit');
+const { defaultPosition, arrivalPosition } = require('../utils/rank');
+const {
+  parseWebSearch,
+  matchesWebSearch,
+  rankWebSearch,
+  highlightWebSearch
+} = require('../utils/webSearch');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const PRIORITY_ORDER = { low: 1, medium: 2, high: 3 };
+
+// Sortable fields, same whitelist as SORT_COLUMNS in the PostgreSQL repository
+const SORT_VALUES = {
+  created_at: (todo) => todo.created_at.getTime(),
+  updated_at: (todo) => todo.updated_at.getTime(),
+  due_date: (todo) => (todo.due_date ? todo.due_date.getTime() : null),
+  priority: (todo) => PRIORITY_ORDER[todo.priority],
+  title: (todo) => todo.title.toLowerCase(),
+  completed: (todo) => Number(todo.completed),
+  state_position: (todo) => todo.state_position,
+  position: (todo) => todo.position
+};
+
+// Sort keys ({ value, direction }) like the ones of the PostgreSQL repository: `value`
+// reads a number, string or null off a todo, and every order ends on the id
+const ID_KEY = { value: (todo) => todo.id, direction: 'desc' };
+const NEWEST_FIRST = [{ value: SORT_VALUES.created_at, direction: 'desc' }, ID_KEY];
+const RECENTLY_DELETED = [{ value: (todo) => todo.deleted_at.getTime(), direction: 'desc' }, ID_KEY];
+
+// Sort keys of getAll(): `sort` ([{ field, direction }]), else newest first
+// (most recently deleted first in the trash)
+function listKeys({ trashed = false, sort = [] }) {
+  if (sort.length === 0) {
+    return trashed ? RECENTLY_DELETED : NEWEST_FIRST;
+  }
+
+  return [...sort.map(({ field, direction }) => {
+    if (!Object.prototype.hasOwnProperty.call(SORT_VALUES, field)) {
+      throw new Error(`Cannot sort by ${field}`);
+    }
+    return { value: SORT_VALUES[field], direction };
+  }), ID_KEY];
+}
+
+// Columns a move changes, plus the ones every change bumps: a change to nothing else makes
+// no revision (same as the record_todo_revision trigger)
+const RANK_COLUMNS = ['position', 'state_position', 'subtask_position', 'version', 'updated_at'];
+
+const withoutRanks = (row) => JSON.stringify({ ...row, ...Object.fromEntries(RANK_COLUMNS.map((column) => [column, null])) });
+
+// Comparator for lists of key values in the order of `keys`, NULLs last
+const byKeys = (keys) => (left, right) => {
+  for (let index = 0; index < keys.length; index++) {
+    if (left[index] === right[index]) continue;
+    if (left[index] === null) return 1;
+    if (right[index] === null) return -1;
+
+    const order = left[index] < right[index] ? -1 : 1;
+    return keys[index].direction === 'desc' ? -order : order;
+  }
+  return 0;
+};
+
+// Sort keys of search() results ({ todo, rank }): most relevant first, then newest
+const RELEVANCE = [
+  { value: (item) => item.rank, direction: 'desc' },
+  ...NEWEST_FIRST.map(({ value, direction }) => ({ value: (item) => value(item.todo), direction }))
+];
+
+// Inclusive range filters, same as RANGE_FILTERS in the PostgreSQL repository
+const RANGE_FILTERS = [
+  { field: 'due_date', after: 'dueAfter', before: 'dueBefore' },
+  { field: 'created_at', after: 'createdAfter', before: 'createdBefore' },
+  { field: 'updated_at', after: 'updatedAfter', before: 'updatedBefore' }
+];
+
+const inRange = (value, after, before) => {
+  if (!after && !before) return true;
+  if (!value) return false;
+  return (!after || value >= new Date(after)) && (!before || value <= new Date(before));
+};
+
+// In-memory implementation of TodoRepository
+// Mirrors PostgresTodoRepository (filters, ordering, pagination, stats) so the app
+// and its tests can run without a database. Data lives only as long as the instance.
+class MemoryTodoRepository extends TodoRepository {
+  // `tags` is the MemoryTagRepository holding the todo_tags links, needed for tag filters.
+  // `auditLogs` is the MemoryAuditLogRepository that audited changes are recorded in.
+  // `revisions` is the MemoryTodoRevisionRepository that every version is stored in.
+  // `attachments` is the MemoryAttachmentRepository whose attachments purged todos leave.
+  constructor({ clock = systemClock, tags = null, auditLogs = null, revisions = null, attachments = null } = {}) {
+    super();
+    this.clock = clock;
+    this.tags = tags;
+    this.auditLogs = auditLogs;
+    this.revisions = revisions;
+    this.attachments = attachments;
+    this.todos = new Map();
+    // todo id -> Set of owning user ids (the user_todos join table)
+    this.owners = new Map();
+    // todo id -> Set of ids of the todos it depends on (the todo_dependencies table)
+    this.dependencies = new Map();
+    this.nextId = 1;
+  }
+
+  // Copy of the current state; calling the returned function rolls back to it
+  // (see memoryTransaction)
+  snapshot() {
+    const todos = new Map([...this.todos].map(([id, todo]) => [id, { ...todo }]));
+    const owners = new Map([...this.owners].map(([id, users]) => [id, new Set(users)]));
+    const dependencies = new Map([...this.dependencies].map(([id, blockers]) => [id, new Set(blockers)]));
+    const { nextId } = this;
+
+    return () => {
+      Object.assign(this, { todos, owners, dependencies, nextId });
+    };
+  }
+
+  // Same semantics as ownerCondition() in the PostgreSQL repository:
+  // undefined -> no filter, null -> unowned todos, id -> that user's todos
+  isVisible(todo, ownerId) {
+    if (ownerId === undefined) {
+      return true;
+    }
+
+    const owners = this.owners.get(todo.id);
+    if (ownerId === null) {
+      return !owners || owners.size === 0;
+    }
+    return Boolean(owners && owners.has(ownerId));
+  }
+
+  // Same semantics as tagCondition() in the PostgreSQL repository
+  hasTags(todo, tags, tagMatch) {
+    const wanted = tags.map((tag) => tag.toLowerCase());
+    const names = this.tags ? this.tags.tagNamesFor(todo.id) : [];
+
+    return tagMatch === 'all'
+      ? wanted.every((name) => names.includes(name))
+      : wanted.some((name) => names.includes(name));
+  }
+
+  // Same semantics as BLOCKED in the PostgreSQL repository: ids of the live, pending
+  // todos that `todoId` depends on
+  blockersOf(todoId) {
+    return [...(this.dependencies.get(Number(todoId)) || [])]
+      .filter((id) => {
+        const blocker = this.todos.get(id);
+        return blocker && !blocker.completed && !blocker.deleted_at;
+      })
+      .sort((a, b) => a - b);
+  }
+
+  // Same rules as change() in the PostgreSQL repository: only calls with an actorId are audited
+  async audit(action, before, after, actorId) {
+    if (actorId === undefined || !this.auditLogs) {
+      return;
+    }
+
+    await this.auditLogs.record({
+      tableName: 'todos',
+      recordId: (after || before).id,
+      action,
+      ...auditDiff(action, before, after),
+      userId: actorId
+    });
+  }
+
+  // Same as the record_todo_revision trigger in PostgreSQL: every version is stored, except
+  // for updates of a `before` row that only moved it
+  async recordRevision(todo, before = null) {
+    if (this.revisions && !(before && withoutRanks(before) === withoutRanks(todo))) {
+      await this.revisions.record(todo);
+    }
+  }
+
+  // Stored todo for an id, or undefined when missing, outside the scope, not at one
+  // of `scope.versions` or not in the expected place (the trash when `trashed`,
+  // otherwise the live todos)
+  find(id, scope = {}, trashed = false) {
+    const todo = this.todos.get(Number(id));
+    if (!todo || !this.isVisible(todo, scope.ownerId)) {
+      return undefined;
+    }
+    if (scope.versions && !scope.versions.includes(todo.version)) {
+      return undefined;
+    }
+    return Boolean(todo.deleted_at) === trashed ? todo : undefined;
+  }
+
+  // Return copies so callers can't mutate stored rows
+  toRow(todo) {
+    return {
+      ...todo,
+      due_date: todo.due_date ? new Date(todo.due_date) : null,
+      created_at: new Date(todo.created_at),
+      updated_at: new Date(todo.updated_at),
+      deleted_at: todo.deleted_at ? new Date(todo.deleted_at) : null,
+      recurrence: todo.recurrence ? JSON.parse(JSON.stringify(todo.recurrence)) : null
+    };
+  }
+
+  isOverdue(todo) {
+    return Boolean(todo.due_date) && todo.due_date < this.clock.now() && !todo.completed;
+  }
+
+  filter(options = {}) {
+    const {
+      status, priority, ownerId, tags, tagMatch, trashed = false, overdue, hasDescription, blocked, projectId,
+      stateIn, stateNotIn
+    } = options;
+    const priorities = [].concat(priority || []);
+
+    return [...this.todos.values()].filter((todo) => {
+      if (Boolean(todo.deleted_at) !== trashed) {
+        return false;
+      }
+      if (!this.isVisible(todo, ownerId)) {
+        return false;
+      }
+      if (status !== undefined && todo.completed !== (status === 'completed')) {
+        return false;
+      }
+      if (priorities.length > 0 && !priorities.includes(todo.priority)) {
+        return false;
+      }
+      if (!RANGE_FILTERS.every(({ field, after, before }) => inRange(todo[field], options[after], options[before]))) {
+        return false;
+      }
+      if (overdue !== undefined && this.isOverdue(todo) !== overdue) {
+        return false;
+      }
+      if (hasDescription !== undefined && Boolean(todo.description) !== hasDescription) {
+        return false;
+      }
+      if (blocked !== undefined && (this.blockersOf(todo.id).length > 0) !== blocked) {
+        return false;
+      }
+      if (projectId !== undefined && todo.project_id !== projectId) {
+        return false;
+      }
+      if (stateIn && !stateIn.includes(todo.state)) {
+        return false;
+      }
+      if (stateNotIn && stateNotIn.includes(todo.state)) {
+        return false;
+      }
+      if (tags && tags.length > 0 && !this.hasTags(todo, tags, tagMatch)) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Sort `items` in the order of `keys` and cut out one page, like buildPage() in the
+  // PostgreSQL repository: by offset, or the items after/before the cursor's position
+  // ({ keys, direction }, the key values from cursorKeys()).
+  paginate(items, keys, options = {}) {
+    const { limit = 10, offset = 0, cursor } = options;
+    const compare = byKeys(keys);
+    const sorted = items
+      .map((item) => ({ item, values: keys.map(({ value }) => value(item)) }))
+      .sort((a, b) => compare(a.values, b.values));
+
+    let page;
+    if (!cursor) {
+      page = sorted.slice(Number(offset), Number(offset) + Number(limit));
+    } else if (cursor.direction === 'prev') {
+      page = sorted.filter(({ values }) => compare(values, cursor.keys) < 0).slice(-Number(limit));
+    } else {
+      page = sorted.filter(({ values }) => compare(values, cursor.keys) > 0).slice(0, Number(limit));
+    }
+
+    return page.map(({ item }) => item);
+  }
+
+  async getAll(options = {}) {
+    return this.paginate(this.filter(options), listKeys(options), options)
+      .map((todo) => this.toRow(todo));
+  }
+
+  async getById(id, scope = {}) {
+    const todo = this.find(id, scope);
+    return todo ? this.toRow(todo) : null;
+  }
+
+  async create(todoData, { ownerId = null, actorId } = {}) {
+    const { title, description, priority = 'medium', dueDate, recurrence, parentId = null } = todoData;
+
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error('Failed to create todo');
+    }
+
+    const now = this.clock.now();
+    const id = this.nextId++;
+    const todo = {
+      id,
+      title,
+      description: description === undefined ? null : description,
+      completed: false,
+      priority,
+      due_date: dueDate ? new Date(dueDate) : null,
+      created_at: now,
+      updated_at: now,
+      deleted_at: null,
+      version: 1,
+      // Same as PostgresTodoRepository.create(): recurring todos start or continue a series
+      recurrence: recurrence ? JSON.parse(JSON.stringify(recurrence)) : null,
+      series_id: recurrence ? todoData.seriesId || crypto.randomUUID() : null,
+      occurrence: recurrence ? todoData.occurrence || 1 : null,
+      parent_id: parentId,
+      subtask_position: parentId ? this.subtasksOf(parentId).length + 1 : null,
+      complete_subtasks: Boolean(todoData.completeSubtasks),
+      auto_complete: Boolean(todoData.autoComplete),
+      project_id: todoData.projectId || null,
+      state: null,
+      // Same as the set_todos_position trigger in PostgreSQL
+      state_position: arrivalPosition(now, id),
+      position: defaultPosition(now, id)
+    };
+
+    // Subtasks belong to the owners of their parent, like in PostgresTodoRepository.create()
+    const owners = parentId ? this.owners.get(parentId) : ownerId !== null && new Set([ownerId]);
+    this.todos.set(todo.id, todo);
+    if (owners) {
+      this.owners.set(todo.id, new Set(owners));
+    }
+
+    const row = this.toRow(todo);
+    await this.recordRevision(row);
+    await this.audit('INSERT', null, row, actorId);
+    return row;
+  }
+
+  async update(id, todoData, scope = {}) {
+    const {
+      title, description, completed, priority, dueDate, recurrence, completeSubtasks, autoComplete, projectId,
+      state, statePosition, position
+    } = todoData;
+    const changes = {};
+
+    if (title !== undefined) changes.title = title;
+    if (description !== undefined) changes.description = description;
+    if (completed !== undefined) changes.completed = completed;
+    if (priority !== undefined) changes.priority = priority;
+    if (dueDate !== undefined) changes.due_date = dueDate ? new Date(dueDate) : null;
+    if (completeSubtasks !== undefined) changes.complete_subtasks = completeSubtasks;
+    if (autoComplete !== undefined) changes.auto_complete = autoComplete;
+    if (projectId !== undefined) changes.project_id = projectId;
+    if (state !== undefined) changes.state = state;
+    if (statePosition !== undefined) changes.state_position = statePosition;
+    if (position !== undefined) changes.position = position;
+    if (recurrence !== undefined) changes.recurrence = recurrence ? JSON.parse(JSON.stringify(recurrence)) : null;
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    const todo = this.find(id, scope);
+    if (!todo) {
+      return null;
+    }
+
+    const before = this.toRow(todo);
+    if (changes.recurrence && !todo.series_id) {
+      Object.assign(changes, { series_id: crypto.randomUUID(), occurrence: 1 });
+    }
+    // Same as the PostgreSQL UPDATE: completing or reopening, or changing project, leaves
+    // the kanban state
+    const now = this.clock.now();
+    if ((completed !== undefined && completed !== todo.completed)
+      || (projectId !== undefined && projectId !== todo.project_id)) {
+      changes.state = state === undefined ? null : state;
+      changes.state_position = statePosition === undefined ? arrivalPosition(now, todo.id) : statePosition;
+    }
+    Object.assign(todo, changes, { updated_at: now, version: todo.version + 1 });
+
+    const row = this.toRow(todo);
+    await this.recordRevision(row, before);
+    await this.audit('UPDATE', before, row, scope.actorId);
+    return row;
+  }
+
+  // Move to the trash with its live subtasks; purge() removes them for good
+  async delete(id, scope = {}) {
+    const todo = this.find(id, scope);
+    if (!todo) {
+      return false;
+    }
+
+    await this.audit('DELETE', this.toRow(todo), null, scope.actorId);
+    const now = this.clock.now();
+    const subtasks = this.subtreeOf(todo.id, (subtask) => !subtask.deleted_at);
+
+    for (const trashed of [todo, ...subtasks]) {
+      Object.assign(trashed, { deleted_at: now, updated_at: now, version: trashed.version + 1 });
+      await this.recordRevision(this.toRow(trashed));
+    }
+    return true;
+  }
+
+  async restore(id, scope = {}) {
+    const todo = this.find(id, scope, true);
+    if (!todo) {
+      return null;
+    }
+
+    const before = this.toRow(todo);
+    const now = this.clock.now();
+    // The subtasks delete() trashed along with it
+    const subtasks = this.subtreeOf(todo.id, (subtask) => Number(subtask.deleted_at) === Number(todo.deleted_at));
+    Object.assign(todo, { deleted_at: null, updated_at: now, version: todo.version + 1 });
+
+    const row = this.toRow(todo);
+    await this.recordRevision(row);
+    await this.audit('UPDATE', before, row, scope.actorId);
+
+    for (const subtask of subtasks) {
+      Object.assign(subtask, { deleted_at: null, updated_at: now, version: subtask.version + 1 });
+      await this.recordRevision(this.toRow(subtask));
+    }
+    return row;
+  }
+
+  // Stored subtasks of a todo (trashed ones included), in subtask order
+  subtasksOf(parentId) {
+    return [...this.todos.values()]
+      .filter((todo) => todo.parent_id === Number(parentId))
+      .sort((a, b) => (a.subtask_position - b.subtask_position) || (a.id - b.id));
+  }
+
+  // Stored todos below `id`, parents first, going down only through subtasks that pass `follow`
+  subtreeOf(id, follow) {
+    const subtree = [];
+    let level = [Number(id)];
+
+    while (level.length > 0) {
+      const children = level.flatMap((parentId) => this.subtasksOf(parentId).filter(follow));
+      subtree.push(...children);
+      level = children.map((todo) => todo.id);
+    }
+
+    return subtree;
+  }
+
+  async getDescendants(id, scope = {}) {
+    return this.subtreeOf(id, (todo) => !todo.deleted_at)
+      .filter((todo) => this.isVisible(todo, scope.ownerId))
+      .map((todo) => this.toRow(todo));
+  }
+
+  async getSubtaskProgress(ids) {
+    return new Map(ids.map((id) => {
+      const subtasks = this.subtasksOf(id).filter((todo) => !todo.deleted_at);
+      return [Number(id), { done: subtasks.filter((todo) => todo.completed).length, total: subtasks.length }];
+    }));
+  }
+
+  // Same as the PostgreSQL UPDATE: moved subtasks get a new version, but no revision
+  async reorderSubtasks(parentId, ids) {
+    for (const [index, id] of ids.entries()) {
+      const todo = this.todos.get(Number(id));
+      if (!todo || todo.parent_id !== Number(parentId) || todo.subtask_position === index + 1) {
+        continue;
+      }
+
+      Object.assign(todo, { subtask_position: index + 1, updated_at: this.clock.now(), version: todo.version + 1 });
+    }
+  }
+
+  async getAdjacentPosition(position, direction, scope = {}) {
+    const positions = [...this.todos.values()]
+      .filter((todo) => !todo.deleted_at && this.isVisible(todo, scope.ownerId))
+      .map((todo) => todo.position)
+      .filter((other) => (direction === 'prev' ? other < position : other > position))
+      .sort();
+
+    const adjacent = direction === 'prev' ? positions[positions.length - 1] : positions[0];
+    return adjacent === undefined ? null : adjacent;
+  }
+
+  async addDependency(todoId, dependsOnId) {
+    const id = Number(todoId);
+    const blockerId = Number(dependsOnId);
+
+    // Would `id` become its own blocker, through the blocker's own dependencies?
+    const seen = new Set();
+    const pending = [blockerId];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      if (current === id) {
+        return 'cycle';
+      }
+      if (!seen.has(current)) {
+        seen.add(current);
+        pending.push(...(this.dependencies.get(current) || []));
+      }
+    }
+
+    if (!this.dependencies.has(id)) {
+      this.dependencies.set(id, new Set());
+    }
+    if (this.dependencies.get(id).has(blockerId)) {
+      return 'exists';
+    }
+    this.dependencies.get(id).add(blockerId);
+    return 'created';
+  }
+
+  async removeDependency(todoId, dependsOnId) {
+    const blockers = this.dependencies.get(Number(todoId));
+    return Boolean(blockers && blockers.delete(Number(dependsOnId)));
+  }
+
+  async getBlockers(ids) {
+    return new Map(ids.map((id) => [Number(id), this.blockersOf(id)]));
+  }
+
+  // Same walk as the PostgreSQL query: both ways from `id`, not through trashed todos
+  async getDependencyGraph(id, scope = {}) {
+    const start = Number(id);
+    const links = [...this.dependencies].flatMap(([todoId, blockers]) =>
+      [...blockers].map((dependsOnId) => ({ todo_id: todoId, depends_on_id: dependsOnId })));
+    const edges = new Set();
+
+    [['todo_id', 'depends_on_id'], ['depends_on_id', 'todo_id']].forEach(([from, to]) => {
+      const visited = new Set();
+      const pending = [start];
+
+      while (pending.length > 0) {
+        const current = pending.pop();
+        const todo = this.todos.get(current);
+        if (visited.has(current) || (current !== start && (!todo || todo.deleted_at))) {
+          continue;
+        }
+        visited.add(current);
+
+        links.filter((link) => link[from] === current).forEach((link) => {
+          edges.add(link);
+          pending.push(link[to]);
+        });
+      }
+    });
+
+    const nodes = [...this.todos.values()]
+      .filter((todo) => !todo.deleted_at && this.isVisible(todo, scope.ownerId))
+      .filter((todo) => todo.id === start || [...edges].some((edge) => edge.todo_id === todo.id || edge.depends_on_id === todo.id))
+      .sort((a, b) => a.id - b.id);
+    const visible = new Set(nodes.map((todo) => todo.id));
+
+    return {
+      nodes: nodes.map((todo) => this.toRow(todo)),
+      edges: [...edges]
+        .filter((edge) => visible.has(edge.todo_id) && visible.has(edge.depends_on_id))
+        .sort((a, b) => (a.todo_id - b.todo_id) || (a.depends_on_id - b.depends_on_id))
+    };
+  }
+
+  // ON DELETE SET NULL for MemoryProjectRepository.delete(): the todos of a deleted
+  // project, trashed ones included, get a new version without it
+  async leaveProject(projectId) {
+    for (const todo of this.todos.values()) {
+      if (todo.project_id === projectId) {
+        Object.assign(todo, { project_id: null, updated_at: this.clock.now(), version: todo.version + 1 });
+        await this.recordRevision(this.toRow(todo));
+      }
+    }
+  }
+
+  async purge(trashedBefore) {
+    const cutoff = new Date(trashedBefore);
+    const purged = [];
+
+    // Subtasks go with their parent, whatever state they are in
+    [...this.todos.values()]
+      .filter((todo) => todo.deleted_at && todo.deleted_at < cutoff)
+      .forEach((todo) => {
+        [todo, ...this.subtreeOf(todo.id, () => true)].forEach((doomed) => {
+          if (this.todos.delete(doomed.id)) {
+            this.owners.delete(doomed.id);
+            purged.push(doomed.id);
+          }
+        });
+      });
+
+    // ON DELETE CASCADE: dependencies from and to purged todos go with them
+    this.dependencies.forEach((blockers, todoId) => {
+      if (!this.todos.has(todoId)) {
+        this.dependencies.delete(todoId);
+        return;
+      }
+      blockers.forEach((blockerId) => {
+        if (!this.todos.has(blockerId)) {
+          blockers.delete(blockerId);
+        }
+      });
+    });
+
+    // ON DELETE SET NULL: attachments stay until their contents are removed from storage
+    if (this.attachments) {
+      this.attachments.orphanTodos(purged);
+    }
+
+    return purged.length;
+  }
+
+  async count(options = {}) {
+    return this.filter(options).length;
+  }
+
+  async getStats(scope = {}) {
+    const todos = this.filter({ ownerId: scope.ownerId, projectId: scope.projectId });
+    const countWhere = (predicate) => todos.filter(predicate).length;
+
+    return {
+      total: todos.length,
+      completed: countWhere((todo) => todo.completed),
+      pending: countWhere((todo) => !todo.completed),
+      by_priority: {
+        high: countWhere((todo) => todo.priority === 'high'),
+        medium: countWhere((todo) => todo.priority === 'medium'),
+        low: countWhere((todo) => todo.priority === 'low')
+      },
+      overdue: countWhere((todo) => this.isOverdue(todo))
+    };
+  }
+
+  // Same query syntax, ordering and result shape as the PostgreSQL full-text search,
+  // without stemming (see utils/webSearch)
+  searchMatches(searchTerm, options = {}) {
+    const clauses = parseWebSearch(searchTerm);
+    return this.filter({ ownerId: options.ownerId })
+      .filter((todo) => matchesWebSearch(clauses, todo))
+      .map((todo) => ({ todo, rank: rankWebSearch(clauses, todo), clauses }));
+  }
+
+  async search(searchTerm, options = {}) {
+    const clauses = parseWebSearch(searchTerm);
+
+    return this.paginate(this.searchMatches(searchTerm, options), RELEVANCE, options)
+      .map(({ todo, rank }) => ({
+        ...this.toRow(todo),
+        rank,
+        highlight: {
+          title: highlightWebSearch(clauses, todo.title),
+          description: highlightWebSearch(clauses, todo.description)
+        }
+      }));
+  }
+
+  async countSearch(searchTerm, options = {}) {
+    return this.searchMatches(searchTerm, options).length;
+  }
+
+  async cursorKeys(ids, options = {}) {
+    const searching = options.search !== undefined;
+    const clauses = searching ? parseWebSearch(options.search) : null;
+    const keys = searching ? RELEVANCE : listKeys(options);
+    const positions = new Map();
+
+    ids.map(Number).filter((id) => this.todos.has(id)).forEach((id) => {
+      const todo = this.todos.get(id);
+      const item = searching ? { todo, rank: rankWebSearch(clauses, todo) } : todo;
+      positions.set(id, keys.map(({ value }) => value(item)));
+    });
+
+    return positions;
+  }
+}
+
+module.exports = MemoryTodoRepository;
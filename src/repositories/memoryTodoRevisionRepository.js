@@ -0,0 +1,65 @@
+const TodoRevisionRepository = require('./todoRevisionRepository');
+
+const copy = (revision) => ({
+  ...revision,
+  due_date: revision.due_date ? new Date(revision.due_date) : null,
+  recurrence: revision.recurrence ? JSON.parse(JSON.stringify(revision.recurrence)) : null,
+  deleted_at: revision.deleted_at ? new Date(revision.deleted_at) : null,
+  created_at: new Date(revision.created_at)
+});
+
+// In-memory implementation of TodoRevisionRepository, used by the test suites.
+// MemoryTodoRepository records every version of its todos here when given one,
+// like the record_todo_revision trigger does in PostgreSQL.
+class MemoryTodoRevisionRepository extends TodoRevisionRepository {
+  constructor() {
+    super();
+    // todo id -> revisions, oldest first
+    this.revisions = new Map();
+  }
+
+  // Copy of the current state; calling the returned function rolls back to it
+  snapshot() {
+    const revisions = new Map([...this.revisions].map(([id, list]) => [id, [...list]]));
+
+    return () => {
+      this.revisions = revisions;
+    };
+  }
+
+  // Store the todo as it is now, as revision number todo.version
+  async record(todo) {
+    const revision = copy({
+      todo_id: todo.id,
+      revision: todo.version,
+      title: todo.title,
+      description: todo.description,
+      completed: todo.completed,
+      priority: todo.priority,
+      due_date: todo.due_date,
+      recurrence: todo.recurrence,
+      complete_subtasks: todo.complete_subtasks,
+      auto_complete: todo.auto_complete,
+      project_id: todo.project_id,
+      state: todo.state,
+      deleted_at: todo.deleted_at,
+      created_at: todo.updated_at
+    });
+
+    const list = this.revisions.get(todo.id) || [];
+    list.push(revision);
+    this.revisions.set(todo.id, list);
+    return copy(revision);
+  }
+
+  async listForTodo(todoId) {
+    return (this.revisions.get(Number(todoId)) || []).map(copy);
+  }
+
+  async get(todoId, revision) {
+    const found = (this.revisions.get(Number(todoId)) || []).find((entry) => entry.revision === Number(revision));
+    return found ? copy(found) : null;
+  }
+}
+
+module.exports = MemoryTodoRevisionRepository;
@@ -0,0 +1,26 @@
+// Transaction runner over the in-memory repositories, same contract as postgresTransaction.
+// Rolling back restores a snapshot of the todos, tags, projects, audit log and revisions;
+// there is no isolation from concurrent requests, which is fine for the test suites.
+function memoryTransaction({ todos, tags, projects, auditLogs, todoRevisions }) {
+  const repositories = [todos, tags, projects, auditLogs, todoRevisions].filter(Boolean);
+
+  const snapshot = () => {
+    const restores = repositories.map((repository) => repository.snapshot());
+    return () => restores.forEach((restore) => restore());
+  };
+
+  const atomically = async (fn, ...args) => {
+    const rollback = snapshot();
+
+    try {
+      return await fn(...args);
+    } catch (error) {
+      rollback();
+      throw error;
+    }
+  };
+
+  return (work) => atomically(work, { todos, tags, projects, savepoint: (fn) => atomically(fn) });
+}
+
+module.exports = memoryTransaction;
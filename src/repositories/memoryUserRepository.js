@@ -0,0 +1,55 @@
+const UserRepository = require('./userRepository');
+const { systemClock } = require('../utils/clock');
+
+// In-memory implementation of UserRepository, used by the test suites
+class MemoryUserRepository extends UserRepository {
+  constructor({ clock = systemClock } = {}) {
+    super();
+    this.clock = clock;
+    this.users = new Map();
+    this.nextId = 1;
+  }
+
+  async create(userData) {
+    const { username, email, passwordHash, role = 'user' } = userData;
+
+    if (await this.findByEmail(email) || await this.findByUsername(username)) {
+      return null;
+    }
+
+    const now = this.clock.now();
+    const user = {
+      id: this.nextId++,
+      username,
+      email,
+      password_hash: passwordHash,
+      role,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.users.set(user.id, user);
+    return { ...user };
+  }
+
+  async findById(id) {
+    const user = this.users.get(Number(id));
+    return user ? { ...user } : null;
+  }
+
+  async findByEmail(email) {
+    return this.findOneBy('email', email);
+  }
+
+  async findByUsername(username) {
+    return this.findOneBy('username', username);
+  }
+
+  findOneBy(field, value) {
+    const user = [...this.users.values()].find((candidate) => candidate[field] === value);
+    return user ? { ...user } : null;
+  }
+}
+
+module.exports = MemoryUserRepository;
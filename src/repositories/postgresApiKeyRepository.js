@@ -0,0 +1,87 @@
+const ApiKeyRepository = require('./apiKeyRepository');
+
+const API_KEY_COLUMNS = `
+  id, user_id, name, prefix, key_hash, scope,
+  expires_at, last_used_at, revoked_at, created_at
+`;
+
+// PostgreSQL implementation of ApiKeyRepository (api_keys table)
+class PostgresApiKeyRepository extends ApiKeyRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async create(apiKeyData) {
+    const { userId, name, prefix, keyHash, scope, expiresAt = null } = apiKeyData;
+
+    const queryText = `
+      INSERT INTO api_keys (user_id, name, prefix, key_hash, scope, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${API_KEY_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [userId, name, prefix, keyHash, scope, expiresAt]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw new Error('Failed to create API key');
+    }
+  }
+
+  async findByHash(keyHash) {
+    const queryText = `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE key_hash = $1`;
+
+    try {
+      const result = await this.db.query(queryText, [keyHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching API key:', error);
+      throw new Error('Failed to fetch API key');
+    }
+  }
+
+  async listByUser(userId) {
+    const queryText = `
+      SELECT ${API_KEY_COLUMNS} FROM api_keys
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [userId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw new Error('Failed to list API keys');
+    }
+  }
+
+  async revoke(id, userId, now) {
+    const queryText = `
+      UPDATE api_keys SET revoked_at = COALESCE(revoked_at, $3)
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${API_KEY_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [id, userId, now]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      throw new Error('Failed to revoke API key');
+    }
+  }
+
+  async touch(id, now) {
+    try {
+      await this.db.query('UPDATE api_keys SET last_used_at = $2 WHERE id = $1', [id, now]);
+    } catch (error) {
+      console.error('Error updating API key usage:', error);
+      throw new Error('Failed to update API key');
+    }
+  }
+}
+
+module.exports = PostgresApiKeyRepository;
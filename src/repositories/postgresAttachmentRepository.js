@@ -0,0 +1,75 @@
+const AttachmentRepository = require('./attachmentRepository');
+
+const ATTACHMENT_COLUMNS = 'id, todo_id, uploader_id, filename, mime_type, size, storage_key, created_at';
+
+// PostgreSQL implementation of AttachmentRepository (todo_attachments table)
+class PostgresAttachmentRepository extends AttachmentRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async listForTodo(todoId) {
+    try {
+      const result = await this.db.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM todo_attachments WHERE todo_id = $1 ORDER BY created_at, id`,
+        [todoId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+      throw new Error('Failed to fetch attachments');
+    }
+  }
+
+  async getById(id) {
+    try {
+      const result = await this.db.query(`SELECT ${ATTACHMENT_COLUMNS} FROM todo_attachments WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching attachment:', error);
+      throw new Error('Failed to fetch attachment');
+    }
+  }
+
+  async create({ todoId, uploaderId = null, filename, mimeType, size, storageKey }) {
+    const queryText = `
+      INSERT INTO todo_attachments (todo_id, uploader_id, filename, mime_type, size, storage_key)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${ATTACHMENT_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoId, uploaderId, filename, mimeType, size, storageKey]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating attachment:', error);
+      throw new Error('Failed to create attachment');
+    }
+  }
+
+  async delete(id) {
+    try {
+      const result = await this.db.query('DELETE FROM todo_attachments WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      throw new Error('Failed to delete attachment');
+    }
+  }
+
+  async listOrphans(limit, afterId = 0) {
+    try {
+      const result = await this.db.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM todo_attachments WHERE todo_id IS NULL AND id > $2 ORDER BY id LIMIT $1`,
+        [limit, afterId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching orphaned attachments:', error);
+      throw new Error('Failed to fetch orphaned attachments');
+    }
+  }
+}
+
+module.exports = PostgresAttachmentRepository;
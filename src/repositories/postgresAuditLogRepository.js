@@ -0,0 +1,121 @@
+const AuditLogRepository = require('./auditLogRepository');
+
+const AUDIT_LOG_COLUMNS = `
+  id, table_name, record_id, action, old_values, new_values, user_id, created_at
+`;
+
+// PostgreSQL implementation of AuditLogRepository
+class PostgresAuditLogRepository extends AuditLogRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  // WHERE clause shared by list() and count()
+  buildWhereClause(options = {}) {
+    const { userId, action, from, to } = options;
+    const conditions = [];
+    const params = [];
+
+    if (userId !== undefined) {
+      params.push(userId);
+      conditions.push(`user_id = $${params.length}`);
+    }
+
+    if (action) {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return { whereClause, params };
+  }
+
+  // Pass the transaction's client as `db` so the entry commits or rolls back with the change
+  async record(entry, db = this.db) {
+    const { tableName, recordId, action, oldValues, newValues, userId } = entry;
+
+    const queryText = `
+      INSERT INTO audit_logs (table_name, record_id, action, old_values, new_values, user_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${AUDIT_LOG_COLUMNS}
+    `;
+    const params = [
+      tableName,
+      recordId,
+      action,
+      oldValues ? JSON.stringify(oldValues) : null,
+      newValues ? JSON.stringify(newValues) : null,
+      userId
+    ];
+
+    try {
+      const result = await db.query(queryText, params);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+      throw new Error('Failed to write audit log');
+    }
+  }
+
+  async listForRecord(tableName, recordId) {
+    const queryText = `
+      SELECT ${AUDIT_LOG_COLUMNS} FROM audit_logs
+      WHERE table_name = $1 AND record_id = $2
+      ORDER BY created_at, id
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [tableName, recordId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+      throw new Error('Failed to fetch audit logs');
+    }
+  }
+
+  async list(options = {}) {
+    const { limit = 10, offset = 0 } = options;
+    const { whereClause, params } = this.buildWhereClause(options);
+
+    params.push(limit, offset);
+    const queryText = `
+      SELECT ${AUDIT_LOG_COLUMNS} FROM audit_logs
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+      throw new Error('Failed to fetch audit logs');
+    }
+  }
+
+  async count(options = {}) {
+    const { whereClause, params } = this.buildWhereClause(options);
+
+    try {
+      const result = await this.db.query(`SELECT COUNT(*) as count FROM audit_logs ${whereClause}`, params);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting audit logs:', error);
+      throw new Error('Failed to count audit logs');
+    }
+  }
+}
+
+module.exports = PostgresAuditLogRepository;
@@ -0,0 +1,106 @@
+const CommentRepository = require('./commentRepository');
+
+const COMMENT_COLUMNS = 'id, todo_id, author_id, body, created_at, updated_at';
+
+// PostgreSQL implementation of CommentRepository (todo_comments table)
+class PostgresCommentRepository extends CommentRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async listForTodo(todoId, { limit, offset = 0 } = {}) {
+    const queryText = `
+      SELECT ${COMMENT_COLUMNS} FROM todo_comments
+      WHERE todo_id = $1
+      ORDER BY created_at, id
+      LIMIT $2 OFFSET $3
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoId, limit, offset]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      throw new Error('Failed to fetch comments');
+    }
+  }
+
+  async countForTodos(todoIds) {
+    const counts = new Map(todoIds.map((id) => [Number(id), 0]));
+
+    if (todoIds.length === 0) {
+      return counts;
+    }
+
+    const queryText = `
+      SELECT todo_id, COUNT(*) AS count FROM todo_comments
+      WHERE todo_id = ANY($1::int[])
+      GROUP BY todo_id
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoIds]);
+      result.rows.forEach((row) => counts.set(Number(row.todo_id), parseInt(row.count)));
+      return counts;
+    } catch (error) {
+      console.error('Error counting comments:', error);
+      throw new Error('Failed to count comments');
+    }
+  }
+
+  async getById(id) {
+    try {
+      const result = await this.db.query(`SELECT ${COMMENT_COLUMNS} FROM todo_comments WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching comment:', error);
+      throw new Error('Failed to fetch comment');
+    }
+  }
+
+  async create({ todoId, authorId = null, body }) {
+    const queryText = `
+      INSERT INTO todo_comments (todo_id, author_id, body)
+      VALUES ($1, $2, $3)
+      RETURNING ${COMMENT_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoId, authorId, body]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      throw new Error('Failed to create comment');
+    }
+  }
+
+  // updated_at is set by the update_todo_comments_updated_at trigger
+  async update(id, { body }) {
+    const queryText = `
+      UPDATE todo_comments SET body = $1
+      WHERE id = $2
+      RETURNING ${COMMENT_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [body, id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      throw new Error('Failed to update comment');
+    }
+  }
+
+  async delete(id) {
+    try {
+      const result = await this.db.query('DELETE FROM todo_comments WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      throw new Error('Failed to delete comment');
+    }
+  }
+}
+
+module.exports = PostgresCommentRepository;
@@ -0,0 +1,89 @@
+const IdempotencyKeyRepository = require('./idempotencyKeyRepository');
+
+const IDEMPOTENCY_COLUMNS = `
+  owner, key, fingerprint, status_code, response_headers, response_body, created_at, expires_at
+`;
+
+// PostgreSQL implementation of IdempotencyKeyRepository (idempotency_keys table)
+class PostgresIdempotencyKeyRepository extends IdempotencyKeyRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async find(owner, key, now) {
+    const queryText = `
+      SELECT ${IDEMPOTENCY_COLUMNS} FROM idempotency_keys
+      WHERE owner = $1 AND key = $2 AND expires_at > $3
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [owner, key, now]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching idempotency key:', error);
+      throw new Error('Failed to fetch idempotency key');
+    }
+  }
+
+  // Insert the key, or take over an expired record; the primary key makes
+  // concurrent first requests race safely (only one of them gets true)
+  async reserve({ owner, key, fingerprint, expiresAt }, now) {
+    const queryText = `
+      INSERT INTO idempotency_keys (owner, key, fingerprint, created_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (owner, key) DO UPDATE SET
+        fingerprint = EXCLUDED.fingerprint,
+        status_code = NULL,
+        response_headers = NULL,
+        response_body = NULL,
+        created_at = EXCLUDED.created_at,
+        expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at <= $4
+      RETURNING key
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [owner, key, fingerprint, now, expiresAt]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error reserving idempotency key:', error);
+      throw new Error('Failed to reserve idempotency key');
+    }
+  }
+
+  async complete(owner, key, { statusCode, headers = {}, body }) {
+    const queryText = `
+      UPDATE idempotency_keys SET status_code = $3, response_headers = $4, response_body = $5
+      WHERE owner = $1 AND key = $2
+    `;
+
+    try {
+      await this.db.query(queryText, [owner, key, statusCode, JSON.stringify(headers), JSON.stringify(body)]);
+    } catch (error) {
+      console.error('Error storing idempotent response:', error);
+      throw new Error('Failed to store idempotent response');
+    }
+  }
+
+  async release(owner, key) {
+    try {
+      await this.db.query('DELETE FROM idempotency_keys WHERE owner = $1 AND key = $2', [owner, key]);
+    } catch (error) {
+      console.error('Error releasing idempotency key:', error);
+      throw new Error('Failed to release idempotency key');
+    }
+  }
+
+  async purgeExpired(now) {
+    try {
+      const result = await this.db.query('DELETE FROM idempotency_keys WHERE expires_at <= $1', [now]);
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error purging idempotency keys:', error);
+      throw new Error('Failed to purge idempotency keys');
+    }
+  }
+}
+
+module.exports = PostgresIdempotencyKeyRepository;
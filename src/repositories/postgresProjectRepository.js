@@ -0,0 +1,164 @@
+const ProjectRepository = require('./projectRepository');
+
+const PROJECT_COLUMNS = 'id, owner_id, name, color, description, archived, workflow, created_at, updated_at';
+
+// Same semantics as ownerCondition() in PostgresTodoRepository, on projects.owner_id
+function ownerCondition(ownerId, params) {
+  if (ownerId === null) {
+    return 'owner_id IS NULL';
+  }
+
+  params.push(ownerId);
+  return `owner_id = $${params.length}`;
+}
+
+// PostgreSQL implementation of ProjectRepository (projects table)
+class PostgresProjectRepository extends ProjectRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async getAll(options = {}) {
+    const { ownerId, archived } = options;
+    const params = [];
+    const conditions = [];
+
+    if (ownerId !== undefined) {
+      conditions.push(ownerCondition(ownerId, params));
+    }
+    if (archived !== undefined) {
+      params.push(archived);
+      conditions.push(`archived = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      const result = await this.db.query(
+        `SELECT ${PROJECT_COLUMNS} FROM projects ${whereClause} ORDER BY LOWER(name), id`,
+        params
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+      throw new Error('Failed to fetch projects');
+    }
+  }
+
+  async getById(id, scope = {}) {
+    const params = [id];
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+
+    try {
+      const result = await this.db.query(`SELECT ${PROJECT_COLUMNS} FROM projects WHERE id = $1 ${ownerClause}`, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching project:', error);
+      throw new Error('Failed to fetch project');
+    }
+  }
+
+  async getByIds(ids) {
+    try {
+      const result = await this.db.query(
+        `SELECT ${PROJECT_COLUMNS} FROM projects WHERE id = ANY($1::int[]) ORDER BY id`,
+        [ids]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+      throw new Error('Failed to fetch projects');
+    }
+  }
+
+  async findByName(name, { ownerId = null } = {}) {
+    const params = [name];
+    const queryText = `
+      SELECT ${PROJECT_COLUMNS} FROM projects
+      WHERE LOWER(name) = LOWER($1) AND ${ownerCondition(ownerId, params)}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching project:', error);
+      throw new Error('Failed to fetch project');
+    }
+  }
+
+  async create(projectData, { ownerId = null } = {}) {
+    const { name, color, description, workflow } = projectData;
+
+    // Omitting color lets the column default apply
+    const queryText = `
+      INSERT INTO projects (owner_id, name, color, description, workflow)
+      VALUES ($1, $2, COALESCE($3, '#6c757d'), $4, $5)
+      RETURNING ${PROJECT_COLUMNS}
+    `;
+    const params = [ownerId, name, color || null, description || null, workflow ? JSON.stringify(workflow) : null];
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating project:', error);
+      throw new Error('Failed to create project');
+    }
+  }
+
+  async update(id, projectData, scope = {}) {
+    const columns = { name: 'name', color: 'color', description: 'description', archived: 'archived' };
+    const params = [id];
+    const updates = [];
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (projectData[field] !== undefined) {
+        params.push(projectData[field]);
+        updates.push(`${column} = $${params.length}`);
+      }
+    });
+
+    // null goes back to the default workflow
+    if (projectData.workflow !== undefined) {
+      params.push(projectData.workflow ? JSON.stringify(projectData.workflow) : null);
+      updates.push(`workflow = $${params.length}`);
+    }
+
+    if (updates.length === 0) {
+      return this.getById(id, scope);
+    }
+
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+    const queryText = `
+      UPDATE projects SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 ${ownerClause}
+      RETURNING ${PROJECT_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating project:', error);
+      throw new Error('Failed to update project');
+    }
+  }
+
+  // Its todos lose their project_id (ON DELETE SET NULL), which bumps their version
+  async delete(id, scope = {}) {
+    const params = [id];
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+
+    try {
+      const result = await this.db.query(`DELETE FROM projects WHERE id = $1 ${ownerClause}`, params);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      throw new Error('Failed to delete project');
+    }
+  }
+}
+
+module.exports = PostgresProjectRepository;
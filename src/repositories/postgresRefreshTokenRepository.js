@@ -0,0 +1,83 @@
+const RefreshTokenRepository = require('./refreshTokenRepository');
+
+const TOKEN_COLUMNS = 'id, user_id, family_id, token_hash, expires_at, revoked_at, created_at';
+
+// PostgreSQL implementation of RefreshTokenRepository (refresh_tokens table)
+class PostgresRefreshTokenRepository extends RefreshTokenRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async create(tokenData) {
+    const { userId, familyId, tokenHash, expiresAt } = tokenData;
+
+    const queryText = `
+      INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${TOKEN_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [userId, familyId, tokenHash, expiresAt]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating refresh token:', error);
+      throw new Error('Failed to create refresh token');
+    }
+  }
+
+  async findByHash(tokenHash) {
+    const queryText = `SELECT ${TOKEN_COLUMNS} FROM refresh_tokens WHERE token_hash = $1`;
+
+    try {
+      const result = await this.db.query(queryText, [tokenHash]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching refresh token:', error);
+      throw new Error('Failed to fetch refresh token');
+    }
+  }
+
+  // Conditional update so two concurrent refreshes can't both rotate the same token
+  async consume(id, now) {
+    const queryText = `
+      UPDATE refresh_tokens SET revoked_at = $2
+      WHERE id = $1 AND revoked_at IS NULL
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [id, now]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error consuming refresh token:', error);
+      throw new Error('Failed to consume refresh token');
+    }
+  }
+
+  async revokeFamily(familyId, now) {
+    return this.revokeWhere('family_id', familyId, now);
+  }
+
+  async revokeAllForUser(userId, now) {
+    return this.revokeWhere('user_id', userId, now);
+  }
+
+  // `column` is always one of the literals above, never user input
+  async revokeWhere(column, value, now) {
+    const queryText = `
+      UPDATE refresh_tokens SET revoked_at = $2
+      WHERE ${column} = $1 AND revoked_at IS NULL
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [value, now]);
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error revoking refresh tokens:', error);
+      throw new Error('Failed to revoke refresh tokens');
+    }
+  }
+}
+
+module.exports = PostgresRefreshTokenRepository;
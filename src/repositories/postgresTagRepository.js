@@ -0,0 +1,149 @@
+const TagRepository = require('./tagRepository');
+
+const TAG_COLUMNS = 'id, name, color, created_at';
+
+// PostgreSQL implementation of TagRepository (tags and todo_tags tables)
+class PostgresTagRepository extends TagRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async getAll() {
+    try {
+      const result = await this.db.query(`SELECT ${TAG_COLUMNS} FROM tags ORDER BY name`);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      throw new Error('Failed to fetch tags');
+    }
+  }
+
+  async getById(id) {
+    try {
+      const result = await this.db.query(`SELECT ${TAG_COLUMNS} FROM tags WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching tag:', error);
+      throw new Error('Failed to fetch tag');
+    }
+  }
+
+  async findByName(name) {
+    try {
+      const result = await this.db.query(
+        `SELECT ${TAG_COLUMNS} FROM tags WHERE LOWER(name) = LOWER($1)`,
+        [name]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching tag:', error);
+      throw new Error('Failed to fetch tag');
+    }
+  }
+
+  async create(tagData) {
+    const { name, color } = tagData;
+
+    // Omitting color lets the column default apply
+    const queryText = `
+      INSERT INTO tags (name, color)
+      VALUES ($1, COALESCE($2, '#6c757d'))
+      RETURNING ${TAG_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [name, color || null]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      throw new Error('Failed to create tag');
+    }
+  }
+
+  async update(id, tagData) {
+    const { name, color } = tagData;
+
+    const queryText = `
+      UPDATE tags SET name = COALESCE($2, name), color = COALESCE($3, color)
+      WHERE id = $1
+      RETURNING ${TAG_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [id, name || null, color || null]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      throw new Error('Failed to update tag');
+    }
+  }
+
+  // todo_tags rows go with it (ON DELETE CASCADE)
+  async delete(id) {
+    try {
+      const result = await this.db.query('DELETE FROM tags WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      throw new Error('Failed to delete tag');
+    }
+  }
+
+  async attach(todoId, tagId) {
+    const queryText = `
+      INSERT INTO todo_tags (todo_id, tag_id)
+      VALUES ($1, $2)
+      ON CONFLICT (todo_id, tag_id) DO NOTHING
+    `;
+
+    try {
+      await this.db.query(queryText, [todoId, tagId]);
+    } catch (error) {
+      console.error('Error attaching tag:', error);
+      throw new Error('Failed to attach tag');
+    }
+  }
+
+  async detach(todoId, tagId) {
+    try {
+      const result = await this.db.query(
+        'DELETE FROM todo_tags WHERE todo_id = $1 AND tag_id = $2',
+        [todoId, tagId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error detaching tag:', error);
+      throw new Error('Failed to detach tag');
+    }
+  }
+
+  async listForTodos(todoIds) {
+    const tagsByTodo = new Map(todoIds.map((id) => [Number(id), []]));
+
+    if (todoIds.length === 0) {
+      return tagsByTodo;
+    }
+
+    const queryText = `
+      SELECT tt.todo_id, t.id, t.name, t.color
+      FROM todo_tags tt
+      JOIN tags t ON t.id = tt.tag_id
+      WHERE tt.todo_id = ANY($1::int[])
+      ORDER BY t.name
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoIds]);
+      result.rows.forEach(({ todo_id: todoId, ...tag }) => {
+        tagsByTodo.get(Number(todoId)).push(tag);
+      });
+      return tagsByTodo;
+    } catch (error) {
+      console.error('Error fetching todo tags:', error);
+      throw new Error('Failed to fetch todo tags');
+    }
+  }
+}
+
+module.exports = PostgresTagRepository;
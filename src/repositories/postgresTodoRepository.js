@@ -0,0 +1,959 @@
+const crypto = require('crypto');
+const TodoRepository = require('./todoRepository');
+const PostgresAuditLogRepository = require('./postgresAuditLogRepository');
+const { auditDiff } = require('../utils/audit');
+const { QueryBuilder, sortKeys, orderByClause, keysetCondition } = require('../utils/queryBuilder');
+const { systemClock } = require('../utils/clock');
+const { arrivalPosition } = require('../utils/rank');
+
+// Text search configuration of the search_vector column (database/init.sql)
+const SEARCH_CONFIG = 'english';
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+
+// `dueAfter`/`dueBefore`-style filters: inclusive range on a timestamp column
+const RANGE_FILTERS = [
+  { column: 'due_date', after: 'dueAfter', before: 'dueBefore' },
+  { column: 'created_at', after: 'createdAfter', before: 'createdBefore' },
+  { column: 'updated_at', after: 'updatedAfter', before: 'updatedBefore' }
+];
+
+// Past due at `now` and not completed; todos without a due date never are.
+// `now` comes from the repository clock rather than NOW(), like MemoryTodoRepository
+const overdueCondition = (param, now) => `(due_date IS NOT NULL AND due_date < ${param(now)} AND completed = false)`;
+const HAS_DESCRIPTION = 'COALESCE(LENGTH(description), 0) > 0';
+const BLOCKED = `EXISTS (
+  SELECT 1 FROM todo_dependencies dep JOIN todos blocker ON blocker.id = dep.depends_on_id
+  WHERE dep.todo_id = todos.id AND blocker.completed = false AND blocker.deleted_at IS NULL
+)`;
+
+const column = (name) => (alias) => `${alias}.${name}`;
+
+// Sortable fields (see sortKeys); priority sorts low < medium < high
+const SORT_COLUMNS = {
+  created_at: column('created_at'),
+  updated_at: column('updated_at'),
+  due_date: column('due_date'),
+  priority: (alias) => `CASE ${alias}.priority WHEN 'low' THEN 1 WHEN 'medium' THEN 2 WHEN 'high' THEN 3 END`,
+  title: (alias) => `LOWER(${alias}.title)`,
+  completed: column('completed'),
+  state_position: column('state_position'),
+  position: column('position')
+};
+
+// Every order ends on the id, so each row has a unique position for cursors
+const ID_KEY = { expression: column('id'), direction: 'desc' };
+const NEWEST_FIRST = [{ field: 'created_at', direction: 'desc' }];
+const RECENTLY_DELETED_KEYS = [{ expression: column('deleted_at'), direction: 'desc' }, ID_KEY];
+const RELEVANCE_KEYS = [
+  { expression: (alias) => `ts_rank(${alias}.search_vector, search_query)`, direction: 'desc' },
+  { expression: column('created_at'), direction: 'desc' },
+  ID_KEY
+];
+
+// Sort keys of getAll(): `sort`, else newest first (most recently deleted first in the trash)
+const listKeys = ({ trashed = false, sort = [] }) => {
+  if (sort.length > 0) {
+    return [...sortKeys(sort, SORT_COLUMNS), ID_KEY];
+  }
+  return trashed ? RECENTLY_DELETED_KEYS : [...sortKeys(NEWEST_FIRST, SORT_COLUMNS), ID_KEY];
+};
+
+// Todos joined with the parsed search term, which RELEVANCE_KEYS rank against
+const searchFrom = (query, searchTerm) => `todos, websearch_to_tsquery('${SEARCH_CONFIG}', ${query.param(searchTerm)}) AS search_query`;
+
+const TODO_COLUMNS = `
+  id, title, description, completed, priority,
+  due_date, created_at, updated_at, deleted_at, version,
+  recurrence, series_id, occurrence,
+  parent_id, subtask_position, complete_subtasks, auto_complete,
+  project_id, state, state_position, position
+`;
+
+// Ownership lives in the user_todos join table (database/init.sql).
+// ownerId: a user id -> that user's todos, null -> todos nobody owns.
+// Pushes its parameter onto `params` and returns the SQL condition.
+function ownerCondition(ownerId, params) {
+  if (ownerId === null) {
+    return 'NOT EXISTS (SELECT 1 FROM user_todos ut WHERE ut.todo_id = todos.id)';
+  }
+
+  params.push(ownerId);
+  return `EXISTS (SELECT 1 FROM user_todos ut WHERE ut.todo_id = todos.id AND ut.user_id = $${params.length})`;
+}
+
+// Optimistic concurrency: only touch the todo while its version is one of
+// `versions` (the If-Match ETags). No versions -> no condition.
+function versionCondition(versions, params) {
+  if (!versions) {
+    return '';
+  }
+
+  params.push(versions);
+  return ` AND version = ANY($${params.length}::int[])`;
+}
+
+// Tag filter on todo_tags, tag names compared case-insensitively.
+// 'any' -> at least one of the tags, 'all' -> every one of them.
+function tagCondition(tags, tagMatch, params) {
+  const names = [...new Set(tags.map((tag) => tag.toLowerCase()))];
+  params.push(names);
+
+  const matchingTags = `
+    FROM todo_tags tt JOIN tags tg ON tg.id = tt.tag_id
+    WHERE tt.todo_id = todos.id AND LOWER(tg.name) = ANY($${params.length}::text[])
+  `;
+
+  if (tagMatch === 'all') {
+    params.push(names.length);
+    return `(SELECT COUNT(DISTINCT LOWER(tg.name)) ${matchingTags}) = $${params.length}`;
+  }
+
+  return `EXISTS (SELECT 1 ${matchingTags})`;
+}
+
+// PostgreSQL implementation of TodoRepository
+// `db` is anything exposing query(text, params), normally src/config/database
+class PostgresTodoRepository extends TodoRepository {
+  // clock: object exposing now(), used for "overdue" (defaults to the system clock)
+  constructor(db, { clock = systemClock } = {}) {
+    super();
+    this.db = db;
+    this.clock = clock;
+    this.auditLogs = new PostgresAuditLogRepository(db);
+  }
+
+  // Run `work(client)` in a transaction on a dedicated connection.
+  // Built on a client that is already in a transaction (see postgresTransaction),
+  // the work simply joins it.
+  async transaction(work) {
+    if (typeof this.db.getClient !== 'function') {
+      return work(this.db);
+    }
+
+    const client = await this.db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Run an INSERT/UPDATE/DELETE statement on todos.
+  // With an actorId (null for anonymous requests) the statement and its audit_logs
+  // entry share one transaction; callers that pass no actorId are not audited.
+  async change(action, id, actorId, queryText, params) {
+    if (actorId === undefined) {
+      return this.db.query(queryText, params);
+    }
+
+    return this.transaction(async (client) => {
+      let before = null;
+      if (action !== 'INSERT') {
+        const current = await client.query(`SELECT ${TODO_COLUMNS} FROM todos WHERE id = $1 FOR UPDATE`, [id]);
+        before = current.rows[0];
+      }
+
+      const result = await client.query(queryText, params);
+      const row = result.rows[0];
+
+      if (row) {
+        const after = action === 'DELETE' ? null : row;
+        await this.auditLogs.record({
+          tableName: 'todos',
+          recordId: row.id,
+          action,
+          ...auditDiff(action, before, after),
+          userId: actorId
+        }, client);
+      }
+
+      return result;
+    });
+  }
+
+  // WHERE conditions shared by getAll(), count() and getStats()
+  // Trashed todos are left out unless `trashed` asks for the trash instead
+  buildFilters(options = {}) {
+    // Date ranges are read from `options` through RANGE_FILTERS
+    const {
+      status, priority, ownerId, tags, tagMatch, trashed = false,
+      overdue, hasDescription, blocked, projectId, stateIn, stateNotIn
+    } = options;
+    const query = new QueryBuilder();
+
+    if (status !== undefined) {
+      query.where((param) => `completed = ${param(status === 'completed')}`);
+    }
+
+    const priorities = [].concat(priority || []);
+    if (priorities.length === 1) {
+      query.where((param) => `priority = ${param(priorities[0])}`);
+    } else if (priorities.length > 1) {
+      query.where((param) => `priority = ANY(${param(priorities)}::text[])`);
+    }
+
+    RANGE_FILTERS.forEach(({ column, after, before }) => {
+      if (options[after]) {
+        query.where((param) => `${column} >= ${param(options[after])}`);
+      }
+      if (options[before]) {
+        query.where((param) => `${column} <= ${param(options[before])}`);
+      }
+    });
+
+    if (overdue !== undefined) {
+      query.where((param) => {
+        const condition = overdueCondition(param, this.clock.now());
+        return overdue ? condition : `NOT ${condition}`;
+      });
+    }
+
+    if (hasDescription !== undefined) {
+      query.where(hasDescription ? HAS_DESCRIPTION : `NOT (${HAS_DESCRIPTION})`);
+    }
+
+    if (blocked !== undefined) {
+      query.where(blocked ? BLOCKED : `NOT ${BLOCKED}`);
+    }
+
+    if (projectId === null) {
+      query.where('project_id IS NULL');
+    } else if (projectId !== undefined) {
+      query.where((param) => `project_id = ${param(projectId)}`);
+    }
+
+    // Stored kanban states; NULL counts as not being any of them
+    if (stateIn) {
+      query.where((param) => `state = ANY(${param(stateIn)}::text[])`);
+    }
+    if (stateNotIn) {
+      query.where((param) => `(state IS NULL OR NOT (state = ANY(${param(stateNotIn)}::text[])))`);
+    }
+
+    if (ownerId !== undefined) {
+      query.where(ownerCondition(ownerId, query.params));
+    }
+
+    if (tags && tags.length > 0) {
+      query.where(tagCondition(tags, tagMatch, query.params));
+    }
+
+    query.where(trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+
+    return query;
+  }
+
+  buildWhereClause(options = {}) {
+    const query = this.buildFilters(options);
+    return { whereClause: query.whereClause(), params: query.params };
+  }
+
+  // Cursor condition, ORDER BY and LIMIT for a page of `query`, in the order of `keys`.
+  // `cursor` ({ keys, direction }) reads the rows after ('next') or before ('prev') that
+  // position instead of using the offset; backward pages are fetched in reverse order.
+  buildPage(query, keys, { limit = 10, offset = 0, cursor }) {
+    const backward = Boolean(cursor) && cursor.direction === 'prev';
+
+    if (cursor) {
+      query.where(keysetCondition(keys, cursor.keys, { alias: 'todos', backward }));
+    }
+
+    const orderBy = orderByClause(keys, { alias: 'todos', reverse: backward });
+    const limitOffset = cursor
+      ? `${orderBy} LIMIT ${query.param(limit)}`
+      : `${orderBy} LIMIT ${query.param(limit)} OFFSET ${query.param(offset)}`;
+
+    return { limitOffset, backward };
+  }
+
+  // Get all todos with pagination and filters
+  async getAll(options = {}) {
+    const query = this.buildFilters(options);
+    const { limitOffset, backward } = this.buildPage(query, listKeys(options), options);
+
+    const queryText = `
+      SELECT ${TODO_COLUMNS}
+      FROM todos
+      ${query.whereClause()}
+      ${limitOffset}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, query.params);
+      return backward ? result.rows.reverse() : result.rows;
+    } catch (error) {
+      console.error('Error fetching todos:', error);
+      throw new Error('Failed to fetch todos');
+    }
+  }
+
+  // Get todo by ID
+  async getById(id, scope = {}) {
+    const params = [id];
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+
+    const queryText = `
+      SELECT ${TODO_COLUMNS}
+      FROM todos 
+      WHERE id = $1 AND deleted_at IS NULL ${ownerClause}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching todo by ID:', error);
+      throw new Error('Failed to fetch todo');
+    }
+  }
+
+  // Create new todo
+  // With an ownerId the todo is linked to that user in the same statement.
+  // Subtasks (parentId) are linked to the owners of their parent instead.
+  async create(todoData, { ownerId = null, actorId } = {}) {
+    const { title, description, priority = 'medium', dueDate, recurrence, parentId } = todoData;
+    // Stamped by the repository clock, like the arrival ranks update() gives: the
+    // set_todos_position trigger ranks the todo from created_at
+    const now = this.clock.now();
+    const columns = ['title', 'description', 'priority', 'due_date', 'created_at', 'updated_at'];
+    const params = [title, description, priority, dueDate, now, now];
+    const values = ['$1', '$2', '$3', '$4', '$5', '$6'];
+    const addColumn = (column, value) => {
+      params.push(value);
+      columns.push(column);
+      values.push(`$${params.length}`);
+    };
+
+    // Recurring todos start a new series unless they continue one
+    if (recurrence) {
+      addColumn('recurrence', JSON.stringify(recurrence));
+      addColumn('series_id', todoData.seriesId || crypto.randomUUID());
+      addColumn('occurrence', todoData.occurrence || 1);
+    }
+
+    if (todoData.completeSubtasks !== undefined) {
+      addColumn('complete_subtasks', todoData.completeSubtasks);
+    }
+    if (todoData.autoComplete !== undefined) {
+      addColumn('auto_complete', todoData.autoComplete);
+    }
+    if (todoData.projectId !== undefined) {
+      addColumn('project_id', todoData.projectId);
+    }
+
+    // New subtasks go last among their siblings
+    if (parentId) {
+      addColumn('parent_id', parentId);
+      columns.push('subtask_position');
+      values.push(`(SELECT COALESCE(MAX(subtask_position), 0) + 1 FROM todos WHERE parent_id = $${params.length})`);
+    }
+    
+    let queryText = `
+      INSERT INTO todos (${columns.join(', ')})
+      VALUES (${values.join(', ')})
+      RETURNING ${TODO_COLUMNS}
+    `;
+
+    if (parentId) {
+      queryText = `
+        WITH new_todo AS (${queryText}),
+        owner_link AS (
+          INSERT INTO user_todos (user_id, todo_id)
+          SELECT ut.user_id, new_todo.id FROM new_todo JOIN user_todos ut ON ut.todo_id = new_todo.parent_id
+        )
+        SELECT * FROM new_todo
+      `;
+    } else if (ownerId !== null) {
+      params.push(ownerId);
+      queryText = `
+        WITH new_todo AS (${queryText}),
+        owner_link AS (
+          INSERT INTO user_todos (user_id, todo_id)
+          SELECT $${params.length}, id FROM new_todo
+        )
+        SELECT * FROM new_todo
+      `;
+    }
+
+    try {
+      const result = await this.change('INSERT', null, actorId, queryText, params);
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating todo:', error);
+      throw new Error('Failed to create todo');
+    }
+  }
+
+  // Update todo
+  async update(id, todoData, scope = {}) {
+    const {
+      title, description, completed, priority, dueDate, recurrence, completeSubtasks, autoComplete, projectId,
+      state, statePosition, position
+    } = todoData;
+    
+    // Build dynamic update query
+    const updates = [];
+    const params = [];
+    let paramCount = 0;
+    // Conditions under which the todo leaves its kanban state
+    const leaves = [];
+
+    if (title !== undefined) {
+      paramCount++;
+      updates.push(`title = $${paramCount}`);
+      params.push(title);
+    }
+
+    if (description !== undefined) {
+      paramCount++;
+      updates.push(`description = $${paramCount}`);
+      params.push(description);
+    }
+
+    if (completed !== undefined) {
+      paramCount++;
+      updates.push(`completed = $${paramCount}`);
+      params.push(completed);
+      leaves.push(`completed IS DISTINCT FROM $${paramCount}`);
+    }
+
+    if (state !== undefined) {
+      paramCount++;
+      updates.push(`state = $${paramCount}`);
+      params.push(state);
+    }
+
+    if (statePosition !== undefined) {
+      paramCount++;
+      updates.push(`state_position = $${paramCount}`);
+      params.push(statePosition);
+    }
+
+    if (position !== undefined) {
+      paramCount++;
+      updates.push(`position = $${paramCount}`);
+      params.push(position);
+    }
+
+    if (priority !== undefined) {
+      paramCount++;
+      updates.push(`priority = $${paramCount}`);
+      params.push(priority);
+    }
+
+    if (dueDate !== undefined) {
+      paramCount++;
+      updates.push(`due_date = $${paramCount}`);
+      params.push(dueDate);
+    }
+
+    if (completeSubtasks !== undefined) {
+      paramCount++;
+      updates.push(`complete_subtasks = $${paramCount}`);
+      params.push(completeSubtasks);
+    }
+
+    if (autoComplete !== undefined) {
+      paramCount++;
+      updates.push(`auto_complete = $${paramCount}`);
+      params.push(autoComplete);
+    }
+
+    // null takes the todo out of its project
+    if (projectId !== undefined) {
+      paramCount++;
+      updates.push(`project_id = $${paramCount}`);
+      params.push(projectId);
+      leaves.push(`project_id IS DISTINCT FROM $${paramCount}`);
+    }
+
+    // Completing or reopening a todo, or moving it to another project, takes it out of its
+    // kanban state, to the end of the column it lands in (see src/utils/workflow.js)
+    if (leaves.length > 0) {
+      const left = leaves.join(' OR ');
+      if (state === undefined) {
+        updates.push(`state = CASE WHEN ${left} THEN NULL ELSE state END`);
+      }
+      if (statePosition === undefined) {
+        paramCount++;
+        updates.push(`state_position = CASE WHEN ${left} THEN $${paramCount} ELSE state_position END`);
+        params.push(arrivalPosition(this.clock.now(), id));
+      }
+    }
+
+    // null stops the recurrence; a todo that becomes recurring starts a series
+    if (recurrence !== undefined) {
+      paramCount++;
+      updates.push(`recurrence = $${paramCount}`);
+      params.push(recurrence ? JSON.stringify(recurrence) : null);
+
+      if (recurrence) {
+        paramCount++;
+        updates.push(`series_id = COALESCE(series_id, $${paramCount})`, 'occurrence = COALESCE(occurrence, 1)');
+        params.push(crypto.randomUUID());
+      }
+    }
+
+    if (updates.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    paramCount++;
+    params.push(id);
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+    const versionClause = versionCondition(scope.versions, params);
+
+    const queryText = `
+      UPDATE todos SET ${updates.join(', ')}
+      WHERE id = $${paramCount} AND deleted_at IS NULL ${ownerClause}${versionClause}
+      RETURNING ${TODO_COLUMNS}
+    `;
+
+    try {
+      const result = await this.change('UPDATE', id, scope.actorId, queryText, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating todo:', error);
+      throw new Error('Failed to update todo');
+    }
+  }
+
+  // Move todo to the trash with its live subtasks, all at the same deleted_at
+  // (purge() deletes them for good later)
+  async delete(id, scope = {}) {
+    const params = [id, this.clock.now()];
+    const ownerClause = scope.ownerId !== undefined ? ` AND ${ownerCondition(scope.ownerId, params)}` : '';
+    const versionClause = versionCondition(scope.versions, params);
+
+    const queryText = `
+      WITH RECURSIVE trashed AS (
+        UPDATE todos SET deleted_at = $2
+        WHERE id = $1 AND deleted_at IS NULL${ownerClause}${versionClause}
+        RETURNING id
+      ), subtree AS (
+        SELECT child.id FROM todos child JOIN trashed ON child.parent_id = trashed.id
+        WHERE child.deleted_at IS NULL
+        UNION ALL
+        SELECT child.id FROM todos child JOIN subtree ON child.parent_id = subtree.id
+        WHERE child.deleted_at IS NULL
+      ), subtasks AS (
+        UPDATE todos SET deleted_at = $2 WHERE id IN (SELECT id FROM subtree)
+      )
+      SELECT id FROM trashed
+    `;
+
+    try {
+      const result = await this.change('DELETE', id, scope.actorId, queryText, params);
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error deleting todo:', error);
+      throw new Error('Failed to delete todo');
+    }
+  }
+
+  // Take todo out of the trash, with the subtasks that delete() trashed along with it
+  async restore(id, scope = {}) {
+    const params = [id];
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+
+    const queryText = `
+      WITH RECURSIVE restored AS (
+        UPDATE todos SET deleted_at = NULL
+        WHERE id = $1 AND deleted_at IS NOT NULL ${ownerClause}
+        RETURNING ${TODO_COLUMNS}
+      ), subtree AS (
+        SELECT child.id, child.deleted_at
+        FROM todos child JOIN todos parent ON child.parent_id = parent.id
+        WHERE parent.id = $1 AND child.deleted_at = parent.deleted_at AND EXISTS (SELECT 1 FROM restored)
+        UNION ALL
+        SELECT child.id, child.deleted_at
+        FROM todos child JOIN subtree ON child.parent_id = subtree.id
+        WHERE child.deleted_at = subtree.deleted_at
+      ), subtasks AS (
+        UPDATE todos SET deleted_at = NULL WHERE id IN (SELECT id FROM subtree)
+      )
+      SELECT * FROM restored
+    `;
+
+    try {
+      const result = await this.change('UPDATE', id, scope.actorId, queryText, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error restoring todo:', error);
+      throw new Error('Failed to restore todo');
+    }
+  }
+
+  // Every live todo below `id`, parents before their subtasks, siblings in subtask order.
+  // A trashed subtask hides its own subtasks too.
+  async getDescendants(id, scope = {}) {
+    const params = [id];
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+
+    const queryText = `
+      WITH RECURSIVE subtree AS (
+        SELECT id, 1 AS depth FROM todos WHERE parent_id = $1 AND deleted_at IS NULL
+        UNION ALL
+        SELECT child.id, subtree.depth + 1
+        FROM todos child JOIN subtree ON child.parent_id = subtree.id
+        WHERE child.deleted_at IS NULL
+      )
+      SELECT ${TODO_COLUMNS}
+      FROM todos JOIN subtree USING (id)
+      WHERE true ${ownerClause}
+      ORDER BY subtree.depth, subtask_position, id
+    `;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching subtasks:', error);
+      throw new Error('Failed to fetch subtasks');
+    }
+  }
+
+  // Map of todo id -> { done, total } over its live direct subtasks
+  async getSubtaskProgress(ids) {
+    const progress = new Map(ids.map((id) => [Number(id), { done: 0, total: 0 }]));
+    if (ids.length === 0) {
+      return progress;
+    }
+
+    const queryText = `
+      SELECT parent_id, COUNT(*) FILTER (WHERE completed) AS done, COUNT(*) AS total
+      FROM todos
+      WHERE parent_id = ANY($1::int[]) AND deleted_at IS NULL
+      GROUP BY parent_id
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [ids]);
+      result.rows.forEach((row) => {
+        progress.set(Number(row.parent_id), { done: parseInt(row.done), total: parseInt(row.total) });
+      });
+      return progress;
+    } catch (error) {
+      console.error('Error fetching subtask progress:', error);
+      throw new Error('Failed to fetch subtask progress');
+    }
+  }
+
+  // Put the subtasks of `parentId` in the order of `ids` (only the ones that move change)
+  async reorderSubtasks(parentId, ids) {
+    const queryText = `
+      UPDATE todos SET subtask_position = ordering.position
+      FROM unnest($2::int[]) WITH ORDINALITY AS ordering(id, position)
+      WHERE todos.id = ordering.id AND todos.parent_id = $1
+        AND todos.subtask_position IS DISTINCT FROM ordering.position
+    `;
+
+    try {
+      await this.db.query(queryText, [parentId, ids]);
+    } catch (error) {
+      console.error('Error reordering subtasks:', error);
+      throw new Error('Failed to reorder subtasks');
+    }
+  }
+
+  // Closest rank after ('next') or before ('prev') `position` among the live todos in
+  // scope, or null at the end of the list
+  async getAdjacentPosition(position, direction, scope = {}) {
+    const params = [position];
+    const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+    const queryText = direction === 'prev'
+      ? `SELECT MAX(position) AS position FROM todos WHERE position < $1 AND deleted_at IS NULL ${ownerClause}`
+      : `SELECT MIN(position) AS position FROM todos WHERE position > $1 AND deleted_at IS NULL ${ownerClause}`;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return result.rows[0].position;
+    } catch (error) {
+      console.error('Error fetching adjacent position:', error);
+      throw new Error('Failed to fetch adjacent position');
+    }
+  }
+
+  // Link `todoId` to a todo it depends on. The table is locked for the check and the
+  // insert, so two concurrent additions can't close a cycle between them.
+  async addDependency(todoId, dependsOnId) {
+    const reachesTodo = `
+      WITH RECURSIVE upstream AS (
+        SELECT depends_on_id FROM todo_dependencies WHERE todo_id = $1
+        UNION
+        SELECT dep.depends_on_id FROM todo_dependencies dep JOIN upstream ON dep.todo_id = upstream.depends_on_id
+      )
+      SELECT 1 FROM upstream WHERE depends_on_id = $2
+    `;
+
+    try {
+      return await this.transaction(async (client) => {
+        await client.query('LOCK TABLE todo_dependencies IN SHARE ROW EXCLUSIVE MODE');
+
+        const cycle = await client.query(reachesTodo, [dependsOnId, todoId]);
+        if (cycle.rows.length > 0) {
+          return 'cycle';
+        }
+
+        const result = await client.query(`
+          INSERT INTO todo_dependencies (todo_id, depends_on_id) VALUES ($1, $2)
+          ON CONFLICT DO NOTHING
+          RETURNING todo_id
+        `, [todoId, dependsOnId]);
+        return result.rows.length > 0 ? 'created' : 'exists';
+      });
+    } catch (error) {
+      console.error('Error adding dependency:', error);
+      throw new Error('Failed to add dependency');
+    }
+  }
+
+  async removeDependency(todoId, dependsOnId) {
+    try {
+      const result = await this.db.query(
+        'DELETE FROM todo_dependencies WHERE todo_id = $1 AND depends_on_id = $2',
+        [todoId, dependsOnId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error('Error removing dependency:', error);
+      throw new Error('Failed to remove dependency');
+    }
+  }
+
+  // Map of todo id -> ids of the live, pending todos it depends on
+  async getBlockers(ids) {
+    const blockers = new Map(ids.map((id) => [Number(id), []]));
+    if (ids.length === 0) {
+      return blockers;
+    }
+
+    const queryText = `
+      SELECT dep.todo_id, dep.depends_on_id
+      FROM todo_dependencies dep JOIN todos blocker ON blocker.id = dep.depends_on_id
+      WHERE dep.todo_id = ANY($1::int[]) AND blocker.completed = false AND blocker.deleted_at IS NULL
+      ORDER BY dep.depends_on_id
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [ids]);
+      result.rows.forEach((row) => blockers.get(Number(row.todo_id)).push(row.depends_on_id));
+      return blockers;
+    } catch (error) {
+      console.error('Error fetching blockers:', error);
+      throw new Error('Failed to fetch blockers');
+    }
+  }
+
+  // Links reachable from `id` in either direction, not going through trashed todos
+  // (UNION stops at links already seen), then the visible todos at their ends
+  async getDependencyGraph(id, scope = {}) {
+    const edgesQuery = `
+      WITH RECURSIVE upstream AS (
+        SELECT dep.todo_id, dep.depends_on_id FROM todo_dependencies dep
+        WHERE dep.todo_id = $1
+        UNION
+        SELECT dep.todo_id, dep.depends_on_id
+        FROM todo_dependencies dep
+        JOIN upstream ON dep.todo_id = upstream.depends_on_id
+        JOIN todos via ON via.id = dep.todo_id AND via.deleted_at IS NULL
+      ),
+      downstream AS (
+        SELECT dep.todo_id, dep.depends_on_id FROM todo_dependencies dep
+        WHERE dep.depends_on_id = $1
+        UNION
+        SELECT dep.todo_id, dep.depends_on_id
+        FROM todo_dependencies dep
+        JOIN downstream ON dep.depends_on_id = downstream.todo_id
+        JOIN todos via ON via.id = dep.depends_on_id AND via.deleted_at IS NULL
+      )
+      SELECT todo_id, depends_on_id FROM upstream
+      UNION
+      SELECT todo_id, depends_on_id FROM downstream
+      ORDER BY todo_id, depends_on_id
+    `;
+
+    try {
+      const edges = (await this.db.query(edgesQuery, [id])).rows;
+      const ids = [...new Set([Number(id), ...edges.flatMap((edge) => [edge.todo_id, edge.depends_on_id])])];
+
+      const params = [ids];
+      const ownerClause = scope.ownerId !== undefined ? `AND ${ownerCondition(scope.ownerId, params)}` : '';
+      const nodes = (await this.db.query(`
+        SELECT ${TODO_COLUMNS}
+        FROM todos
+        WHERE id = ANY($1::int[]) AND deleted_at IS NULL ${ownerClause}
+        ORDER BY id
+      `, params)).rows;
+
+      const visible = new Set(nodes.map((todo) => todo.id));
+      return {
+        nodes,
+        edges: edges.filter((edge) => visible.has(edge.todo_id) && visible.has(edge.depends_on_id))
+      };
+    } catch (error) {
+      console.error('Error fetching dependency graph:', error);
+      throw new Error('Failed to fetch dependency graph');
+    }
+  }
+
+  // Permanently delete todos trashed before `trashedBefore`, with all their subtasks
+  async purge(trashedBefore) {
+    const queryText = `
+      WITH RECURSIVE doomed AS (
+        SELECT id FROM todos WHERE deleted_at < $1
+        UNION
+        SELECT child.id FROM todos child JOIN doomed ON child.parent_id = doomed.id
+      )
+      DELETE FROM todos WHERE id IN (SELECT id FROM doomed)
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [trashedBefore]);
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error purging todos:', error);
+      throw new Error('Failed to purge todos');
+    }
+  }
+
+  // Get count with filters
+  async count(options = {}) {
+    const { whereClause, params } = this.buildWhereClause(options);
+
+    const queryText = `SELECT COUNT(*) as count FROM todos ${whereClause}`;
+
+    try {
+      const result = await this.db.query(queryText, params);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting todos:', error);
+      throw new Error('Failed to count todos');
+    }
+  }
+
+  // Get statistics
+  async getStats(scope = {}) {
+    const query = this.buildFilters({ ownerId: scope.ownerId, projectId: scope.projectId });
+    const overdue = overdueCondition((value) => query.param(value), this.clock.now());
+
+    const queryText = `
+      SELECT 
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE completed = true) as completed,
+        COUNT(*) FILTER (WHERE completed = false) as pending,
+        COUNT(*) FILTER (WHERE priority = 'high') as high_priority,
+        COUNT(*) FILTER (WHERE priority = 'medium') as medium_priority,
+        COUNT(*) FILTER (WHERE priority = 'low') as low_priority,
+        COUNT(*) FILTER (WHERE ${overdue}) as overdue
+      FROM todos
+      ${query.whereClause()}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, query.params);
+      const stats = result.rows[0];
+      
+      return {
+        total: parseInt(stats.total),
+        completed: parseInt(stats.completed),
+        pending: parseInt(stats.pending),
+        by_priority: {
+          high: parseInt(stats.high_priority),
+          medium: parseInt(stats.medium_priority),
+          low: parseInt(stats.low_priority)
+        },
+        overdue: parseInt(stats.overdue)
+      };
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      throw new Error('Failed to fetch statistics');
+    }
+  }
+
+  // FROM/WHERE shared by search() and countSearch().
+  // websearch_to_tsquery understands "quoted phrases", -exclusions and OR, and
+  // search_vector is a generated, GIN-indexed tsvector of title (weight A) and description (B).
+  buildSearchClause(searchTerm, ownerId) {
+    const query = new QueryBuilder();
+    const from = searchFrom(query, searchTerm);
+
+    query.where('search_vector @@ search_query').where('deleted_at IS NULL');
+    if (ownerId !== undefined) {
+      query.where(ownerCondition(ownerId, query.params));
+    }
+
+    return { from, query };
+  }
+
+  // Search todos, most relevant first, with <mark>-highlighted snippets
+  async search(searchTerm, options = {}) {
+    const { from, query } = this.buildSearchClause(searchTerm, options.ownerId);
+    const { limitOffset, backward } = this.buildPage(query, RELEVANCE_KEYS, options);
+
+    const queryText = `
+      SELECT ${TODO_COLUMNS},
+        ts_rank(search_vector, search_query) AS rank,
+        json_build_object(
+          'title', ts_headline('${SEARCH_CONFIG}', title, search_query, '${HEADLINE_OPTIONS}, HighlightAll=true'),
+          'description', ts_headline('${SEARCH_CONFIG}', COALESCE(description, ''), search_query, '${HEADLINE_OPTIONS}')
+        ) AS highlight
+      FROM ${from}
+      ${query.whereClause()}
+      ${limitOffset}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, query.params);
+      return backward ? result.rows.reverse() : result.rows;
+    } catch (error) {
+      console.error('Error searching todos:', error);
+      throw new Error('Failed to search todos');
+    }
+  }
+
+  // Total number of search matches, for pagination
+  async countSearch(searchTerm, options = {}) {
+    const { from, query } = this.buildSearchClause(searchTerm, options.ownerId);
+
+    try {
+      const result = await this.db.query(`SELECT COUNT(*) as count FROM ${from} ${query.whereClause()}`, query.params);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.error('Error counting search results:', error);
+      throw new Error('Failed to search todos');
+    }
+  }
+
+  // Sort-key values of todos in the order of getAll() (`sort`, `trashed`) or, given
+  // `search`, of search(). JSON keeps the full precision of timestamps and ranks.
+  async cursorKeys(ids, options = {}) {
+    const query = new QueryBuilder();
+    const searching = options.search !== undefined;
+    const from = searching ? searchFrom(query, options.search) : 'todos';
+    const keys = searching ? RELEVANCE_KEYS : listKeys(options);
+
+    const queryText = `
+      SELECT id, json_build_array(${keys.map(({ expression }) => expression('todos')).join(', ')}) AS keys
+      FROM ${from}
+      WHERE id = ANY(${query.param(ids)}::int[])
+    `;
+
+    try {
+      const result = await this.db.query(queryText, query.params);
+      return new Map(result.rows.map((row) => [row.id, row.keys]));
+    } catch (error) {
+      console.error('Error reading cursor keys:', error);
+      throw new Error('Failed to fetch todos');
+    }
+  }
+}
+
+module.exports = PostgresTodoRepository;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const TodoRevisionRepository = require('./todoRevisionRepository');
+
+const REVISION_COLUMNS = `
+  todo_id, revision, title, description, completed, priority, due_date, recurrence,
+  complete_subtasks, auto_complete, project_id, state, deleted_at, created_at
+`;
+
+// PostgreSQL implementation of TodoRevisionRepository
+// Read-only: the record_todo_revision trigger (database/init.sql) writes the revisions.
+class PostgresTodoRevisionRepository extends TodoRevisionRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async listForTodo(todoId) {
+    const queryText = `
+      SELECT ${REVISION_COLUMNS} FROM todo_revisions
+      WHERE todo_id = $1
+      ORDER BY revision
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error fetching todo revisions:', error);
+      throw new Error('Failed to fetch todo revisions');
+    }
+  }
+
+  async get(todoId, revision) {
+    const queryText = `
+      SELECT ${REVISION_COLUMNS} FROM todo_revisions
+      WHERE todo_id = $1 AND revision = $2
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [todoId, revision]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching todo revision:', error);
+      throw new Error('Failed to fetch todo revision');
+    }
+  }
+}
+
+module.exports = PostgresTodoRevisionRepository;
@@ -0,0 +1,51 @@
+const PostgresTodoRepository = require('./postgresTodoRepository');
+const PostgresTagRepository = require('./postgresTagRepository');
+const PostgresProjectRepository = require('./postgresProjectRepository');
+
+// Transaction runner for changes that span several statements (bulk operations).
+// `work` receives repositories bound to one dedicated connection, plus savepoint(fn),
+// which undoes only what fn did when it throws:
+//
+//   await transaction(async ({ todos, tags, projects, savepoint }) => { ... });
+//
+// The transaction commits when `work` resolves and rolls back when it throws.
+// `clock` is handed to the todo repository (see PostgresTodoRepository).
+function postgresTransaction(db, { clock } = {}) {
+  return async (work) => {
+    const client = await db.getClient();
+    let savepoints = 0;
+
+    const savepoint = async (fn) => {
+      const name = `item_${++savepoints}`;
+      await client.query(`SAVEPOINT ${name}`);
+
+      try {
+        const result = await fn();
+        await client.query(`RELEASE SAVEPOINT ${name}`);
+        return result;
+      } catch (error) {
+        await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+        throw error;
+      }
+    };
+
+    try {
+      await client.query('BEGIN');
+      const result = await work({
+        todos: new PostgresTodoRepository(client, { clock }),
+        tags: new PostgresTagRepository(client),
+        projects: new PostgresProjectRepository(client),
+        savepoint
+      });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+}
+
+module.exports = postgresTransaction;
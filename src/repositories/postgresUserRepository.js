@@ -0,0 +1,65 @@
+const UserRepository = require('./userRepository');
+
+// SQLSTATE of a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+const USER_COLUMNS = `
+  id, username, email, password_hash, role, is_active, created_at, updated_at
+`;
+
+// PostgreSQL implementation of UserRepository (users table from database/init.sql)
+class PostgresUserRepository extends UserRepository {
+  constructor(db) {
+    super();
+    this.db = db;
+  }
+
+  async create(userData) {
+    const { username, email, passwordHash, role = 'user' } = userData;
+
+    const queryText = `
+      INSERT INTO users (username, email, password_hash, role)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${USER_COLUMNS}
+    `;
+
+    try {
+      const result = await this.db.query(queryText, [username, email, passwordHash, role]);
+      return result.rows[0];
+    } catch (error) {
+      // Another registration took the email or username since the caller checked
+      if (error.code === UNIQUE_VIOLATION) {
+        return null;
+      }
+      console.error('Error creating user:', error);
+      throw new Error('Failed to create user');
+    }
+  }
+
+  async findById(id) {
+    return this.findOneBy('id', id);
+  }
+
+  async findByEmail(email) {
+    return this.findOneBy('email', email);
+  }
+
+  async findByUsername(username) {
+    return this.findOneBy('username', username);
+  }
+
+  // `column` is always one of the literals above, never user input
+  async findOneBy(column, value) {
+    const queryText = `SELECT ${USER_COLUMNS} FROM users WHERE ${column} = $1`;
+
+    try {
+      const result = await this.db.query(queryText, [value]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error fetching user:', error);
+      throw new Error('Failed to fetch user');
+    }
+  }
+}
+
+module.exports = PostgresUserRepository;
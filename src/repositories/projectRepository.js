@@ -0,0 +1,51 @@
+// ProjectRepository interface
+// Projects group todos (todos.project_id, at most one project per todo). Each project
+// belongs to the user who created it (owner_id, null for anonymous requests), and
+// `scope.ownerId` restricts which projects are visible the same way it does for todos
+// (see TodoRepository): undefined -> every project, null -> unowned ones, <userId> ->
+// that user's.
+//
+//   getAll({ ownerId, archived })   -> project[] (by name); `archived` true/false picks
+//                                      archived or active projects, undefined both
+//   getById(id, scope)              -> project | null
+//   getByIds(ids)                   -> project[] (by id, whoever owns them; missing ids are skipped)
+//   findByName(name, { ownerId })   -> project | null (case-insensitive, among the
+//                                      projects of that owner)
+//   create({ name, color, description, workflow }, { ownerId }) -> project
+//   update(id, { name, color, description, archived, workflow }, scope) -> project | null
+//   delete(id, scope)               -> boolean (its todos stay, without a project)
+//
+// Names are unique per owner, case-insensitively; callers check with findByName().
+// `workflow` is the project's kanban workflow (src/utils/workflow.js), stored as given;
+// null for the default one.
+class ProjectRepository {
+  async getAll(_options = {}) {
+    throw new Error(`${this.constructor.name}.getAll() is not implemented`);
+  }
+
+  async getById(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.getById() is not implemented`);
+  }
+
+  async getByIds(_ids) {
+    throw new Error(`${this.constructor.name}.getByIds() is not implemented`);
+  }
+
+  async findByName(_name, _scope = {}) {
+    throw new Error(`${this.constructor.name}.findByName() is not implemented`);
+  }
+
+  async create(_projectData, _options = {}) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async update(_id, _projectData, _scope = {}) {
+    throw new Error(`${this.constructor.name}.update() is not implemented`);
+  }
+
+  async delete(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+}
+
+module.exports = ProjectRepository;
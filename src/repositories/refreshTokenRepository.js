@@ -0,0 +1,32 @@
+// RefreshTokenRepository interface
+// Only SHA-256 hashes of refresh tokens are stored, never the tokens themselves.
+// Tokens issued from the same login share a family_id; rotation keeps the family.
+//
+//   create({ userId, familyId, tokenHash, expiresAt }) -> token
+//   findByHash(tokenHash)                              -> token | null
+//   consume(id, now)          -> boolean (false if it was already revoked)
+//   revokeFamily(familyId, now)                        -> number revoked
+//   revokeAllForUser(userId, now)                      -> number revoked
+class RefreshTokenRepository {
+  async create(_tokenData) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async findByHash(_tokenHash) {
+    throw new Error(`${this.constructor.name}.findByHash() is not implemented`);
+  }
+
+  async consume(_id, _now) {
+    throw new Error(`${this.constructor.name}.consume() is not implemented`);
+  }
+
+  async revokeFamily(_familyId, _now) {
+    throw new Error(`${this.constructor.name}.revokeFamily() is not implemented`);
+  }
+
+  async revokeAllForUser(_userId, _now) {
+    throw new Error(`${this.constructor.name}.revokeAllForUser() is not implemented`);
+  }
+}
+
+module.exports = RefreshTokenRepository;
@@ -0,0 +1,51 @@
+// TagRepository interface
+// Tags are shared by every user (tags table); todo_tags links them to todos.
+//
+//   getAll()                      -> tag[] (by name)
+//   getById(id)                   -> tag | null
+//   findByName(name)              -> tag | null (case-insensitive)
+//   create({ name, color })       -> tag
+//   update(id, { name, color })   -> tag | null
+//   delete(id)                    -> boolean (also detaches it from every todo)
+//   attach(todoId, tagId)         -> links a tag to a todo (no-op if already linked)
+//   detach(todoId, tagId)         -> boolean
+//   listForTodos(todoIds)         -> Map of todo id -> tag[] (by name)
+class TagRepository {
+  async getAll() {
+    throw new Error(`${this.constructor.name}.getAll() is not implemented`);
+  }
+
+  async getById(_id) {
+    throw new Error(`${this.constructor.name}.getById() is not implemented`);
+  }
+
+  async findByName(_name) {
+    throw new Error(`${this.constructor.name}.findByName() is not implemented`);
+  }
+
+  async create(_tagData) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async update(_id, _tagData) {
+    throw new Error(`${this.constructor.name}.update() is not implemented`);
+  }
+
+  async delete(_id) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  async attach(_todoId, _tagId) {
+    throw new Error(`${this.constructor.name}.attach() is not implemented`);
+  }
+
+  async detach(_todoId, _tagId) {
+    throw new Error(`${this.constructor.name}.detach() is not implemented`);
+  }
+
+  async listForTodos(_todoIds) {
+    throw new Error(`${this.constructor.name}.listForTodos() is not implemented`);
+  }
+}
+
+module.exports = TagRepository;
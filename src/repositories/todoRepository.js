@@ -0,0 +1,197 @@
+// TodoRepository interface
+// Every storage backend for todos extends this class and implements all methods.
+// The shared conformance suite in tests/shared/todoRepositoryConformance.js
+// describes the behaviour each implementation must provide:
+//
+//   getAll({ limit, offset, cursor, sort, ...filters })  -> todo[] (newest first unless sorted)
+//   getById(id, scope)                                   -> todo | null
+//   create({ title, description, priority, dueDate, recurrence }, { ownerId, actorId }) -> todo
+//   update(id, { title, description, completed, priority, dueDate, recurrence }, scope) -> todo | null
+//   delete(id, scope)                                    -> boolean (moves the todo to the trash)
+//   restore(id, scope)                                   -> todo | null (takes it out of the trash)
+//   purge(trashedBefore)                                 -> number of todos permanently deleted (subtasks included)
+//   count(filters)                                       -> number
+//   getStats({ ownerId, projectId })                     -> { total, completed, pending, by_priority, overdue }
+//   search(term, { limit, offset, cursor, ownerId })     -> todo[] (most relevant first)
+//   countSearch(term, { ownerId })                       -> number
+//   cursorKeys(ids, { sort, trashed, search })           -> Map of todo id -> its position, for cursors
+//   getDescendants(id, scope)                            -> todo[] (subtasks, their subtasks...)
+//   getSubtaskProgress(ids)                              -> Map of todo id -> { done, total }
+//   reorderSubtasks(parentId, ids)                       -> puts the subtasks in the order of ids
+//   getAdjacentPosition(position, direction, scope)      -> rank right after ('next') / before ('prev') it, or null
+//   addDependency(todoId, dependsOnId)                   -> 'created' | 'exists' | 'cycle'
+//   removeDependency(todoId, dependsOnId)                -> boolean
+//   getBlockers(ids)                                     -> Map of todo id -> ids of unfinished blockers
+//   getDependencyGraph(id, scope)                        -> { nodes: todo[], edges: [{ todo_id, depends_on_id }] }
+//
+// search() takes websearch_to_tsquery syntax ("exact phrase", -excluded, a OR b) and adds
+// `rank` and `highlight: { title, description }` (matches wrapped in <mark>) to each todo.
+//
+// `scope` / `ownerId` restricts which todos are visible:
+//   ownerId undefined -> every todo (admin view)
+//   ownerId null      -> only todos that belong to nobody (anonymous requests)
+//   ownerId <userId>  -> only that user's todos
+//
+// `filters` for getAll()/count():
+//   status          'completed' | 'pending'
+//   priority        one priority or a list of them
+//   dueAfter, dueBefore, createdAfter, createdBefore, updatedAfter, updatedBefore
+//                   inclusive date ranges (a todo without due date never matches a due range)
+//   overdue         true -> past due and not completed, false -> everything else
+//   hasDescription  true -> non-empty description
+//   blocked         true -> has unfinished blockers (see dependencies below)
+//   projectId       only the todos of that project, null -> todos without a project
+//   stateIn         only todos whose stored `state` is one of these keys
+//   stateNotIn      only todos whose stored `state` is null or none of these keys
+//   tags, tagMatch, ownerId, trashed (below)
+// `sort` is a list of { field, direction: 'asc' | 'desc' } over created_at, updated_at,
+// due_date, priority (low < medium < high), title, completed, state_position and position;
+// NULLs sort last.
+//
+// `cursor` ({ keys, direction: 'next' | 'prev' }) replaces `offset` in getAll()/search():
+// the page holds the `limit` todos right after ('next') or right before ('prev') the
+// position `keys`, in the current order and still returned in that order. cursorKeys()
+// gives the position of todos in the order of getAll() (`sort`, `trashed`) or, with
+// `search`, of search(): their sort-key values, JSON-serializable so they can travel in
+// a cursor. Every order ends with id DESC, so positions are unique. A position stays
+// valid whatever happens to its todo afterwards, and need not match the filters.
+//
+// Trashed todos (deleted_at set) are invisible to every method except restore() and purge(),
+// and to getAll()/count() with `trashed: true`, which list only the trash (most recently deleted first).
+//
+// `actorId` in the create options or in the scope of update()/delete() records the change
+// in the audit log (see AuditLogRepository) as made by that user; null means anonymous.
+// Without an actorId the change is not audited.
+//
+// Every todo has a `version`, 1 on create and bumped by each update(), delete() and
+// restore() (tag links don't count). `versions` in the scope of update()/delete() only
+// applies the change while the todo is at one of those versions; otherwise they behave
+// as if the todo did not exist (null / false).
+//
+// `recurrence` is a rule as described in src/utils/recurrence.js, or null for one-off todos.
+// Recurring todos belong to a series: `series_id` (a UUID) and `occurrence` (1, 2, ...).
+// create() with a recurrence starts a new series unless `seriesId` and `occurrence` are
+// given; update() giving a todo its first recurrence starts one too. Setting recurrence
+// to null stops the series but keeps series_id and occurrence.
+//
+// Subtasks are todos with a `parent_id`, created with `parentId` and owned by the owners
+// of their parent; any depth is allowed. They are ordered by `subtask_position` (new ones
+// go last) and only count while live: getDescendants() lists parents before their
+// subtasks and skips trashed subtasks with everything below them. delete() trashes a todo
+// with its live subtasks, all at the same deleted_at, restore() brings back the ones
+// trashed along with it, and purge() deletes a todo with every subtask below it.
+// `complete_subtasks` and `auto_complete` are per-todo settings (completeSubtasks /
+// autoComplete in create() and update()), applied by src/services/completionService.js.
+//
+// Dependencies: a todo that depends on another ("B can't start until A is done") is
+// blocked while that blocker is live and not completed. addDependency() refuses links
+// that would close a cycle ('cycle', checked atomically with the insert) and leaves
+// existing ones alone ('exists'); trashed todos keep their links. getDependencyGraph()
+// walks the links both ways from a todo, through any number of todos: what it depends
+// on and what depends on it. Its nodes are the live todos within the scope, the todo
+// itself included, and its edges the links between them.
+//
+// `project_id` is the project a todo belongs to (see ProjectRepository), null for none;
+// set with `projectId` in create() and update(). Whether the project may take todos is
+// up to the caller (src/services/projectService.js).
+//
+// `state` and `state_position` place a todo on its project's kanban board (see
+// src/utils/workflow.js for what the stored state means); set with `state` and
+// `statePosition` in update(). `state_position` is a rank like `position` below; new
+// todos get arrivalPosition() at their creation. An update() that changes `completed` or
+// `project_id` clears `state` and gives the todo an arrival rank at the repository clock's
+// time, unless it gives them, so the todo goes to the end of the first or the terminal
+// state of its workflow. Every rank comes from the repository clock: create() stamps
+// `created_at` (and `updated_at`) with it too, rather than with the database's time.
+//
+// `position` is the todo's place in its owner's manual order (sort=position): a rank from
+// src/utils/rank.js, compared character by character. create() ranks new todos by
+// defaultPosition() (newest first, like the default order); update() takes `position`.
+// getAdjacentPosition() finds the closest rank of a live todo within the scope, so a
+// todo can be placed right after or before another without renumbering the rest.
+//
+// `tags` is a list of tag names (case-insensitive); `tagMatch` is 'any' (default) or 'all'.
+// Tags themselves are managed by TagRepository.
+class TodoRepository {
+  async getAll(_options = {}) {
+    throw new Error(`${this.constructor.name}.getAll() is not implemented`);
+  }
+
+  async getById(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.getById() is not implemented`);
+  }
+
+  async create(_todoData, _owner = {}) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async update(_id, _todoData, _scope = {}) {
+    throw new Error(`${this.constructor.name}.update() is not implemented`);
+  }
+
+  async delete(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  async restore(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.restore() is not implemented`);
+  }
+
+  async purge(_trashedBefore) {
+    throw new Error(`${this.constructor.name}.purge() is not implemented`);
+  }
+
+  async count(_options = {}) {
+    throw new Error(`${this.constructor.name}.count() is not implemented`);
+  }
+
+  async getStats(_scope = {}) {
+    throw new Error(`${this.constructor.name}.getStats() is not implemented`);
+  }
+
+  async search(_searchTerm, _options = {}) {
+    throw new Error(`${this.constructor.name}.search() is not implemented`);
+  }
+
+  async countSearch(_searchTerm, _options = {}) {
+    throw new Error(`${this.constructor.name}.countSearch() is not implemented`);
+  }
+
+  async cursorKeys(_ids, _options = {}) {
+    throw new Error(`${this.constructor.name}.cursorKeys() is not implemented`);
+  }
+
+  async getDescendants(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.getDescendants() is not implemented`);
+  }
+
+  async getSubtaskProgress(_ids) {
+    throw new Error(`${this.constructor.name}.getSubtaskProgress() is not implemented`);
+  }
+
+  async reorderSubtasks(_parentId, _ids) {
+    throw new Error(`${this.constructor.name}.reorderSubtasks() is not implemented`);
+  }
+
+  async getAdjacentPosition(_position, _direction, _scope = {}) {
+    throw new Error(`${this.constructor.name}.getAdjacentPosition() is not implemented`);
+  }
+
+  async addDependency(_todoId, _dependsOnId) {
+    throw new Error(`${this.constructor.name}.addDependency() is not implemented`);
+  }
+
+  async removeDependency(_todoId, _dependsOnId) {
+    throw new Error(`${this.constructor.name}.removeDependency() is not implemented`);
+  }
+
+  async getBlockers(_ids) {
+    throw new Error(`${this.constructor.name}.getBlockers() is not implemented`);
+  }
+
+  async getDependencyGraph(_id, _scope = {}) {
+    throw new Error(`${this.constructor.name}.getDependencyGraph() is not implemented`);
+  }
+}
+
+module.exports = TodoRepository;
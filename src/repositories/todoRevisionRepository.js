@@ -0,0 +1,24 @@
+// TodoRevisionRepository interface (todo_revisions table)
+// A revision is a snapshot of a todo at one version: revision n is the todo as it was
+// at version n (see TodoRepository). Revisions are written on every change to a todo,
+// by the record_todo_revision trigger in PostgreSQL and by MemoryTodoRepository in memory,
+// except for changes that only move the todo (position, state_position, subtask_position):
+// those bump the version without a revision, so revision numbers can skip versions.
+//
+//   listForTodo(todoId)          -> revision[] (oldest first)
+//   get(todoId, revision)        -> revision | null
+//
+// A revision holds { todo_id, revision, title, description, completed, priority,
+// due_date, recurrence, complete_subtasks, auto_complete, project_id, state, deleted_at,
+// created_at }, created_at being when the revision was made.
+class TodoRevisionRepository {
+  async listForTodo(_todoId) {
+    throw new Error(`${this.constructor.name}.listForTodo() is not implemented`);
+  }
+
+  async get(_todoId, _revision) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+}
+
+module.exports = TodoRevisionRepository;
@@ -0,0 +1,27 @@
+// UserRepository interface
+//
+//   create({ username, email, passwordHash, role }) -> user | null (email or username taken)
+//   findById(id)                                    -> user | null
+//   findByEmail(email)                              -> user | null
+//   findByUsername(username)                        -> user | null
+//
+// Returned users include password_hash; strip it before sending a user to a client.
+class UserRepository {
+  async create(_userData) {
+    throw new Error(`${this.constructor.name}.create() is not implemented`);
+  }
+
+  async findById(_id) {
+    throw new Error(`${this.constructor.name}.findById() is not implemented`);
+  }
+
+  async findByEmail(_email) {
+    throw new Error(`${this.constructor.name}.findByEmail() is not implemented`);
+  }
+
+  async findByUsername(_username) {
+    throw new Error(`${this.constructor.name}.findByUsername() is not implemented`);
+  }
+}
+
+module.exports = UserRepository;
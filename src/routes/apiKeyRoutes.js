@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const ApiKeyController = require('../controllers/apiKeyController');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { idParamSchema } = require('../validators/todoValidator');
+const { createApiKeySchema } = require('../validators/apiKeyValidator');
+
+// Las API keys se gestionan solo con sesión JWT, nunca con otra API key
+router.use(auth);
+
+// GET /api/v1/api-keys - Listar mis API keys
+router.get('/', ApiKeyController.listApiKeys);
+
+// POST /api/v1/api-keys - Crear API key
+router.post('/', validate(createApiKeySchema), ApiKeyController.createApiKey);
+
+// DELETE /api/v1/api-keys/:id - Revocar API key
+router.delete('/:id', validate(idParamSchema, 'params'), ApiKeyController.revokeApiKey);
+
+module.exports = router;
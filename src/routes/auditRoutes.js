@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const AuditController = require('../controllers/auditController');
+const { adminAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { listAuditSchema } = require('../validators/auditValidator');
+
+// Registro de auditoría: solo administradores
+router.use(adminAuth);
+
+// GET /api/v1/audit - Listar cambios (filtros: userId, action, from, to)
+router.get('/', validate(listAuditSchema, 'query'), AuditController.listAuditLogs);
+
+module.exports = router;
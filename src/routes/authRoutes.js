@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/authController');
+const { auth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { registerSchema, loginSchema, refreshTokenSchema } = require('../validators/authValidator');
+
+// POST /api/v1/auth/register - Crear usuario
+router.post('/register', validate(registerSchema), AuthController.register);
+
+// POST /api/v1/auth/login - Iniciar sesión
+router.post('/login', validate(loginSchema), AuthController.login);
+
+// POST /api/v1/auth/refresh - Renovar tokens (rota el refresh token)
+router.post('/refresh', validate(refreshTokenSchema), AuthController.refresh);
+
+// POST /api/v1/auth/logout - Cerrar esta sesión
+router.post('/logout', validate(refreshTokenSchema), AuthController.logout);
+
+// POST /api/v1/auth/logout-all - Cerrar todas las sesiones del usuario
+router.post('/logout-all', auth, AuthController.logoutAll);
+
+// GET /api/v1/auth/me - Usuario autenticado
+router.get('/me', auth, AuthController.me);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const ProjectController = require('../controllers/projectController');
+const { optionalAuth, optionalApiKey } = require('../middleware/auth');
+const { todoScope } = require('../middleware/todoScope');
+const { validate } = require('../middleware/validation');
+const { idParamSchema, listTodosSchema } = require('../validators/todoValidator');
+const {
+  listProjectsSchema,
+  scopeSchema,
+  boardSchema,
+  createProjectSchema,
+  updateProjectSchema
+} = require('../validators/projectValidator');
+
+// Los proyectos siguen la misma visibilidad que los todos:
+// cada usuario ve solo los suyos y los admin pueden usar ?scope=all (ver middleware/todoScope)
+router.use(optionalAuth, optionalApiKey, todoScope);
+
+// GET /api/v1/projects - Listar proyectos (?archived=true para los archivados)
+router.get('/', validate(listProjectsSchema, 'query'), ProjectController.getAllProjects);
+
+// POST /api/v1/projects - Crear proyecto
+router.post('/', validate(createProjectSchema), ProjectController.createProject);
+
+// GET /api/v1/projects/:id - Obtener un proyecto
+router.get(
+  '/:id',
+  validate(idParamSchema, 'params'),
+  validate(scopeSchema, 'query'),
+  ProjectController.getProjectById
+);
+
+// PUT /api/v1/projects/:id - Actualizar proyecto (también archivar/desarchivar)
+router.put(
+  '/:id',
+  validate(idParamSchema, 'params'),
+  validate(updateProjectSchema),
+  ProjectController.updateProject
+);
+
+// DELETE /api/v1/projects/:id - Eliminar proyecto (sus todos quedan sin proyecto)
+router.delete('/:id', validate(idParamSchema, 'params'), ProjectController.deleteProject);
+
+// GET /api/v1/projects/:id/todos - Todos del proyecto (mismos filtros que GET /todos)
+router.get(
+  '/:id/todos',
+  validate(idParamSchema, 'params'),
+  validate(listTodosSchema, 'query'),
+  ProjectController.getProjectTodos
+);
+
+// GET /api/v1/projects/:id/board - Tablero kanban: los estados del flujo con sus todos
+router.get(
+  '/:id/board',
+  validate(idParamSchema, 'params'),
+  validate(boardSchema, 'query'),
+  ProjectController.getProjectBoard
+);
+
+// GET /api/v1/projects/:id/stats - Estadísticas del proyecto (también por estado)
+router.get(
+  '/:id/stats',
+  validate(idParamSchema, 'params'),
+  validate(scopeSchema, 'query'),
+  ProjectController.getProjectStats
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const TagController = require('../controllers/tagController');
+const { auth, adminAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { idParamSchema } = require('../validators/todoValidator');
+const { createTagSchema, updateTagSchema } = require('../validators/tagValidator');
+
+// Las etiquetas son compartidas por todos los usuarios:
+// cualquiera puede verlas, crearlas requiere sesión y modificarlas o borrarlas, ser admin
+
+// GET /api/v1/tags - Listar etiquetas
+router.get('/', TagController.getAllTags);
+
+// GET /api/v1/tags/:id - Obtener una etiqueta
+router.get('/:id', validate(idParamSchema, 'params'), TagController.getTagById);
+
+// POST /api/v1/tags - Crear etiqueta
+router.post('/', auth, validate(createTagSchema), TagController.createTag);
+
+// PUT /api/v1/tags/:id - Actualizar etiqueta
+router.put(
+  '/:id',
+  adminAuth,
+  validate(idParamSchema, 'params'),
+  validate(updateTagSchema),
+  TagController.updateTag
+);
+
+// DELETE /api/v1/tags/:id - Eliminar etiqueta
+router.delete('/:id', adminAuth, validate(idParamSchema, 'params'), TagController.deleteTag);
+
+module.exports = router;
@@ -1,278 +1,230 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/database');
+const TodoController = require('../controllers/todoController');
+const CommentController = require('../controllers/commentController');
+const AttachmentController = require('../controllers/attachmentController');
+const { optionalAuth, optionalApiKey, requireUser } = require('../middleware/auth');
+const { todoScope } = require('../middleware/todoScope');
+const { idempotency } = require('../middleware/idempotency');
+const { validate } = require('../middleware/validation');
+const {
+  idParamSchema,
+  dependencyParamsSchema,
+  revisionParamsSchema,
+  revisionDiffSchema,
+  listTodosSchema,
+  searchSchema,
+  trashSchema,
+  createTodoSchema,
+  updateTodoSchema,
+  bulkSchema,
+  reorderSubtasksSchema,
+  completeTodoSchema,
+  moveTodoSchema,
+  reorderTodoSchema,
+  addDependencySchema
+} = require('../validators/todoValidator');
+const { attachTagSchema, todoTagParamsSchema } = require('../validators/tagValidator');
+const { commentParamsSchema, listCommentsSchema, commentSchema } = require('../validators/commentValidator');
+const { attachmentParamsSchema } = require('../validators/attachmentValidator');
 
-// GET /api/v1/todos - Obtener todos los todos
-router.get('/', async (req, res) => {
-  try {
-    const result = await query(`
-      SELECT id, title, description, completed, priority, due_date, created_at, updated_at 
-      FROM todos 
-      ORDER BY created_at DESC
-    `);
-    
-    res.json({
-      success: true,
-      data: result.rows,
-      total: result.rows.length
-    });
-  } catch (error) {
-    console.error('Error fetching todos:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching todos',
-      error: error.message
-    });
-  }
-});
+// Autenticación opcional por JWT o X-API-Key.
+// Cada usuario autenticado solo ve sus propios todos (ver middleware/todoScope)
+// POST y PATCH aceptan Idempotency-Key para reintentos seguros (ver middleware/idempotency)
+router.use(optionalAuth, optionalApiKey, todoScope, idempotency);
 
-// GET /api/v1/todos/:id - Obtener un todo específico
-router.get('/:id', async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    
-    if (isNaN(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid todo ID'
-      });
-    }
-    
-    const result = await query('SELECT * FROM todos WHERE id = $1', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Todo not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error fetching todo:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching todo',
-      error: error.message
-    });
-  }
-});
+// Las rutas fijas (/search, /stats, /trash, /bulk) van antes de /:id para que no se capturen como IDs
+
+// GET /api/v1/todos/search - Buscar todos
+router.get('/search', validate(searchSchema, 'query'), TodoController.searchTodos);
+
+// GET /api/v1/todos/stats - Estadísticas
+router.get('/stats', TodoController.getStats);
+
+// GET /api/v1/todos/trash - Papelera
+router.get('/trash', validate(trashSchema, 'query'), TodoController.getTrash);
+
+// POST /api/v1/todos/bulk - Operaciones masivas en una sola transacción
+router.post('/bulk', validate(bulkSchema), TodoController.bulkTodos);
+
+// GET /api/v1/todos - Obtener todos los todos
+router.get('/', validate(listTodosSchema, 'query'), TodoController.getAllTodos);
 
 // POST /api/v1/todos - Crear nuevo todo
-router.post('/', async (req, res) => {
-  try {
-    const { title, description, priority = 'medium', due_date } = req.body;
-    
-    if (!title || title.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Title is required'
-      });
-    }
-    
-    // Validar priority
-    const validPriorities = ['low', 'medium', 'high'];
-    if (!validPriorities.includes(priority)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Priority must be low, medium, or high'
-      });
-    }
-    
-    const result = await query(`
-      INSERT INTO todos (title, description, priority, due_date) 
-      VALUES ($1, $2, $3, $4) 
-      RETURNING *
-    `, [title.trim(), description?.trim() || null, priority, due_date || null]);
-    
-    res.status(201).json({
-      success: true,
-      message: 'Todo created successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error creating todo:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error creating todo',
-      error: error.message
-    });
-  }
-});
+router.post('/', validate(createTodoSchema), TodoController.createTodo);
+
+// GET /api/v1/todos/:id - Obtener un todo específico
+router.get('/:id', validate(idParamSchema, 'params'), TodoController.getTodoById);
 
 // PUT /api/v1/todos/:id - Actualizar todo
-router.put('/:id', async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    
-    if (isNaN(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid todo ID'
-      });
-    }
-    
-    const { title, description, completed, priority, due_date } = req.body;
-    
-    // Verificar que el todo existe
-    const existingTodo = await query('SELECT * FROM todos WHERE id = $1', [id]);
-    if (existingTodo.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Todo not found'
-      });
-    }
-    
-    // Validar priority si se proporciona
-    if (priority && !['low', 'medium', 'high'].includes(priority)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Priority must be low, medium, or high'
-      });
-    }
-    
-    // Construir query dinámicamente
-    const updateFields = [];
-    const updateValues = [];
-    let paramIndex = 1;
-    
-    if (title !== undefined) {
-      updateFields.push(`title = $${paramIndex++}`);
-      updateValues.push(title.trim());
-    }
-    if (description !== undefined) {
-      updateFields.push(`description = $${paramIndex++}`);
-      updateValues.push(description?.trim() || null);
-    }
-    if (completed !== undefined) {
-      updateFields.push(`completed = $${paramIndex++}`);
-      updateValues.push(Boolean(completed));
-    }
-    if (priority !== undefined) {
-      updateFields.push(`priority = $${paramIndex++}`);
-      updateValues.push(priority);
-    }
-    if (due_date !== undefined) {
-      updateFields.push(`due_date = $${paramIndex++}`);
-      updateValues.push(due_date || null);
-    }
-    
-    if (updateFields.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No fields to update'
-      });
-    }
-    
-    // Agregar updated_at
-    updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
-    updateValues.push(id);
-    
-    const updateQuery = `
-      UPDATE todos 
-      SET ${updateFields.join(', ')} 
-      WHERE id = $${paramIndex} 
-      RETURNING *
-    `;
-    
-    const result = await query(updateQuery, updateValues);
-    
-    res.json({
-      success: true,
-      message: 'Todo updated successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error updating todo:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating todo',
-      error: error.message
-    });
-  }
-});
-
-// DELETE /api/v1/todos/:id - Eliminar todo
-router.delete('/:id', async (req, res) => {
-  try {
-    const id = parseInt(req.params.id);
-    
-    if (isNaN(id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid todo ID'
-      });
-    }
-    
-    const result = await query('DELETE FROM todos WHERE id = $1 RETURNING *', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Todo not found'
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: 'Todo deleted successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error('Error deleting todo:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting todo',
-      error: error.message
-    });
-  }
-});
-
-// GET /api/v1/todos/stats/summary - Estadísticas
-router.get('/stats/summary', async (req, res) => {
-  try {
-    const totalResult = await query('SELECT COUNT(*) as total FROM todos');
-    const completedResult = await query('SELECT COUNT(*) as completed FROM todos WHERE completed = true');
-    const pendingResult = await query('SELECT COUNT(*) as pending FROM todos WHERE completed = false');
-    
-    const priorityResult = await query(`
-      SELECT 
-        priority,
-        COUNT(*) as count
-      FROM todos 
-      GROUP BY priority
-    `);
-    
-    const byPriority = {
-      high: 0,
-      medium: 0,
-      low: 0
-    };
-    
-    priorityResult.rows.forEach(row => {
-      byPriority[row.priority] = parseInt(row.count);
-    });
-    
-    res.json({
-      success: true,
-      data: {
-        total: parseInt(totalResult.rows[0].total),
-        completed: parseInt(completedResult.rows[0].completed),
-        pending: parseInt(pendingResult.rows[0].pending),
-        byPriority
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching statistics',
-      error: error.message
-    });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+// Completar un todo bloqueado con "completed": true también requiere ?force=true
+router.put(
+  '/:id',
+  validate(idParamSchema, 'params'),
+  validate(completeTodoSchema, 'query'),
+  validate(updateTodoSchema),
+  TodoController.updateTodo
+);
+
+// PATCH /api/v1/todos/:id/complete - Marcar como completado
+// Los todos bloqueados por dependencias pendientes solo se completan con ?force=true
+router.patch(
+  '/:id/complete',
+  validate(idParamSchema, 'params'),
+  validate(completeTodoSchema, 'query'),
+  TodoController.completeTodo
+);
+
+// PATCH /api/v1/todos/:id/uncomplete - Marcar como pendiente
+router.patch('/:id/uncomplete', validate(idParamSchema, 'params'), TodoController.uncompleteTodo);
+
+// PATCH /api/v1/todos/:id/move - Mover a otro estado del flujo del proyecto y/o de posición en la columna
+router.patch(
+  '/:id/move',
+  validate(idParamSchema, 'params'),
+  validate(completeTodoSchema, 'query'),
+  validate(moveTodoSchema),
+  TodoController.moveTodo
+);
+
+// PATCH /api/v1/todos/:id/reorder - Colocar el todo entre otros dos en el orden manual (sort=position)
+router.patch(
+  '/:id/reorder',
+  validate(idParamSchema, 'params'),
+  validate(reorderTodoSchema),
+  TodoController.reorderTodo
+);
+
+// POST /api/v1/todos/:id/restore - Recuperar de la papelera
+router.post('/:id/restore', validate(idParamSchema, 'params'), TodoController.restoreTodo);
+
+// GET /api/v1/todos/:id/history - Historial de cambios del todo
+router.get('/:id/history', validate(idParamSchema, 'params'), TodoController.getTodoHistory);
+
+// GET /api/v1/todos/:id/revisions - Revisiones del todo (una por versión)
+router.get('/:id/revisions', validate(idParamSchema, 'params'), TodoController.getTodoRevisions);
+
+// GET /api/v1/todos/:id/revisions/:revision/diff - Comparar dos revisiones campo por campo
+router.get(
+  '/:id/revisions/:revision/diff',
+  validate(revisionParamsSchema, 'params'),
+  validate(revisionDiffSchema, 'query'),
+  TodoController.getRevisionDiff
+);
+
+// POST /api/v1/todos/:id/revert/:revision - Volver a una revisión anterior
+// Volver a una revisión completada de un todo bloqueado también requiere ?force=true
+router.post(
+  '/:id/revert/:revision',
+  validate(revisionParamsSchema, 'params'),
+  validate(completeTodoSchema, 'query'),
+  TodoController.revertTodo
+);
+
+// POST /api/v1/todos/:id/subtasks - Crear subtarea
+router.post(
+  '/:id/subtasks',
+  validate(idParamSchema, 'params'),
+  validate(createTodoSchema),
+  TodoController.createSubtask
+);
+
+// PUT /api/v1/todos/:id/subtasks/order - Reordenar subtareas
+router.put(
+  '/:id/subtasks/order',
+  validate(idParamSchema, 'params'),
+  validate(reorderSubtasksSchema),
+  TodoController.reorderSubtasks
+);
+
+// GET /api/v1/todos/:id/tree - Obtener el todo con todas sus subtareas
+router.get('/:id/tree', validate(idParamSchema, 'params'), TodoController.getTodoTree);
+
+// POST /api/v1/todos/:id/dependencies - Añadir dependencia (rechaza ciclos)
+router.post(
+  '/:id/dependencies',
+  validate(idParamSchema, 'params'),
+  validate(addDependencySchema),
+  TodoController.addDependency
+);
+
+// DELETE /api/v1/todos/:id/dependencies/:dependsOnId - Quitar dependencia
+router.delete(
+  '/:id/dependencies/:dependsOnId',
+  validate(dependencyParamsSchema, 'params'),
+  TodoController.removeDependency
+);
+
+// GET /api/v1/todos/:id/dependency-graph - Grafo transitivo de dependencias
+router.get('/:id/dependency-graph', validate(idParamSchema, 'params'), TodoController.getDependencyGraph);
+
+// POST /api/v1/todos/:id/tags - Añadir etiqueta al todo
+router.post(
+  '/:id/tags',
+  validate(idParamSchema, 'params'),
+  validate(attachTagSchema),
+  TodoController.attachTag
+);
+
+// DELETE /api/v1/todos/:id/tags/:tagId - Quitar etiqueta del todo
+router.delete('/:id/tags/:tagId', validate(todoTagParamsSchema, 'params'), TodoController.detachTag);
+
+// GET /api/v1/todos/:id/comments - Listar comentarios del todo (paginados, más antiguos primero)
+router.get(
+  '/:id/comments',
+  validate(idParamSchema, 'params'),
+  validate(listCommentsSchema, 'query'),
+  CommentController.getComments
+);
+
+// POST /api/v1/todos/:id/comments - Comentar (requiere usuario)
+router.post(
+  '/:id/comments',
+  requireUser,
+  validate(idParamSchema, 'params'),
+  validate(commentSchema),
+  CommentController.createComment
+);
+
+// PUT /api/v1/todos/:id/comments/:commentId - Editar comentario (solo el autor o un admin)
+router.put(
+  '/:id/comments/:commentId',
+  requireUser,
+  validate(commentParamsSchema, 'params'),
+  validate(commentSchema),
+  CommentController.updateComment
+);
+
+// DELETE /api/v1/todos/:id/comments/:commentId - Borrar comentario (solo el autor o un admin)
+router.delete(
+  '/:id/comments/:commentId',
+  requireUser,
+  validate(commentParamsSchema, 'params'),
+  CommentController.deleteComment
+);
+
+// GET /api/v1/todos/:id/attachments - Listar adjuntos del todo
+router.get('/:id/attachments', validate(idParamSchema, 'params'), AttachmentController.getAttachments);
+
+// POST /api/v1/todos/:id/attachments - Subir adjunto (multipart/form-data, campo "file")
+// Tamaño y tipos MIME limitados (ATTACHMENT_MAX_BYTES, ATTACHMENT_MIME_TYPES)
+router.post('/:id/attachments', validate(idParamSchema, 'params'), AttachmentController.uploadAttachment);
+
+// GET /api/v1/todos/:id/attachments/:attachmentId - Descargar adjunto
+router.get(
+  '/:id/attachments/:attachmentId',
+  validate(attachmentParamsSchema, 'params'),
+  AttachmentController.downloadAttachment
+);
+
+// DELETE /api/v1/todos/:id/attachments/:attachmentId - Borrar adjunto
+router.delete(
+  '/:id/attachments/:attachmentId',
+  validate(attachmentParamsSchema, 'params'),
+  AttachmentController.deleteAttachment
+);
+
+// DELETE /api/v1/todos/:id - Mover todo a la papelera
+router.delete('/:id', validate(idParamSchema, 'params'), TodoController.deleteTodo);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const formidable = require('formidable');
+
+// Multipart field that carries the file
+const FILE_FIELD = 'file';
+
+const DEFAULT_MIME_TYPES = 'image/png,image/jpeg,image/gif,image/webp,application/pdf';
+
+// Largest attachment accepted, in bytes (ATTACHMENT_MAX_BYTES, default 10 MB)
+const maxAttachmentBytes = () => parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// MIME types accepted (ATTACHMENT_MIME_TYPES, comma-separated). The check trusts the type
+// the client declares; the contents are not inspected, which is why downloads are sent
+// as attachments rather than rendered inline.
+const allowedMimeTypes = () => (process.env.ATTACHMENT_MIME_TYPES || DEFAULT_MIME_TYPES)
+  .split(',')
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
+
+// Thrown when an upload is refused; nothing was stored
+class AttachmentError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Name to show and download the file under: no directories or control characters
+function cleanFilename(name) {
+  const base = [...path.basename(String(name || ''))]
+    .filter((char) => char >= ' ' && char !== '\x7f')
+    .join('')
+    .trim();
+  return base.slice(0, 255) || 'attachment';
+}
+
+// Parse the multipart body of `req` into a temporary file, enforcing the size and
+// MIME limits. Resolves to the formidable file ({ filepath, originalFilename, mimetype, size });
+// a refused upload leaves no temporary file behind.
+function receiveFile(req) {
+  // Other bodies were already consumed by the JSON parser; formidable would wait forever
+  if (!req.is('multipart/form-data')) {
+    return Promise.reject(new AttachmentError(400, 'Invalid upload', `Send the file as multipart/form-data in the "${FILE_FIELD}" field`));
+  }
+
+  const allowed = allowedMimeTypes();
+  let refusedType = null;
+
+  const form = formidable({
+    maxFiles: 1,
+    maxFileSize: maxAttachmentBytes(),
+    allowEmptyFiles: false,
+    filter: ({ name, mimetype }) => {
+      if (name !== FILE_FIELD) {
+        return false;
+      }
+      if (!allowed.includes(String(mimetype).toLowerCase())) {
+        refusedType = mimetype;
+        return false;
+      }
+      return true;
+    }
+  });
+
+  // Temporary files formidable started writing, including ones cut off by an error
+  const received = [];
+  form.on('fileBegin', (_name, file) => received.push(file.filepath));
+
+  return new Promise((resolve, reject) => {
+    const refuse = async (error) => {
+      await Promise.all(received.map((filepath) => fs.promises.rm(filepath, { force: true })));
+      reject(error);
+    };
+
+    form.parse(req, (error, _fields, files) => {
+      if (error) {
+        return refuse(error.httpCode === 413
+          ? new AttachmentError(413, 'File too large', `Attachments can be at most ${maxAttachmentBytes()} bytes`)
+          : new AttachmentError(400, 'Invalid upload', error.message));
+      }
+
+      const file = Array.isArray(files[FILE_FIELD]) ? files[FILE_FIELD][0] : files[FILE_FIELD];
+
+      if (file) {
+        return resolve(file);
+      }
+      if (refusedType !== null) {
+        return refuse(new AttachmentError(415, 'Unsupported file type', `Files of type ${refusedType} can't be attached; allowed types: ${allowed.join(', ')}`));
+      }
+      refuse(new AttachmentError(400, 'Invalid upload', `Send the file as multipart/form-data in the "${FILE_FIELD}" field`));
+    });
+  });
+}
+
+// Store the file uploaded in `req` (multipart/form-data, field "file") as an attachment
+// of `todo`. The contents go to `storage` under a generated key, then the metadata to
+// `attachments`; a failure on the way leaves neither behind.
+// Throws an AttachmentError for missing, oversized or refused files.
+async function uploadAttachment({ attachments, storage }, todo, req, uploaderId) {
+  const file = await receiveFile(req);
+  const storageKey = `${todo.id}/${crypto.randomUUID()}`;
+
+  try {
+    await storage.put(storageKey, fs.createReadStream(file.filepath));
+  } finally {
+    await fs.promises.rm(file.filepath, { force: true });
+  }
+
+  try {
+    return await attachments.create({
+      todoId: todo.id,
+      uploaderId,
+      filename: cleanFilename(file.originalFilename),
+      mimeType: file.mimetype,
+      size: file.size,
+      storageKey
+    });
+  } catch (error) {
+    await storage.delete(storageKey);
+    throw error;
+  }
+}
+
+// Delete an attachment: its metadata, then its contents
+async function deleteAttachment({ attachments, storage }, attachment) {
+  const deleted = await attachments.delete(attachment.id);
+
+  if (deleted) {
+    await storage.delete(attachment.storage_key);
+  }
+  return deleted;
+}
+
+// Remove the attachments of purged todos (see AttachmentRepository): contents first, so
+// an attachment whose contents can't be deleted is tried again on the next run. Such a
+// failure is logged and the others are still removed.
+// Returns the number of attachments removed.
+async function removeOrphanedAttachments({ attachments, storage, batchSize = 100 }) {
+  let removed = 0;
+  let afterId = 0;
+  let batch;
+
+  do {
+    batch = await attachments.listOrphans(batchSize, afterId);
+    for (const attachment of batch) {
+      try {
+        await storage.delete(attachment.storage_key);
+        await attachments.delete(attachment.id);
+        removed++;
+      } catch (error) {
+        console.error(`Error removing orphaned attachment ${attachment.id}:`, error.message);
+      }
+      afterId = attachment.id;
+    }
+  } while (batch.length === batchSize);
+
+  return removed;
+}
+
+module.exports = {
+  AttachmentError,
+  maxAttachmentBytes,
+  allowedMimeTypes,
+  uploadAttachment,
+  deleteAttachment,
+  removeOrphanedAttachments
+};
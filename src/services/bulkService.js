@@ -0,0 +1,152 @@
+const { checkProject } = require('./projectService');
+const { completeWith } = require('./completionService');
+
+// Most todos one bulk request may touch, whether listed by id or matched by a filter
+const BULK_LIMIT = 500;
+
+// Thrown when the request as a whole can't be run; nothing was changed
+class BulkRequestError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'BulkRequestError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// An item failed in atomic mode, so the whole batch was rolled back
+class BulkAbortedError extends Error {
+  constructor(failure) {
+    super(`Item ${failure.index} failed: ${failure.error}`);
+    this.name = 'BulkAbortedError';
+    this.failure = failure;
+  }
+}
+
+const notFound = (id) => new Error(`Todo with ID ${id} does not exist`);
+
+// Complete one target through completeWith() (completionService), like PATCH /complete,
+// applying `changes` along with it. A blocked todo fails unless `force` is set.
+async function completeTarget(repositories, target, changes, force, { scope, ownerId, actorId, now }) {
+  const { todo, blockedBy } = await completeWith(repositories, target, { scope, ownerId, actorId, now, force, changes });
+  if (!todo && blockedBy.length > 0) {
+    throw new Error(`Todo with ID ${target} is blocked by unfinished todos ${blockedBy.join(', ')}; use force to complete it anyway`);
+  }
+  if (!todo) throw notFound(target);
+  return todo;
+}
+
+// Apply `action` to one target (a todo id, or the new todo's data for 'create').
+// Resolves to the resulting todo, or to { id } when there is none to return.
+async function applyAction(repositories, request, target, context) {
+  const { todos, tags } = repositories;
+  const { scope, ownerId, actorId } = context;
+
+  switch (request.action) {
+  case 'create':
+    return todos.create(target, { ownerId, actorId });
+  case 'complete':
+    return completeTarget(repositories, target, {}, request.force, context);
+  case 'update':
+  case 'move': {
+    if (request.action === 'update' && request.data.completed === true) {
+      const { completed: _completed, ...changes } = request.data;
+      return completeTarget(repositories, target, changes, request.force, context);
+    }
+
+    const changes = request.action === 'update' ? request.data : { projectId: request.projectId };
+    const todo = await todos.update(target, changes, { ...scope, actorId });
+    if (!todo) throw notFound(target);
+    return todo;
+  }
+  case 'delete':
+    if (!await todos.delete(target, { ...scope, actorId })) throw notFound(target);
+    return { id: target };
+  case 'tag':
+  case 'untag': {
+    const todo = await todos.getById(target, scope);
+    if (!todo) throw notFound(target);
+    if (request.action === 'tag') {
+      await tags.attach(todo.id, request.tagId);
+    } else {
+      await tags.detach(todo.id, request.tagId);
+    }
+    return { id: todo.id };
+  }
+  default:
+    throw new Error(`Unknown bulk action ${request.action}`);
+  }
+}
+
+// Todo ids (or new todo data) the request applies to
+async function resolveTargets({ todos }, request, scope) {
+  if (request.action === 'create') {
+    return request.items;
+  }
+  if (request.ids) {
+    return request.ids;
+  }
+
+  const matches = await todos.getAll({ ...request.filters, ...scope, limit: BULK_LIMIT + 1 });
+  if (matches.length > BULK_LIMIT) {
+    throw new BulkRequestError(400, 'Too many todos', `The filter matches more than ${BULK_LIMIT} todos; narrow it down`);
+  }
+  return matches.map((todo) => todo.id);
+}
+
+// Projects the request puts todos in
+const requestedProjects = (request) => {
+  const projectIds = [request.projectId];
+  if (request.data) projectIds.push(request.data.projectId);
+  (request.items || []).forEach((item) => projectIds.push(item.projectId));
+  return [...new Set(projectIds.filter((projectId) => projectId !== undefined && projectId !== null))];
+};
+
+// Run one bulk request in a single transaction (see app.locals.transaction).
+//   request: { action, mode, items | ids | filters, data, tagId, projectId, force }
+//   context: { scope, ownerId, actorId, now } - visibility scope, owner of created todos
+//   (and of next occurrences), audit actor, current time
+// Completing, with 'complete' or `completed: true` in 'update', goes through completeWith()
+// like PATCH /complete: recurring todos get their next occurrence.
+// mode 'atomic' rolls everything back on the first failing item (BulkAbortedError);
+// mode 'partial' runs each item in a savepoint and reports failures per item.
+// Every project the request puts todos in is checked first (ProjectError, see projectService).
+// Resolves to [{ index, id, status: 'ok', data } | { index, id, status: 'error', error }].
+async function runBulk(transaction, request, context) {
+  return transaction(async (repositories) => {
+    if ((request.action === 'tag' || request.action === 'untag') && !await repositories.tags.getById(request.tagId)) {
+      throw new BulkRequestError(404, 'Tag not found', `Tag with ID ${request.tagId} does not exist`);
+    }
+    for (const projectId of requestedProjects(request)) {
+      await checkProject(repositories.projects, projectId, context.scope);
+    }
+
+    const targets = await resolveTargets(repositories, request, context.scope);
+    const results = [];
+
+    for (const [index, target] of targets.entries()) {
+      const id = request.action === 'create' ? null : target;
+      const apply = () => applyAction(repositories, request, target, context);
+
+      try {
+        const data = request.mode === 'partial' ? await repositories.savepoint(apply) : await apply();
+        results.push({ index, id: data.id, status: 'ok', data });
+      } catch (error) {
+        const failure = { index, id, status: 'error', error: error.message };
+        if (request.mode !== 'partial') {
+          throw new BulkAbortedError(failure);
+        }
+        results.push(failure);
+      }
+    }
+
+    return results;
+  });
+}
+
+module.exports = {
+  BULK_LIMIT,
+  BulkRequestError,
+  BulkAbortedError,
+  runBulk
+};
@@ -0,0 +1,96 @@
+const { createNextOccurrence } = require('./recurrenceService');
+
+// Complete every live subtask below `todo` that isn't completed yet
+async function completeSubtasks(todos, todo, { scope, actorId }) {
+  const completed = [];
+
+  for (const subtask of await todos.getDescendants(todo.id, scope)) {
+    if (!subtask.completed && await todos.update(subtask.id, { completed: true }, { ...scope, actorId })) {
+      completed.push(subtask.id);
+    }
+  }
+
+  return completed;
+}
+
+// Walk up from `todo`, completing each auto_complete parent whose subtasks are now all done
+// (and that isn't blocked itself)
+async function completeParents(todos, todo, { scope, actorId }) {
+  const completed = [];
+  let current = todo;
+
+  while (current.parent_id) {
+    const parent = await todos.getById(current.parent_id, scope);
+    if (!parent || parent.completed || !parent.auto_complete) {
+      break;
+    }
+
+    const { done, total } = (await todos.getSubtaskProgress([parent.id])).get(Number(parent.id));
+    const blockers = (await todos.getBlockers([parent.id])).get(Number(parent.id));
+    if (done < total || blockers.length > 0) {
+      break;
+    }
+
+    current = await todos.update(parent.id, { completed: true }, { ...scope, actorId });
+    completed.push(current.id);
+  }
+
+  return completed;
+}
+
+// Complete a todo (PATCH /todos/:id/complete), with everything that follows from it,
+// in one transaction (see app.locals.transaction):
+//   - recurring todos get their next occurrence (createNextOccurrence)
+//   - todos with complete_subtasks complete their whole subtree
+//   - parents with auto_complete are completed once all their subtasks are done, and so on up
+//   context: { scope, ownerId, actorId, now, force, changes } - scope of the update (with
+//   If-Match versions), owner of the next occurrence, audit actor, current time, whether to
+//   complete the todo even though unfinished todos block it, and other fields to update
+//   along with `completed`
+// Completing a todo that was already completed changes nothing else. Subtasks completed
+// by complete_subtasks don't check their blockers.
+// Resolves to { todo, blockedBy, next, subtasks, parents }: blockedBy the ids of the
+// unfinished blockers (when there are some and not `force`, nothing is completed and todo
+// is null), todo null as well when it was not found, next the new occurrence or null,
+// subtasks and parents the ids completed along with it.
+async function completeTodo(transaction, id, context) {
+  return transaction((repositories) => completeWith(repositories, id, context));
+}
+
+// completeTodo() on the repositories of a transaction that is already open
+async function completeWith(repositories, id, context) {
+  const { scope, actorId, force = false, changes = {} } = context;
+  const { todos } = repositories;
+  const before = await todos.getById(id, scope);
+  const blockedBy = before && !before.completed ? (await todos.getBlockers([before.id])).get(Number(before.id)) : [];
+
+  if (blockedBy.length > 0 && !force) {
+    return { todo: null, blockedBy, next: null, subtasks: [], parents: [] };
+  }
+
+  const todo = await todos.update(id, { ...changes, completed: true }, { ...scope, actorId });
+  const result = { todo, blockedBy, next: null, subtasks: [], parents: [] };
+
+  if (!todo || !before || before.completed) {
+    return result;
+  }
+
+  // The rest applies to the todos whatever their version
+  const { versions: _versions, ...unconditional } = scope;
+  const options = { scope: unconditional, actorId };
+
+  if (todo.recurrence) {
+    result.next = await createNextOccurrence(repositories, todo, context);
+  }
+  if (todo.complete_subtasks) {
+    result.subtasks = await completeSubtasks(todos, todo, options);
+  }
+  result.parents = await completeParents(todos, todo, options);
+
+  return result;
+}
+
+module.exports = {
+  completeTodo,
+  completeWith
+};
@@ -0,0 +1,21 @@
+const { systemClock } = require('../utils/clock');
+
+// Stored responses are replayed for this long (IDEMPOTENCY_KEY_TTL_HOURS, default 24)
+const idempotencyTtlMs = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Delete expired idempotency keys every `intervalMs` (default 1 hour).
+// Expired keys are already ignored on lookup; this only keeps the table small.
+// The timer is unref'd so it never keeps the process alive on its own.
+function scheduleIdempotencyPurge({ idempotencyKeys, clock = systemClock, intervalMs = 60 * 60 * 1000 }) {
+  const run = () => idempotencyKeys.purgeExpired(clock.now())
+    .catch((error) => console.error('❌ Idempotency key purge failed:', error.message));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  idempotencyTtlMs,
+  scheduleIdempotencyPurge
+};
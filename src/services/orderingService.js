@@ -0,0 +1,56 @@
+const { rankBetween } = require('../utils/rank');
+
+// Thrown when a todo can't be placed where requested; nothing was changed
+class OrderingError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'OrderingError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Neighbour of the todo being placed, visible within `scope`
+async function neighbour(todos, id, scope) {
+  const todo = await todos.getById(id, scope);
+
+  if (!todo) {
+    throw new OrderingError(404, 'Todo not found', `Todo with ID ${id} does not exist`);
+  }
+
+  return todo;
+}
+
+// Place todo `id` in the manual order (PATCH /todos/:id/reorder): right after todo
+// `after` and/or right before todo `before`. With only one of them, the todo goes
+// between it and the todo next to it on the other side. Only the placed todo changes.
+// Throws an OrderingError for neighbours that are the todo itself, don't exist, or come
+// in the wrong order. Resolves to the updated todo, or null when it was not found or
+// failed `scope.versions`.
+async function reorderTodo(todos, id, { after, before }, scope) {
+  if ([after, before].includes(Number(id))) {
+    throw new OrderingError(400, 'Invalid reorder', `Todo with ID ${id} can't be placed next to itself`);
+  }
+
+  const { versions: _versions, actorId: _actorId, ...visible } = scope;
+  const lowerTodo = after ? await neighbour(todos, after, visible) : null;
+  const upperTodo = before ? await neighbour(todos, before, visible) : null;
+
+  const lower = lowerTodo
+    ? lowerTodo.position
+    : await todos.getAdjacentPosition(upperTodo.position, 'prev', visible);
+  const upper = upperTodo
+    ? upperTodo.position
+    : await todos.getAdjacentPosition(lowerTodo.position, 'next', visible);
+
+  if (lower !== null && upper !== null && lower >= upper) {
+    throw new OrderingError(409, 'Invalid reorder', `Todo ${after} doesn't come before todo ${before}; reload the list and try again`);
+  }
+
+  return todos.update(id, { position: rankBetween(lower, upper) }, scope);
+}
+
+module.exports = {
+  OrderingError,
+  reorderTodo
+};
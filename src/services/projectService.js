@@ -0,0 +1,34 @@
+// Thrown when todos can't be put in the requested project; nothing was changed
+class ProjectError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'ProjectError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Check that todos may be put in project `projectId` by a request with visibility
+// `scope`: it has to be one of the scope's projects and not archived.
+// null / undefined (no project) always pass. Resolves to the project, or null.
+async function checkProject(projects, projectId, scope) {
+  if (projectId === null || projectId === undefined) {
+    return null;
+  }
+
+  const project = await projects.getById(projectId, scope);
+
+  if (!project) {
+    throw new ProjectError(404, 'Project not found', `Project with ID ${projectId} does not exist`);
+  }
+  if (project.archived) {
+    throw new ProjectError(409, 'Project is archived', `Project "${project.name}" is archived; unarchive it to add todos`);
+  }
+
+  return project;
+}
+
+module.exports = {
+  ProjectError,
+  checkProject
+};
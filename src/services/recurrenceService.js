@@ -0,0 +1,37 @@
+const { nextOccurrence } = require('../utils/recurrence');
+
+// Create the occurrence that follows `todo` in its series, or resolve to null when the
+// series is over. Called by completeTodo() (completionService) with the repositories of
+// its transaction.
+//   context: { ownerId, actorId, now } - owner of the new todo, audit actor, and the time
+//   used as due date base when the todo has none
+// The next occurrence copies the title, description, priority, rule, project and tags, and is due
+// on the rule's next date after the completed todo's due date.
+async function createNextOccurrence({ todos, tags }, todo, { ownerId, actorId, now }) {
+  const dueDate = nextOccurrence(todo.recurrence, todo.due_date || now, todo.occurrence);
+  if (!dueDate) {
+    return null;
+  }
+
+  const next = await todos.create({
+    title: todo.title,
+    description: todo.description,
+    priority: todo.priority,
+    dueDate,
+    recurrence: todo.recurrence,
+    seriesId: todo.series_id,
+    occurrence: todo.occurrence + 1,
+    projectId: todo.project_id
+  }, { ownerId, actorId });
+
+  const tagsByTodo = await tags.listForTodos([todo.id]);
+  for (const tag of tagsByTodo.get(Number(todo.id)) || []) {
+    await tags.attach(next.id, tag.id);
+  }
+
+  return next;
+}
+
+module.exports = {
+  createNextOccurrence
+};
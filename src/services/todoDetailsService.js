@@ -0,0 +1,36 @@
+const { todoEtag } = require('../utils/etag');
+const { workflowOf, stateOf } = require('../utils/workflow');
+
+// Embed each todo's tags (they are stored apart from the todos, TagRepository), the
+// progress of its subtasks, its unfinished blockers, its state in the workflow of its
+// project, its number of comments and its ETag (taken over all of these), so list items
+// can be used for If-Match without fetching each todo
+async function todoDetails({ todos, tags, projects, comments }, rows) {
+  const ids = rows.map((todo) => todo.id);
+  const projectIds = [...new Set(rows.map((todo) => todo.project_id).filter(Boolean))];
+  const [tagsByTodo, progress, blockers, projectRows, commentCounts] = await Promise.all([
+    tags.listForTodos(ids),
+    todos.getSubtaskProgress(ids),
+    todos.getBlockers(ids),
+    projectIds.length > 0 ? projects.getByIds(projectIds) : [],
+    comments.countForTodos(ids)
+  ]);
+  const projectsById = new Map(projectRows.map((project) => [project.id, project]));
+
+  return rows.map((todo) => {
+    const detailed = {
+      ...todo,
+      state: stateOf(workflowOf(projectsById.get(todo.project_id)), todo),
+      tags: tagsByTodo.get(Number(todo.id)) || [],
+      progress: progress.get(Number(todo.id)),
+      blocked: blockers.get(Number(todo.id)).length > 0,
+      blocked_by: blockers.get(Number(todo.id)),
+      comment_count: commentCounts.get(Number(todo.id))
+    };
+    return { ...detailed, etag: todoEtag(detailed) };
+  });
+}
+
+module.exports = {
+  todoDetails
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { generateToken } = require('../middleware/auth');
+const { generateOpaqueToken, hashToken } = require('../utils/token');
+const { systemClock } = require('../utils/clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised for any refresh token that can't be used; the controller answers 401
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+// Issues short-lived JWT access tokens plus opaque refresh tokens.
+// Every refresh rotates the refresh token; presenting one that was already rotated
+// means it leaked, so the whole family (that login's session) is revoked.
+class TokenService {
+  constructor({ refreshTokens, users, clock = systemClock }) {
+    this.refreshTokens = refreshTokens;
+    this.users = users;
+    this.clock = clock;
+  }
+
+  refreshTokenTtlMs() {
+    return (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+  }
+
+  // The JWT carries isAdmin so adminAuth can authorize without a database lookup
+  createAccessToken(user) {
+    return generateToken(user.id, user.email, null, {
+      username: user.username,
+      isAdmin: user.role === 'admin'
+    });
+  }
+
+  // Start a new session (login/register) or continue one (rotation)
+  async issue(user, familyId = crypto.randomUUID()) {
+    const refreshToken = generateOpaqueToken();
+
+    await this.refreshTokens.create({
+      userId: user.id,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(this.clock.now().getTime() + this.refreshTokenTtlMs())
+    });
+
+    return {
+      token: this.createAccessToken(user),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new access/refresh pair
+  async rotate(refreshToken) {
+    const now = this.clock.now();
+    const stored = await this.refreshTokens.findByHash(hashToken(refreshToken));
+
+    if (!stored) {
+      throw new TokenError('Invalid refresh token');
+    }
+
+    // consume() fails when the token was already rotated or revoked: reuse
+    if (stored.revoked_at || !(await this.refreshTokens.consume(stored.id, now))) {
+      await this.refreshTokens.revokeFamily(stored.family_id, now);
+      throw new TokenError('Refresh token reuse detected; session revoked');
+    }
+
+    if (new Date(stored.expires_at) <= now) {
+      throw new TokenError('Refresh token expired');
+    }
+
+    const user = await this.users.findById(stored.user_id);
+    if (!user || !user.is_active) {
+      await this.refreshTokens.revokeFamily(stored.family_id, now);
+      throw new TokenError('User no longer active');
+    }
+
+    const tokens = await this.issue(user, stored.family_id);
+    return { user, ...tokens };
+  }
+
+  // Log out one session. Unknown tokens are ignored so logout is idempotent.
+  async revoke(refreshToken) {
+    const stored = await this.refreshTokens.findByHash(hashToken(refreshToken));
+
+    if (stored) {
+      await this.refreshTokens.revokeFamily(stored.family_id, this.clock.now());
+    }
+  }
+
+  // Log out every session of a user
+  async revokeAll(userId) {
+    return this.refreshTokens.revokeAllForUser(userId, this.clock.now());
+  }
+}
+
+module.exports = {
+  TokenService,
+  TokenError
+};
@@ -0,0 +1,45 @@
+const { systemClock } = require('../utils/clock');
+const { removeOrphanedAttachments } = require('./attachmentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trashed todos are kept this long before purgeTrash() deletes them for good
+const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Permanently delete todos that have been in the trash longer than the retention period,
+// then the attachments they leave (when given `attachments` and their `storage`).
+// Returns the number of purged todos.
+async function purgeTrash({ todos, attachments, storage, clock = systemClock, retentionDays = trashRetentionDays() }) {
+  const cutoff = new Date(clock.now().getTime() - retentionDays * DAY_MS);
+  const purged = await todos.purge(cutoff);
+
+  if (attachments && storage) {
+    await removeOrphanedAttachments({ attachments, storage });
+  }
+  return purged;
+}
+
+// Run purgeTrash() now and then every `intervalMs` (TRASH_PURGE_INTERVAL_MS, default 1 hour).
+// The timer is unref'd so it never keeps the process alive on its own.
+function scheduleTrashPurge({ todos, attachments, storage, clock = systemClock, intervalMs } = {}) {
+  const interval = intervalMs || parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const run = () => purgeTrash({ todos, attachments, storage, clock })
+    .then((purged) => {
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} todos from the trash`);
+      }
+    })
+    .catch((error) => console.error('❌ Trash purge failed:', error.message));
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  purgeTrash,
+  scheduleTrashPurge,
+  trashRetentionDays
+};
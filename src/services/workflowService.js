@@ -0,0 +1,161 @@
+const { completeWith } = require('./completionService');
+const { arrivalPosition, rankBetween } = require('../utils/rank');
+const {
+  workflowOf,
+  findState,
+  stateOf,
+  allowedMoves,
+  canMove,
+  stateFilters
+} = require('../utils/workflow');
+
+// Thrown when a todo can't move to the requested state; nothing was changed.
+// `details` is added to the error response (the allowed states, for instance).
+class WorkflowError extends Error {
+  constructor(status, error, message, details = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+// Order of a kanban column: by state_position, a rank (src/utils/rank.js) that puts the
+// todos that just arrived last, then oldest first
+const COLUMN_ORDER = [
+  { field: 'state_position', direction: 'asc' },
+  { field: 'created_at', direction: 'asc' }
+];
+const REVERSE_COLUMN_ORDER = COLUMN_ORDER.map(({ field }) => ({ field, direction: 'desc' }));
+
+// Repository filters for the todos of project `projectId` (null: no project) that are
+// in state `key` of its workflow
+const columnFilters = (workflow, key, projectId, scope) => ({
+  ...stateFilters(workflow, key),
+  projectId,
+  ownerId: scope.ownerId
+});
+
+// Rank that puts `todo` at 1-based `position` of the column selected by `filters` (null:
+// at the end) at time `now`. Only the todos around that spot are read; the rest of the
+// column keeps its ranks, and so does the todo when it is already there.
+async function columnPosition(todos, filters, todo, position, now) {
+  const rows = position
+    ? await todos.getAll({ ...filters, sort: COLUMN_ORDER, limit: position + 1 })
+    : (await todos.getAll({ ...filters, sort: REVERSE_COLUMN_ORDER, limit: 2 })).reverse();
+  const others = rows.filter((other) => other.id !== todo.id);
+  const index = position ? Math.min(position - 1, others.length) : others.length;
+  const lower = index > 0 ? others[index - 1].state_position : null;
+  const upper = index < others.length ? others[index].state_position : null;
+  const current = todo.state_position;
+
+  if (current !== null && (lower === null || current > lower) && (upper === null || current < upper)) {
+    return current;
+  }
+  if (upper === null) {
+    // The arrival rank, or one below the todos arriving from the next millisecond on, so
+    // that the todos arriving later still go after this one
+    const arrival = arrivalPosition(now, todo.id);
+    const later = arrivalPosition(new Date(now).getTime() + 1, 0);
+    if (lower === null || arrival > lower) {
+      return arrival;
+    }
+    return rankBetween(lower, lower < later ? later : null);
+  }
+  return rankBetween(lower, upper);
+}
+
+// Move a todo to another state of its project's workflow, and/or to another position
+// in its column (PATCH /todos/:id/move), in one transaction:
+//   context: { state, position, scope, ownerId, actorId, now, force } - target state key,
+//   1-based position in the target column (default: last, or where it is when the todo
+//   stays in its state), and the completeTodo() context
+// Only the moved todo changes: it takes a rank between its new neighbours.
+// Moving to the terminal state completes the todo through completeTodo() (recurrence,
+// subtasks, parents, blockers); moving out of it reopens it.
+// Throws a WorkflowError for unknown states and moves the workflow doesn't allow.
+// Resolves to { todo, from, to } plus the completeTodo() result when the todo was
+// completed; todo is null when it was not found, failed `versions`, or is blocked.
+async function moveTodo(transaction, id, context) {
+  const { state, position, scope, actorId } = context;
+
+  return transaction(async (repositories) => {
+    const { todos, projects } = repositories;
+    const before = await todos.getById(id, scope);
+
+    if (!before || (scope.versions && !scope.versions.includes(before.version))) {
+      return { todo: null, blockedBy: [] };
+    }
+
+    const project = before.project_id ? await projects.getById(before.project_id) : null;
+    const workflow = workflowOf(project);
+    const target = findState(workflow, state);
+    const from = stateOf(workflow, before);
+
+    if (!target) {
+      throw new WorkflowError(400, 'Unknown state', `The workflow has no state "${state}"`, {
+        states: workflow.states.map((candidate) => candidate.key)
+      });
+    }
+    if (!canMove(workflow, from, target.key)) {
+      throw new WorkflowError(409, 'Transition not allowed', `Todo with ID ${id} can't move from "${from}" to "${target.key}"`, {
+        allowed: allowedMoves(workflow, from)
+      });
+    }
+
+    // Where the todo goes in the target column
+    const { versions: _versions, ...unconditional } = scope;
+    const filters = columnFilters(workflow, target.key, before.project_id, unconditional);
+    const statePosition = position || target.key !== from
+      ? await columnPosition(todos, filters, before, position, context.now)
+      : before.state_position;
+
+    // The todo takes its new position along with its new state, so a move is one version
+    const changes = { statePosition };
+    const result = { todo: before, from, to: target.key, blockedBy: [], next: null, subtasks: [], parents: [] };
+
+    if (target.terminal && !before.completed) {
+      Object.assign(result, await completeWith(repositories, id, { ...context, changes }));
+    } else if (target.key !== from) {
+      result.todo = await todos.update(id, { ...changes, completed: false, state: target.key }, { ...scope, actorId });
+    } else if (statePosition !== before.state_position) {
+      result.todo = await todos.update(id, changes, { ...scope, actorId });
+    }
+
+    return result;
+  });
+}
+
+// Columns of a project's board: each state of its workflow with the number of todos in
+// it and the first `limit` of them, in column order
+async function getBoard(todos, project, { scope, limit }) {
+  const workflow = workflowOf(project);
+
+  return Promise.all(workflow.states.map(async (state) => {
+    const filters = columnFilters(workflow, state.key, project.id, scope);
+    const [rows, total] = await Promise.all([
+      todos.getAll({ ...filters, sort: COLUMN_ORDER, limit }),
+      todos.count(filters)
+    ]);
+
+    return { ...state, total, todos: rows };
+  }));
+}
+
+// Number of todos of a project in each state of its workflow: { <key>: count }
+async function countByState(todos, project, { scope }) {
+  const workflow = workflowOf(project);
+  const counts = await Promise.all(workflow.states.map((state) => (
+    todos.count(columnFilters(workflow, state.key, project.id, scope))
+  )));
+
+  return Object.fromEntries(workflow.states.map((state, index) => [state.key, counts[index]]));
+}
+
+module.exports = {
+  WorkflowError,
+  moveTodo,
+  getBoard,
+  countByState
+};
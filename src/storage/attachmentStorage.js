@@ -0,0 +1,23 @@
+// AttachmentStorage interface
+// Where the contents of attachments live; their metadata is in AttachmentRepository.
+// Every storage driver extends this class and implements all methods. Keys are
+// generated by the app (src/services/attachmentService.js), never taken from clients.
+//
+//   put(key, stream) -> resolves once the whole stream is stored under `key`
+//   get(key)         -> Readable stream of the contents, or null when there is none
+//   delete(key)      -> removes the contents (no-op when there is none)
+class AttachmentStorage {
+  async put(_key, _stream) {
+    throw new Error(`${this.constructor.name}.put() is not implemented`);
+  }
+
+  async get(_key) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+
+  async delete(_key) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+}
+
+module.exports = AttachmentStorage;
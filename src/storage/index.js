@@ -0,0 +1,18 @@
+const LocalDiskStorage = require('./localDiskStorage');
+
+// Storage drivers for attachment contents, by ATTACHMENT_STORAGE name. Another backend
+// (object storage, for instance) only needs an AttachmentStorage subclass listed here.
+const DRIVERS = {
+  local: () => new LocalDiskStorage()
+};
+
+function createStorage(driver = process.env.ATTACHMENT_STORAGE || 'local') {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown attachment storage "${driver}"; expected one of ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return DRIVERS[driver]();
+}
+
+module.exports = {
+  createStorage
+};
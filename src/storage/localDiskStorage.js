@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const AttachmentStorage = require('./attachmentStorage');
+
+// Stores attachments as files under `root` (ATTACHMENTS_DIR, default ./uploads).
+// Contents are written to a temporary file and renamed into place, so a failed upload
+// never leaves a partial file under its key.
+class LocalDiskStorage extends AttachmentStorage {
+  constructor({ root = process.env.ATTACHMENTS_DIR || 'uploads' } = {}) {
+    super();
+    this.root = path.resolve(root);
+  }
+
+  // Absolute path of a key; keys can't point outside the root
+  pathOf(key) {
+    const file = path.resolve(this.root, key);
+
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, stream) {
+    const file = this.pathOf(key);
+    const partial = `${file}.partial`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(partial));
+      await fs.promises.rename(partial, file);
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const file = this.pathOf(key);
+
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      return null;
+    }
+    return fs.createReadStream(file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,29 @@
+const { Readable } = require('stream');
+const AttachmentStorage = require('./attachmentStorage');
+
+// In-memory implementation of AttachmentStorage, used by the test suites
+class MemoryStorage extends AttachmentStorage {
+  constructor() {
+    super();
+    // key -> Buffer
+    this.files = new Map();
+  }
+
+  async put(key, stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+    this.files.set(key, Buffer.concat(chunks));
+  }
+
+  async get(key) {
+    return this.files.has(key) ? Readable.from([this.files.get(key)]) : null;
+  }
+
+  async delete(key) {
+    this.files.delete(key);
+  }
+}
+
+module.exports = MemoryStorage;
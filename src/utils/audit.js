@@ -0,0 +1,34 @@
+// Plain JSON copy of a row, the way it ends up in a JSONB column (dates as ISO strings)
+const toJson = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+// Before/after values for an audit_logs entry.
+// Inserts keep the whole new row, deletes the whole old row and updates only the
+// fields that changed (updated_at and version always change, so they are left out).
+function auditDiff(action, before, after) {
+  if (action === 'INSERT') {
+    return { oldValues: null, newValues: toJson(after) };
+  }
+
+  if (action === 'DELETE') {
+    return { oldValues: toJson(before), newValues: null };
+  }
+
+  const oldRow = toJson(before);
+  const newRow = toJson(after);
+  const oldValues = {};
+  const newValues = {};
+
+  Object.keys(newRow)
+    .filter((field) => field !== 'updated_at' && field !== 'version')
+    .filter((field) => JSON.stringify(oldRow[field]) !== JSON.stringify(newRow[field]))
+    .forEach((field) => {
+      oldValues[field] = oldRow[field];
+      newValues[field] = newRow[field];
+    });
+
+  return { oldValues, newValues };
+}
+
+module.exports = {
+  auditDiff
+};
@@ -0,0 +1,8 @@
+// Default clock used by the app. Tests can inject their own with a fixed `now()`.
+const systemClock = {
+  now: () => new Date()
+};
+
+module.exports = {
+  systemClock
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Thrown for cursors that were tampered with, are malformed or belong to another query
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+const secret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+const sign = (data) => crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+
+// Short fingerprint of what a cursor was issued for (endpoint, sort, search terms,
+// filters), so a cursor can't be replayed against a different query or ordering
+const cursorContext = (...parts) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(parts))
+  .digest('base64url')
+  .slice(0, 16);
+
+// Opaque cursor: base64url(JSON payload) + '.' + HMAC-SHA256 signature.
+// The payload holds the position the page starts after (`next`) or before (`prev`),
+// as the sort-key values of the row there (see cursorKeys() in TodoRepository):
+//   { keys, direction, context }
+function encodeCursor({ keys, direction, context }) {
+  const data = Buffer.from(JSON.stringify({ keys, direction, context })).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Verify and unpack a cursor issued for `context`; throws CursorError otherwise
+function decodeCursor(cursor, context) {
+  const [data, signature, ...rest] = String(cursor).split('.');
+  const expected = data ? sign(data) : '';
+
+  if (!signature || rest.length > 0 || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new CursorError('Cursor is malformed or has been tampered with');
+  }
+
+  const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+
+  if (payload.context !== context) {
+    throw new CursorError('Cursor was issued for a different query or sort order');
+  }
+
+  return { keys: payload.keys, direction: payload.direction };
+}
+
+module.exports = {
+  CursorError,
+  cursorContext,
+  encodeCursor,
+  decodeCursor
+};
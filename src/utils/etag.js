@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// ETags of todos are their version (see TodoRepository) and a digest of the payload
+// with its details (see todoDetails), e.g. "3-9f86d081884c7d65": tags, comments,
+// blockers and subtasks change the payload without a new version.
+// If-None-Match compares the whole tag; If-Match only the version. The rank and
+// highlight of search results are left out, so they share the ETag of the todo.
+const todoEtag = (todo) => {
+  const { etag: _etag, rank: _rank, highlight: _highlight, ...payload } = todo;
+  const digest = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+  return `"${todo.version}-${digest}"`;
+};
+
+// Entity tags listed in an If-Match / If-None-Match header.
+// Returns '*' for a wildcard, otherwise [{ weak, opaque, version }] where opaque is the
+// quoted tag and version is NaN for tags that aren't one of ours. A bare version ("3")
+// is one of ours too.
+function parseEtags(header) {
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean)
+    .map((tag) => {
+      const weak = tag.startsWith('W/');
+      const opaque = weak ? tag.slice(2) : tag;
+      const ours = /^"(\d+)(-[0-9a-f]+)?"$/.exec(opaque);
+      return { weak, opaque, version: ours ? Number(ours[1]) : NaN };
+    });
+}
+
+// Versions an If-Match header allows a change on, or undefined when there is no
+// condition (header missing or '*'). Strong comparison: weak tags never match.
+function ifMatchVersions(header) {
+  if (header === undefined) {
+    return undefined;
+  }
+
+  const tags = parseEtags(header);
+  if (tags === '*') {
+    return undefined;
+  }
+
+  return tags.filter((tag) => !tag.weak && !Number.isNaN(tag.version)).map((tag) => tag.version);
+}
+
+// Whether an If-None-Match header matches `etag`, i.e. the client's copy is current.
+// Weak comparison, as for GET requests.
+function ifNoneMatch(header, etag) {
+  if (header === undefined) {
+    return false;
+  }
+
+  const tags = parseEtags(header);
+  return tags === '*' || tags.some((tag) => tag.opaque === etag);
+}
+
+module.exports = {
+  todoEtag,
+  ifMatchVersions,
+  ifNoneMatch
+};
@@ -0,0 +1,13 @@
+const bcrypt = require('bcrypt');
+
+// Cost factor for bcrypt; tests lower it through BCRYPT_ROUNDS to stay fast
+const saltRounds = () => parseInt(process.env.BCRYPT_ROUNDS) || 10;
+
+const hashPassword = (password) => bcrypt.hash(password, saltRounds());
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,98 @@
+// Collects WHERE conditions and their parameters.
+// Values only ever reach the SQL text as $n placeholders, so filters built from
+// query strings cannot inject SQL:
+//
+//   const query = new QueryBuilder();
+//   query.where((param) => `due_date <= ${param(dueBefore)}`);
+//   query.whereClause() -> 'WHERE due_date <= $1', query.params -> [dueBefore]
+class QueryBuilder {
+  constructor(params = []) {
+    this.params = params;
+    this.conditions = [];
+  }
+
+  // Add a value to the parameters and return its placeholder
+  param(value) {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  // `condition` is fixed SQL, or a function that receives param() and returns SQL
+  where(condition) {
+    const sql = typeof condition === 'function' ? condition((value) => this.param(value)) : condition;
+    this.conditions.push(sql);
+    return this;
+  }
+
+  whereClause() {
+    return this.conditions.length > 0 ? `WHERE ${this.conditions.join(' AND ')}` : '';
+  }
+}
+
+// Resolve a parsed sort ([{ field, direction }]) to sort keys ([{ expression, direction }]).
+// `columns` whitelists the sortable fields and maps them to functions that build the
+// SQL expression for a table alias; anything else is rejected instead of reaching the query.
+function sortKeys(sort, columns) {
+  return sort.map(({ field, direction }) => {
+    if (!Object.prototype.hasOwnProperty.call(columns, field)) {
+      throw new Error(`Cannot sort by ${field}`);
+    }
+    return { expression: columns[field], direction };
+  });
+}
+
+// ORDER BY for sort keys, NULLs last.
+// `reverse` flips the whole order (NULLs first), to read backwards from a cursor.
+function orderByClause(keys, { alias, reverse = false }) {
+  const terms = keys.map(({ expression, direction }) => {
+    const ascending = (direction === 'asc') !== reverse;
+    return `${expression(alias)} ${ascending ? 'ASC' : 'DESC'} NULLS ${reverse ? 'FIRST' : 'LAST'}`;
+  });
+
+  return `ORDER BY ${terms.join(', ')}`;
+}
+
+// Keyset ("seek") pagination: condition for the rows of `alias` that sort after the
+// anchor in the order of `keys` (NULLs last), or before it when `backward`.
+// `values` are the anchor's key values, as read when its cursor was issued, so the
+// position holds even if the anchor row has changed or gone since. Each one is bound
+// as a parameter; NULLs are spelled out in the SQL. The last key must be unique (the id).
+//
+//   query.where(keysetCondition(keys, ['2024-01-15T10:00:00.123456', 7], { alias: 'todos' }));
+function keysetCondition(keys, values, { alias, backward = false }) {
+  return (param) => {
+    const anchors = values.map((value) => (value === null ? null : param(value)));
+
+    const equal = ({ expression }, index) => (anchors[index] === null
+      ? `${expression(alias)} IS NULL`
+      : `${expression(alias)} = ${anchors[index]}`);
+
+    // Strictly past the anchor's value for one key, with NULLs sorting last
+    const past = ({ expression, direction }, index) => {
+      const value = expression(alias);
+      if (anchors[index] === null) {
+        return backward ? `${value} IS NOT NULL` : 'false';
+      }
+
+      const operator = (direction === 'asc') !== backward ? '>' : '<';
+      return backward
+        ? `${value} ${operator} ${anchors[index]}`
+        : `(${value} ${operator} ${anchors[index]} OR ${value} IS NULL)`;
+    };
+
+    // (k0 past) OR (k0 equal AND k1 past) OR ...
+    const alternatives = keys.map((key, index) => [
+      ...keys.slice(0, index).map(equal),
+      past(key, index)
+    ].join(' AND ')).map((terms, index) => (index > 0 ? `(${terms})` : terms));
+
+    return `(${alternatives.join(' OR ')})`;
+  };
+}
+
+module.exports = {
+  QueryBuilder,
+  sortKeys,
+  orderByClause,
+  keysetCondition
+};
@@ -0,0 +1,92 @@
+// Lexicographic ranks for the manual order of todos (todos.position) and their order in
+// kanban columns (todos.state_position).
+// A rank is a string of base-62 digits compared character by character (COLLATE "C"
+// in PostgreSQL, plain < in JavaScript), so a todo moves between two others by taking
+// a rank between theirs, without renumbering anything else. Ranks never end with the
+// smallest digit, which leaves room below every rank.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const FIRST = DIGITS[0];
+const LAST = DIGITS[DIGITS.length - 1];
+
+// Largest values that fit the fixed-width parts of defaultPosition()
+const MAX_MS = 2 ** 47 - 1;
+const MAX_ID = 2 ** 31 - 1;
+
+const hex = (value, width) => value.toString(16).padStart(width, '0');
+
+// Rank of a todo that was never moved: newest first, ties by id (the default order of
+// the lists). Same as todo_default_position() in database/init.sql.
+const defaultPosition = (createdAt, id) => `${hex(MAX_MS - new Date(createdAt).getTime(), 12)}${hex(MAX_ID - id, 8)}V`;
+
+// Rank of a todo that arrives in a kanban column at `at`: after every todo that arrived
+// before it, ties by id. Same as todo_arrival_position() in database/init.sql.
+const arrivalPosition = (at, id) => `${hex(new Date(at).getTime(), 12)}${hex(Number(id), 8)}V`;
+
+// Rank strictly between `lower` ('' for the start) and `upper` (null for the end)
+function midpoint(lower, upper) {
+  if (upper !== null) {
+    let common = 0;
+    while ((lower[common] || FIRST) === upper[common]) {
+      common++;
+    }
+    if (common > 0) {
+      return upper.slice(0, common) + midpoint(lower.slice(common), upper.slice(common));
+    }
+  }
+
+  const low = lower ? DIGITS.indexOf(lower[0]) : 0;
+  const high = upper !== null ? DIGITS.indexOf(upper[0]) : DIGITS.length;
+
+  if (high - low > 1) {
+    return DIGITS[Math.round((low + high) / 2)];
+  }
+  if (upper !== null && upper.length > 1) {
+    return upper[0];
+  }
+  return DIGITS[low] + midpoint(lower.slice(1), null);
+}
+
+// Rank after `lower`, with nothing above it: bump its first digit that can be bumped
+function rankAfter(lower) {
+  const index = [...lower].findIndex((digit) => digit !== LAST);
+
+  return index === -1
+    ? midpoint(lower, null)
+    : lower.slice(0, index) + DIGITS[DIGITS.indexOf(lower[index]) + 1];
+}
+
+// Rank before `upper`, with nothing below it: lower its first digit that can be lowered
+// without ending on the smallest digit
+function rankBefore(upper) {
+  const index = [...upper].findIndex((digit) => DIGITS.indexOf(digit) > 1);
+
+  return index === -1
+    ? midpoint('', upper)
+    : upper.slice(0, index) + DIGITS[DIGITS.indexOf(upper[index]) - 1];
+}
+
+// Rank for a todo placed between the todos ranked `lower` and `upper`; null stands for
+// the start or the end of the list. Throws unless lower < upper.
+function rankBetween(lower, upper) {
+  if (lower !== null && upper !== null && lower >= upper) {
+    throw new Error(`Can't rank between ${lower} and ${upper}`);
+  }
+
+  if (lower === null && upper === null) {
+    return DIGITS[DIGITS.length / 2];
+  }
+  if (lower === null) {
+    return rankBefore(upper);
+  }
+  if (upper === null) {
+    return rankAfter(lower);
+  }
+  return midpoint(lower, upper);
+}
+
+module.exports = {
+  defaultPosition,
+  arrivalPosition,
+  rankBetween
+};
@@ -0,0 +1,171 @@
+// Recurrence rules of recurring todos, modelled on iCalendar RRULEs:
+//   { frequency: 'daily' | 'weekly' | 'monthly', interval, byDay, until, count, timezone }
+//
+//   daily    every `interval` days
+//   weekly   every `interval` weeks (weeks start on Monday), on the `byDay` weekdays
+//            (['MO', 'WE']); without byDay on the weekday of the due date
+//   monthly  every `interval` months, on the nth weekday of `byDay` (['2TU'] is the
+//            second Tuesday, ['-1FR'] the last Friday); without byDay on the day of
+//            the month of the due date. Months without that day (a fifth Monday,
+//            the 31st) are skipped.
+//
+// `until` (YYYY-MM-DD) is the last day an occurrence may fall on and `count` the number
+// of occurrences in the series; both are optional, but a rule can't have both.
+// Days are counted in `timezone` (IANA name, default UTC), so an occurrence keeps its
+// local time of day across daylight saving changes.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on candidate days examined, so a rule that can never match gives up
+const MAX_SEARCH_DAYS = 366 * 10;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+// Wall-clock fields of an instant in a timezone
+function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds()
+  };
+}
+
+const wallClockMs = ({ year, month, day, hour, minute, second, millisecond }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+// Instant at which the clocks in `timezone` show `parts`.
+// Times skipped by a daylight saving jump move forward by the size of the jump.
+function fromZonedParts(parts, timezone) {
+  const local = wallClockMs(parts);
+  const offset = (ms) => wallClockMs(zonedParts(new Date(ms), timezone)) - ms;
+
+  const guess = local - offset(local);
+  const instant = local - offset(guess);
+  if (wallClockMs(zonedParts(new Date(instant), timezone)) === local) {
+    return new Date(instant);
+  }
+  return new Date(Math.max(guess, instant));
+}
+
+// Calendar days are handled as UTC midnights, whatever the timezone
+const calendarDay = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+const weekStart = (day) => addDays(day, -((day.getUTCDay() + 6) % 7));
+const monthIndex = (day) => day.getUTCFullYear() * 12 + day.getUTCMonth();
+
+// nth (1-5, or -1 for the last) `weekday` of a month, or null when it has none
+function nthWeekday(year, monthZeroBased, weekday, nth) {
+  if (nth > 0) {
+    const first = new Date(Date.UTC(year, monthZeroBased, 1));
+    const day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (nth - 1) * 7;
+    const date = new Date(Date.UTC(year, monthZeroBased, day));
+    return date.getUTCMonth() === monthZeroBased ? date : null;
+  }
+
+  const last = new Date(Date.UTC(year, monthZeroBased + 1, 0));
+  return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+}
+
+const parseMonthlyByDay = (entry) => {
+  const [, nth, weekday] = entry.match(/^(-1|[1-5])([A-Z]{2})$/);
+  return { nth: Number(nth), weekday: WEEKDAYS.indexOf(weekday) };
+};
+
+// Whether `day` is an occurrence day of the rule, for a series whose previous
+// occurrence fell on `from`
+function matches(rule, from, day) {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+  case 'daily':
+    return Math.round((day - from) / DAY_MS) % interval === 0;
+  case 'weekly': {
+    const weekdays = rule.byDay ? rule.byDay.map((name) => WEEKDAYS.indexOf(name)) : [from.getUTCDay()];
+    const weeks = Math.round((weekStart(day) - weekStart(from)) / (7 * DAY_MS));
+    return weeks % interval === 0 && weekdays.includes(day.getUTCDay());
+  }
+  case 'monthly': {
+    if ((monthIndex(day) - monthIndex(from)) % interval !== 0) {
+      return false;
+    }
+    if (!rule.byDay) {
+      return day.getUTCDate() === from.getUTCDate();
+    }
+    const { nth, weekday } = parseMonthlyByDay(rule.byDay[0]);
+    const target = nthWeekday(day.getUTCFullYear(), day.getUTCMonth(), weekday, nth);
+    return Boolean(target) && target.getTime() === day.getTime();
+  }
+  default:
+    throw new Error(`Unknown recurrence frequency ${rule.frequency}`);
+  }
+}
+
+// Due date of the occurrence after the one due at `dueDate`, number `occurrence` in its
+// series, or null when the series is over (`count` reached, past `until`).
+function nextOccurrence(rule, dueDate, occurrence = 1) {
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const timezone = rule.timezone || 'UTC';
+  const parts = zonedParts(new Date(dueDate), timezone);
+  const from = calendarDay(parts.year, parts.month, parts.day);
+  const until = rule.until ? new Date(`${rule.until}T00:00:00.000Z`) : null;
+
+  for (let offset = 1; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = addDays(from, offset);
+
+    if (until && day > until) {
+      return null;
+    }
+
+    if (matches(rule, from, day)) {
+      return fromZonedParts({
+        ...parts,
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate()
+      }, timezone);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimezone,
+  nextOccurrence
+};
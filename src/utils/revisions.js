@@ -0,0 +1,46 @@
+// Todo fields kept in each revision (see TodoRevisionRepository)
+const REVISION_FIELDS = [
+  'title', 'description', 'completed', 'priority', 'due_date', 'recurrence',
+  'complete_subtasks', 'auto_complete', 'project_id', 'state', 'deleted_at'
+];
+
+// Dates compare by value, like they end up in JSON
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field by field changes from one revision to another: [{ field, from, to }].
+// `older` may be null (before the first revision), then every set field counts as changed.
+function revisionDiff(older, newer) {
+  return REVISION_FIELDS
+    .map((field) => ({ field, from: older ? older[field] : null, to: newer[field] }))
+    .filter((change) => !same(change.from, change.to));
+}
+
+// update() data that brings a todo back to a revision. Revisions made before they kept the
+// todo's settings (complete_subtasks null) only bring back the fields they have.
+function revisionChanges(revision) {
+  const changes = {
+    title: revision.title,
+    description: revision.description,
+    completed: revision.completed,
+    priority: revision.priority,
+    dueDate: revision.due_date
+  };
+
+  if (revision.complete_subtasks === null) {
+    return changes;
+  }
+
+  return {
+    ...changes,
+    recurrence: revision.recurrence,
+    completeSubtasks: revision.complete_subtasks,
+    autoComplete: revision.auto_complete,
+    projectId: revision.project_id,
+    state: revision.state
+  };
+}
+
+module.exports = {
+  revisionDiff,
+  revisionChanges
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Random, URL-safe token for values the server only stores hashed
+const generateOpaqueToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// SHA-256 is enough here: opaque tokens carry 256 bits of entropy, unlike passwords
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken
+};
@@ -0,0 +1,98 @@
+// Minimal JavaScript version of PostgreSQL's websearch_to_tsquery(), used by
+// MemoryTodoRepository so it can mirror the full-text search of the database:
+//   docker compose     -> both words
+//   "docker compose"   -> the exact phrase
+//   docker OR podman   -> either word
+//   docker -compose    -> docker without compose
+// Unlike PostgreSQL there is no stemming and no stop-word list; words only match whole words.
+
+const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Parse a query into AND-ed clauses, each a list of OR-ed alternatives:
+// [[{ words: ['docker'], negated: false }, { words: ['podman'], negated: false }], ...]
+function parseWebSearch(term) {
+  const tokens = String(term).match(/-?"[^"]*"?|\S+/g) || [];
+  const clauses = [];
+  let joinWithPrevious = false;
+
+  tokens.forEach((token) => {
+    if (token === 'OR') {
+      joinWithPrevious = clauses.length > 0;
+      return;
+    }
+
+    const negated = token.startsWith('-');
+    const alternative = { words: words(negated ? token.slice(1) : token), negated };
+    if (alternative.words.length === 0) {
+      return;
+    }
+
+    if (joinWithPrevious) {
+      clauses[clauses.length - 1].push(alternative);
+    } else {
+      clauses.push([alternative]);
+    }
+    joinWithPrevious = false;
+  });
+
+  return clauses;
+}
+
+// Number of times `phrase` appears as consecutive words in `tokens`
+function countPhrase(tokens, phrase) {
+  let count = 0;
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((word, offset) => tokens[i + offset] === word)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Does a document ({ title, description }) satisfy the parsed query?
+function matchesWebSearch(clauses, document) {
+  if (clauses.length === 0) {
+    return false;
+  }
+
+  const fields = [words(document.title), words(document.description)];
+  const contains = (phrase) => fields.some((tokens) => countPhrase(tokens, phrase) > 0);
+
+  return clauses.every((alternatives) =>
+    alternatives.some(({ words: phrase, negated }) => contains(phrase) !== negated)
+  );
+}
+
+// Relevance in the spirit of ts_rank with title weighted above description
+function rankWebSearch(clauses, document) {
+  const title = words(document.title);
+  const description = words(document.description);
+
+  return clauses.flat()
+    .filter(({ negated }) => !negated)
+    .reduce((rank, { words: phrase }) =>
+      rank + countPhrase(title, phrase) + 0.4 * countPhrase(description, phrase), 0);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap every searched word in <mark></mark>, like ts_headline
+function highlightWebSearch(clauses, text) {
+  const searched = [...new Set(clauses.flat()
+    .filter(({ negated }) => !negated)
+    .flatMap(({ words: phrase }) => phrase))];
+
+  if (!text || searched.length === 0) {
+    return text || '';
+  }
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${searched.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  return text.replace(pattern, '<mark>$1</mark>');
+}
+
+module.exports = {
+  parseWebSearch,
+  matchesWebSearch,
+  rankWebSearch,
+  highlightWebSearch
+};
@@ -0,0 +1,97 @@
+// Kanban workflows of projects (projects.workflow):
+//   { states: [{ key, name, terminal }], transitions: { <from key>: [<to keys>] } | null }
+//
+//   states       the columns of the board, in order. Todos start in the first one; exactly
+//                one state is terminal (done), and it can't be the first.
+//   transitions  the states a todo may move to from each state; null allows every move.
+//
+// Projects without a workflow, and todos without a project, use DEFAULT_WORKFLOW.
+//
+// A todo's state is stored in todos.state. NULL (or a key the workflow doesn't have) is
+// the first state. `completed` wins over the stored state: a completed todo is always in
+// the terminal state and a pending one never is, so the completed flag and the
+// terminal column can't disagree.
+
+const DEFAULT_WORKFLOW = {
+  states: [
+    { key: 'todo', name: 'To Do', terminal: false },
+    { key: 'done', name: 'Done', terminal: true }
+  ],
+  transitions: null
+};
+
+const workflowOf = (project) => (project && project.workflow) || DEFAULT_WORKFLOW;
+
+const findState = (workflow, key) => workflow.states.find((state) => state.key === key) || null;
+const initialState = (workflow) => workflow.states[0];
+const terminalState = (workflow) => workflow.states.find((state) => state.terminal);
+
+// Key of the state `todo` is in
+function stateOf(workflow, todo) {
+  if (todo.completed) {
+    return terminalState(workflow).key;
+  }
+
+  const state = findState(workflow, todo.state);
+  return state && !state.terminal ? state.key : initialState(workflow).key;
+}
+
+// Keys of the states a todo in state `from` may move to (staying put is always allowed)
+function allowedMoves(workflow, from) {
+  const keys = workflow.transitions
+    ? workflow.transitions[from] || []
+    : workflow.states.map((state) => state.key);
+
+  return keys.filter((key) => key !== from);
+}
+
+const canMove = (workflow, from, to) => from === to || allowedMoves(workflow, from).includes(to);
+
+// Repository filters (see TodoRepository) selecting the todos in state `key`
+function stateFilters(workflow, key) {
+  const state = findState(workflow, key);
+
+  if (state.terminal) {
+    return { status: 'completed' };
+  }
+  if (state === initialState(workflow)) {
+    const others = workflow.states.filter((other) => other !== state && !other.terminal);
+    return { status: 'pending', stateNotIn: others.map((other) => other.key) };
+  }
+  return { status: 'pending', stateIn: [key] };
+}
+
+// Problems with a workflow that its schema can't express, or null when it is sound
+function workflowProblem({ states, transitions }) {
+  const keys = states.map((state) => state.key);
+  const terminals = states.filter((state) => state.terminal);
+
+  if (terminals.length !== 1) {
+    return 'a workflow needs exactly one terminal state';
+  }
+  if (states[0].terminal) {
+    return 'the first state can\'t be the terminal one';
+  }
+
+  for (const [from, targets] of Object.entries(transitions || {})) {
+    const unknown = [from, ...targets].find((key) => !keys.includes(key));
+    if (unknown) {
+      return `transitions refer to unknown state "${unknown}"`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  workflowOf,
+  findState,
+  initialState,
+  terminalState,
+  stateOf,
+  allowedMoves,
+  canMove,
+  stateFilters,
+  workflowProblem
+};
@@ -0,0 +1,12 @@
+const Joi = require('joi');
+
+// Body for POST /api-keys
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scope: Joi.string().valid('read-only', 'read-write').default('read-write'),
+  expiresAt: Joi.date().greater('now').optional().allow(null)
+});
+
+module.exports = {
+  createApiKeySchema
+};
@@ -0,0 +1,11 @@
+const Joi = require('joi');
+
+// Route params for /todos/:id/attachments/:attachmentId
+const attachmentParamsSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  attachmentId: Joi.number().integer().min(1).required()
+});
+
+module.exports = {
+  attachmentParamsSchema
+};
@@ -0,0 +1,15 @@
+const Joi = require('joi');
+
+// Query string for GET /audit
+const listAuditSchema = Joi.object({
+  userId: Joi.number().integer().min(1).optional(),
+  action: Joi.string().valid('INSERT', 'UPDATE', 'DELETE').insensitive().uppercase().optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().min(Joi.ref('from')).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+module.exports = {
+  listAuditSchema
+};
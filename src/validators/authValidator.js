@@ -0,0 +1,26 @@
+const Joi = require('joi');
+
+// Body for POST /auth/register
+// bcrypt only uses the first 72 bytes of a password, hence the upper bound
+const registerSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(50).required(),
+  email: Joi.string().trim().lowercase().email().max(255).required(),
+  password: Joi.string().min(8).max(72).required()
+});
+
+// Body for POST /auth/login
+const loginSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  password: Joi.string().required()
+});
+
+// Body for POST /auth/refresh and /auth/logout
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+module.exports = {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema
+};
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+
+const body = Joi.string().trim().min(1).max(5000);
+
+// Route params for /todos/:id/comments/:commentId
+const commentParamsSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  commentId: Joi.number().integer().min(1).required()
+});
+
+// Query string for GET /todos/:id/comments (oldest first)
+const listCommentsSchema = Joi.object({
+  scope: Joi.string().valid('all').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Body for POST /todos/:id/comments and PUT /todos/:id/comments/:commentId
+const commentSchema = Joi.object({
+  body: body.required()
+});
+
+module.exports = {
+  commentParamsSchema,
+  listCommentsSchema,
+  commentSchema
+};
@@ -0,0 +1,69 @@
+const Joi = require('joi');
+const { workflowProblem } = require('../utils/workflow');
+
+const name = Joi.string().trim().min(1).max(100);
+const color = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+  'string.pattern.base': '"color" must be a hex color like #1a2b3c'
+});
+const description = Joi.string().max(1000).allow('', null);
+
+// Kanban workflow (src/utils/workflow.js): the states in column order and, optionally,
+// the states each one may move to; null on update goes back to the default workflow
+const stateKey = Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).messages({
+  'string.pattern.base': 'state keys must be lowercase letters, digits and underscores'
+});
+const workflow = Joi.object({
+  states: Joi.array().items(Joi.object({
+    key: stateKey.required(),
+    name: Joi.string().trim().min(1).max(50).required(),
+    terminal: Joi.boolean().default(false)
+  })).min(2).max(20).unique('key').required(),
+  transitions: Joi.object().pattern(stateKey, Joi.array().items(stateKey).unique()).allow(null).default(null)
+}).custom((value, helpers) => {
+  const problem = workflowProblem(value);
+  return problem ? helpers.message(`"workflow" is invalid: ${problem}`) : value;
+});
+
+// ?scope=all gives admins a cross-user view (checked in middleware/todoScope)
+const scope = Joi.string().valid('all').optional();
+
+// Query string for GET /projects; archived projects are listed apart
+const listProjectsSchema = Joi.object({
+  scope,
+  archived: Joi.boolean().default(false)
+});
+
+// Query string for the routes that only take the scope
+const scopeSchema = Joi.object({ scope });
+
+// Query string for GET /projects/:id/board; `limit` caps the todos of each column
+const boardSchema = Joi.object({
+  scope,
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Body for POST /projects
+const createProjectSchema = Joi.object({
+  name: name.required(),
+  color: color.optional(),
+  description: description.optional(),
+  workflow: workflow.optional()
+});
+
+// Body for PUT /projects/:id
+const updateProjectSchema = Joi.object({
+  name: name.optional(),
+  color: color.optional(),
+  description: description.optional(),
+  archived: Joi.boolean().optional(),
+  workflow: workflow.allow(null).optional()
+}).min(1)
+  .messages({ 'object.min': 'At least one field must be provided for update' });
+
+module.exports = {
+  listProjectsSchema,
+  scopeSchema,
+  boardSchema,
+  createProjectSchema,
+  updateProjectSchema
+};
@@ -0,0 +1,37 @@
+const Joi = require('joi');
+
+const name = Joi.string().trim().min(1).max(50);
+const color = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+  'string.pattern.base': '"color" must be a hex color like #1a2b3c'
+});
+
+// Body for POST /tags
+const createTagSchema = Joi.object({
+  name: name.required(),
+  color: color.optional()
+});
+
+// Body for PUT /tags/:id
+const updateTagSchema = Joi.object({
+  name: name.optional(),
+  color: color.optional()
+}).min(1)
+  .messages({ 'object.min': 'At least one field must be provided for update' });
+
+// Body for POST /todos/:id/tags
+const attachTagSchema = Joi.object({
+  tagId: Joi.number().integer().min(1).required()
+});
+
+// Route params for DELETE /todos/:id/tags/:tagId
+const todoTagParamsSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  tagId: Joi.number().integer().min(1).required()
+});
+
+module.exports = {
+  createTagSchema,
+  updateTagSchema,
+  attachTagSchema,
+  todoTagParamsSchema
+};
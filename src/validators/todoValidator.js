@@ -0,0 +1,255 @@
+const Joi = require('joi');
+const { BULK_LIMIT } = require('../services/bulkService');
+const { WEEKDAYS, isValidTimezone } = require('../utils/recurrence');
+
+// Route params
+const idParamSchema = Joi.object({
+  id: Joi.number().integer().min(1).required()
+});
+
+const dependencyParamsSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  dependsOnId: Joi.number().integer().min(1).required()
+});
+
+const revisionParamsSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  revision: Joi.number().integer().min(1).required()
+});
+
+// Comma-separated list in the query string: ?priority=high,medium
+// (repeating the parameter works too: ?priority=high&priority=medium)
+const CustomJoi = Joi.extend({
+  type: 'csv',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map((item) => item.trim()).filter(Boolean) })
+  }
+});
+
+// Fields GET /todos can sort by
+const SORT_FIELDS = ['created_at', 'updated_at', 'due_date', 'priority', 'title', 'completed', 'state_position', 'position'];
+
+// ?sort=due_date,-priority -> [{ field: 'due_date', direction: 'asc' }, { field: 'priority', direction: 'desc' }]
+const sortSchema = CustomJoi.csv()
+  .items(Joi.string().pattern(new RegExp(`^-?(${SORT_FIELDS.join('|')})$`)).messages({
+    'string.pattern.base': `"sort" fields must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`
+  }))
+  .unique((a, b) => a.replace(/^-/, '') === b.replace(/^-/, ''))
+  .custom((fields) => fields.map((field) => (field.startsWith('-')
+    ? { field: field.slice(1), direction: 'desc' }
+    : { field, direction: 'asc' })));
+
+// ?scope=all gives admins a cross-user view (checked in middleware/todoScope)
+const scope = Joi.string().valid('all').optional();
+
+// next_cursor / prev_cursor from a previous page; takes the place of `page`
+const cursor = Joi.string().max(512).optional();
+
+// Filters of GET /todos, also accepted as the `filter` of a bulk request
+const listFilterKeys = {
+  status: Joi.string().valid('completed', 'pending').optional(),
+  priority: CustomJoi.csv().items(Joi.string().valid('low', 'medium', 'high')).single().optional(),
+  due_before: Joi.date().optional(),
+  due_after: Joi.date().optional(),
+  created_before: Joi.date().optional(),
+  created_after: Joi.date().optional(),
+  updated_before: Joi.date().optional(),
+  updated_after: Joi.date().optional(),
+  overdue: Joi.boolean().optional(),
+  has_description: Joi.boolean().optional(),
+  // true -> todos waiting on unfinished dependencies
+  blocked: Joi.boolean().optional(),
+  project_id: Joi.number().integer().min(1).optional(),
+  // ?tag=Work&tag=Urgent; a single ?tag=Work is turned into a one-item list
+  tag: Joi.array().items(Joi.string().trim().min(1).max(50)).single().optional(),
+  tagMatch: Joi.string().valid('any', 'all').default('any')
+};
+
+// Query string for GET /todos
+const listTodosSchema = Joi.object({
+  scope,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  cursor,
+  sort: sortSchema.optional(),
+  ...listFilterKeys
+});
+
+// Query string for GET /todos/search
+const searchSchema = Joi.object({
+  scope,
+  // websearch_to_tsquery syntax: "exact phrase", -excluded, a OR b
+  q: Joi.string().trim().min(1).max(200).required(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  cursor
+});
+
+// Query string for GET /todos/trash
+const trashSchema = Joi.object({
+  scope,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+// Recurrence rule of a todo (see src/utils/recurrence.js)
+const weekday = Joi.string().valid(...WEEKDAYS);
+const nthWeekday = Joi.string().pattern(new RegExp(`^(-1|[1-5])(${WEEKDAYS.join('|')})$`)).messages({
+  'string.pattern.base': '{{#label}} must be an nth weekday such as 2TU or -1FR'
+});
+
+// YYYY-MM-DD naming a real day (no February 30th)
+const isCalendarDate = (value) => {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(365).default(1),
+  byDay: Joi.when('frequency', {
+    switch: [
+      { is: 'weekly', then: Joi.array().items(weekday).min(1).max(7).unique() },
+      { is: 'monthly', then: Joi.array().items(nthWeekday).length(1) }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  until: Joi.string().custom((value, helpers) => (
+    isCalendarDate(value) ? value : helpers.message('{{#label}} must be a date (YYYY-MM-DD)')
+  )),
+  count: Joi.number().integer().min(1).max(1000),
+  timezone: Joi.string().custom((value, helpers) => (
+    isValidTimezone(value) ? value : helpers.message('{{#label}} must be an IANA time zone such as Europe/Madrid')
+  )).default('UTC')
+}).oxor('until', 'count');
+
+// Body for POST /todos
+// `due_date` is still accepted for clients written against the old routes.
+// Recurring todos need a due date: the next occurrence is scheduled from it.
+const createTodoSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255).required(),
+  description: Joi.string().max(1000).optional().allow('', null),
+  priority: Joi.string().valid('low', 'medium', 'high').default('medium'),
+  dueDate: Joi.date().optional().allow(null),
+  recurrence: recurrenceSchema.optional().allow(null),
+  // Subtask settings, see PATCH /todos/:id/complete
+  completeSubtasks: Joi.boolean().optional(),
+  autoComplete: Joi.boolean().optional(),
+  projectId: Joi.number().integer().min(1).optional().allow(null)
+}).rename('due_date', 'dueDate', { ignoreUndefined: true })
+  .with('recurrence', 'dueDate');
+
+// Body for PUT /todos/:id
+const updateTodoSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255).optional(),
+  description: Joi.string().max(1000).optional().allow('', null),
+  priority: Joi.string().valid('low', 'medium', 'high').optional(),
+  completed: Joi.boolean().optional(),
+  dueDate: Joi.date().optional().allow(null),
+  // null stops the recurrence
+  recurrence: recurrenceSchema.optional().allow(null),
+  completeSubtasks: Joi.boolean().optional(),
+  autoComplete: Joi.boolean().optional(),
+  // null takes the todo out of its project
+  projectId: Joi.number().integer().min(1).optional().allow(null)
+}).rename('due_date', 'dueDate', { ignoreUndefined: true })
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided for update' });
+
+// Body for POST /todos/bulk: one action over new todos (`items`), todo `ids` or a `filter`
+const BULK_ACTIONS = ['create', 'update', 'complete', 'delete', 'tag', 'untag', 'move'];
+const isCreate = Joi.valid('create');
+const isTagging = Joi.valid('tag', 'untag');
+
+const bulkSchema = Joi.object({
+  action: Joi.string().valid(...BULK_ACTIONS).required(),
+  // atomic: all or nothing; partial: every item that can be applied is, failures are reported
+  mode: Joi.string().valid('atomic', 'partial').default('atomic'),
+  items: Joi.when('action', {
+    is: isCreate,
+    then: Joi.array().items(createTodoSchema).min(1).max(BULK_LIMIT),
+    otherwise: Joi.forbidden()
+  }),
+  ids: Joi.when('action', {
+    is: isCreate,
+    then: Joi.forbidden(),
+    otherwise: Joi.array().items(Joi.number().integer().min(1)).min(1).max(BULK_LIMIT).unique()
+  }),
+  filter: Joi.when('action', {
+    is: isCreate,
+    then: Joi.forbidden(),
+    otherwise: Joi.object(listFilterKeys)
+  }),
+  data: Joi.when('action', { is: 'update', then: updateTodoSchema.required(), otherwise: Joi.forbidden() }),
+  // complete, update: complete blocked todos too, like PATCH /complete?force=true
+  force: Joi.when('action', {
+    is: Joi.valid('complete', 'update'),
+    then: Joi.boolean().default(false),
+    otherwise: Joi.forbidden()
+  }),
+  tagId: Joi.when('action', {
+    is: isTagging,
+    then: Joi.number().integer().min(1).required(),
+    otherwise: Joi.forbidden()
+  }),
+  // move: the project to put the todos in, null to take them out of theirs
+  projectId: Joi.when('action', {
+    is: 'move',
+    then: Joi.number().integer().min(1).allow(null).required(),
+    otherwise: Joi.forbidden()
+  })
+}).xor('items', 'ids', 'filter');
+
+// Query for GET /todos/:id/revisions/:revision/diff; `against` defaults to the previous revision
+const revisionDiffSchema = Joi.object({
+  against: Joi.number().integer().min(1).optional()
+});
+
+// Query string for PUT /todos/:id, PATCH /todos/:id/complete and /move; force completes blocked todos too
+const completeTodoSchema = Joi.object({
+  scope,
+  force: Joi.boolean().default(false)
+});
+
+// Body for POST /todos/:id/dependencies: the todo that has to be done first
+const addDependencySchema = Joi.object({
+  dependsOnId: Joi.number().integer().min(1).required()
+});
+
+// Body for PATCH /todos/:id/move: a state of the project's workflow and, optionally,
+// the 1-based position in that column
+const moveTodoSchema = Joi.object({
+  state: Joi.string().max(50).required(),
+  position: Joi.number().integer().min(1).optional()
+});
+
+// Body for PATCH /todos/:id/reorder: the todos it goes right after and/or right before
+const reorderTodoSchema = Joi.object({
+  after: Joi.number().integer().min(1),
+  before: Joi.number().integer().min(1)
+}).or('after', 'before');
+
+// Body for PUT /todos/:id/subtasks/order: every live subtask id, in the new order
+const reorderSubtasksSchema = Joi.object({
+  ids: Joi.array().items(Joi.number().integer().min(1)).min(1).unique().required()
+});
+
+module.exports = {
+  idParamSchema,
+  dependencyParamsSchema,
+  revisionParamsSchema,
+  revisionDiffSchema,
+  listTodosSchema,
+  searchSchema,
+  trashSchema,
+  createTodoSchema,
+  updateTodoSchema,
+  bulkSchema,
+  reorderSubtasksSchema,
+  completeTodoSchema,
+  moveTodoSchema,
+  reorderTodoSchema,
+  addDependencySchema
+};
@@ -1,7 +1,8 @@
 const request = require('supertest');
-const app = require('../../src/app');
+const { createTestApp } = require('../shared/testApp');
 
 describe('Todo API Integration Tests', () => {
+  const { app } = createTestApp();
   let createdTodoId;
 
   describe('Health Check', () => {
@@ -175,12 +176,12 @@ describe('Todo API Integration Tests', () => {
       expect(response.body.error).toBe('Todo not found');
     });
 
-    it('should handle invalid ID format', async () => {
+    it('should reject invalid ID format', async () => {
       const response = await request(app)
         .get('/api/v1/todos/invalid-id')
-        .expect(500);
+        .expect(400);
 
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.error).toBe('Validation error');
     });
   });
 
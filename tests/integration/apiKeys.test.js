@@ -0,0 +1,206 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { hashPassword } = require('../../src/utils/password');
+
+describe('API Keys Integration Tests', () => {
+  let app;
+  let clock;
+  let repositories;
+  let token;
+
+  const registerUser = async (username) => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ username, email: `${username}@example.com`, password: 'password123' })
+      .expect(201);
+
+    return response.body.data.token;
+  };
+
+  const createKey = (body = { name: 'CI script' }, bearer = token) => request(app)
+    .post('/api/v1/api-keys')
+    .set('Authorization', `Bearer ${bearer}`)
+    .send(body);
+
+  beforeEach(async () => {
+    ({ app, clock, repositories } = createTestApp());
+    token = await registerUser('alice');
+  });
+
+  describe('POST /api/v1/api-keys', () => {
+    it('should return the key once with its prefix', async () => {
+      const response = await createKey().expect(201);
+      const { data } = response.body;
+
+      expect(data.name).toBe('CI script');
+      expect(data.scope).toBe('read-write');
+      expect(data.prefix).toMatch(/^tk_[0-9a-f]{8}$/);
+      expect(data.key.startsWith(`${data.prefix}_`)).toBe(true);
+      expect(data).not.toHaveProperty('key_hash');
+    });
+
+    it('should require a JWT', async () => {
+      await request(app)
+        .post('/api/v1/api-keys')
+        .send({ name: 'No auth' })
+        .expect(401);
+    });
+
+    it('should validate the scope', async () => {
+      const response = await createKey({ name: 'Bad', scope: 'admin' }).expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+  });
+
+  describe('GET /api/v1/api-keys', () => {
+    it('should list keys without secrets', async () => {
+      await createKey({ name: 'First' }).expect(201);
+      await createKey({ name: 'Second', scope: 'read-only' }).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(key => key.name)).toEqual(['Second', 'First']);
+      response.body.data.forEach((key) => {
+        expect(key).not.toHaveProperty('key');
+        expect(key).not.toHaveProperty('key_hash');
+      });
+    });
+
+    it('should only list the caller\'s keys', async () => {
+      await createKey().expect(201);
+      const bobToken = await registerUser('bob');
+
+      const response = await request(app)
+        .get('/api/v1/api-keys')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+    });
+  });
+
+  describe('authenticating with X-API-Key', () => {
+    it('should let an admin\'s key into admin routes, and only an admin\'s', async () => {
+      await repositories.users.create({
+        username: 'root',
+        email: 'root@example.com',
+        passwordHash: await hashPassword('password123'),
+        role: 'admin'
+      });
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'root@example.com', password: 'password123' })
+        .expect(200);
+      const { body: adminKey } = await createKey({ name: 'Audit export' }, login.body.data.token).expect(201);
+      const { body: userKey } = await createKey().expect(201);
+
+      await request(app).get('/api/v1/audit').set('X-API-Key', adminKey.data.key).expect(200);
+      await request(app).get('/api/v1/audit').set('X-API-Key', userKey.data.key).expect(403);
+      await request(app).get('/api/v1/audit').set('X-API-Key', 'not-a-key').expect(401);
+    });
+
+    it('should act as the owning user', async () => {
+      const { body } = await createKey().expect(201);
+
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .set('X-API-Key', body.data.key)
+        .send({ title: 'Created by script' })
+        .expect(201);
+
+      const list = await request(app)
+        .get('/api/v1/todos')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(list.body.data.map(todo => todo.id)).toEqual([created.body.data.id]);
+    });
+
+    it('should record when the key was last used', async () => {
+      const { body } = await createKey().expect(201);
+      expect(body.data.last_used_at).toBeNull();
+
+      await request(app)
+        .get('/api/v1/todos')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/v1/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(list.body.data[0].last_used_at).toBe('2024-01-15T10:00:00.000Z');
+    });
+
+    it('should keep read-only keys to safe methods', async () => {
+      const { body } = await createKey({ name: 'Dashboard', scope: 'read-only' }).expect(201);
+
+      await request(app)
+        .get('/api/v1/todos')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/todos')
+        .set('X-API-Key', body.data.key)
+        .send({ title: 'Not allowed' })
+        .expect(403);
+
+      expect(response.body.message).toBe('This API key is read-only');
+    });
+
+    it('should reject unknown keys', async () => {
+      const response = await request(app)
+        .get('/api/v1/todos')
+        .set('X-API-Key', 'tk_00000000_nope')
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid API key');
+    });
+
+    it('should reject expired keys', async () => {
+      const { body } = await createKey({ name: 'Short lived', expiresAt: '2099-01-01T00:00:00.000Z' }).expect(201);
+      clock.set('2099-06-01T00:00:00.000Z');
+
+      const response = await request(app)
+        .get('/api/v1/todos')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+
+      expect(response.body.message).toBe('API key expired');
+    });
+  });
+
+  describe('DELETE /api/v1/api-keys/:id', () => {
+    it('should revoke the key', async () => {
+      const { body } = await createKey().expect(201);
+
+      const response = await request(app)
+        .delete(`/api/v1/api-keys/${body.data.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.revoked_at).not.toBeNull();
+
+      await request(app)
+        .get('/api/v1/todos')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+    });
+
+    it('should not let other users revoke the key', async () => {
+      const { body } = await createKey().expect(201);
+      const bobToken = await registerUser('bob');
+
+      await request(app)
+        .delete(`/api/v1/api-keys/${body.data.id}`)
+        .set('Authorization', `Bearer ${bobToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+const { purgeTrash } = require('../../src/services/trashService');
+const { removeOrphanedAttachments } = require('../../src/services/attachmentService');
+
+describe('Attachments Integration Tests', () => {
+  let app;
+  let repositories;
+  let storage;
+  let clock;
+  let todo;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3, 4]);
+  const PDF = Buffer.from('%PDF-1.4\n% test document\n');
+
+  // Collect binary responses into a Buffer whatever their Content-Type
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const upload = (contents, filename, contentType, auth = alice, todoId = todo.id) => request(app)
+    .post(`/api/v1/todos/${todoId}/attachments`)
+    .set('Authorization', auth)
+    .attach('file', contents, { filename, contentType });
+
+  beforeEach(async () => {
+    ({ app, repositories, storage, clock } = createTestApp());
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', alice)
+      .send({ title: 'Fix the layout bug' })
+      .expect(201);
+    todo = response.body.data;
+  });
+
+  afterEach(() => {
+    delete process.env.ATTACHMENT_MAX_BYTES;
+    delete process.env.ATTACHMENT_MIME_TYPES;
+  });
+
+  describe('POST /api/v1/todos/:id/attachments', () => {
+    it('should store the file and its metadata', async () => {
+      const response = await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+
+      expect(response.body.message).toBe('Attachment uploaded successfully');
+      expect(response.body.data).toEqual({
+        id: 1,
+        todo_id: todo.id,
+        uploader_id: 1,
+        filename: 'screenshot.png',
+        mime_type: 'image/png',
+        size: PNG.length,
+        created_at: '2024-01-15T10:00:00.000Z'
+      });
+      expect([...storage.files.values()]).toEqual([PNG]);
+    });
+
+    it('should keep only the base name of the file', async () => {
+      const response = await upload(PDF, '../../etc/report.pdf', 'application/pdf').expect(201);
+
+      expect(response.body.data.filename).toBe('report.pdf');
+    });
+
+    it('should reject files over the size limit', async () => {
+      process.env.ATTACHMENT_MAX_BYTES = '8';
+
+      const response = await upload(PNG, 'big.png', 'image/png').expect(413);
+
+      expect(response.body.error).toBe('File too large');
+      expect(storage.files.size).toBe(0);
+      expect(await repositories.attachments.listForTodo(todo.id)).toEqual([]);
+    });
+
+    it('should remove the temporary file of a refused upload', async () => {
+      process.env.ATTACHMENT_MAX_BYTES = '8';
+      const rm = jest.spyOn(fs.promises, 'rm');
+
+      await upload(PNG, 'big.png', 'image/png').expect(413);
+
+      expect(rm).toHaveBeenCalledTimes(1);
+      expect(fs.existsSync(rm.mock.calls[0][0])).toBe(false);
+      rm.mockRestore();
+    });
+
+    it('should reject types that are not allowed', async () => {
+      const response = await upload(Buffer.from('<script></script>'), 'page.html', 'text/html').expect(415);
+
+      expect(response.body.error).toBe('Unsupported file type');
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should honour ATTACHMENT_MIME_TYPES', async () => {
+      process.env.ATTACHMENT_MIME_TYPES = 'text/plain';
+
+      await upload(Buffer.from('notes'), 'notes.txt', 'text/plain').expect(201);
+      await upload(PNG, 'screenshot.png', 'image/png').expect(415);
+    });
+
+    it('should require a file', async () => {
+      const response = await request(app)
+        .post(`/api/v1/todos/${todo.id}/attachments`)
+        .set('Authorization', alice)
+        .field('note', 'no file here')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid upload');
+    });
+
+    it('should reject JSON bodies', async () => {
+      await request(app)
+        .post(`/api/v1/todos/${todo.id}/attachments`)
+        .set('Authorization', alice)
+        .send({ file: 'aGVsbG8=' })
+        .expect(400);
+    });
+
+    it('should reject empty files', async () => {
+      await upload(Buffer.alloc(0), 'empty.png', 'image/png').expect(400);
+    });
+
+    it('should return 404 for todos of other users', async () => {
+      await upload(PNG, 'screenshot.png', 'image/png', bob).expect(404);
+      expect(storage.files.size).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/todos/:id/attachments', () => {
+    it('should list attachments oldest first', async () => {
+      await upload(PNG, 'before.png', 'image/png').expect(201);
+      clock.advance(1000);
+      await upload(PDF, 'spec.pdf', 'application/pdf').expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${todo.id}/attachments`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(response.body.data.map(item => item.filename)).toEqual(['before.png', 'spec.pdf']);
+      expect(response.body.data[0]).not.toHaveProperty('storage_key');
+    });
+
+    it('should return 404 for todos of other users', async () => {
+      await request(app).get(`/api/v1/todos/${todo.id}/attachments`).set('Authorization', bob).expect(404);
+    });
+  });
+
+  describe('GET /api/v1/todos/:id/attachments/:attachmentId', () => {
+    it('should stream the file as a download', async () => {
+      const { body } = await upload(PDF, 'spec sheet.pdf', 'application/pdf').expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${todo.id}/attachments/${body.data.id}`)
+        .set('Authorization', alice)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-length']).toBe(String(PDF.length));
+      expect(response.headers['content-disposition']).toBe('attachment; filename="spec sheet.pdf"');
+      expect(response.body).toEqual(PDF);
+    });
+
+    it('should return 404 for attachments of another todo', async () => {
+      const { body } = await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+      const other = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', alice)
+        .send({ title: 'Other' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${other.body.data.id}/attachments/${body.data.id}`)
+        .set('Authorization', alice)
+        .expect(404);
+
+      expect(response.body.error).toBe('Attachment not found');
+    });
+
+    it('should return 404 for todos of other users', async () => {
+      const { body } = await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+
+      await request(app)
+        .get(`/api/v1/todos/${todo.id}/attachments/${body.data.id}`)
+        .set('Authorization', bob)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/v1/todos/:id/attachments/:attachmentId', () => {
+    it('should delete the metadata and the contents', async () => {
+      const { body } = await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}/attachments/${body.data.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(storage.files.size).toBe(0);
+      await request(app)
+        .get(`/api/v1/todos/${todo.id}/attachments/${body.data.id}`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+  });
+
+  describe('purge', () => {
+    it('should remove the attachments of purged todos', async () => {
+      await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+      const other = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', alice)
+        .send({ title: 'Keep me' })
+        .expect(201);
+      await upload(PDF, 'spec.pdf', 'application/pdf', alice, other.body.data.id).expect(201);
+      await request(app).delete(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+      clock.advance(31 * DAY_MS);
+
+      const purged = await purgeTrash({ todos: repositories.todos, attachments: repositories.attachments, storage, clock });
+
+      expect(purged).toBe(1);
+      expect([...storage.files.values()]).toEqual([PDF]);
+      expect(await repositories.attachments.listOrphans(10)).toEqual([]);
+      expect(await repositories.attachments.listForTodo(other.body.data.id)).toHaveLength(1);
+    });
+
+    it('should go on past attachments whose contents can\'t be deleted', async () => {
+      await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+      await upload(PDF, 'spec.pdf', 'application/pdf').expect(201);
+      await request(app).delete(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+      clock.advance(31 * DAY_MS);
+      await purgeTrash({ todos: repositories.todos, clock });
+      const remove = () => removeOrphanedAttachments({ attachments: repositories.attachments, storage, batchSize: 1 });
+      jest.spyOn(storage, 'delete').mockRejectedValueOnce(new Error('Disk unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await remove()).toBe(1);
+      expect([...storage.files.values()]).toEqual([PNG]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/orphaned attachment/), 'Disk unavailable');
+      console.error.mockRestore();
+
+      // Left for the next run
+      expect(await remove()).toBe(1);
+      expect(storage.files.size).toBe(0);
+    });
+
+    it('should keep the attachments of trashed todos until they are purged', async () => {
+      await upload(PNG, 'screenshot.png', 'image/png').expect(201);
+      await request(app).delete(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+
+      await purgeTrash({ todos: repositories.todos, attachments: repositories.attachments, storage, clock });
+
+      expect(storage.files.size).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Audit Log Integration Tests', () => {
+  let app;
+  let clock;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+  const admin = `Bearer ${generateToken(3, 'admin@example.com', null, { isAdmin: true })}`;
+
+  const createTodo = async (body, token = alice) => {
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', token)
+      .send(body)
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const history = (id, token = alice) => request(app)
+    .get(`/api/v1/todos/${id}/history`)
+    .set('Authorization', token);
+
+  beforeEach(() => {
+    ({ app, clock } = createTestApp());
+  });
+
+  describe('GET /api/v1/todos/:id/history', () => {
+    it('should record creation with the full row', async () => {
+      const todo = await createTodo({ title: 'Audited' });
+
+      const response = await history(todo.id).expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        table_name: 'todos',
+        record_id: todo.id,
+        action: 'INSERT',
+        old_values: null,
+        user_id: 1
+      });
+      expect(response.body.data[0].new_values.title).toBe('Audited');
+    });
+
+    it('should record only the changed fields of an update', async () => {
+      const todo = await createTodo({ title: 'Before', priority: 'low' });
+      clock.advance(1000);
+
+      await request(app)
+        .put(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .send({ title: 'After', priority: 'low' })
+        .expect(200);
+
+      const response = await history(todo.id).expect(200);
+      const update = response.body.data[1];
+
+      expect(update.action).toBe('UPDATE');
+      expect(update.old_values).toEqual({ title: 'Before' });
+      expect(update.new_values).toEqual({ title: 'After' });
+    });
+
+    it('should record complete and uncomplete as updates, oldest first', async () => {
+      const todo = await createTodo({ title: 'Toggle' });
+
+      await request(app).patch(`/api/v1/todos/${todo.id}/complete`).set('Authorization', alice).expect(200);
+      await request(app).patch(`/api/v1/todos/${todo.id}/uncomplete`).set('Authorization', alice).expect(200);
+
+      const response = await history(todo.id).expect(200);
+
+      expect(response.body.data.map(entry => entry.action)).toEqual(['INSERT', 'UPDATE', 'UPDATE']);
+      expect(response.body.data[1].new_values).toEqual({ completed: true });
+      expect(response.body.data[2].new_values).toEqual({ completed: false });
+    });
+
+    it('should record anonymous changes without a user', async () => {
+      const created = await request(app)
+        .post('/api/v1/todos')
+        .send({ title: 'Demo' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${created.body.data.id}/history`)
+        .expect(200);
+
+      expect(response.body.data[0].user_id).toBeNull();
+    });
+
+    it('should hide the history of other users\' todos', async () => {
+      const todo = await createTodo({ title: 'Private' });
+
+      await history(todo.id, bob).expect(404);
+    });
+  });
+
+  describe('GET /api/v1/audit', () => {
+    beforeEach(async () => {
+      const todo = await createTodo({ title: 'Alice todo' });
+      clock.advance(60 * 60 * 1000);
+      await createTodo({ title: 'Bob todo' }, bob);
+      clock.advance(60 * 60 * 1000);
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+    });
+
+    it('should be admin only', async () => {
+      await request(app).get('/api/v1/audit').set('Authorization', alice).expect(403);
+      await request(app).get('/api/v1/audit').expect(401);
+    });
+
+    it('should list every change, newest first', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit')
+        .set('Authorization', admin)
+        .expect(200);
+
+      expect(response.body.data.map(entry => entry.action)).toEqual(['DELETE', 'INSERT', 'INSERT']);
+      expect(response.body.data[0].old_values.title).toBe('Alice todo');
+      expect(response.body.data[0].new_values).toBeNull();
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('should filter by user and action', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit?userId=1&action=insert')
+        .set('Authorization', admin)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].new_values.title).toBe('Alice todo');
+    });
+
+    it('should filter by date range', async () => {
+      const response = await request(app)
+        .get('/api/v1/audit?from=2024-01-15T10:30:00.000Z&to=2024-01-15T11:30:00.000Z')
+        .set('Authorization', admin)
+        .expect(200);
+
+      expect(response.body.data.map(entry => entry.user_id)).toEqual([2]);
+    });
+
+    it('should reject a range that ends before it starts', async () => {
+      await request(app)
+        .get('/api/v1/audit?from=2024-02-01&to=2024-01-01')
+        .set('Authorization', admin)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+const express = require('express');
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { adminAuth } = require('../../src/middleware/auth');
+const MemoryUserRepository = require('../../src/repositories/memoryUserRepository');
+const { hashPassword } = require('../../src/utils/password');
+
+describe('Auth API Integration Tests', () => {
+  let app;
+  let users;
+  let clock;
+
+  const credentials = {
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'correct-horse'
+  };
+
+  const register = (overrides = {}) => request(app)
+    .post('/api/v1/auth/register')
+    .send({ ...credentials, ...overrides });
+
+  beforeEach(() => {
+    users = new MemoryUserRepository();
+    clock = { current: new Date('2024-01-15T10:00:00.000Z'), now() { return new Date(this.current); } };
+    ({ app } = createTestApp({ clock, repositories: { users } }));
+  });
+
+  describe('POST /api/v1/auth/register', () => {
+    it('should create a user and return a token', async () => {
+      const response = await register().expect(201);
+
+      expect(response.body.data.user).toMatchObject({
+        username: 'alice',
+        email: 'alice@example.com',
+        role: 'user'
+      });
+      expect(response.body.data.user).not.toHaveProperty('password_hash');
+      expect(typeof response.body.data.token).toBe('string');
+      expect(typeof response.body.data.refreshToken).toBe('string');
+    });
+
+    it('should store a bcrypt hash, not the password', async () => {
+      await register().expect(201);
+
+      const stored = await users.findByEmail('alice@example.com');
+
+      expect(stored.password_hash).not.toBe(credentials.password);
+      expect(stored.password_hash).toMatch(/^\$2[aby]\$/);
+    });
+
+    it('should normalize the email address', async () => {
+      const response = await register({ email: '  Alice@Example.COM ' }).expect(201);
+
+      expect(response.body.data.user.email).toBe('alice@example.com');
+    });
+
+    it('should reject duplicate emails and usernames', async () => {
+      await register().expect(201);
+
+      const sameEmail = await register({ username: 'alice2' }).expect(409);
+      const sameUsername = await register({ email: 'other@example.com' }).expect(409);
+
+      expect(sameEmail.body.error).toBe('User already exists');
+      expect(sameUsername.body.error).toBe('User already exists');
+    });
+
+    it('should reject a duplicate that a concurrent registration created after the check', async () => {
+      await register().expect(201);
+      // Both registrations passed the check before either was stored
+      jest.spyOn(users, 'findByEmail').mockResolvedValueOnce(null);
+
+      const response = await register({ username: 'alice2' }).expect(409);
+
+      expect(response.body.error).toBe('User already exists');
+    });
+
+    it('should validate the payload', async () => {
+      const response = await register({ password: 'short' }).expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    beforeEach(async () => {
+      await register().expect(201);
+    });
+
+    it('should return a token for valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      expect(response.body.data.user.username).toBe('alice');
+      expect(typeof response.body.data.token).toBe('string');
+    });
+
+    it('should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: credentials.email, password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid credentials');
+    });
+
+    it('should reject an unknown email with the same error', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'nobody@example.com', password: credentials.password })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid credentials');
+    });
+  });
+
+  describe('GET /api/v1/auth/me', () => {
+    it('should return the authenticated user', async () => {
+      const { body } = await register().expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/auth/me')
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(200);
+
+      expect(response.body.data.email).toBe('alice@example.com');
+      expect(response.body.data).not.toHaveProperty('password_hash');
+    });
+
+    it('should require a token', async () => {
+      await request(app)
+        .get('/api/v1/auth/me')
+        .expect(401);
+    });
+  });
+
+  describe('access tokens', () => {
+    const FIFTEEN_MINUTES_MS = 15 * 60 * 1000;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should expire after 15 minutes and then be rejected on /todos', async () => {
+      const { body } = await register().expect(201);
+      const token = `Bearer ${body.data.token}`;
+      const issuedAt = Date.now();
+
+      jest.spyOn(Date, 'now').mockReturnValue(issuedAt + FIFTEEN_MINUTES_MS - 1000);
+      await request(app).get('/api/v1/todos').set('Authorization', token).expect(200);
+
+      Date.now.mockReturnValue(issuedAt + FIFTEEN_MINUTES_MS + 1000);
+      const response = await request(app).get('/api/v1/todos').set('Authorization', token).expect(401);
+
+      expect(response.body.message).toBe('Token expired');
+      await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', token)
+        .send({ title: 'Created after expiry' })
+        .expect(401);
+    });
+  });
+
+  describe('refresh tokens', () => {
+    let refreshToken;
+
+    const refresh = (token) => request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: token });
+
+    beforeEach(async () => {
+      const response = await register().expect(201);
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await refresh(refreshToken).expect(200);
+
+      expect(typeof response.body.data.token).toBe('string');
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+      expect(response.body.data.user.username).toBe('alice');
+
+      await refresh(response.body.data.refreshToken).expect(200);
+    });
+
+    it('should revoke the whole family when an old token is reused', async () => {
+      const rotated = await refresh(refreshToken).expect(200);
+
+      const reuse = await refresh(refreshToken).expect(401);
+      expect(reuse.body.message).toMatch(/reuse/);
+
+      // The legitimate successor is revoked too
+      await refresh(rotated.body.data.refreshToken).expect(401);
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+      const response = await refresh('not-a-real-token').expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should reject expired refresh tokens', async () => {
+      clock.current = new Date('2024-03-01T10:00:00.000Z');
+
+      const response = await refresh(refreshToken).expect(401);
+
+      expect(response.body.message).toBe('Refresh token expired');
+    });
+
+    it('should log out a single session', async () => {
+      const other = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      await refresh(refreshToken).expect(401);
+      await refresh(other.body.data.refreshToken).expect(200);
+    });
+
+    it('should log out all sessions', async () => {
+      const other = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(2);
+      await refresh(refreshToken).expect(401);
+      await refresh(other.body.data.refreshToken).expect(401);
+    });
+  });
+
+  describe('admin role', () => {
+    // Minimal app guarded by adminAuth to check the isAdmin claim end to end
+    const adminOnly = express().get('/admin', adminAuth, (req, res) => res.json({ ok: true }));
+
+    const loginAs = async (role) => {
+      await users.create({
+        username: role,
+        email: `${role}@example.com`,
+        passwordHash: await hashPassword('password123'),
+        role
+      });
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: `${role}@example.com`, password: 'password123' })
+        .expect(200);
+
+      return response.body.data.token;
+    };
+
+    it('should let admins through adminAuth', async () => {
+      const token = await loginAs('admin');
+
+      await request(adminOnly)
+        .get('/admin')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('should keep regular users out of adminAuth', async () => {
+      const token = await loginAs('user');
+
+      await request(adminOnly)
+        .get('/admin')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+});
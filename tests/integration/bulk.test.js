@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Bulk Operations Integration Tests', () => {
+  let app;
+  let repositories;
+  let ids;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const bulk = (body, auth = alice) => request(app)
+    .post('/api/v1/todos/bulk')
+    .set('Authorization', auth)
+    .send(body);
+
+  const titles = async () => (await repositories.todos.getAll({ ownerId: 1 })).map(todo => todo.title);
+
+  beforeEach(async () => {
+    ({ app, repositories } = createTestApp());
+
+    const response = await bulk({
+      action: 'create',
+      items: [
+        { title: 'Write report', priority: 'high' },
+        { title: 'Review PR' },
+        { title: 'Book flights', priority: 'low' }
+      ]
+    }).expect(200);
+
+    ids = response.body.data.results.map(result => result.id);
+  });
+
+  it('should create todos owned by the caller', async () => {
+    expect(ids).toHaveLength(3);
+    expect(await titles()).toEqual(['Book flights', 'Review PR', 'Write report']);
+    expect(await repositories.todos.count({ ownerId: 2 })).toBe(0);
+  });
+
+  it('should update todos by id', async () => {
+    const response = await bulk({ action: 'update', ids: ids.slice(0, 2), data: { priority: 'low' } }).expect(200);
+
+    expect(response.body.data).toMatchObject({ succeeded: 2, failed: 0 });
+    expect(response.body.data.results[0]).toMatchObject({ index: 0, id: ids[0], status: 'ok' });
+    expect(response.body.data.results[0].data.priority).toBe('low');
+    expect(await repositories.todos.count({ ownerId: 1, priority: 'low' })).toBe(3);
+  });
+
+  it('should complete the todos matching a filter', async () => {
+    const response = await bulk({ action: 'complete', filter: { priority: 'high,low' } }).expect(200);
+
+    expect(response.body.data.succeeded).toBe(2);
+    expect(await repositories.todos.count({ ownerId: 1, status: 'completed' })).toBe(2);
+  });
+
+  it('should schedule the next occurrence of recurring todos it completes', async () => {
+    const created = await bulk({
+      action: 'create',
+      items: [{
+        title: 'Water plants',
+        dueDate: '2024-01-15T09:00:00.000Z',
+        recurrence: { frequency: 'weekly' }
+      }]
+    }).expect(200);
+    const [{ id, data: first }] = created.body.data.results;
+
+    await bulk({ action: 'complete', ids: [id] }).expect(200);
+
+    const series = await repositories.todos.getAll({ ownerId: 1, status: 'pending' });
+    const next = series.find((todo) => todo.series_id === first.series_id);
+    expect(next).toMatchObject({ title: 'Water plants', occurrence: 2, completed: false });
+    expect(new Date(next.due_date).toISOString()).toBe('2024-01-22T09:00:00.000Z');
+  });
+
+  it('should complete through completed: true in updates like the complete action', async () => {
+    const created = await bulk({
+      action: 'create',
+      items: [{ title: 'Pay rent', dueDate: '2024-01-31T09:00:00.000Z', recurrence: { frequency: 'monthly' } }]
+    }).expect(200);
+    const [{ id }] = created.body.data.results;
+
+    const response = await bulk({ action: 'update', ids: [id], data: { completed: true, priority: 'high' } }).expect(200);
+
+    expect(response.body.data.results[0].data).toMatchObject({ completed: true, priority: 'high' });
+    const next = (await repositories.todos.getAll({ ownerId: 1, status: 'pending' }))
+      .find((todo) => todo.title === 'Pay rent');
+    expect(next).toMatchObject({ occurrence: 2 });
+  });
+
+  it('should tag and untag todos', async () => {
+    const tag = await repositories.tags.create({ name: 'Work' });
+
+    await bulk({ action: 'tag', ids, tagId: tag.id }).expect(200);
+    expect(await repositories.todos.count({ tags: ['work'] })).toBe(3);
+
+    await bulk({ action: 'untag', ids: [ids[0]], tagId: tag.id }).expect(200);
+    expect(await repositories.todos.count({ tags: ['work'] })).toBe(2);
+  });
+
+  it('should reject unknown tags before changing anything', async () => {
+    const response = await bulk({ action: 'tag', ids, tagId: 99 }).expect(404);
+
+    expect(response.body.error).toBe('Tag not found');
+  });
+
+  describe('atomic mode', () => {
+    it('should roll back the whole batch when one item fails', async () => {
+      const response = await bulk({ action: 'delete', ids: [ids[0], 999, ids[1]] }).expect(409);
+
+      expect(response.body.error).toBe('Bulk operation rolled back');
+      expect(response.body.failed).toMatchObject({ index: 1, id: 999, status: 'error' });
+      expect(await repositories.todos.count({ ownerId: 1 })).toBe(3);
+    });
+
+    it('should roll back audit entries with the changes', async () => {
+      const entries = repositories.auditLogs.entries.length;
+
+      await bulk({ action: 'update', ids: [ids[0], 999], data: { title: 'Changed' } }).expect(409);
+
+      expect(repositories.auditLogs.entries).toHaveLength(entries);
+      expect(await titles()).not.toContain('Changed');
+    });
+
+    it('should not touch todos of other users', async () => {
+      await bulk({ action: 'delete', ids: [ids[0]] }, bob).expect(409);
+
+      expect(await repositories.todos.count({ ownerId: 1 })).toBe(3);
+    });
+  });
+
+  describe('partial mode', () => {
+    it('should apply what it can and report failures per item', async () => {
+      const response = await bulk({ action: 'delete', mode: 'partial', ids: [ids[0], 999, ids[1]] }).expect(200);
+
+      expect(response.body.data).toMatchObject({ succeeded: 2, failed: 1 });
+      expect(response.body.data.results[1]).toEqual({
+        index: 1,
+        id: 999,
+        status: 'error',
+        error: 'Todo with ID 999 does not exist'
+      });
+      expect(await titles()).toEqual(['Book flights']);
+    });
+  });
+
+  describe('validation', () => {
+    it('should require exactly one of items, ids or filter', async () => {
+      await bulk({ action: 'delete' }).expect(400);
+      await bulk({ action: 'delete', ids: [1], filter: { status: 'pending' } }).expect(400);
+      await bulk({ action: 'create', ids: [1] }).expect(400);
+    });
+
+    it('should validate action specific fields', async () => {
+      await bulk({ action: 'update', ids: [1] }).expect(400);
+      await bulk({ action: 'tag', ids: [1] }).expect(400);
+      await bulk({ action: 'create', items: [{ description: 'No title' }] }).expect(400);
+      await bulk({ action: 'archive', ids: [1] }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Comments Integration Tests', () => {
+  let app;
+  let clock;
+  let repositories;
+  let todo;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+  const admin = `Bearer ${generateToken(3, 'admin@example.com', null, { isAdmin: true })}`;
+
+  const comment = async (body, auth = alice, todoId = todo.id) => {
+    const response = await request(app)
+      .post(`/api/v1/todos/${todoId}/comments`)
+      .set('Authorization', auth)
+      .send({ body })
+      .expect(201);
+    return response.body.data;
+  };
+
+  // Bob collaborates on Alice's todo: it belongs to both of them
+  const share = (todoId, userId) => repositories.todos.owners.get(todoId).add(userId);
+
+  beforeEach(async () => {
+    ({ app, clock, repositories } = createTestApp());
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', alice)
+      .send({ title: 'Plan the launch' })
+      .expect(201);
+    todo = response.body.data;
+  });
+
+  describe('POST /api/v1/todos/:id/comments', () => {
+    it('should record the author and timestamps', async () => {
+      const created = await comment('  Kick-off on Monday?  ');
+
+      expect(created).toMatchObject({
+        todo_id: todo.id,
+        author_id: 1,
+        body: 'Kick-off on Monday?',
+        created_at: '2024-01-15T10:00:00.000Z',
+        updated_at: '2024-01-15T10:00:00.000Z'
+      });
+    });
+
+    it('should require a user', async () => {
+      const response = await request(app)
+        .post(`/api/v1/todos/${todo.id}/comments`)
+        .send({ body: 'Anonymous' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Authentication required');
+    });
+
+    it('should reject empty and oversized comments', async () => {
+      for (const body of ['   ', 'x'.repeat(5001)]) {
+        await request(app)
+          .post(`/api/v1/todos/${todo.id}/comments`)
+          .set('Authorization', alice)
+          .send({ body })
+          .expect(400);
+      }
+    });
+
+    it('should return 404 for todos the user can\'t see', async () => {
+      await request(app)
+        .post(`/api/v1/todos/${todo.id}/comments`)
+        .set('Authorization', bob)
+        .send({ body: 'Hello' })
+        .expect(404);
+    });
+
+    it('should let collaborators comment', async () => {
+      share(todo.id, 2);
+
+      const created = await comment('On it', bob);
+
+      expect(created.author_id).toBe(2);
+    });
+  });
+
+  describe('GET /api/v1/todos/:id/comments', () => {
+    it('should list comments oldest first, paginated', async () => {
+      for (const body of ['First', 'Second', 'Third']) {
+        await comment(body);
+        clock.advance(1000);
+      }
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${todo.id}/comments?limit=2&page=2`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(response.body.data.map(item => item.body)).toEqual(['Third']);
+      expect(response.body.pagination).toEqual({ page: 2, limit: 2, total: 3, pages: 2 });
+    });
+
+    it('should hide comments of todos the user can\'t see', async () => {
+      await comment('Private');
+
+      await request(app)
+        .get(`/api/v1/todos/${todo.id}/comments`)
+        .set('Authorization', bob)
+        .expect(404);
+    });
+
+    it('should hide comments of trashed todos', async () => {
+      await comment('Gone soon');
+      await request(app).delete(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+
+      await request(app)
+        .get(`/api/v1/todos/${todo.id}/comments`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/v1/todos/:id/comments/:commentId', () => {
+    it('should let the author edit a comment', async () => {
+      const created = await comment('Typo');
+      clock.advance(60 * 1000);
+
+      const response = await request(app)
+        .put(`/api/v1/todos/${todo.id}/comments/${created.id}`)
+        .set('Authorization', alice)
+        .send({ body: 'Fixed' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        body: 'Fixed',
+        created_at: '2024-01-15T10:00:00.000Z',
+        updated_at: '2024-01-15T10:01:00.000Z'
+      });
+    });
+
+    it('should forbid other collaborators', async () => {
+      share(todo.id, 2);
+      const created = await comment('Mine');
+
+      const response = await request(app)
+        .put(`/api/v1/todos/${todo.id}/comments/${created.id}`)
+        .set('Authorization', bob)
+        .send({ body: 'Not yours' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Access forbidden');
+    });
+
+    it('should let admins edit any comment', async () => {
+      const created = await comment('Needs moderation');
+
+      await request(app)
+        .put(`/api/v1/todos/${todo.id}/comments/${created.id}?scope=all`)
+        .set('Authorization', admin)
+        .send({ body: '[removed]' })
+        .expect(200);
+    });
+
+    it('should return 404 for comments of another todo', async () => {
+      const other = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', alice)
+        .send({ title: 'Other' })
+        .expect(201);
+      const created = await comment('Elsewhere', alice, other.body.data.id);
+
+      const response = await request(app)
+        .put(`/api/v1/todos/${todo.id}/comments/${created.id}`)
+        .set('Authorization', alice)
+        .send({ body: 'Moved?' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Comment not found');
+    });
+  });
+
+  describe('DELETE /api/v1/todos/:id/comments/:commentId', () => {
+    it('should let the author delete a comment', async () => {
+      const created = await comment('Never mind');
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}/comments/${created.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}/comments/${created.id}`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+
+    it('should forbid other collaborators and allow admins', async () => {
+      share(todo.id, 2);
+      const created = await comment('Mine');
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}/comments/${created.id}`)
+        .set('Authorization', bob)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}/comments/${created.id}?scope=all`)
+        .set('Authorization', admin)
+        .expect(200);
+    });
+  });
+
+  describe('comment_count', () => {
+    it('should be returned on todo payloads', async () => {
+      await comment('One');
+      await comment('Two');
+
+      const single = await request(app).get(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+      const list = await request(app).get('/api/v1/todos').set('Authorization', alice).expect(200);
+
+      expect(single.body.data.comment_count).toBe(2);
+      expect(list.body.data[0].comment_count).toBe(2);
+    });
+
+    it('should be 0 for todos without comments', () => {
+      expect(todo.comment_count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Todo Dependencies Integration Tests', () => {
+  let app;
+  let design;
+  let build;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const create = async (title, auth = alice) => {
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', auth)
+      .send({ title })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const addDependency = (id, dependsOnId) => request(app)
+    .post(`/api/v1/todos/${id}/dependencies`)
+    .set('Authorization', alice)
+    .send({ dependsOnId });
+
+  const complete = (id, query = '') => request(app)
+    .patch(`/api/v1/todos/${id}/complete${query}`)
+    .set('Authorization', alice);
+
+  beforeEach(async () => {
+    ({ app } = createTestApp());
+    design = await create('Design');
+    build = await create('Build');
+  });
+
+  describe('POST /api/v1/todos/:id/dependencies', () => {
+    it('should block the todo until its dependency is done', async () => {
+      const response = await addDependency(build.id, design.id).expect(201);
+
+      expect(response.body.data).toMatchObject({ id: build.id, blocked: true, blocked_by: [design.id] });
+
+      await complete(design.id).expect(200);
+      const { body } = await request(app)
+        .get(`/api/v1/todos/${build.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+      expect(body.data).toMatchObject({ blocked: false, blocked_by: [] });
+    });
+
+    it('should accept an existing dependency again', async () => {
+      await addDependency(build.id, design.id).expect(201);
+
+      const response = await addDependency(build.id, design.id).expect(200);
+      expect(response.body.message).toBe('Dependency already exists');
+    });
+
+    it('should reject cycles', async () => {
+      const release = await create('Release');
+      await addDependency(build.id, design.id).expect(201);
+      await addDependency(release.id, build.id).expect(201);
+
+      const response = await addDependency(design.id, release.id).expect(409);
+
+      expect(response.body.error).toBe('Dependency cycle');
+      await addDependency(design.id, design.id).expect(400);
+    });
+
+    it('should return 404 for todos the user can\'t see', async () => {
+      const bobTodo = await create('Bob task', bob);
+
+      await addDependency(build.id, bobTodo.id).expect(404);
+      await addDependency(bobTodo.id, build.id).expect(404);
+      await addDependency(build.id, undefined).expect(400);
+    });
+  });
+
+  describe('DELETE /api/v1/todos/:id/dependencies/:dependsOnId', () => {
+    it('should unblock the todo', async () => {
+      await addDependency(build.id, design.id).expect(201);
+
+      const response = await request(app)
+        .delete(`/api/v1/todos/${build.id}/dependencies/${design.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(response.body.data.blocked).toBe(false);
+      await request(app)
+        .delete(`/api/v1/todos/${build.id}/dependencies/${design.id}`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/v1/todos?blocked=', () => {
+    it('should filter blocked todos', async () => {
+      await addDependency(build.id, design.id).expect(201);
+
+      const blocked = await request(app)
+        .get('/api/v1/todos?blocked=true')
+        .set('Authorization', alice)
+        .expect(200);
+      const free = await request(app)
+        .get('/api/v1/todos?blocked=false')
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(blocked.body.data.map(todo => todo.id)).toEqual([build.id]);
+      expect(free.body.data.map(todo => todo.id)).toEqual([design.id]);
+    });
+  });
+
+  describe('PATCH /api/v1/todos/:id/complete', () => {
+    beforeEach(async () => {
+      await addDependency(build.id, design.id).expect(201);
+    });
+
+    it('should refuse to complete a blocked todo', async () => {
+      const response = await complete(build.id).expect(409);
+
+      expect(response.body).toMatchObject({ error: 'Todo is blocked', blocked_by: [design.id] });
+    });
+
+    it('should complete it with a warning when forced', async () => {
+      const response = await complete(build.id, '?force=true').expect(200);
+
+      expect(response.body.data.completed).toBe(true);
+      expect(response.body.warning).toMatch(/blocked by unfinished todos/);
+    });
+
+    it('should not auto-complete a blocked parent', async () => {
+      const { body: parent } = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', alice)
+        .send({ title: 'Ship', autoComplete: true })
+        .expect(201);
+      const { body: child } = await request(app)
+        .post(`/api/v1/todos/${parent.data.id}/subtasks`)
+        .set('Authorization', alice)
+        .send({ title: 'Package' })
+        .expect(201);
+      await addDependency(parent.data.id, build.id).expect(201);
+
+      const response = await complete(child.data.id).expect(200);
+
+      expect(response.body.also_completed.parents).toEqual([]);
+    });
+  });
+
+  describe('PUT /api/v1/todos/:id', () => {
+    const update = (id, body, query = '') => request(app)
+      .put(`/api/v1/todos/${id}${query}`)
+      .set('Authorization', alice)
+      .send(body);
+
+    beforeEach(async () => {
+      await addDependency(build.id, design.id).expect(201);
+    });
+
+    it('should refuse to complete a blocked todo and change nothing', async () => {
+      const response = await update(build.id, { title: 'Build it', completed: true }).expect(409);
+
+      expect(response.body).toMatchObject({ error: 'Todo is blocked', blocked_by: [design.id] });
+      const { body } = await request(app).get(`/api/v1/todos/${build.id}`).set('Authorization', alice).expect(200);
+      expect(body.data).toMatchObject({ title: 'Build', completed: false });
+    });
+
+    it('should complete it with a warning when forced', async () => {
+      const response = await update(build.id, { completed: true }, '?force=true').expect(200);
+
+      expect(response.body.data.completed).toBe(true);
+      expect(response.body.warning).toMatch(/blocked by unfinished todos/);
+    });
+
+    it('should still apply other changes to a blocked todo', async () => {
+      const response = await update(build.id, { title: 'Build it' }).expect(200);
+
+      expect(response.body.data).toMatchObject({ title: 'Build it', completed: false });
+    });
+  });
+
+  describe('POST /api/v1/todos/bulk', () => {
+    const bulk = (body) => request(app)
+      .post('/api/v1/todos/bulk')
+      .set('Authorization', alice)
+      .send(body);
+
+    beforeEach(async () => {
+      await addDependency(build.id, design.id).expect(201);
+    });
+
+    it('should roll back a batch that completes a blocked todo', async () => {
+      const review = await create('Review');
+
+      const response = await bulk({ action: 'complete', ids: [review.id, build.id] }).expect(409);
+
+      expect(response.body.failed).toMatchObject({ id: build.id, error: expect.stringMatching(/blocked by unfinished todos/) });
+      const { body } = await request(app).get(`/api/v1/todos/${review.id}`).set('Authorization', alice).expect(200);
+      expect(body.data.completed).toBe(false);
+    });
+
+    it('should complete a todo whose blockers the batch completed first', async () => {
+      const response = await bulk({ action: 'complete', ids: [design.id, build.id] }).expect(200);
+
+      expect(response.body.data).toMatchObject({ succeeded: 2, failed: 0 });
+    });
+
+    it('should report blocked todos per item in partial mode', async () => {
+      const response = await bulk({ action: 'update', mode: 'partial', ids: [build.id], data: { completed: true } }).expect(200);
+
+      expect(response.body.data).toMatchObject({ succeeded: 0, failed: 1 });
+      expect(response.body.data.results[0].error).toMatch(/blocked by unfinished todos/);
+    });
+
+    it('should complete blocked todos when forced', async () => {
+      const response = await bulk({ action: 'complete', ids: [build.id], force: true }).expect(200);
+
+      expect(response.body.data.results[0].data.completed).toBe(true);
+    });
+
+    it('should only take force for actions that complete', async () => {
+      await bulk({ action: 'delete', ids: [build.id], force: true }).expect(400);
+    });
+  });
+
+  describe('GET /api/v1/todos/:id/dependency-graph', () => {
+    it('should return the transitive graph around the todo', async () => {
+      const release = await create('Release');
+      const announce = await create('Announce');
+      await addDependency(build.id, design.id).expect(201);
+      await addDependency(release.id, build.id).expect(201);
+      await addDependency(announce.id, release.id).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${release.id}/dependency-graph`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.todo_id).toBe(release.id);
+      expect(data.nodes.map(todo => todo.id)).toEqual([design.id, build.id, release.id, announce.id]);
+      expect(data.nodes[2]).toMatchObject({ blocked: true, blocked_by: [build.id] });
+      expect(data.edges).toEqual([
+        { todo_id: build.id, depends_on_id: design.id },
+        { todo_id: release.id, depends_on_id: build.id },
+        { todo_id: announce.id, depends_on_id: release.id }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+
+describe('ETag and conditional request Integration Tests', () => {
+  let app;
+  let todoId;
+
+  // The version, then a digest of the whole payload
+  const atVersion = (version) => new RegExp(`^"${version}-[0-9a-f]{16}"$`);
+
+  beforeEach(async () => {
+    ({ app } = createTestApp());
+
+    const response = await request(app).post('/api/v1/todos').send({ title: 'Versioned' }).expect(201);
+    todoId = response.body.data.id;
+    expect(response.headers.etag).toMatch(atVersion(1));
+  });
+
+  describe('GET /api/v1/todos/:id', () => {
+    it('should send the version and a digest of the todo as ETag', async () => {
+      const response = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+
+      expect(response.headers.etag).toMatch(atVersion(1));
+      expect(response.body.data).toMatchObject({ version: 1, etag: response.headers.etag });
+    });
+
+    it('should answer 304 when If-None-Match is current', async () => {
+      const { headers } = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${todoId}`)
+        .set('If-None-Match', `W/${headers.etag}`)
+        .expect(304);
+
+      expect(response.headers.etag).toBe(headers.etag);
+      expect(response.text).toBe('');
+    });
+
+    it('should send the todo when If-None-Match is stale', async () => {
+      const { headers } = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+      await request(app).put(`/api/v1/todos/${todoId}`).send({ title: 'Changed' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${todoId}`)
+        .set('If-None-Match', headers.etag)
+        .expect(200);
+
+      expect(response.headers.etag).toMatch(atVersion(2));
+      expect(response.body.data.title).toBe('Changed');
+    });
+
+    it('should send the todo when its details changed without a new version', async () => {
+      const { headers } = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+      const blocker = await request(app).post('/api/v1/todos').send({ title: 'Blocker' }).expect(201);
+      await request(app)
+        .post(`/api/v1/todos/${todoId}/dependencies`)
+        .send({ dependsOnId: blocker.body.data.id })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${todoId}`)
+        .set('If-None-Match', headers.etag)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ version: 1, blocked: true });
+      expect(response.headers.etag).toMatch(atVersion(1));
+      expect(response.headers.etag).not.toBe(headers.etag);
+    });
+
+    it('should not answer 304 to a bare version', async () => {
+      await request(app).get(`/api/v1/todos/${todoId}`).set('If-None-Match', '"1"').expect(200);
+    });
+  });
+
+  it('should include the ETag of list items', async () => {
+    const { headers } = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+    const response = await request(app).get('/api/v1/todos').expect(200);
+
+    expect(response.body.data[0]).toMatchObject({ id: todoId, version: 1, etag: headers.etag });
+  });
+
+  describe('If-Match', () => {
+    it('should apply a change on the current version', async () => {
+      const response = await request(app)
+        .put(`/api/v1/todos/${todoId}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'Changed' })
+        .expect(200);
+
+      expect(response.headers.etag).toMatch(atVersion(2));
+      expect(response.body.data.version).toBe(2);
+    });
+
+    it('should reject stale versions with 412 and the current ETag', async () => {
+      await request(app).patch(`/api/v1/todos/${todoId}/complete`).expect(200);
+
+      const response = await request(app)
+        .put(`/api/v1/todos/${todoId}`)
+        .set('If-Match', '"1"')
+        .send({ title: 'Lost update' })
+        .expect(412);
+
+      expect(response.body.error).toBe('Precondition failed');
+      expect(response.headers.etag).toMatch(atVersion(2));
+
+      const todo = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+      expect(todo.body.data.title).toBe('Versioned');
+    });
+
+    it('should guard PATCH and DELETE too', async () => {
+      await request(app).patch(`/api/v1/todos/${todoId}/complete`).set('If-Match', '"7"').expect(412);
+      await request(app).patch(`/api/v1/todos/${todoId}/uncomplete`).set('If-Match', '"7"').expect(412);
+      await request(app).delete(`/api/v1/todos/${todoId}`).set('If-Match', '"7"').expect(412);
+
+      await request(app).delete(`/api/v1/todos/${todoId}`).set('If-Match', '"5", "1"').expect(200);
+    });
+
+    it('should never match weak ETags', async () => {
+      await request(app).delete(`/api/v1/todos/${todoId}`).set('If-Match', 'W/"1"').expect(412);
+    });
+
+    it('should compare only the version of full ETags', async () => {
+      const { headers } = await request(app).get(`/api/v1/todos/${todoId}`).expect(200);
+
+      await request(app).delete(`/api/v1/todos/${todoId}`).set('If-Match', headers.etag.replace('"1-', '"7-')).expect(412);
+      await request(app).delete(`/api/v1/todos/${todoId}`).set('If-Match', headers.etag).expect(200);
+    });
+
+    it('should treat * as no condition', async () => {
+      await request(app).delete(`/api/v1/todos/${todoId}`).set('If-Match', '*').expect(200);
+    });
+
+    it('should still answer 404 for unknown todos', async () => {
+      await request(app).delete('/api/v1/todos/999').set('If-Match', '"1"').expect(404);
+    });
+  });
+});
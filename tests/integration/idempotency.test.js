@@ -0,0 +1,207 @@
+const express = require('express');
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+describe('Idempotency-Key Integration Tests', () => {
+  let app;
+  let repositories;
+  let clock;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const create = (key, body = { title: 'Buy milk' }, auth = alice) => request(app)
+    .post('/api/v1/todos')
+    .set('Authorization', auth)
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  beforeEach(() => {
+    ({ app, repositories, clock } = createTestApp());
+  });
+
+  it('should replay the original response on retry', async () => {
+    const first = await create('key-1').expect(201);
+    const retry = await create('key-1').expect(201);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(await repositories.todos.count()).toBe(1);
+  });
+
+  it('should reject reusing a key with a different body', async () => {
+    await create('key-1').expect(201);
+
+    const response = await create('key-1', { title: 'Buy bread' }).expect(422);
+
+    expect(response.body.error).toBe('Idempotency key reused');
+    expect(await repositories.todos.count()).toBe(1);
+  });
+
+  it('should keep keys separate per user', async () => {
+    await create('key-1').expect(201);
+    await create('key-1', { title: 'Buy milk' }, bob).expect(201);
+
+    expect(await repositories.todos.count()).toBe(2);
+  });
+
+  it('should not deduplicate requests without a key', async () => {
+    await request(app).post('/api/v1/todos').send({ title: 'Buy milk' }).expect(201);
+    await request(app).post('/api/v1/todos').send({ title: 'Buy milk' }).expect(201);
+
+    expect(await repositories.todos.count()).toBe(2);
+  });
+
+  it('should cover PATCH routes', async () => {
+    const { body } = await create('key-1').expect(201);
+    const complete = () => request(app)
+      .patch(`/api/v1/todos/${body.data.id}/complete`)
+      .set('Authorization', alice)
+      .set('Idempotency-Key', 'key-2');
+
+    const first = await complete().expect(200);
+    const retry = await complete().expect(200);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should replay the headers the handler set', async () => {
+    const first = await create('key-1').expect(201);
+    const retry = await create('key-1').expect(201);
+
+    expect(first.headers.etag).toBeDefined();
+    expect(retry.headers.etag).toBe(first.headers.etag);
+  });
+
+  it('should not replay headers set before the handler', async () => {
+    const custom = express();
+    custom.locals = app.locals;
+    let calls = 0;
+    custom.use((req, res, next) => {
+      req.user = { userId: 1 };
+      res.set('X-Request-Count', String(++calls));
+      next();
+    });
+    custom.post('/ping', idempotency, (req, res) => res.status(201).set('Location', '/ping/1').json({ ok: true }));
+    const ping = () => request(custom).post('/ping').set('Idempotency-Key', 'key-1');
+
+    await ping().expect(201);
+    const retry = await ping().expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers.location).toBe('/ping/1');
+    expect(retry.headers['x-request-count']).toBe('2');
+  });
+
+  it('should ignore the key for anonymous requests', async () => {
+    const anonymous = () => request(app)
+      .post('/api/v1/todos')
+      .set('Idempotency-Key', 'key-1')
+      .send({ title: 'Buy milk' });
+
+    await anonymous().expect(201);
+    const retry = await anonymous().expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(await repositories.todos.count()).toBe(2);
+  });
+
+  it('should replay client errors too', async () => {
+    await create('key-1', { title: '' }).expect(400);
+
+    const retry = await create('key-1', { title: '' }).expect(400);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should run the request again once the key has expired', async () => {
+    await create('key-1').expect(201);
+    clock.advance(25 * 60 * 60 * 1000);
+
+    const retry = await create('key-1').expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(await repositories.todos.count()).toBe(2);
+  });
+
+  it('should let a failed request be retried', async () => {
+    jest.spyOn(repositories.todos, 'create').mockRejectedValueOnce(new Error('Failed to create todo'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await create('key-1').expect(500);
+    await create('key-1').expect(201);
+
+    expect(await repositories.todos.count()).toBe(1);
+    console.error.mockRestore();
+  });
+
+  it('should report a retry while the first request is still running', async () => {
+    const { create: realCreate } = repositories.todos;
+    let finish;
+    jest.spyOn(repositories.todos, 'create').mockImplementationOnce(
+      (...args) => new Promise((resolve) => { finish = () => resolve(realCreate.apply(repositories.todos, args)); })
+    );
+
+    const first = create('key-1').then((response) => response);
+    while (!finish) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    const retry = await create('key-1').expect(409);
+    expect(retry.body.error).toBe('Request in progress');
+
+    finish();
+    expect((await first).status).toBe(201);
+    await create('key-1').expect(201);
+    expect(await repositories.todos.count()).toBe(1);
+  });
+
+  it('should release the key when the response is not JSON', async () => {
+    const plain = express();
+    plain.locals = app.locals;
+    plain.use((req, res, next) => {
+      req.user = { userId: 1 };
+      next();
+    });
+    plain.post('/ping', idempotency, (req, res) => res.status(202).send('accepted'));
+    const ping = () => request(plain).post('/ping').set('Idempotency-Key', 'key-1');
+
+    await ping().expect(202, 'accepted');
+    const retry = await ping().expect(202, 'accepted');
+
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(await repositories.idempotencyKeys.find('user:1', 'key-1', clock.now())).toBeNull();
+  });
+
+  it('should ignore the key for file uploads', async () => {
+    const { body } = await create('key-1').expect(201);
+    const upload = (contents) => request(app)
+      .post(`/api/v1/todos/${body.data.id}/attachments`)
+      .set('Authorization', alice)
+      .set('Idempotency-Key', 'key-2')
+      .attach('file', Buffer.from(contents), { filename: 'notes.pdf', contentType: 'application/pdf' });
+
+    const first = await upload('first').expect(201);
+    const second = await upload('second').expect(201);
+
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.body.data.id).not.toBe(first.body.data.id);
+    expect(second.body.data.size).toBe(6);
+  });
+
+  it('should validate the key', async () => {
+    await create('k'.repeat(256)).expect(400);
+  });
+
+  it('should purge expired keys', async () => {
+    await create('key-1').expect(201);
+
+    expect(await repositories.idempotencyKeys.purgeExpired(clock.now())).toBe(0);
+    clock.advance(25 * 60 * 60 * 1000);
+    expect(await repositories.idempotencyKeys.purgeExpired(clock.now())).toBe(1);
+  });
+});
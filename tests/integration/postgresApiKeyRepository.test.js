@@ -0,0 +1,77 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresApiKeyRepository = require('../../src/repositories/postgresApiKeyRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresApiKeyRepository', () => {
+  const database = useTestDatabase();
+  const apiKeys = new PostgresApiKeyRepository(database);
+  let alice;
+  let bob;
+
+  const createKey = (userId, name, overrides = {}) => apiKeys.create({
+    userId,
+    name,
+    prefix: `td_${name}`,
+    keyHash: name.padEnd(64, '0'),
+    scope: 'read-only',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+    alice = await createUser(database);
+    bob = await createUser(database);
+  });
+
+  it('should store keys and find them by hash', async () => {
+    const expiresAt = new Date('2030-01-01T00:00:00.000Z');
+    const key = await createKey(alice, 'ci', { scope: 'read-write', expiresAt });
+
+    expect(key).toMatchObject({
+      user_id: alice,
+      name: 'ci',
+      prefix: 'td_ci',
+      scope: 'read-write',
+      expires_at: expiresAt,
+      last_used_at: null,
+      revoked_at: null
+    });
+    expect(await apiKeys.findByHash(key.key_hash)).toEqual(key);
+    expect(await apiKeys.findByHash('f'.repeat(64))).toBeNull();
+    expect((await createKey(alice, 'forever')).expires_at).toBeNull();
+  });
+
+  it('should list the keys of a user, newest first', async () => {
+    const older = await createKey(alice, 'older');
+    const newer = await createKey(alice, 'newer');
+    await createKey(bob, 'other');
+
+    expect((await apiKeys.listByUser(alice)).map(key => key.id)).toEqual([newer.id, older.id]);
+  });
+
+  it('should only let the owner revoke a key, keeping the first revocation time', async () => {
+    const key = await createKey(alice, 'ci');
+    const first = new Date('2024-01-15T10:00:00.000Z');
+
+    expect(await apiKeys.revoke(key.id, bob, first)).toBeNull();
+    expect((await apiKeys.revoke(key.id, alice, first)).revoked_at).toEqual(first);
+    expect((await apiKeys.revoke(key.id, alice, new Date('2024-02-01T00:00:00.000Z'))).revoked_at).toEqual(first);
+  });
+
+  it('should record when a key was last used', async () => {
+    const key = await createKey(alice, 'ci');
+    const now = new Date('2024-01-15T10:00:00.000Z');
+
+    await apiKeys.touch(key.id, now);
+
+    expect((await apiKeys.findByHash(key.key_hash)).last_used_at).toEqual(now);
+  });
+
+  it('should delete the keys of a deleted user', async () => {
+    const key = await createKey(alice, 'ci');
+
+    await database.query('DELETE FROM users WHERE id = $1', [alice]);
+
+    expect(await apiKeys.findByHash(key.key_hash)).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresAttachmentRepository = require('../../src/repositories/postgresAttachmentRepository');
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresAttachmentRepository', () => {
+  const database = useTestDatabase();
+  const attachments = new PostgresAttachmentRepository(database);
+  const todos = new PostgresTodoRepository(database);
+  let todo;
+
+  const attach = (todoId, filename, uploaderId = null) => attachments.create({
+    todoId,
+    uploaderId,
+    filename,
+    mimeType: 'text/plain',
+    size: 5,
+    storageKey: `key-${filename}`
+  });
+
+  const purge = async (id) => {
+    await todos.delete(id);
+    await todos.purge(new Date(Date.now() + 60000));
+  };
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+    todo = await todos.create({ title: 'Report' });
+  });
+
+  it('should store attachments and list them oldest first', async () => {
+    const uploader = await createUser(database);
+    const notes = await attach(todo.id, 'notes.txt', uploader);
+    await attach(todo.id, 'draft.txt');
+
+    expect(notes).toMatchObject({
+      todo_id: todo.id,
+      uploader_id: uploader,
+      filename: 'notes.txt',
+      mime_type: 'text/plain',
+      size: 5,
+      storage_key: 'key-notes.txt'
+    });
+    expect((await attachments.listForTodo(todo.id)).map(attachment => attachment.filename)).toEqual(['notes.txt', 'draft.txt']);
+    expect(await attachments.getById(notes.id)).toEqual(notes);
+    expect(await attachments.getById(notes.id + 100)).toBeNull();
+  });
+
+  it('should delete attachments', async () => {
+    const notes = await attach(todo.id, 'notes.txt');
+
+    expect(await attachments.delete(notes.id)).toBe(true);
+    expect(await attachments.delete(notes.id)).toBe(false);
+    expect(await attachments.listForTodo(todo.id)).toEqual([]);
+  });
+
+  it('should keep the attachments of a purged todo as orphans, listed by id in batches', async () => {
+    const other = await todos.create({ title: 'Kept' });
+    const first = await attach(todo.id, 'a.txt');
+    await attach(other.id, 'b.txt');
+    const second = await attach(todo.id, 'c.txt');
+
+    await purge(todo.id);
+
+    const orphans = await attachments.listOrphans(1);
+    expect(orphans).toEqual([expect.objectContaining({ id: first.id, todo_id: null, storage_key: 'key-a.txt' })]);
+    expect((await attachments.listOrphans(10, first.id)).map(attachment => attachment.id)).toEqual([second.id]);
+    expect(await attachments.listOrphans(10, second.id)).toEqual([]);
+  });
+});
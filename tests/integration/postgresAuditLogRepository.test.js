@@ -0,0 +1,81 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresAuditLogRepository = require('../../src/repositories/postgresAuditLogRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresAuditLogRepository', () => {
+  const database = useTestDatabase();
+  const auditLogs = new PostgresAuditLogRepository(database);
+  let userId;
+
+  const record = (recordId, action, overrides = {}) => auditLogs.record({
+    tableName: 'todos',
+    recordId,
+    action,
+    oldValues: null,
+    newValues: null,
+    userId,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+    userId = await createUser(database);
+  });
+
+  it('should store entries with their values as JSON', async () => {
+    const entry = await record(1, 'UPDATE', { oldValues: { title: 'Draft' }, newValues: { title: 'Final' } });
+
+    expect(entry).toMatchObject({
+      table_name: 'todos',
+      record_id: 1,
+      action: 'UPDATE',
+      old_values: { title: 'Draft' },
+      new_values: { title: 'Final' },
+      user_id: userId,
+      created_at: expect.any(Date)
+    });
+    expect((await record(1, 'DELETE', { userId: null })).user_id).toBeNull();
+  });
+
+  it('should list the entries of a record oldest first', async () => {
+    await record(1, 'INSERT');
+    await record(2, 'INSERT');
+    await record(1, 'UPDATE');
+
+    expect((await auditLogs.listForRecord('todos', 1)).map(entry => entry.action)).toEqual(['INSERT', 'UPDATE']);
+    expect(await auditLogs.listForRecord('projects', 1)).toEqual([]);
+  });
+
+  it('should filter, page and count entries, newest first', async () => {
+    const otherUser = await createUser(database);
+    await record(1, 'INSERT');
+    await record(1, 'UPDATE');
+    await record(2, 'INSERT', { userId: otherUser });
+    await record(1, 'DELETE');
+
+    const mine = await auditLogs.list({ userId, limit: 2, offset: 1 });
+    expect(mine.map(entry => entry.action)).toEqual(['UPDATE', 'INSERT']);
+    expect(await auditLogs.count({ userId })).toBe(3);
+    expect(await auditLogs.count({ action: 'INSERT' })).toBe(2);
+
+    const hourAgo = new Date(Date.now() - 3600000);
+    const inAnHour = new Date(Date.now() + 3600000);
+    expect(await auditLogs.count({ from: hourAgo, to: inAnHour })).toBe(4);
+    expect(await auditLogs.count({ from: inAnHour })).toBe(0);
+    expect(await auditLogs.list({ to: hourAgo })).toEqual([]);
+  });
+
+  it('should write within the transaction of the client it is given', async () => {
+    const client = await database.getClient();
+
+    try {
+      await client.query('BEGIN');
+      await auditLogs.record({ tableName: 'todos', recordId: 1, action: 'INSERT', userId }, client);
+      await client.query('ROLLBACK');
+    } finally {
+      client.release();
+    }
+
+    expect(await auditLogs.count()).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresCommentRepository = require('../../src/repositories/postgresCommentRepository');
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresCommentRepository', () => {
+  const database = useTestDatabase();
+  const comments = new PostgresCommentRepository(database);
+  const todos = new PostgresTodoRepository(database);
+  let todo;
+  let author;
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+    todo = await todos.create({ title: 'Discuss' });
+    author = await createUser(database);
+  });
+
+  it('should create comments and list them oldest first', async () => {
+    const first = await comments.create({ todoId: todo.id, authorId: author, body: 'First' });
+    await comments.create({ todoId: todo.id, body: 'Second' });
+    await comments.create({ todoId: todo.id, authorId: author, body: 'Third' });
+
+    expect(first).toMatchObject({ todo_id: todo.id, author_id: author, body: 'First', created_at: expect.any(Date) });
+    expect((await comments.listForTodo(todo.id)).map(comment => comment.body)).toEqual(['First', 'Second', 'Third']);
+    expect((await comments.listForTodo(todo.id, { limit: 1, offset: 1 })).map(comment => comment.body)).toEqual(['Second']);
+    expect((await comments.getById(first.id)).body).toBe('First');
+    expect(await comments.getById(first.id + 100)).toBeNull();
+  });
+
+  it('should count the comments of each todo', async () => {
+    const other = await todos.create({ title: 'Quiet' });
+    await comments.create({ todoId: todo.id, body: 'One' });
+    await comments.create({ todoId: todo.id, body: 'Two' });
+
+    const counts = await comments.countForTodos([todo.id, other.id]);
+
+    expect(counts).toEqual(new Map([[todo.id, 2], [other.id, 0]]));
+    expect(await comments.countForTodos([])).toEqual(new Map());
+  });
+
+  it('should update and delete comments', async () => {
+    const comment = await comments.create({ todoId: todo.id, authorId: author, body: 'Draft' });
+
+    const updated = await comments.update(comment.id, { body: 'Final' });
+
+    expect(updated).toMatchObject({ id: comment.id, body: 'Final' });
+    expect(updated.updated_at.getTime()).toBeGreaterThanOrEqual(comment.updated_at.getTime());
+    expect(await comments.update(comment.id + 100, { body: 'Nope' })).toBeNull();
+    expect(await comments.delete(comment.id)).toBe(true);
+    expect(await comments.delete(comment.id)).toBe(false);
+  });
+
+  it('should keep comments whose author is deleted, and drop them with their todo', async () => {
+    const comment = await comments.create({ todoId: todo.id, authorId: author, body: 'Orphan' });
+
+    await database.query('DELETE FROM users WHERE id = $1', [author]);
+    expect((await comments.getById(comment.id)).author_id).toBeNull();
+
+    await todos.delete(todo.id);
+    await todos.purge(new Date(Date.now() + 60000));
+    expect(await comments.getById(comment.id)).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase } = require('../shared/postgresDatabase');
+const PostgresIdempotencyKeyRepository = require('../../src/repositories/postgresIdempotencyKeyRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresIdempotencyKeyRepository', () => {
+  const database = useTestDatabase();
+  const idempotencyKeys = new PostgresIdempotencyKeyRepository(database);
+  const now = new Date('2024-01-15T10:00:00.000Z');
+  const expiresAt = new Date('2024-01-16T10:00:00.000Z');
+  const later = new Date('2024-01-17T10:00:00.000Z');
+  const fingerprint = 'a'.repeat(64);
+
+  const reserve = (key, at = now, owner = 'user:1') => idempotencyKeys.reserve(
+    { owner, key, fingerprint, expiresAt: new Date(at.getTime() + 86400000) },
+    at
+  );
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+  });
+
+  it('should reserve a key once per owner', async () => {
+    expect(await reserve('create-1')).toBe(true);
+    expect(await reserve('create-1')).toBe(false);
+    expect(await reserve('create-1', now, 'user:2')).toBe(true);
+
+    expect(await idempotencyKeys.find('user:1', 'create-1', now)).toMatchObject({
+      owner: 'user:1',
+      key: 'create-1',
+      fingerprint,
+      status_code: null,
+      response_headers: null,
+      response_body: null,
+      created_at: now,
+      expires_at: expiresAt
+    });
+  });
+
+  it('should store the response to replay', async () => {
+    await reserve('create-1');
+
+    await idempotencyKeys.complete('user:1', 'create-1', {
+      statusCode: 201,
+      headers: { etag: '"1-abc"' },
+      body: { data: { id: 1 } }
+    });
+
+    expect(await idempotencyKeys.find('user:1', 'create-1', now)).toMatchObject({
+      status_code: 201,
+      response_headers: { etag: '"1-abc"' },
+      response_body: { data: { id: 1 } }
+    });
+  });
+
+  it('should ignore expired records and let the key be reserved again', async () => {
+    await reserve('create-1');
+    await idempotencyKeys.complete('user:1', 'create-1', { statusCode: 201, body: {} });
+
+    expect(await idempotencyKeys.find('user:1', 'create-1', later)).toBeNull();
+    expect(await reserve('create-1', later)).toBe(true);
+    expect(await idempotencyKeys.find('user:1', 'create-1', later)).toMatchObject({
+      status_code: null,
+      response_headers: null,
+      created_at: later
+    });
+  });
+
+  it('should release keys and purge expired records', async () => {
+    await reserve('create-1');
+    await reserve('create-2');
+    await reserve('create-3', later);
+
+    await idempotencyKeys.release('user:1', 'create-1');
+    expect(await reserve('create-1')).toBe(true);
+
+    expect(await idempotencyKeys.purgeExpired(later)).toBe(2);
+    expect(await idempotencyKeys.find('user:1', 'create-3', later)).not.toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresProjectRepository = require('../../src/repositories/postgresProjectRepository');
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresProjectRepository', () => {
+  const database = useTestDatabase();
+  const projects = new PostgresProjectRepository(database);
+  const todos = new PostgresTodoRepository(database);
+  let alice;
+  let bob;
+
+  const workflow = {
+    states: [
+      { key: 'todo', name: 'To do' },
+      { key: 'done', name: 'Done', terminal: true }
+    ],
+    transitions: null
+  };
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+    alice = await createUser(database);
+    bob = await createUser(database);
+  });
+
+  it('should create projects with the default color and their workflow', async () => {
+    const project = await projects.create({ name: 'Launch', workflow }, { ownerId: alice });
+
+    expect(project).toMatchObject({
+      owner_id: alice,
+      name: 'Launch',
+      color: '#6c757d',
+      description: null,
+      archived: false,
+      workflow
+    });
+    expect(await projects.getByIds([project.id, project.id + 100])).toEqual([project]);
+  });
+
+  it('should only show each owner their projects', async () => {
+    const mine = await projects.create({ name: 'Mine' }, { ownerId: alice });
+    await projects.create({ name: 'Theirs' }, { ownerId: bob });
+    const shared = await projects.create({ name: 'Anonymous' });
+
+    expect((await projects.getAll({ ownerId: alice })).map(project => project.name)).toEqual(['Mine']);
+    expect((await projects.getAll({ ownerId: null })).map(project => project.name)).toEqual(['Anonymous']);
+    expect((await projects.getAll()).map(project => project.name)).toEqual(['Anonymous', 'Mine', 'Theirs']);
+    expect(await projects.getById(mine.id, { ownerId: bob })).toBeNull();
+    expect(await projects.getById(shared.id, { ownerId: null })).toMatchObject({ name: 'Anonymous' });
+  });
+
+  it('should find projects by name, case-insensitively, among those of one owner', async () => {
+    const project = await projects.create({ name: 'Launch' }, { ownerId: alice });
+
+    expect(await projects.findByName('LAUNCH', { ownerId: alice })).toMatchObject({ id: project.id });
+    expect(await projects.findByName('Launch', { ownerId: bob })).toBeNull();
+    expect(await projects.findByName('Launch')).toBeNull();
+  });
+
+  it('should update, archive and go back to the default workflow', async () => {
+    const project = await projects.create({ name: 'Launch', workflow }, { ownerId: alice });
+
+    const updated = await projects.update(project.id, { color: '#ff0000', archived: true, workflow: null }, { ownerId: alice });
+
+    expect(updated).toMatchObject({ name: 'Launch', color: '#ff0000', archived: true, workflow: null });
+    expect((await projects.getAll({ archived: false })).map(item => item.id)).toEqual([]);
+    expect(await projects.update(project.id, { name: 'Stolen' }, { ownerId: bob })).toBeNull();
+    expect(await projects.update(project.id, {}, { ownerId: alice })).toMatchObject({ name: 'Launch' });
+  });
+
+  it('should leave the todos of a deleted project without one, at a new version', async () => {
+    const project = await projects.create({ name: 'Launch' }, { ownerId: alice });
+    const todo = await todos.create({ title: 'Plan', projectId: project.id });
+
+    expect(await projects.delete(project.id, { ownerId: bob })).toBe(false);
+    expect(await projects.delete(project.id, { ownerId: alice })).toBe(true);
+
+    expect(await todos.getById(todo.id)).toMatchObject({ project_id: null, version: 2 });
+    expect(await projects.delete(project.id)).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresRefreshTokenRepository = require('../../src/repositories/postgresRefreshTokenRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresRefreshTokenRepository', () => {
+  const database = useTestDatabase();
+  const refreshTokens = new PostgresRefreshTokenRepository(database);
+  const expiresAt = new Date('2030-01-01T00:00:00.000Z');
+  const now = new Date('2024-01-15T10:00:00.000Z');
+  let userId;
+
+  const issue = (familyId, user = userId) => refreshTokens.create({
+    userId: user,
+    familyId,
+    tokenHash: crypto.randomBytes(32).toString('hex'),
+    expiresAt
+  });
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+    userId = await createUser(database);
+  });
+
+  it('should store tokens and find them by hash', async () => {
+    const familyId = crypto.randomUUID();
+    const token = await issue(familyId);
+
+    expect(token).toMatchObject({ user_id: userId, family_id: familyId, expires_at: expiresAt, revoked_at: null });
+    expect(await refreshTokens.findByHash(token.token_hash)).toEqual(token);
+    expect(await refreshTokens.findByHash('0'.repeat(64))).toBeNull();
+  });
+
+  it('should consume a token only once', async () => {
+    const token = await issue(crypto.randomUUID());
+
+    expect(await refreshTokens.consume(token.id, now)).toBe(true);
+    expect(await refreshTokens.consume(token.id, now)).toBe(false);
+    expect((await refreshTokens.findByHash(token.token_hash)).revoked_at).toEqual(now);
+  });
+
+  it('should revoke the live tokens of a family', async () => {
+    const familyId = crypto.randomUUID();
+    const used = await issue(familyId);
+    const current = await issue(familyId);
+    const other = await issue(crypto.randomUUID());
+    await refreshTokens.consume(used.id, new Date('2024-01-01T00:00:00.000Z'));
+
+    expect(await refreshTokens.revokeFamily(familyId, now)).toBe(1);
+
+    expect((await refreshTokens.findByHash(current.token_hash)).revoked_at).toEqual(now);
+    expect((await refreshTokens.findByHash(other.token_hash)).revoked_at).toBeNull();
+  });
+
+  it('should revoke every live token of a user', async () => {
+    const otherUser = await createUser(database);
+    await issue(crypto.randomUUID());
+    await issue(crypto.randomUUID());
+    const kept = await issue(crypto.randomUUID(), otherUser);
+
+    expect(await refreshTokens.revokeAllForUser(userId, now)).toBe(2);
+    expect(await refreshTokens.revokeAllForUser(userId, now)).toBe(0);
+    expect((await refreshTokens.findByHash(kept.token_hash)).revoked_at).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase } = require('../shared/postgresDatabase');
+const PostgresTagRepository = require('../../src/repositories/postgresTagRepository');
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresTagRepository', () => {
+  const database = useTestDatabase();
+  const tags = new PostgresTagRepository(database);
+  const todos = new PostgresTodoRepository(database);
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+  });
+
+  it('should create tags with the default color and list them by name', async () => {
+    const work = await tags.create({ name: 'work' });
+    await tags.create({ name: 'home', color: '#00ff00' });
+
+    expect(work).toMatchObject({ name: 'work', color: '#6c757d' });
+    expect((await tags.getAll()).map(tag => tag.name)).toEqual(['home', 'work']);
+    expect(await tags.getById(work.id)).toMatchObject({ name: 'work' });
+    expect(await tags.findByName('WORK')).toMatchObject({ id: work.id });
+    expect(await tags.findByName('play')).toBeNull();
+  });
+
+  it('should update only the given fields', async () => {
+    const tag = await tags.create({ name: 'work', color: '#123456' });
+
+    expect(await tags.update(tag.id, { name: 'office' })).toMatchObject({ name: 'office', color: '#123456' });
+    expect(await tags.update(tag.id, { color: '#654321' })).toMatchObject({ name: 'office', color: '#654321' });
+    expect(await tags.update(tag.id + 100, { name: 'ghost' })).toBeNull();
+  });
+
+  it('should attach tags to todos once and list them by todo', async () => {
+    const todo = await todos.create({ title: 'Tagged' });
+    const untagged = await todos.create({ title: 'Untagged' });
+    const work = await tags.create({ name: 'work' });
+    const urgent = await tags.create({ name: 'urgent' });
+
+    await tags.attach(todo.id, work.id);
+    await tags.attach(todo.id, work.id);
+    await tags.attach(todo.id, urgent.id);
+
+    const byTodo = await tags.listForTodos([todo.id, untagged.id]);
+    expect(byTodo.get(todo.id).map(tag => tag.name)).toEqual(['urgent', 'work']);
+    expect(byTodo.get(untagged.id)).toEqual([]);
+
+    expect(await tags.detach(todo.id, urgent.id)).toBe(true);
+    expect(await tags.detach(todo.id, urgent.id)).toBe(false);
+  });
+
+  it('should detach a deleted tag from every todo', async () => {
+    const todo = await todos.create({ title: 'Tagged' });
+    const work = await tags.create({ name: 'work' });
+    await tags.attach(todo.id, work.id);
+
+    expect(await tags.delete(work.id)).toBe(true);
+    expect(await tags.delete(work.id)).toBe(false);
+
+    expect((await tags.listForTodos([todo.id])).get(todo.id)).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+const { runTodoRepositoryConformance } = require('../shared/todoRepositoryConformance');
+const { describeWithDatabase, useTestDatabase, resetDatabase, createUser } = require('../shared/postgresDatabase');
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+const PostgresTagRepository = require('../../src/repositories/postgresTagRepository');
+const PostgresProjectRepository = require('../../src/repositories/postgresProjectRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresTodoRepository', () => {
+  const database = useTestDatabase();
+  const tags = new PostgresTagRepository(database);
+  const projects = new PostgresProjectRepository(database);
+
+  runTodoRepositoryConformance('PostgresTodoRepository', {
+    makeRepository: async ({ clock } = {}) => {
+      await resetDatabase(database);
+      return new PostgresTodoRepository(database, { clock });
+    },
+    createUser: () => createUser(database),
+    tagTodo: async (todoId, tagName) => {
+      const tag = await tags.findByName(tagName) || await tags.create({ name: tagName });
+      await tags.attach(todoId, tag.id);
+    },
+    createProject: async (name) => (await projects.create({ name })).id
+  });
+});
@@ -0,0 +1,74 @@
+const { describeWithDatabase, useTestDatabase, resetDatabase } = require('../shared/postgresDatabase');
+const PostgresTodoRevisionRepository = require('../../src/repositories/postgresTodoRevisionRepository');
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+const PostgresProjectRepository = require('../../src/repositories/postgresProjectRepository');
+
+// Runs only when a real database is available (see tests/shared/postgresDatabase.js)
+describeWithDatabase('PostgresTodoRevisionRepository', () => {
+  const database = useTestDatabase();
+  const revisions = new PostgresTodoRevisionRepository(database);
+  const todos = new PostgresTodoRepository(database);
+  const projects = new PostgresProjectRepository(database);
+
+  beforeEach(async () => {
+    await resetDatabase(database);
+  });
+
+  it('should keep every version of a todo, oldest first', async () => {
+    const project = await projects.create({ name: 'Launch' });
+    const todo = await todos.create({ title: 'Draft', priority: 'low' });
+    await todos.update(todo.id, { title: 'Final', recurrence: { frequency: 'weekly' }, projectId: project.id });
+    await todos.update(todo.id, { autoComplete: true, state: 'review' });
+
+    const list = await revisions.listForTodo(todo.id);
+
+    expect(list.map(revision => revision.revision)).toEqual([1, 2, 3]);
+    expect(list[0]).toMatchObject({ todo_id: todo.id, title: 'Draft', priority: 'low', completed: false, project_id: null });
+    expect(list[2]).toMatchObject({
+      title: 'Final',
+      recurrence: { frequency: 'weekly' },
+      complete_subtasks: false,
+      auto_complete: true,
+      project_id: project.id,
+      state: 'review',
+      deleted_at: null,
+      created_at: expect.any(Date)
+    });
+    expect(await revisions.get(todo.id, 2)).toEqual(list[1]);
+    expect(await revisions.get(todo.id, 9)).toBeNull();
+  });
+
+  it('should record trashing and restoring', async () => {
+    const todo = await todos.create({ title: 'Draft' });
+    await todos.delete(todo.id);
+    await todos.restore(todo.id);
+
+    const list = await revisions.listForTodo(todo.id);
+
+    expect(list.map(revision => Boolean(revision.deleted_at))).toEqual([false, true, false]);
+  });
+
+  it('should skip changes that only move the todo', async () => {
+    const todo = await todos.create({ title: 'Draft' });
+    const parent = await todos.create({ title: 'Parent' });
+    const subtask = await todos.create({ title: 'Step', parentId: parent.id });
+    await todos.create({ title: 'Other step', parentId: parent.id });
+
+    await todos.update(todo.id, { position: 'M' });
+    await todos.update(todo.id, { statePosition: 'N' });
+    await todos.update(todo.id, { title: 'Final' });
+    await todos.reorderSubtasks(parent.id, [subtask.id + 1, subtask.id]);
+
+    expect((await revisions.listForTodo(todo.id)).map(revision => revision.revision)).toEqual([1, 4]);
+    expect((await revisions.listForTodo(subtask.id)).map(revision => revision.revision)).toEqual([1]);
+  });
+
+  it('should go with their todo when it is purged', async () => {
+    const todo = await todos.create({ title: 'Draft' });
+    await todos.delete(todo.id);
+
+    await todos.purge(new Date(Date.now() + 60000));
+
+    expect(await revisions.listForTodo(todo.id)).toEqual([]);
+  });
+});
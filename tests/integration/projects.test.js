@@ -0,0 +1,253 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Projects Integration Tests', () => {
+  let app;
+  let repositories;
+  let home;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const createProject = async (body, auth = alice) => {
+    const response = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', auth)
+      .send(body)
+      .expect(201);
+    return response.body.data;
+  };
+
+  const createTodo = (body, auth = alice) => request(app)
+    .post('/api/v1/todos')
+    .set('Authorization', auth)
+    .send(body);
+
+  beforeEach(async () => {
+    ({ app, repositories } = createTestApp());
+    home = await createProject({ name: 'Home', color: '#00aa00' });
+  });
+
+  describe('CRUD', () => {
+    it('should create a project with defaults', async () => {
+      const work = await createProject({ name: 'Work' });
+
+      expect(work).toMatchObject({
+        name: 'Work',
+        owner_id: 1,
+        color: '#6c757d',
+        description: null,
+        archived: false
+      });
+    });
+
+    it('should reject duplicate names of the same owner', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', alice)
+        .send({ name: 'home' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Project already exists');
+      await createProject({ name: 'Home' }, bob);
+    });
+
+    it('should list the user\'s active projects by name', async () => {
+      await createProject({ name: 'Errands' });
+      await createProject({ name: 'Bob stuff' }, bob);
+
+      const { body } = await request(app)
+        .get('/api/v1/projects')
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(body.data.map(project => project.name)).toEqual(['Errands', 'Home']);
+    });
+
+    it('should archive projects and list them apart', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${home.id}`)
+        .set('Authorization', alice)
+        .send({ archived: true, description: 'Old house' })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ archived: true, description: 'Old house' });
+
+      const active = await request(app).get('/api/v1/projects').set('Authorization', alice).expect(200);
+      const archived = await request(app).get('/api/v1/projects?archived=true').set('Authorization', alice).expect(200);
+
+      expect(active.body.data).toEqual([]);
+      expect(archived.body.data.map(project => project.id)).toEqual([home.id]);
+    });
+
+    it('should not rename a project onto another one', async () => {
+      await createProject({ name: 'Work' });
+
+      await request(app)
+        .put(`/api/v1/projects/${home.id}`)
+        .set('Authorization', alice)
+        .send({ name: 'WORK' })
+        .expect(409);
+      await request(app)
+        .put(`/api/v1/projects/${home.id}`)
+        .set('Authorization', alice)
+        .send({ name: 'HOME' })
+        .expect(200);
+    });
+
+    it('should hide other users\' projects', async () => {
+      await request(app).get(`/api/v1/projects/${home.id}`).set('Authorization', bob).expect(404);
+      await request(app).delete(`/api/v1/projects/${home.id}`).set('Authorization', bob).expect(404);
+      await request(app).get(`/api/v1/projects/${home.id}`).set('Authorization', alice).expect(200);
+    });
+
+    it('should leave the todos of a deleted project without a project', async () => {
+      const todo = (await createTodo({ title: 'Paint fence', projectId: home.id }).expect(201)).body.data;
+
+      await request(app).delete(`/api/v1/projects/${home.id}`).set('Authorization', alice).expect(200);
+
+      const { body } = await request(app).get(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+      expect(body.data).toMatchObject({ project_id: null, version: 2 });
+    });
+
+    it('should validate the body', async () => {
+      await request(app).post('/api/v1/projects').set('Authorization', alice).send({}).expect(400);
+      await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', alice)
+        .send({ name: 'Garden', color: 'green' })
+        .expect(400);
+    });
+  });
+
+  describe('todos in projects', () => {
+    it('should put new todos in a project', async () => {
+      const response = await createTodo({ title: 'Paint fence', projectId: home.id }).expect(201);
+
+      expect(response.body.data.project_id).toBe(home.id);
+    });
+
+    it('should refuse projects the user can\'t see', async () => {
+      const response = await createTodo({ title: 'Sneaky', projectId: home.id }, bob).expect(404);
+
+      expect(response.body.error).toBe('Project not found');
+    });
+
+    it('should refuse archived projects', async () => {
+      const todo = (await createTodo({ title: 'Paint fence' }).expect(201)).body.data;
+      await repositories.projects.update(home.id, { archived: true });
+
+      await createTodo({ title: 'Mow lawn', projectId: home.id }).expect(409);
+      const response = await request(app)
+        .put(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .send({ projectId: home.id })
+        .expect(409);
+      expect(response.body.error).toBe('Project is archived');
+    });
+
+    it('should move todos between projects', async () => {
+      const work = await createProject({ name: 'Work' });
+      const todo = (await createTodo({ title: 'Paint fence', projectId: home.id }).expect(201)).body.data;
+
+      const moved = await request(app)
+        .put(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .send({ projectId: work.id })
+        .expect(200);
+      expect(moved.body.data.project_id).toBe(work.id);
+
+      const loose = await request(app)
+        .put(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .send({ projectId: null })
+        .expect(200);
+      expect(loose.body.data.project_id).toBeNull();
+    });
+
+    it('should move todos in bulk', async () => {
+      const work = await createProject({ name: 'Work' });
+      await createTodo({ title: 'Report', priority: 'high' }).expect(201);
+      await createTodo({ title: 'Slides', priority: 'high' }).expect(201);
+      await createTodo({ title: 'Groceries' }).expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/todos/bulk')
+        .set('Authorization', alice)
+        .send({ action: 'move', filter: { priority: 'high' }, projectId: work.id })
+        .expect(200);
+
+      expect(response.body.data.succeeded).toBe(2);
+      expect(await repositories.todos.count({ ownerId: 1, projectId: work.id })).toBe(2);
+
+      await request(app)
+        .post('/api/v1/todos/bulk')
+        .set('Authorization', alice)
+        .send({ action: 'move', filter: { priority: 'high' }, projectId: 999 })
+        .expect(404);
+    });
+
+    it('should put subtasks in the project of their parent', async () => {
+      const parent = (await createTodo({ title: 'Renovate', projectId: home.id }).expect(201)).body.data;
+
+      const response = await request(app)
+        .post(`/api/v1/todos/${parent.id}/subtasks`)
+        .set('Authorization', alice)
+        .send({ title: 'Buy paint' })
+        .expect(201);
+
+      expect(response.body.data.project_id).toBe(home.id);
+    });
+
+    it('should filter todos by project', async () => {
+      await createTodo({ title: 'Paint fence', projectId: home.id }).expect(201);
+      await createTodo({ title: 'Groceries' }).expect(201);
+
+      const { body } = await request(app)
+        .get(`/api/v1/todos?project_id=${home.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(body.data.map(todo => todo.title)).toEqual(['Paint fence']);
+    });
+  });
+
+  describe('GET /api/v1/projects/:id/todos and /stats', () => {
+    beforeEach(async () => {
+      await createTodo({ title: 'Paint fence', projectId: home.id, priority: 'high' }).expect(201);
+      await createTodo({ title: 'Fix sink', projectId: home.id }).expect(201);
+      await createTodo({ title: 'Groceries' }).expect(201);
+    });
+
+    it('should list the todos of the project with the usual filters', async () => {
+      const { body } = await request(app)
+        .get(`/api/v1/projects/${home.id}/todos?sort=title`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(body.data.map(todo => todo.title)).toEqual(['Fix sink', 'Paint fence']);
+      expect(body.pagination.total).toBe(2);
+
+      const high = await request(app)
+        .get(`/api/v1/projects/${home.id}/todos?priority=high`)
+        .set('Authorization', alice)
+        .expect(200);
+      expect(high.body.data.map(todo => todo.title)).toEqual(['Paint fence']);
+    });
+
+    it('should aggregate the project\'s todos', async () => {
+      const { body } = await request(app)
+        .get(`/api/v1/projects/${home.id}/stats`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(body.data).toMatchObject({ total: 2, completed: 0, pending: 2 });
+      expect(body.data.by_priority).toEqual({ high: 1, medium: 1, low: 0 });
+    });
+
+    it('should return 404 for other users\' projects', async () => {
+      await request(app).get(`/api/v1/projects/${home.id}/todos`).set('Authorization', bob).expect(404);
+      await request(app).get(`/api/v1/projects/${home.id}/stats`).set('Authorization', bob).expect(404);
+    });
+  });
+});
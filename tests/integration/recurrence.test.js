@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Recurring Todos Integration Tests', () => {
+  let app;
+  let repositories;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+
+  const create = (body) => request(app)
+    .post('/api/v1/todos')
+    .set('Authorization', alice)
+    .send(body);
+
+  const complete = (id) => request(app)
+    .patch(`/api/v1/todos/${id}/complete`)
+    .set('Authorization', alice);
+
+  const weeklyStandup = {
+    title: 'Prepare standup',
+    priority: 'high',
+    dueDate: '2024-01-15T09:00:00.000Z',
+    recurrence: { frequency: 'weekly', byDay: ['MO', 'TH'] }
+  };
+
+  beforeEach(() => {
+    ({ app, repositories } = createTestApp());
+  });
+
+  describe('POST /api/v1/todos', () => {
+    it('should store the rule and start a series', async () => {
+      const response = await create(weeklyStandup).expect(201);
+
+      expect(response.body.data.recurrence).toEqual({
+        frequency: 'weekly',
+        interval: 1,
+        byDay: ['MO', 'TH'],
+        timezone: 'UTC'
+      });
+      expect(response.body.data.occurrence).toBe(1);
+      expect(typeof response.body.data.series_id).toBe('string');
+    });
+
+    it('should validate the rule', async () => {
+      await create({ ...weeklyStandup, recurrence: { frequency: 'hourly' } }).expect(400);
+      await create({ ...weeklyStandup, recurrence: { frequency: 'monthly', byDay: ['TU'] } }).expect(400);
+      await create({ ...weeklyStandup, recurrence: { frequency: 'daily', until: '2024-12-31', count: 3 } }).expect(400);
+      await create({ ...weeklyStandup, recurrence: { frequency: 'daily', timezone: 'Mars/Olympus' } }).expect(400);
+      await create({ title: 'No due date', recurrence: { frequency: 'daily' } }).expect(400);
+    });
+  });
+
+  describe('PUT /api/v1/todos/:id', () => {
+    it('should create the next occurrence when completed is set', async () => {
+      const { body } = await create(weeklyStandup).expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/todos/${body.data.id}`)
+        .set('Authorization', alice)
+        .send({ completed: true })
+        .expect(200);
+
+      expect(response.body.next_occurrence).toMatchObject({
+        series_id: body.data.series_id,
+        occurrence: 2,
+        due_date: '2024-01-18T09:00:00.000Z'
+      });
+    });
+  });
+
+  describe('PATCH /api/v1/todos/:id/complete', () => {
+    it('should create the next occurrence in the same series', async () => {
+      const { body } = await create(weeklyStandup).expect(201);
+      const tag = await repositories.tags.create({ name: 'Work' });
+      await repositories.tags.attach(body.data.id, tag.id);
+
+      const response = await complete(body.data.id).expect(200);
+
+      expect(response.body.data.completed).toBe(true);
+      expect(response.body.next_occurrence).toMatchObject({
+        title: 'Prepare standup',
+        priority: 'high',
+        completed: false,
+        due_date: '2024-01-18T09:00:00.000Z',
+        series_id: body.data.series_id,
+        occurrence: 2,
+        recurrence: body.data.recurrence
+      });
+      expect(response.body.next_occurrence.tags.map(t => t.name)).toEqual(['Work']);
+      expect(await repositories.todos.count({ ownerId: 1, status: 'pending' })).toBe(1);
+    });
+
+    it('should keep the local time in the rule time zone', async () => {
+      const { body } = await create({
+        title: 'Send invoices',
+        dueDate: '2024-03-12T09:00:00.000Z',
+        recurrence: { frequency: 'monthly', byDay: ['2TU'], timezone: 'Europe/Madrid' }
+      }).expect(201);
+
+      const response = await complete(body.data.id).expect(200);
+
+      // 10:00 in Madrid, before and after the switch to summer time
+      expect(response.body.next_occurrence.due_date).toBe('2024-04-09T08:00:00.000Z');
+    });
+
+    it('should stop after the last occurrence', async () => {
+      const { body } = await create({ ...weeklyStandup, recurrence: { frequency: 'daily', count: 2 } }).expect(201);
+
+      const first = await complete(body.data.id).expect(200);
+      const second = await complete(first.body.next_occurrence.id).expect(200);
+
+      expect(second.body.next_occurrence).toBeNull();
+      expect(await repositories.todos.count({ ownerId: 1 })).toBe(2);
+    });
+
+    it('should not create another occurrence when completed twice', async () => {
+      const { body } = await create(weeklyStandup).expect(201);
+
+      await complete(body.data.id).expect(200);
+      const again = await complete(body.data.id).expect(200);
+
+      expect(again.body.next_occurrence).toBeNull();
+      expect(await repositories.todos.count({ ownerId: 1 })).toBe(2);
+    });
+
+    it('should leave one-off todos alone', async () => {
+      const { body } = await create({ title: 'Once' }).expect(201);
+
+      const response = await complete(body.data.id).expect(200);
+
+      expect(response.body.next_occurrence).toBeNull();
+    });
+
+    it('should roll back the completion when the next occurrence fails', async () => {
+      const { body } = await create(weeklyStandup).expect(201);
+      jest.spyOn(repositories.todos, 'create').mockRejectedValueOnce(new Error('Failed to create todo'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await complete(body.data.id).expect(500);
+
+      expect((await repositories.todos.getById(body.data.id)).completed).toBe(false);
+      console.error.mockRestore();
+    });
+  });
+
+  it('should stop the recurrence through PUT', async () => {
+    const { body } = await create(weeklyStandup).expect(201);
+
+    await request(app)
+      .put(`/api/v1/todos/${body.data.id}`)
+      .set('Authorization', alice)
+      .send({ recurrence: null })
+      .expect(200);
+
+    const response = await complete(body.data.id).expect(200);
+    expect(response.body.next_occurrence).toBeNull();
+  });
+});
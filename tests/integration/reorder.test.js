@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Manual Order Integration Tests', () => {
+  let app;
+  let todos;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const create = async (title, auth = alice) => {
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', auth)
+      .send({ title })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const reorder = (id, body, auth = alice) => request(app)
+    .patch(`/api/v1/todos/${id}/reorder`)
+    .set('Authorization', auth)
+    .send(body);
+
+  const titles = async (query = 'sort=position') => {
+    const response = await request(app)
+      .get(`/api/v1/todos?${query}`)
+      .set('Authorization', alice)
+      .expect(200);
+    return response.body.data.map(todo => todo.title);
+  };
+
+  beforeEach(async () => {
+    ({ app } = createTestApp());
+    todos = {};
+    for (const title of ['A', 'B', 'C', 'D']) {
+      todos[title] = await create(title);
+    }
+  });
+
+  describe('GET /api/v1/todos?sort=position', () => {
+    it('should list new todos newest first', async () => {
+      expect(await titles()).toEqual(['D', 'C', 'B', 'A']);
+      expect(await titles('sort=-position')).toEqual(['A', 'B', 'C', 'D']);
+    });
+  });
+
+  describe('PATCH /api/v1/todos/:id/reorder', () => {
+    it('should place a todo between two others', async () => {
+      const response = await reorder(todos.A.id, { after: todos.D.id, before: todos.C.id }).expect(200);
+
+      expect(response.body.message).toBe('Todo reordered successfully');
+      expect(response.body.data).toMatchObject({ id: todos.A.id, version: 2 });
+      expect(response.headers.etag).toMatch(/^"2-/);
+      expect(await titles()).toEqual(['D', 'A', 'C', 'B']);
+    });
+
+    it('should only change the todo that moves', async () => {
+      await reorder(todos.A.id, { after: todos.D.id }).expect(200);
+
+      const response = await request(app).get('/api/v1/todos').set('Authorization', alice).expect(200);
+      const versions = Object.fromEntries(response.body.data.map(todo => [todo.title, todo.version]));
+      expect(versions).toEqual({ A: 2, B: 1, C: 1, D: 1 });
+    });
+
+    it('should place a todo right after another', async () => {
+      await reorder(todos.A.id, { after: todos.D.id }).expect(200);
+      expect(await titles()).toEqual(['D', 'A', 'C', 'B']);
+
+      await reorder(todos.D.id, { after: todos.B.id }).expect(200);
+      expect(await titles()).toEqual(['A', 'C', 'B', 'D']);
+    });
+
+    it('should place a todo right before another', async () => {
+      await reorder(todos.A.id, { before: todos.D.id }).expect(200);
+      expect(await titles()).toEqual(['A', 'D', 'C', 'B']);
+
+      await reorder(todos.D.id, { before: todos.B.id }).expect(200);
+      expect(await titles()).toEqual(['A', 'C', 'D', 'B']);
+    });
+
+    it('should keep the order through repeated moves to the same spot', async () => {
+      for (let i = 0; i < 20; i++) {
+        await reorder(todos[i % 2 ? 'A' : 'B'].id, { after: todos.D.id }).expect(200);
+      }
+
+      expect(await titles()).toEqual(['D', 'A', 'B', 'C']);
+    });
+
+    it('should keep the manual order for other sorts and filters', async () => {
+      await reorder(todos.A.id, { after: todos.D.id }).expect(200);
+
+      expect(await titles()).toEqual(['D', 'A', 'C', 'B']);
+      expect(await titles('sort=-created_at')).toEqual(['D', 'C', 'B', 'A']);
+    });
+
+    it('should require a neighbour', async () => {
+      await reorder(todos.A.id, {}).expect(400);
+    });
+
+    it('should reject placing a todo next to itself', async () => {
+      const response = await reorder(todos.A.id, { after: todos.A.id }).expect(400);
+
+      expect(response.body.error).toBe('Invalid reorder');
+    });
+
+    it('should reject neighbours in the wrong order', async () => {
+      const response = await reorder(todos.A.id, { after: todos.B.id, before: todos.D.id }).expect(409);
+
+      expect(response.body.error).toBe('Invalid reorder');
+      expect(await titles()).toEqual(['D', 'C', 'B', 'A']);
+    });
+
+    it('should return 404 for neighbours that are not visible', async () => {
+      const other = await create('Bob task', bob);
+
+      const response = await reorder(todos.A.id, { after: other.id }).expect(404);
+
+      expect(response.body.message).toBe(`Todo with ID ${other.id} does not exist`);
+    });
+
+    it('should return 404 for todos of other users', async () => {
+      await reorder(todos.A.id, { after: todos.D.id }, bob).expect(404);
+    });
+
+    it('should honour If-Match', async () => {
+      await reorder(todos.A.id, { after: todos.D.id })
+        .set('If-Match', '"5"')
+        .expect(412);
+
+      await reorder(todos.A.id, { after: todos.D.id })
+        .set('If-Match', '"1"')
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Todo Revisions Integration Tests', () => {
+  let app;
+  let repositories;
+  let todoId;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const update = (body) => request(app)
+    .put(`/api/v1/todos/${todoId}`)
+    .set('Authorization', alice)
+    .send(body)
+    .expect(200);
+
+  const get = (path, token = alice) => request(app).get(`/api/v1/todos/${todoId}${path}`).set('Authorization', token);
+  const revert = (revision) => request(app).post(`/api/v1/todos/${todoId}/revert/${revision}`).set('Authorization', alice);
+
+  beforeEach(async () => {
+    ({ app, repositories } = createTestApp());
+
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', alice)
+      .send({ title: 'Draft', priority: 'low' })
+      .expect(201);
+    todoId = response.body.data.id;
+
+    await update({ title: 'Final', description: 'Ready' });
+    await update({ priority: 'high' });
+  });
+
+  describe('GET /api/v1/todos/:id/revisions', () => {
+    it('should list one revision per version, oldest first', async () => {
+      const response = await get('/revisions').expect(200);
+
+      expect(response.body.data.map(revision => revision.revision)).toEqual([1, 2, 3]);
+      expect(response.body.data[0]).toMatchObject({ todo_id: todoId, title: 'Draft', priority: 'low' });
+      expect(response.body.data[2]).toMatchObject({ title: 'Final', priority: 'high' });
+    });
+
+    it('should keep the settings, project and state of each version', async () => {
+      const project = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', alice)
+        .send({ name: 'Launch' })
+        .expect(201);
+      await update({ projectId: project.body.data.id, recurrence: { frequency: 'weekly' }, autoComplete: true });
+
+      const response = await get('/revisions').expect(200);
+
+      expect(response.body.data[3]).toMatchObject({
+        project_id: project.body.data.id,
+        recurrence: { frequency: 'weekly' },
+        complete_subtasks: false,
+        auto_complete: true,
+        state: null
+      });
+    });
+
+    it('should not make revisions for moves in the manual order', async () => {
+      const other = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', alice)
+        .send({ title: 'Other' })
+        .expect(201);
+
+      const moved = await request(app)
+        .patch(`/api/v1/todos/${todoId}/reorder`)
+        .set('Authorization', alice)
+        .send({ after: other.body.data.id })
+        .expect(200);
+      await update({ title: 'Moved' });
+
+      expect(moved.body.data.version).toBe(4);
+      const response = await get('/revisions').expect(200);
+      expect(response.body.data.map(revision => revision.revision)).toEqual([1, 2, 3, 5]);
+      const diff = await get('/revisions/5/diff').expect(200);
+      expect(diff.body.data).toMatchObject({ against: 3, changes: [{ field: 'title', from: 'Final', to: 'Moved' }] });
+    });
+
+    it('should hide revisions of todos owned by someone else', async () => {
+      await get('/revisions', bob).expect(404);
+    });
+  });
+
+  describe('GET /api/v1/todos/:id/revisions/:revision/diff', () => {
+    it('should compare with the previous revision by default', async () => {
+      const response = await get('/revisions/2/diff').expect(200);
+
+      expect(response.body.data).toEqual({
+        todo_id: todoId,
+        revision: 2,
+        against: 1,
+        changes: [
+          { field: 'title', from: 'Draft', to: 'Final' },
+          { field: 'description', from: null, to: 'Ready' }
+        ]
+      });
+    });
+
+    it('should compare any two revisions', async () => {
+      const response = await get('/revisions/1/diff').query({ against: 3 }).expect(200);
+
+      expect(response.body.data.against).toBe(3);
+      expect(response.body.data.changes.map(change => change.field)).toEqual(['title', 'description', 'priority']);
+      expect(response.body.data.changes[2]).toEqual({ field: 'priority', from: 'high', to: 'low' });
+    });
+
+    it('should show every set field for the first revision', async () => {
+      const response = await get('/revisions/1/diff').expect(200);
+
+      expect(response.body.data.against).toBeNull();
+      expect(response.body.data.changes.map(change => change.field))
+        .toEqual(['title', 'completed', 'priority', 'complete_subtasks', 'auto_complete']);
+    });
+
+    it('should return 404 for unknown revisions', async () => {
+      const response = await get('/revisions/9/diff').expect(404);
+      expect(response.body.error).toBe('Revision not found');
+
+      await get('/revisions/2/diff').query({ against: 9 }).expect(404);
+    });
+  });
+
+  describe('POST /api/v1/todos/:id/revert/:revision', () => {
+    it('should restore the fields of the revision as a new revision', async () => {
+      const response = await revert(1).expect(200);
+
+      expect(response.body.data).toMatchObject({ title: 'Draft', description: null, priority: 'low', version: 4 });
+      expect(response.body.message).toBe('Todo reverted to revision 1');
+      expect(response.headers.etag).toMatch(/^"4-/);
+
+      const revisions = await get('/revisions').expect(200);
+      expect(revisions.body.data).toHaveLength(4);
+
+      const history = await get('/history').expect(200);
+      expect(history.body.data[3].new_values).toEqual({ title: 'Draft', description: null, priority: 'low' });
+    });
+
+    it('should restore the settings and project of the revision', async () => {
+      const project = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', alice)
+        .send({ name: 'Launch' })
+        .expect(201);
+      await update({ projectId: project.body.data.id, recurrence: { frequency: 'weekly' }, completeSubtasks: true });
+
+      const response = await revert(3).expect(200);
+
+      expect(response.body.data).toMatchObject({ project_id: null, recurrence: null, complete_subtasks: false });
+    });
+
+    it('should complete the todo like PATCH /complete when the revision is completed', async () => {
+      await update({ completed: true, recurrence: { frequency: 'weekly' } });
+      await update({ completed: false });
+
+      const response = await revert(4).expect(200);
+
+      expect(response.body.data).toMatchObject({ completed: true, recurrence: { frequency: 'weekly' } });
+      expect(response.body.next_occurrence).toMatchObject({ title: 'Final', completed: false, occurrence: 2 });
+    });
+
+    it('should not complete a blocked todo unless forced', async () => {
+      await update({ completed: true });
+      await update({ completed: false });
+      const blocker = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', alice)
+        .send({ title: 'Blocker' })
+        .expect(201);
+      await request(app)
+        .post(`/api/v1/todos/${todoId}/dependencies`)
+        .set('Authorization', alice)
+        .send({ dependsOnId: blocker.body.data.id })
+        .expect(201);
+
+      const response = await revert(4).expect(409);
+      expect(response.body).toMatchObject({ error: 'Todo is blocked', blocked_by: [blocker.body.data.id] });
+      expect((await repositories.todos.getById(todoId)).completed).toBe(false);
+
+      const forced = await revert(4).query({ force: true }).expect(200);
+      expect(forced.body.data.completed).toBe(true);
+      expect(forced.body.warning).toMatch(/blocked by unfinished todos/);
+    });
+
+    it('should honor If-Match', async () => {
+      await revert(1).set('If-Match', '"2"').expect(412);
+
+      expect((await repositories.todos.getById(todoId)).title).toBe('Final');
+    });
+
+    it('should return 404 for unknown revisions', async () => {
+      await revert(9).expect(404);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Subtasks Integration Tests', () => {
+  let app;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+
+  const create = (body, auth = alice) => request(app)
+    .post('/api/v1/todos')
+    .set('Authorization', auth)
+    .send(body);
+
+  const createSubtask = (parentId, body, auth = alice) => request(app)
+    .post(`/api/v1/todos/${parentId}/subtasks`)
+    .set('Authorization', auth)
+    .send(body);
+
+  const complete = (id) => request(app)
+    .patch(`/api/v1/todos/${id}/complete`)
+    .set('Authorization', alice);
+
+  const getTodo = (id) => request(app)
+    .get(`/api/v1/todos/${id}`)
+    .set('Authorization', alice);
+
+  beforeEach(() => {
+    ({ app } = createTestApp());
+  });
+
+  describe('POST /api/v1/todos/:id/subtasks', () => {
+    it('should create subtasks in order and report the parent\'s progress', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0' }).expect(201);
+
+      const first = await createSubtask(parent.data.id, { title: 'Write changelog' }).expect(201);
+      const second = await createSubtask(parent.data.id, { title: 'Tag release' }).expect(201);
+
+      expect(first.body.data).toMatchObject({ parent_id: parent.data.id, subtask_position: 1 });
+      expect(second.body.data).toMatchObject({ parent_id: parent.data.id, subtask_position: 2 });
+      expect(first.headers.etag).toMatch(/^"1-/);
+
+      await complete(first.body.data.id).expect(200);
+      const response = await getTodo(parent.data.id).expect(200);
+      expect(response.body.data.progress).toEqual({ done: 1, total: 2 });
+    });
+
+    it('should return 404 for a parent the user can\'t see', async () => {
+      const { body: parent } = await create({ title: 'Bob only' }, bob).expect(201);
+
+      await createSubtask(parent.data.id, { title: 'Sneaky' }).expect(404);
+      await createSubtask(9999, { title: 'Orphan' }).expect(404);
+    });
+
+    it('should validate the subtask like a new todo', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0' }).expect(201);
+
+      await createSubtask(parent.data.id, { title: '' }).expect(400);
+    });
+  });
+
+  describe('GET /api/v1/todos/:id/tree', () => {
+    it('should nest subtasks at every depth', async () => {
+      const { body: root } = await create({ title: 'Launch' }).expect(201);
+      const { body: docs } = await createSubtask(root.data.id, { title: 'Docs' }).expect(201);
+      const { body: site } = await createSubtask(root.data.id, { title: 'Website' }).expect(201);
+      const { body: api } = await createSubtask(docs.data.id, { title: 'API reference' }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/todos/${root.data.id}/tree`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      const tree = response.body.data;
+      expect(tree.id).toBe(root.data.id);
+      expect(tree.progress).toEqual({ done: 0, total: 2 });
+      expect(tree.subtasks.map(node => node.id)).toEqual([docs.data.id, site.data.id]);
+      expect(tree.subtasks[0].subtasks.map(node => node.id)).toEqual([api.data.id]);
+      expect(tree.subtasks[0].subtasks[0]).toMatchObject({ subtasks: [], tags: [], etag: expect.stringMatching(/^"1-/) });
+    });
+
+    it('should return 404 for other users\' todos', async () => {
+      const { body } = await create({ title: 'Bob only' }, bob).expect(201);
+
+      await request(app)
+        .get(`/api/v1/todos/${body.data.id}/tree`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/v1/todos/:id/subtasks/order', () => {
+    let parent;
+    let ids;
+
+    const reorder = (body) => request(app)
+      .put(`/api/v1/todos/${parent.id}/subtasks/order`)
+      .set('Authorization', alice)
+      .send(body);
+
+    beforeEach(async () => {
+      ({ body: { data: parent } } = await create({ title: 'Release 2.0' }).expect(201));
+      ids = [];
+      for (const title of ['A', 'B', 'C']) {
+        const { body } = await createSubtask(parent.id, { title }).expect(201);
+        ids.push(body.data.id);
+      }
+    });
+
+    it('should put the subtasks in the given order', async () => {
+      const response = await reorder({ ids: [ids[2], ids[0], ids[1]] }).expect(200);
+
+      expect(response.body.data.map(todo => todo.title)).toEqual(['C', 'A', 'B']);
+      expect(response.body.data.map(todo => todo.subtask_position)).toEqual([1, 2, 3]);
+    });
+
+    it('should require every subtask exactly once', async () => {
+      await reorder({ ids: [ids[0], ids[1]] }).expect(400);
+      await reorder({ ids: [ids[0], ids[1], parent.id] }).expect(400);
+      await reorder({ ids: [ids[0], ids[0], ids[1]] }).expect(400);
+    });
+  });
+
+  describe('PATCH /api/v1/todos/:id/complete', () => {
+    it('should complete the subtree when the parent has completeSubtasks', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0', completeSubtasks: true }).expect(201);
+      const { body: child } = await createSubtask(parent.data.id, { title: 'Docs' }).expect(201);
+      const { body: grandchild } = await createSubtask(child.data.id, { title: 'API reference' }).expect(201);
+
+      const response = await complete(parent.data.id).expect(200);
+
+      expect(response.body.also_completed).toEqual({
+        subtasks: [child.data.id, grandchild.data.id],
+        parents: []
+      });
+      expect((await getTodo(grandchild.data.id)).body.data.completed).toBe(true);
+    });
+
+    it('should leave subtasks alone by default', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0' }).expect(201);
+      const { body: child } = await createSubtask(parent.data.id, { title: 'Docs' }).expect(201);
+
+      await complete(parent.data.id).expect(200);
+
+      expect((await getTodo(child.data.id)).body.data.completed).toBe(false);
+    });
+
+    it('should auto-complete parents once all their subtasks are done', async () => {
+      const { body: root } = await create({ title: 'Launch', autoComplete: true }).expect(201);
+      const { body: docs } = await createSubtask(root.data.id, { title: 'Docs', autoComplete: true }).expect(201);
+      const { body: api } = await createSubtask(docs.data.id, { title: 'API reference' }).expect(201);
+      const { body: guide } = await createSubtask(docs.data.id, { title: 'Guide' }).expect(201);
+
+      const first = await complete(api.data.id).expect(200);
+      expect(first.body.also_completed.parents).toEqual([]);
+
+      const second = await complete(guide.data.id).expect(200);
+      expect(second.body.also_completed.parents).toEqual([docs.data.id, root.data.id]);
+      expect((await getTodo(root.data.id)).body.data.completed).toBe(true);
+    });
+
+    it('should not auto-complete parents without autoComplete', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0' }).expect(201);
+      const { body: child } = await createSubtask(parent.data.id, { title: 'Docs' }).expect(201);
+
+      const response = await complete(child.data.id).expect(200);
+
+      expect(response.body.also_completed.parents).toEqual([]);
+      expect((await getTodo(parent.data.id)).body.data.completed).toBe(false);
+    });
+  });
+
+  describe('other ways of completing', () => {
+    const update = (id, body) => request(app)
+      .put(`/api/v1/todos/${id}`)
+      .set('Authorization', alice)
+      .send(body);
+
+    const bulkComplete = (ids) => request(app)
+      .post('/api/v1/todos/bulk')
+      .set('Authorization', alice)
+      .send({ action: 'complete', ids });
+
+    it('should cascade to subtasks and parents from PUT with completed: true', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0', completeSubtasks: true, autoComplete: true }).expect(201);
+      const { body: child } = await createSubtask(parent.data.id, { title: 'Docs' }).expect(201);
+      const { body: root } = await create({ title: 'Launch', autoComplete: true }).expect(201);
+      const { body: only } = await createSubtask(root.data.id, { title: 'Press kit' }).expect(201);
+
+      const response = await update(parent.data.id, { completed: true, priority: 'high' }).expect(200);
+      expect(response.body.data).toMatchObject({ completed: true, priority: 'high' });
+      expect(response.body.also_completed).toEqual({ subtasks: [child.data.id], parents: [] });
+      expect((await getTodo(child.data.id)).body.data.completed).toBe(true);
+
+      const last = await update(only.data.id, { completed: true }).expect(200);
+      expect(last.body.also_completed).toEqual({ subtasks: [], parents: [root.data.id] });
+      expect((await getTodo(root.data.id)).body.data.completed).toBe(true);
+    });
+
+    it('should cascade to subtasks and parents from bulk complete', async () => {
+      const { body: parent } = await create({ title: 'Release 2.0', completeSubtasks: true }).expect(201);
+      const { body: child } = await createSubtask(parent.data.id, { title: 'Docs' }).expect(201);
+      const { body: root } = await create({ title: 'Launch', autoComplete: true }).expect(201);
+      const { body: only } = await createSubtask(root.data.id, { title: 'Press kit' }).expect(201);
+
+      await bulkComplete([parent.data.id, only.data.id]).expect(200);
+
+      expect((await getTodo(child.data.id)).body.data.completed).toBe(true);
+      expect((await getTodo(root.data.id)).body.data.completed).toBe(true);
+    });
+  });
+});
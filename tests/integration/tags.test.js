@@ -0,0 +1,232 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Tags API Integration Tests', () => {
+  let app;
+  let repositories;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+  const admin = `Bearer ${generateToken(3, 'admin@example.com', null, { isAdmin: true })}`;
+
+  const createTag = (body, token = alice) => request(app)
+    .post('/api/v1/tags')
+    .set('Authorization', token)
+    .send(body);
+
+  const createTodo = async (title, token = alice) => {
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', token)
+      .send({ title })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const attach = (todoId, tagId, token = alice) => request(app)
+    .post(`/api/v1/todos/${todoId}/tags`)
+    .set('Authorization', token)
+    .send({ tagId });
+
+  beforeEach(() => {
+    ({ app, repositories } = createTestApp());
+  });
+
+  describe('tag management', () => {
+    it('should create and list tags', async () => {
+      const created = await createTag({ name: 'Work', color: '#007bff' }).expect(201);
+      await createTag({ name: 'Personal' }).expect(201);
+
+      expect(created.body.data).toMatchObject({ name: 'Work', color: '#007bff' });
+
+      const response = await request(app)
+        .get('/api/v1/tags')
+        .expect(200);
+
+      expect(response.body.data.map(tag => tag.name)).toEqual(['Personal', 'Work']);
+      expect(response.body.data[0].color).toBe('#6c757d');
+    });
+
+    it('should require authentication to create tags', async () => {
+      await request(app)
+        .post('/api/v1/tags')
+        .send({ name: 'Work' })
+        .expect(401);
+    });
+
+    it('should reject duplicate names regardless of case', async () => {
+      await createTag({ name: 'Work' }).expect(201);
+
+      const response = await createTag({ name: 'work' }).expect(409);
+
+      expect(response.body.error).toBe('Tag already exists');
+    });
+
+    it('should validate the color', async () => {
+      const response = await createTag({ name: 'Work', color: 'blue' }).expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+
+    it('should only let admins update and delete tags', async () => {
+      const { body } = await createTag({ name: 'Wrok' }).expect(201);
+
+      await request(app)
+        .put(`/api/v1/tags/${body.data.id}`)
+        .set('Authorization', alice)
+        .send({ name: 'Work' })
+        .expect(403);
+
+      const updated = await request(app)
+        .put(`/api/v1/tags/${body.data.id}`)
+        .set('Authorization', admin)
+        .send({ name: 'Work' })
+        .expect(200);
+
+      expect(updated.body.data.name).toBe('Work');
+
+      await request(app)
+        .delete(`/api/v1/tags/${body.data.id}`)
+        .set('Authorization', admin)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/tags/${body.data.id}`)
+        .expect(404);
+    });
+  });
+
+  describe('tagging todos', () => {
+    let work;
+    let urgent;
+
+    beforeEach(async () => {
+      work = (await createTag({ name: 'Work' })).body.data;
+      urgent = (await createTag({ name: 'Urgent' })).body.data;
+    });
+
+    it('should embed tags in todo responses', async () => {
+      const todo = await createTodo('Write report');
+      expect(todo.tags).toEqual([]);
+
+      const response = await attach(todo.id, work.id).expect(200);
+      expect(response.body.data.tags).toEqual([{ id: work.id, name: 'Work', color: work.color }]);
+
+      const fetched = await request(app)
+        .get(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(fetched.body.data.tags.map(tag => tag.name)).toEqual(['Work']);
+    });
+
+    it('should attach a tag only once', async () => {
+      const todo = await createTodo('Write report');
+
+      await attach(todo.id, work.id).expect(200);
+      const response = await attach(todo.id, work.id).expect(200);
+
+      expect(response.body.data.tags).toHaveLength(1);
+    });
+
+    it('should detach tags', async () => {
+      const todo = await createTodo('Write report');
+      await attach(todo.id, work.id).expect(200);
+
+      const response = await request(app)
+        .delete(`/api/v1/todos/${todo.id}/tags/${work.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(response.body.data.tags).toEqual([]);
+
+      await request(app)
+        .delete(`/api/v1/todos/${todo.id}/tags/${work.id}`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+
+    it('should return 404 for unknown tags', async () => {
+      const todo = await createTodo('Write report');
+
+      const response = await attach(todo.id, 999).expect(404);
+
+      expect(response.body.error).toBe('Tag not found');
+    });
+
+    it('should not tag other users\' todos', async () => {
+      const todo = await createTodo('Write report');
+
+      await attach(todo.id, work.id, bob).expect(404);
+      expect((await repositories.tags.listForTodos([todo.id])).get(todo.id)).toEqual([]);
+    });
+
+    it('should remove deleted tags from todos', async () => {
+      const todo = await createTodo('Write report');
+      await attach(todo.id, work.id).expect(200);
+
+      await request(app)
+        .delete(`/api/v1/tags/${work.id}`)
+        .set('Authorization', admin)
+        .expect(200);
+
+      const fetched = await request(app)
+        .get(`/api/v1/todos/${todo.id}`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(fetched.body.data.tags).toEqual([]);
+    });
+
+    describe('GET /api/v1/todos?tag=', () => {
+      let report;
+      let deploy;
+
+      beforeEach(async () => {
+        report = await createTodo('Write report');
+        deploy = await createTodo('Deploy hotfix');
+        await createTodo('Buy milk');
+        await attach(report.id, work.id).expect(200);
+        await attach(deploy.id, work.id).expect(200);
+        await attach(deploy.id, urgent.id).expect(200);
+      });
+
+      it('should filter by a single tag', async () => {
+        const response = await request(app)
+          .get('/api/v1/todos?tag=Urgent')
+          .set('Authorization', alice)
+          .expect(200);
+
+        expect(response.body.data.map(todo => todo.id)).toEqual([deploy.id]);
+        expect(response.body.pagination.total).toBe(1);
+      });
+
+      it('should match any of several tags by default', async () => {
+        const response = await request(app)
+          .get('/api/v1/todos?tag=Work&tag=Urgent')
+          .set('Authorization', alice)
+          .expect(200);
+
+        expect(response.body.data.map(todo => todo.id)).toEqual([deploy.id, report.id]);
+      });
+
+      it('should match all tags with tagMatch=all', async () => {
+        const response = await request(app)
+          .get('/api/v1/todos?tag=Work&tag=Urgent&tagMatch=all')
+          .set('Authorization', alice)
+          .expect(200);
+
+        expect(response.body.data.map(todo => todo.id)).toEqual([deploy.id]);
+        expect(response.body.data[0].tags.map(tag => tag.name)).toEqual(['Urgent', 'Work']);
+      });
+
+      it('should validate tagMatch', async () => {
+        await request(app)
+          .get('/api/v1/todos?tag=Work&tagMatch=some')
+          .expect(400);
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+
+describe('Cursor pagination', () => {
+  let app;
+  let repositories;
+
+  const titles = (response) => response.body.data.map(todo => todo.title);
+  const list = (query) => request(app).get('/api/v1/todos').query(query);
+
+  beforeEach(async () => {
+    ({ app, repositories } = createTestApp());
+
+    for (const title of ['One', 'Two', 'Three', 'Four', 'Five']) {
+      await request(app).post('/api/v1/todos').send({ title }).expect(201);
+    }
+  });
+
+  describe('GET /api/v1/todos', () => {
+    it('should add cursors to page/limit responses', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+
+      expect(first.body.pagination).toMatchObject({ page: 1, limit: 2, total: 5, pages: 3, prev_cursor: null });
+      expect(typeof first.body.pagination.next_cursor).toBe('string');
+
+      const last = await list({ limit: 2, page: 3 }).expect(200);
+
+      expect(last.body.pagination.next_cursor).toBeNull();
+      expect(typeof last.body.pagination.prev_cursor).toBe('string');
+    });
+
+    it('should walk every page with next_cursor and back with prev_cursor', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+      const second = await list({ limit: 2, cursor: first.body.pagination.next_cursor }).expect(200);
+      const third = await list({ limit: 2, cursor: second.body.pagination.next_cursor }).expect(200);
+
+      expect(titles(second)).toEqual(['Three', 'Two']);
+      expect(second.body.pagination).not.toHaveProperty('total');
+      expect(titles(third)).toEqual(['One']);
+      expect(third.body.pagination.next_cursor).toBeNull();
+
+      const back = await list({ limit: 2, cursor: third.body.pagination.prev_cursor }).expect(200);
+      const start = await list({ limit: 2, cursor: back.body.pagination.prev_cursor }).expect(200);
+
+      expect(titles(back)).toEqual(['Three', 'Two']);
+      expect(titles(start)).toEqual(['Five', 'Four']);
+      expect(start.body.pagination.prev_cursor).toBeNull();
+      expect(typeof start.body.pagination.next_cursor).toBe('string');
+    });
+
+    it('should not repeat todos created between pages', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+      await request(app).post('/api/v1/todos').send({ title: 'Newcomer' }).expect(201);
+
+      const second = await list({ limit: 2, cursor: first.body.pagination.next_cursor }).expect(200);
+
+      expect(titles(second)).toEqual(['Three', 'Two']);
+    });
+
+    it('should keep the sort order across pages', async () => {
+      const first = await list({ limit: 2, sort: 'title' }).expect(200);
+      const second = await list({ limit: 2, sort: 'title', cursor: first.body.pagination.next_cursor }).expect(200);
+
+      expect(titles(first)).toEqual(['Five', 'Four']);
+      expect(titles(second)).toEqual(['One', 'Three']);
+    });
+
+    it('should reject a cursor used with another sort order', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+
+      const response = await list({ limit: 2, sort: 'title', cursor: first.body.pagination.next_cursor }).expect(400);
+
+      expect(response.body.error).toBe('Invalid cursor');
+    });
+
+    it('should carry on after the todo it points at is purged', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+      const [, four] = first.body.data;
+      await request(app).delete(`/api/v1/todos/${four.id}`).expect(200);
+      await repositories.todos.purge(new Date(Date.now() + 60 * 1000));
+
+      const second = await list({ limit: 2, cursor: first.body.pagination.next_cursor }).expect(200);
+
+      expect(titles(second)).toEqual(['Three', 'Two']);
+    });
+
+    it('should reject a cursor used with other filters', async () => {
+      const first = await list({ limit: 2, status: 'pending' }).expect(200);
+
+      const response = await list({ limit: 2, priority: 'high', cursor: first.body.pagination.next_cursor }).expect(400);
+
+      expect(response.body.error).toBe('Invalid cursor');
+    });
+
+    it('should reject tampered cursors', async () => {
+      const first = await list({ limit: 2 }).expect(200);
+      const [, signature] = first.body.pagination.next_cursor.split('.');
+      const forged = `${Buffer.from(JSON.stringify({ id: 1, direction: 'next' })).toString('base64url')}.${signature}`;
+
+      const response = await list({ cursor: forged }).expect(400);
+
+      expect(response.body.error).toBe('Invalid cursor');
+      await list({ cursor: 'not-a-cursor' }).expect(400);
+    });
+  });
+
+  describe('GET /api/v1/todos/search', () => {
+    const search = (query) => request(app).get('/api/v1/todos/search').query(query);
+
+    it('should page search results with cursors', async () => {
+      const first = await search({ q: 'one OR two OR three', limit: 2 }).expect(200);
+      const second = await search({ q: 'one OR two OR three', limit: 2, cursor: first.body.search.next_cursor })
+        .expect(200);
+
+      expect(first.body.search.total).toBe(3);
+      expect(titles(second)).toHaveLength(1);
+      expect(second.body.search.next_cursor).toBeNull();
+      expect([...titles(first), ...titles(second)].sort()).toEqual(['One', 'Three', 'Two']);
+    });
+
+    it('should reject a cursor from another search', async () => {
+      const first = await search({ q: 'one OR two OR three', limit: 2 }).expect(200);
+
+      const response = await search({ q: 'four', cursor: first.body.search.next_cursor }).expect(400);
+
+      expect(response.body.error).toBe('Invalid cursor');
+    });
+  });
+});
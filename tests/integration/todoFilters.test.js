@@ -0,0 +1,86 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+
+describe('GET /api/v1/todos filters and sorting', () => {
+  let app;
+
+  const titles = (response) => response.body.data.map(todo => todo.title);
+
+  beforeEach(async () => {
+    ({ app } = createTestApp());
+
+    const todos = [
+      { title: 'Overdue', priority: 'low', dueDate: '2024-01-10T00:00:00.000Z', description: 'Late' },
+      { title: 'Soon', priority: 'high', dueDate: '2024-01-20T00:00:00.000Z' },
+      { title: 'Later', priority: 'medium', dueDate: '2024-03-01T00:00:00.000Z' },
+      { title: 'Someday', priority: 'high' }
+    ];
+
+    for (const todo of todos) {
+      await request(app).post('/api/v1/todos').send(todo).expect(201);
+    }
+  });
+
+  it('should accept a comma-separated list of priorities', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?priority=low,medium')
+      .expect(200);
+
+    expect(titles(response)).toEqual(['Later', 'Overdue']);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should accept repeated priorities', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?priority=low&priority=high')
+      .expect(200);
+
+    expect(titles(response)).toEqual(['Someday', 'Soon', 'Overdue']);
+  });
+
+  it('should filter by due date range', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?due_after=2024-01-15&due_before=2024-02-01')
+      .expect(200);
+
+    expect(titles(response)).toEqual(['Soon']);
+  });
+
+  it('should filter overdue todos using the app clock', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?overdue=true')
+      .expect(200);
+
+    expect(titles(response)).toEqual(['Overdue']);
+  });
+
+  it('should filter by description presence', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?has_description=false')
+      .expect(200);
+
+    expect(response.body.pagination.total).toBe(3);
+  });
+
+  it('should sort by due date and descending priority', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?sort=-priority,due_date')
+      .expect(200);
+
+    expect(titles(response)).toEqual(['Soon', 'Someday', 'Later', 'Overdue']);
+  });
+
+  it('should reject unknown sort fields', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?sort=password_hash')
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation error');
+  });
+
+  it('should reject invalid priorities in a list', async () => {
+    await request(app)
+      .get('/api/v1/todos?priority=high,urgent')
+      .expect(400);
+  });
+});
@@ -0,0 +1,170 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Todo ownership', () => {
+  let app;
+  let aliceTodoId;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+  const admin = `Bearer ${generateToken(3, 'admin@example.com', null, { isAdmin: true })}`;
+
+  beforeEach(async () => {
+    ({ app } = createTestApp());
+
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', alice)
+      .send({ title: 'Alice private todo' })
+      .expect(201);
+
+    aliceTodoId = response.body.data.id;
+  });
+
+  it('should show users their own todos', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos')
+      .set('Authorization', alice)
+      .expect(200);
+
+    expect(response.body.data.map(todo => todo.id)).toEqual([aliceTodoId]);
+    expect(response.body.pagination.total).toBe(1);
+  });
+
+  it('should hide todos from other users', async () => {
+    const list = await request(app)
+      .get('/api/v1/todos')
+      .set('Authorization', bob)
+      .expect(200);
+
+    expect(list.body.data).toEqual([]);
+
+    await request(app)
+      .get(`/api/v1/todos/${aliceTodoId}`)
+      .set('Authorization', bob)
+      .expect(404);
+  });
+
+  it('should hide owned todos from anonymous requests', async () => {
+    await request(app)
+      .get(`/api/v1/todos/${aliceTodoId}`)
+      .expect(404);
+
+    const stats = await request(app)
+      .get('/api/v1/todos/stats')
+      .expect(200);
+
+    expect(stats.body.data.total).toBe(0);
+  });
+
+  it('should not let other users change or delete a todo', async () => {
+    await request(app)
+      .put(`/api/v1/todos/${aliceTodoId}`)
+      .set('Authorization', bob)
+      .send({ title: 'Hijacked' })
+      .expect(404);
+
+    await request(app)
+      .patch(`/api/v1/todos/${aliceTodoId}/complete`)
+      .set('Authorization', bob)
+      .expect(404);
+
+    await request(app)
+      .delete(`/api/v1/todos/${aliceTodoId}`)
+      .set('Authorization', bob)
+      .expect(404);
+
+    const response = await request(app)
+      .get(`/api/v1/todos/${aliceTodoId}`)
+      .set('Authorization', alice)
+      .expect(200);
+
+    expect(response.body.data.title).toBe('Alice private todo');
+    expect(response.body.data.completed).toBe(false);
+  });
+
+  it('should scope search results', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos/search?q=private')
+      .set('Authorization', bob)
+      .expect(200);
+
+    expect(response.body.data).toEqual([]);
+  });
+
+  it('should give admins a cross-user view with scope=all', async () => {
+    const ownList = await request(app)
+      .get('/api/v1/todos')
+      .set('Authorization', admin)
+      .expect(200);
+
+    expect(ownList.body.data).toEqual([]);
+
+    const allList = await request(app)
+      .get('/api/v1/todos?scope=all')
+      .set('Authorization', admin)
+      .expect(200);
+
+    expect(allList.body.data.map(todo => todo.id)).toEqual([aliceTodoId]);
+
+    await request(app)
+      .get(`/api/v1/todos/${aliceTodoId}?scope=all`)
+      .set('Authorization', admin)
+      .expect(200);
+  });
+
+  it('should reject scope=all for regular users', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos?scope=all')
+      .set('Authorization', bob)
+      .expect(403);
+
+    expect(response.body.error).toBe('Access forbidden');
+  });
+
+  describe('with a bad token', () => {
+    const expired = `Bearer ${jwt.sign(
+      { userId: 1, email: 'alice@example.com', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    )}`;
+    const forged = `Bearer ${jwt.sign({ userId: 1, email: 'alice@example.com' }, 'not-the-secret')}`;
+
+    it('should reject expired tokens instead of treating them as anonymous', async () => {
+      const list = await request(app)
+        .get('/api/v1/todos')
+        .set('Authorization', expired)
+        .expect(401);
+
+      expect(list.body).toEqual({ error: 'Access denied', message: 'Token expired' });
+
+      await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', expired)
+        .send({ title: 'Leaked' })
+        .expect(401);
+
+      const anonymous = await request(app).get('/api/v1/todos').expect(200);
+      expect(anonymous.body.data).toEqual([]);
+    });
+
+    it('should reject invalid tokens', async () => {
+      const create = await request(app)
+        .post('/api/v1/todos')
+        .set('Authorization', forged)
+        .send({ title: 'Leaked' })
+        .expect(401);
+
+      expect(create.body).toEqual({ error: 'Access denied', message: 'Invalid token' });
+
+      await request(app)
+        .get('/api/v1/projects')
+        .set('Authorization', forged)
+        .expect(401);
+
+      const anonymous = await request(app).get('/api/v1/todos').expect(200);
+      expect(anonymous.body.data).toEqual([]);
+    });
+  });
+});
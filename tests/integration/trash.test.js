@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+const { purgeTrash } = require('../../src/services/trashService');
+
+describe('Trash Integration Tests', () => {
+  let app;
+  let repositories;
+  let clock;
+  let todoId;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+  const bob = `Bearer ${generateToken(2, 'bob@example.com')}`;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    ({ app, repositories, clock } = createTestApp());
+
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', alice)
+      .send({ title: 'Mis-clicked todo' })
+      .expect(201);
+
+    todoId = response.body.data.id;
+
+    await request(app)
+      .delete(`/api/v1/todos/${todoId}`)
+      .set('Authorization', alice)
+      .expect(200);
+  });
+
+  it('should move deleted todos to the trash', async () => {
+    await request(app)
+      .get(`/api/v1/todos/${todoId}`)
+      .set('Authorization', alice)
+      .expect(404);
+
+    const response = await request(app)
+      .get('/api/v1/todos/trash')
+      .set('Authorization', alice)
+      .expect(200);
+
+    expect(response.body.data.map(todo => todo.id)).toEqual([todoId]);
+    expect(response.body.data[0].deleted_at).toBe('2024-01-15T10:00:00.000Z');
+    expect(response.body.pagination.total).toBe(1);
+    expect(response.body.retention_days).toBe(30);
+  });
+
+  it('should leave trashed todos out of lists and stats', async () => {
+    const list = await request(app)
+      .get('/api/v1/todos')
+      .set('Authorization', alice)
+      .expect(200);
+
+    const stats = await request(app)
+      .get('/api/v1/todos/stats')
+      .set('Authorization', alice)
+      .expect(200);
+
+    expect(list.body.data).toEqual([]);
+    expect(stats.body.data.total).toBe(0);
+  });
+
+  it('should restore todos from the trash', async () => {
+    const response = await request(app)
+      .post(`/api/v1/todos/${todoId}/restore`)
+      .set('Authorization', alice)
+      .expect(200);
+
+    expect(response.body.data.deleted_at).toBeNull();
+
+    await request(app)
+      .get(`/api/v1/todos/${todoId}`)
+      .set('Authorization', alice)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/v1/todos/${todoId}/restore`)
+      .set('Authorization', alice)
+      .expect(404);
+  });
+
+  it('should keep other users out of the trash', async () => {
+    const response = await request(app)
+      .get('/api/v1/todos/trash')
+      .set('Authorization', bob)
+      .expect(200);
+
+    expect(response.body.data).toEqual([]);
+
+    await request(app)
+      .post(`/api/v1/todos/${todoId}/restore`)
+      .set('Authorization', bob)
+      .expect(404);
+  });
+
+  it('should record the move to the trash and the restore in the history', async () => {
+    await request(app)
+      .post(`/api/v1/todos/${todoId}/restore`)
+      .set('Authorization', alice)
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/v1/todos/${todoId}/history`)
+      .set('Authorization', alice)
+      .expect(200);
+
+    expect(response.body.data.map(entry => entry.action)).toEqual(['INSERT', 'DELETE', 'UPDATE']);
+    expect(response.body.data[2].new_values).toEqual({ deleted_at: null });
+  });
+
+  describe('purgeTrash', () => {
+    it('should keep todos within the retention period', async () => {
+      clock.advance(29 * DAY_MS);
+
+      expect(await purgeTrash({ todos: repositories.todos, clock })).toBe(0);
+    });
+
+    it('should permanently delete todos past the retention period', async () => {
+      clock.advance(31 * DAY_MS);
+
+      expect(await purgeTrash({ todos: repositories.todos, clock })).toBe(1);
+
+      await request(app)
+        .post(`/api/v1/todos/${todoId}/restore`)
+        .set('Authorization', alice)
+        .expect(404);
+    });
+
+    it('should honour a custom retention period', async () => {
+      clock.advance(8 * DAY_MS);
+
+      expect(await purgeTrash({ todos: repositories.todos, clock, retentionDays: 7 })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const request = require('supertest');
+const { createTestApp } = require('../shared/testApp');
+const { generateToken } = require('../../src/middleware/auth');
+
+describe('Kanban Workflow Integration Tests', () => {
+  let app;
+  let clock;
+  let project;
+
+  const alice = `Bearer ${generateToken(1, 'alice@example.com')}`;
+
+  const workflow = {
+    states: [
+      { key: 'backlog', name: 'Backlog' },
+      { key: 'in_progress', name: 'In Progress' },
+      { key: 'review', name: 'Review' },
+      { key: 'done', name: 'Done', terminal: true }
+    ],
+    transitions: {
+      backlog: ['in_progress'],
+      in_progress: ['backlog', 'review'],
+      review: ['in_progress', 'done'],
+      done: ['review']
+    }
+  };
+
+  const create = async (title, body = { projectId: project.id }) => {
+    const response = await request(app)
+      .post('/api/v1/todos')
+      .set('Authorization', alice)
+      .send({ title, ...body })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const move = (id, body, query = '') => request(app)
+    .patch(`/api/v1/todos/${id}/move${query}`)
+    .set('Authorization', alice)
+    .send(body);
+
+  const board = async () => {
+    const response = await request(app)
+      .get(`/api/v1/projects/${project.id}/board`)
+      .set('Authorization', alice)
+      .expect(200);
+    return Object.fromEntries(response.body.data.columns.map(column => [column.key, column.todos.map(todo => todo.title)]));
+  };
+
+  beforeEach(async () => {
+    ({ app, clock } = createTestApp());
+    const response = await request(app)
+      .post('/api/v1/projects')
+      .set('Authorization', alice)
+      .send({ name: 'Sprint', workflow })
+      .expect(201);
+    project = response.body.data;
+  });
+
+  describe('PATCH /api/v1/todos/:id/move', () => {
+    it('should start todos in the first state', async () => {
+      const todo = await create('Login page');
+
+      expect(todo).toMatchObject({ state: 'backlog', completed: false });
+    });
+
+    it('should move along allowed transitions', async () => {
+      const todo = await create('Login page');
+
+      const response = await move(todo.id, { state: 'in_progress' }).expect(200);
+
+      expect(response.body).toMatchObject({ from: 'backlog', to: 'in_progress' });
+      expect(response.body.data).toMatchObject({ state: 'in_progress', state_position: expect.any(String), version: 2 });
+    });
+
+    it('should refuse transitions the workflow doesn\'t allow', async () => {
+      const todo = await create('Login page');
+
+      const response = await move(todo.id, { state: 'done' }).expect(409);
+
+      expect(response.body).toMatchObject({ error: 'Transition not allowed', allowed: ['in_progress'] });
+    });
+
+    it('should refuse unknown states', async () => {
+      const todo = await create('Login page');
+
+      const response = await move(todo.id, { state: 'qa' }).expect(400);
+
+      expect(response.body.states).toEqual(['backlog', 'in_progress', 'review', 'done']);
+    });
+
+    it('should complete todos in the terminal state and reopen them on the way out', async () => {
+      const todo = await create('Login page');
+      await move(todo.id, { state: 'in_progress' }).expect(200);
+      await move(todo.id, { state: 'review' }).expect(200);
+
+      const done = await move(todo.id, { state: 'done' }).expect(200);
+      expect(done.body.data).toMatchObject({ state: 'done', completed: true });
+
+      const reopened = await move(todo.id, { state: 'review' }).expect(200);
+      expect(reopened.body.data).toMatchObject({ state: 'review', completed: false });
+    });
+
+    it('should keep completed and the terminal state in step', async () => {
+      const todo = await create('Login page');
+      await move(todo.id, { state: 'in_progress' }).expect(200);
+
+      const completed = await request(app)
+        .patch(`/api/v1/todos/${todo.id}/complete`)
+        .set('Authorization', alice)
+        .expect(200);
+      expect(completed.body.data.state).toBe('done');
+
+      const uncompleted = await request(app)
+        .patch(`/api/v1/todos/${todo.id}/uncomplete`)
+        .set('Authorization', alice)
+        .expect(200);
+      expect(uncompleted.body.data.state).toBe('backlog');
+    });
+
+    it('should not complete blocked todos unless forced', async () => {
+      const blocker = await create('API');
+      const todo = await create('Login page');
+      await request(app)
+        .post(`/api/v1/todos/${todo.id}/dependencies`)
+        .set('Authorization', alice)
+        .send({ dependsOnId: blocker.id })
+        .expect(201);
+      await move(todo.id, { state: 'in_progress' }).expect(200);
+      await move(todo.id, { state: 'review' }).expect(200);
+
+      const blocked = await move(todo.id, { state: 'done' }).expect(409);
+      expect(blocked.body.blocked_by).toEqual([blocker.id]);
+
+      const forced = await move(todo.id, { state: 'done' }, '?force=true').expect(200);
+      expect(forced.body.data.completed).toBe(true);
+      expect(forced.body.warning).toMatch(/blocked/);
+    });
+
+    it('should order todos within a column', async () => {
+      const [a, b, c] = [await create('A'), await create('B'), await create('C')];
+      for (const todo of [a, b, c]) {
+        await move(todo.id, { state: 'in_progress' }).expect(200);
+      }
+      expect((await board()).in_progress).toEqual(['A', 'B', 'C']);
+
+      const response = await move(c.id, { state: 'in_progress', position: 1 }).expect(200);
+      expect(response.body.message).toBe('Todo reordered');
+      expect((await board()).in_progress).toEqual(['C', 'A', 'B']);
+
+      await move(a.id, { state: 'backlog', position: 1 }).expect(200);
+      await move(c.id, { state: 'review', position: 9 }).expect(200);
+      expect(await board()).toEqual({ backlog: ['A'], in_progress: ['B'], review: ['C'], done: [] });
+    });
+
+    it('should only change the todo it moves', async () => {
+      const todos = [await create('A'), await create('B'), await create('C'), await create('D')];
+      const version = async (todo) => (await request(app).get(`/api/v1/todos/${todo.id}`).set('Authorization', alice)).body.data.version;
+
+      await move(todos[3].id, { state: 'backlog', position: 2 }).expect(200);
+      await move(todos[0].id, { state: 'backlog', position: 4 }).expect(200);
+
+      expect((await board()).backlog).toEqual(['D', 'B', 'C', 'A']);
+      expect(await Promise.all(todos.map(version))).toEqual([2, 1, 1, 2]);
+
+      // Todos that arrive later still go after the ones moved to the end
+      clock.advance(1000);
+      await create('E');
+      expect((await board()).backlog).toEqual(['D', 'B', 'C', 'A', 'E']);
+    });
+
+    it('should leave a todo that is already in place alone', async () => {
+      const todo = await create('A');
+      await create('B');
+
+      const response = await move(todo.id, { state: 'backlog', position: 1 }).expect(200);
+
+      expect(response.body.data.version).toBe(1);
+    });
+
+    it('should honour If-Match', async () => {
+      const todo = await create('Login page');
+
+      await move(todo.id, { state: 'in_progress' }).set('If-Match', '"7"').expect(412);
+      await move(todo.id, { state: 'in_progress' }).set('If-Match', '"1"').expect(200);
+    });
+
+    it('should use the default workflow outside projects', async () => {
+      const todo = await create('Groceries', {});
+      expect(todo.state).toBe('todo');
+
+      const done = await move(todo.id, { state: 'done' }).expect(200);
+      expect(done.body.data).toMatchObject({ state: 'done', completed: true });
+    });
+  });
+
+  describe('bulk actions', () => {
+    const bulk = (body) => request(app)
+      .post('/api/v1/todos/bulk')
+      .set('Authorization', alice)
+      .send(body)
+      .expect(200);
+
+    it('should complete todos to the end of the terminal column', async () => {
+      const [a, b] = [await create('A'), await create('B')];
+      for (const state of ['in_progress', 'review', 'done']) {
+        await move(b.id, { state }).expect(200);
+      }
+
+      clock.advance(1000);
+      const response = await bulk({ action: 'complete', ids: [a.id] });
+
+      expect(response.body.data.results[0].data).toMatchObject({ state: 'done', completed: true });
+      expect((await board()).done).toEqual(['B', 'A']);
+    });
+
+    it('should move todos to the end of the first column of their new project', async () => {
+      const todo = await create('Login page');
+      await move(todo.id, { state: 'in_progress' }).expect(200);
+      const { body: other } = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', alice)
+        .send({ name: 'Next sprint', workflow })
+        .expect(201);
+      const waiting = await create('Signup page', { projectId: other.data.id });
+      await move(waiting.id, { state: 'backlog', position: 1 }).expect(200);
+
+      clock.advance(1000);
+      const response = await bulk({ action: 'move', ids: [todo.id], projectId: other.data.id });
+
+      expect(response.body.data.results[0].data).toMatchObject({ project_id: other.data.id, state: 'backlog' });
+      project = other.data;
+      expect(await board()).toEqual({ backlog: ['Signup page', 'Login page'], in_progress: [], review: [], done: [] });
+    });
+  });
+
+  describe('project workflows', () => {
+    it('should show the default workflow of projects without one', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects')
+        .set('Authorization', alice)
+        .send({ name: 'Home' })
+        .expect(201);
+
+      expect(response.body.data.workflow.states.map(state => state.key)).toEqual(['todo', 'done']);
+    });
+
+    it('should reject unsound workflows', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/${project.id}`)
+        .set('Authorization', alice)
+        .send({ workflow: { states: [{ key: 'a', name: 'A' }, { key: 'b', name: 'B' }] } })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/exactly one terminal state/);
+    });
+
+    it('should move todos of removed states back to the first state', async () => {
+      const todo = await create('Login page');
+      await move(todo.id, { state: 'in_progress' }).expect(200);
+      await move(todo.id, { state: 'review' }).expect(200);
+
+      await request(app)
+        .put(`/api/v1/projects/${project.id}`)
+        .set('Authorization', alice)
+        .send({ workflow: { states: [workflow.states[0], workflow.states[1], workflow.states[3]] } })
+        .expect(200);
+
+      const { body } = await request(app).get(`/api/v1/todos/${todo.id}`).set('Authorization', alice).expect(200);
+      expect(body.data.state).toBe('backlog');
+    });
+
+    it('should count todos by state in the project statistics', async () => {
+      const todo = await create('Login page');
+      await create('Signup page');
+      await request(app).patch(`/api/v1/todos/${todo.id}/complete`).set('Authorization', alice).expect(200);
+
+      const { body } = await request(app)
+        .get(`/api/v1/projects/${project.id}/stats`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(body.data).toMatchObject({ total: 2, completed: 1, pending: 1 });
+      expect(body.data.by_state).toEqual({ backlog: 1, in_progress: 0, review: 0, done: 1 });
+    });
+
+    it('should return the board with totals', async () => {
+      await create('Login page');
+
+      const { body } = await request(app)
+        .get(`/api/v1/projects/${project.id}/board?limit=1`)
+        .set('Authorization', alice)
+        .expect(200);
+
+      expect(body.data.transitions).toEqual(workflow.transitions);
+      expect(body.data.columns[0]).toMatchObject({ key: 'backlog', name: 'Backlog', terminal: false, total: 1 });
+      expect(body.data.columns[0].todos[0]).toMatchObject({ title: 'Login page', state: 'backlog' });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Setup shared by the suites that run against a real PostgreSQL database. They only run
+ * when one is available:
+ *
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ *
+ *   describeWithDatabase('PostgresTagRepository', () => {
+ *     const database = useTestDatabase();
+ *     beforeEach(() => resetDatabase(database));
+ *   });
+ *
+ * Jest runs test files in parallel and they all share that database, so each suite holds
+ * an advisory lock while it uses it: the suites take turns instead of truncating tables
+ * under each other.
+ */
+
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+// Any number works, as long as every suite uses the same one
+const SUITE_LOCK = 7001;
+
+// Connects before the suite (waiting for the suites already using the database), creates
+// the schema, and disconnects after it. Returns src/config/database.
+const useTestDatabase = () => {
+  // Required here so that suites skipped for lack of a database never load it
+  const database = require('../../src/config/database');
+  let client;
+
+  beforeAll(async () => {
+    client = await database.getClient();
+    await client.query('SELECT pg_advisory_lock($1)', [SUITE_LOCK]);
+    await database.initializeDatabase();
+  });
+
+  afterAll(async () => {
+    await client.query('SELECT pg_advisory_unlock($1)', [SUITE_LOCK]);
+    client.release();
+    await database.closeDatabase();
+  });
+
+  return database;
+};
+
+// Empty every table (tables that reference these go with them)
+const resetDatabase = (database) => database.query(
+  'TRUNCATE todos, users, tags, projects, audit_logs, idempotency_keys RESTART IDENTITY CASCADE'
+);
+
+let userCount = 0;
+
+// Id of a new user
+const createUser = async (database) => {
+  userCount++;
+  const result = await database.query(
+    'INSERT INTO users (username, email, password_hash) VALUES ($1, $2, $3) RETURNING id',
+    [`user${userCount}`, `user${userCount}@example.com`, 'not-a-real-hash']
+  );
+  return result.rows[0].id;
+};
+
+module.exports = {
+  describeWithDatabase,
+  useTestDatabase,
+  resetDatabase,
+  createUser
+};
@@ -0,0 +1,64 @@
+/**
+ * Build an app wired to in-memory repositories and storage, and a controllable clock.
+ *
+ *   const { app, repositories, clock, storage } = createTestApp();
+ *   clock.set('2024-02-01T00:00:00Z');
+ */
+
+const { createApp } = require('../../src/app');
+const MemoryTodoRepository = require('../../src/repositories/memoryTodoRepository');
+const MemoryUserRepository = require('../../src/repositories/memoryUserRepository');
+const MemoryRefreshTokenRepository = require('../../src/repositories/memoryRefreshTokenRepository');
+const MemoryApiKeyRepository = require('../../src/repositories/memoryApiKeyRepository');
+const MemoryTagRepository = require('../../src/repositories/memoryTagRepository');
+const MemoryProjectRepository = require('../../src/repositories/memoryProjectRepository');
+const MemoryAuditLogRepository = require('../../src/repositories/memoryAuditLogRepository');
+const MemoryIdempotencyKeyRepository = require('../../src/repositories/memoryIdempotencyKeyRepository');
+const MemoryTodoRevisionRepository = require('../../src/repositories/memoryTodoRevisionRepository');
+const MemoryCommentRepository = require('../../src/repositories/memoryCommentRepository');
+const MemoryAttachmentRepository = require('../../src/repositories/memoryAttachmentRepository');
+const MemoryStorage = require('../../src/storage/memoryStorage');
+const memoryTransaction = require('../../src/repositories/memoryTransaction');
+
+const createTestClock = (start = '2024-01-15T10:00:00.000Z') => {
+  let current = new Date(start);
+
+  return {
+    now: () => new Date(current),
+    set: (date) => { current = new Date(date); },
+    advance: (ms) => { current = new Date(current.getTime() + ms); }
+  };
+};
+
+const createTestApp = (options = {}) => {
+  const clock = options.clock || createTestClock();
+  const tags = new MemoryTagRepository({ clock });
+  const auditLogs = new MemoryAuditLogRepository({ clock });
+  const todoRevisions = new MemoryTodoRevisionRepository();
+  const attachments = new MemoryAttachmentRepository({ clock });
+  const todos = new MemoryTodoRepository({ clock, tags, auditLogs, revisions: todoRevisions, attachments });
+  const repositories = {
+    todos,
+    tags,
+    projects: new MemoryProjectRepository({ clock, todos }),
+    auditLogs,
+    todoRevisions,
+    users: new MemoryUserRepository({ clock }),
+    refreshTokens: new MemoryRefreshTokenRepository(),
+    apiKeys: new MemoryApiKeyRepository({ clock }),
+    idempotencyKeys: new MemoryIdempotencyKeyRepository(),
+    comments: new MemoryCommentRepository({ clock }),
+    attachments,
+    ...options.repositories
+  };
+  const storage = options.storage || new MemoryStorage();
+
+  const app = createApp({ transaction: memoryTransaction(repositories), ...options, clock, repositories, storage });
+
+  return { app, repositories, clock, storage };
+};
+
+module.exports = {
+  createTestApp,
+  createTestClock
+};
@@ -0,0 +1,1043 @@
+/**
+ * Shared TodoRepository conformance suite
+ * Every TodoRepository implementation must pass these tests.
+ *
+ * Usage:
+ *   runTodoRepositoryConformance('MemoryTodoRepository', {
+ *     makeRepository: async () => new MemoryTodoRepository(),
+ *     createUser: async () => nextUserId++,
+ *     tagTodo: async (todoId, tagName) => { ... },
+ *     createProject: async (name) => { ... }
+ *   });
+ *
+ * `makeRepository` is called before each test and must return an empty repository;
+ * it receives { clock } when a test needs the repository to run on a fixed clock.
+ * `createUser` must return the id of a new user that todos can be assigned to.
+ * `tagTodo` must attach the named tag (creating it if needed) to a todo.
+ * `createProject` must create a project and return its id.
+ */
+
+const { arrivalPosition, defaultPosition } = require('../../src/utils/rank');
+
+const runTodoRepositoryConformance = (name, { makeRepository, createUser, tagTodo, createProject }) => {
+  describe(`${name} (TodoRepository conformance)`, () => {
+    let repository;
+
+    // Create todos one after another so ids (and creation order) are predictable
+    const seed = async (items) => {
+      const created = [];
+      for (const item of items) {
+        created.push(await repository.create(item));
+      }
+      return created;
+    };
+
+    beforeEach(async () => {
+      repository = await makeRepository();
+    });
+
+    describe('create', () => {
+      it('should create a todo with defaults', async () => {
+        const todo = await repository.create({ title: 'New Todo' });
+
+        expect(todo).toBeValidTodo();
+        expect(todo.title).toBe('New Todo');
+        expect(todo.completed).toBe(false);
+        expect(todo.priority).toBe('medium');
+        expect(todo.description).toBeNull();
+        expect(todo.due_date).toBeNull();
+      });
+
+      it('should store every provided field', async () => {
+        const dueDate = new Date('2030-01-01T00:00:00.000Z');
+        const todo = await repository.create({
+          title: 'Full Todo',
+          description: 'With description',
+          priority: 'high',
+          dueDate
+        });
+
+        expect(todo.description).toBe('With description');
+        expect(todo.priority).toBe('high');
+        expect(new Date(todo.due_date).getTime()).toBe(dueDate.getTime());
+      });
+
+      it('should assign increasing ids', async () => {
+        const [first, second] = await seed([{ title: 'First' }, { title: 'Second' }]);
+
+        expect(second.id).toBeGreaterThan(first.id);
+      });
+    });
+
+    describe('getById', () => {
+      it('should return the todo', async () => {
+        const created = await repository.create({ title: 'Find me' });
+
+        const found = await repository.getById(created.id);
+
+        expect(found).toEqual(created);
+      });
+
+      it('should return null for unknown ids', async () => {
+        expect(await repository.getById(99999)).toBeNull();
+      });
+    });
+
+    describe('update', () => {
+      it('should update only the provided fields', async () => {
+        const created = await repository.create({ title: 'Original', description: 'Keep me' });
+
+        const updated = await repository.update(created.id, { title: 'Changed', completed: true });
+
+        expect(updated.title).toBe('Changed');
+        expect(updated.completed).toBe(true);
+        expect(updated.description).toBe('Keep me');
+        expect(updated.priority).toBe('medium');
+      });
+
+      it('should clear the due date when given null', async () => {
+        const created = await repository.create({ title: 'Due', dueDate: new Date('2030-01-01') });
+
+        const updated = await repository.update(created.id, { dueDate: null });
+
+        expect(updated.due_date).toBeNull();
+      });
+
+      it('should return null for unknown ids', async () => {
+        expect(await repository.update(99999, { title: 'Nope' })).toBeNull();
+      });
+
+      it('should reject an empty update', async () => {
+        const created = await repository.create({ title: 'Original' });
+
+        await expect(repository.update(created.id, {})).rejects.toThrow('No fields to update');
+      });
+    });
+
+    describe('delete', () => {
+      it('should delete the todo', async () => {
+        const created = await repository.create({ title: 'Delete me' });
+
+        expect(await repository.delete(created.id)).toBe(true);
+        expect(await repository.getById(created.id)).toBeNull();
+      });
+
+      it('should return false for unknown ids', async () => {
+        expect(await repository.delete(99999)).toBe(false);
+      });
+    });
+
+    describe('versions', () => {
+      it('should start at 1 and bump on every change', async () => {
+        const created = await repository.create({ title: 'Versioned' });
+        expect(created.version).toBe(1);
+
+        const updated = await repository.update(created.id, { title: 'Changed' });
+        expect(updated.version).toBe(2);
+
+        await repository.delete(created.id);
+        const restored = await repository.restore(created.id);
+        expect(restored.version).toBe(4);
+      });
+
+      it('should only update or delete at one of the given versions', async () => {
+        const created = await repository.create({ title: 'Versioned' });
+        await repository.update(created.id, { title: 'Changed' });
+
+        expect(await repository.update(created.id, { title: 'Stale' }, { versions: [1] })).toBeNull();
+        expect(await repository.delete(created.id, { versions: [] })).toBe(false);
+
+        const updated = await repository.update(created.id, { title: 'Fresh' }, { versions: [1, 2] });
+        expect(updated.title).toBe('Fresh');
+        expect(await repository.delete(created.id, { versions: [3] })).toBe(true);
+      });
+    });
+
+    describe('recurrence', () => {
+      const rule = { frequency: 'weekly', interval: 1, byDay: ['MO'], timezone: 'UTC' };
+      const dueDate = new Date('2030-01-07T09:00:00.000Z');
+
+      it('should leave one-off todos outside any series', async () => {
+        const todo = await repository.create({ title: 'Once' });
+
+        expect(todo).toMatchObject({ recurrence: null, series_id: null, occurrence: null });
+      });
+
+      it('should start a series for recurring todos', async () => {
+        const todo = await repository.create({ title: 'Standup prep', dueDate, recurrence: rule });
+
+        expect(todo.recurrence).toEqual(rule);
+        expect(todo.series_id).toEqual(expect.any(String));
+        expect(todo.occurrence).toBe(1);
+      });
+
+      it('should continue a given series', async () => {
+        const first = await repository.create({ title: 'Standup prep', dueDate, recurrence: rule });
+
+        const second = await repository.create({
+          title: 'Standup prep',
+          dueDate,
+          recurrence: rule,
+          seriesId: first.series_id,
+          occurrence: 2
+        });
+
+        expect(second).toMatchObject({ series_id: first.series_id, occurrence: 2 });
+      });
+
+      it('should start a series when a todo becomes recurring, and keep it when it stops', async () => {
+        const created = await repository.create({ title: 'Invoices', dueDate });
+
+        const recurring = await repository.update(created.id, { recurrence: rule });
+        expect(recurring.series_id).toEqual(expect.any(String));
+        expect(recurring.occurrence).toBe(1);
+
+        const stopped = await repository.update(created.id, { recurrence: null });
+        expect(stopped).toMatchObject({ recurrence: null, series_id: recurring.series_id, occurrence: 1 });
+      });
+    });
+
+    describe('subtasks', () => {
+      let parent;
+
+      beforeEach(async () => {
+        parent = await repository.create({ title: 'Release', autoComplete: true });
+      });
+
+      it('should store the subtask settings', async () => {
+        expect(parent).toMatchObject({ parent_id: null, subtask_position: null, complete_subtasks: false, auto_complete: true });
+
+        const updated = await repository.update(parent.id, { completeSubtasks: true, autoComplete: false });
+        expect(updated).toMatchObject({ complete_subtasks: true, auto_complete: false });
+      });
+
+      it('should append subtasks after their siblings', async () => {
+        const first = await repository.create({ title: 'Changelog', parentId: parent.id });
+        const second = await repository.create({ title: 'Tag', parentId: parent.id });
+
+        expect(first).toMatchObject({ parent_id: parent.id, subtask_position: 1 });
+        expect(second).toMatchObject({ parent_id: parent.id, subtask_position: 2 });
+      });
+
+      it('should give subtasks the owners of their parent', async () => {
+        const alice = await createUser();
+        const owned = await repository.create({ title: 'Alice release' }, { ownerId: alice });
+
+        const subtask = await repository.create({ title: 'Alice changelog', parentId: owned.id });
+
+        expect(await repository.getById(subtask.id, { ownerId: alice })).not.toBeNull();
+        expect(await repository.getById(subtask.id, { ownerId: null })).toBeNull();
+      });
+
+      it('should list live descendants level by level', async () => {
+        const docs = await repository.create({ title: 'Docs', parentId: parent.id });
+        const build = await repository.create({ title: 'Build', parentId: parent.id });
+        const api = await repository.create({ title: 'API docs', parentId: docs.id });
+        const trashed = await repository.create({ title: 'Old step', parentId: parent.id });
+        await repository.create({ title: 'Below trashed', parentId: trashed.id });
+        await repository.delete(trashed.id);
+
+        const descendants = await repository.getDescendants(parent.id);
+
+        expect(descendants.map(todo => todo.id)).toEqual([docs.id, build.id, api.id]);
+        expect(await repository.getDescendants(api.id)).toEqual([]);
+      });
+
+      it('should trash and restore a todo with the subtasks trashed along with it', async () => {
+        let time = Date.parse('2030-01-01T00:00:00.000Z');
+        repository = await makeRepository({ clock: { now: () => new Date(time) } });
+        parent = await repository.create({ title: 'Release' });
+        const [docs, old] = await seed([{ title: 'Docs', parentId: parent.id }, { title: 'Old step', parentId: parent.id }]);
+        const api = await repository.create({ title: 'API docs', parentId: docs.id });
+        await repository.delete(old.id);
+        time += 1000;
+
+        expect(await repository.delete(parent.id)).toBe(true);
+
+        const trash = await repository.getAll({ trashed: true });
+        expect(trash.map(todo => todo.id).sort((a, b) => a - b)).toEqual([parent.id, docs.id, old.id, api.id]);
+        expect(trash.find(todo => todo.id === api.id).deleted_at).toEqual(new Date(time));
+        expect(await repository.getById(api.id)).toBeNull();
+
+        await repository.restore(parent.id);
+
+        expect((await repository.getDescendants(parent.id)).map(todo => todo.id)).toEqual([docs.id, api.id]);
+        expect((await repository.getAll({ trashed: true })).map(todo => todo.id)).toEqual([old.id]);
+      });
+
+      it('should purge a parent with every subtask below it', async () => {
+        const step = await repository.create({ title: 'Step', parentId: parent.id });
+        const detail = await repository.create({ title: 'Detail', parentId: step.id });
+        await repository.delete(parent.id);
+        // Taken out of the trash on its own, below a parent that stays there
+        await repository.restore(step.id);
+
+        expect(await repository.purge(new Date(Date.now() + 60 * 1000))).toBe(3);
+        expect(await repository.getById(step.id)).toBeNull();
+        expect(await repository.getById(detail.id)).toBeNull();
+        expect(await repository.count()).toBe(0);
+      });
+
+      it('should count done and total live subtasks', async () => {
+        const [done] = await seed([
+          { title: 'Done', parentId: parent.id },
+          { title: 'Pending', parentId: parent.id },
+          { title: 'Trashed', parentId: parent.id }
+        ]);
+        await repository.update(done.id, { completed: true });
+        const trashed = (await repository.getDescendants(parent.id))[2];
+        await repository.delete(trashed.id);
+
+        const progress = await repository.getSubtaskProgress([parent.id, done.id]);
+
+        expect(progress.get(parent.id)).toEqual({ done: 1, total: 2 });
+        expect(progress.get(done.id)).toEqual({ done: 0, total: 0 });
+      });
+
+      it('should reorder subtasks, bumping the version of the ones that move', async () => {
+        const [a, b, c] = await seed([
+          { title: 'A', parentId: parent.id },
+          { title: 'B', parentId: parent.id },
+          { title: 'C', parentId: parent.id }
+        ]);
+
+        await repository.reorderSubtasks(parent.id, [c.id, a.id, b.id]);
+
+        const reordered = await repository.getDescendants(parent.id);
+        expect(reordered.map(todo => todo.id)).toEqual([c.id, a.id, b.id]);
+        expect(reordered.map(todo => todo.version)).toEqual([2, 2, 2]);
+
+        await repository.reorderSubtasks(parent.id, [c.id, b.id, a.id]);
+        const versions = (await repository.getDescendants(parent.id)).map(todo => todo.version);
+        expect(versions).toEqual([2, 3, 3]);
+      });
+    });
+
+    describe('dependencies', () => {
+      let design;
+      let build;
+      let release;
+
+      beforeEach(async () => {
+        [design, build, release] = await seed([{ title: 'Design' }, { title: 'Build' }, { title: 'Release' }]);
+        await repository.addDependency(build.id, design.id);
+        await repository.addDependency(release.id, build.id);
+      });
+
+      it('should report whether a dependency was added', async () => {
+        expect(await repository.addDependency(release.id, design.id)).toBe('created');
+        expect(await repository.addDependency(release.id, design.id)).toBe('exists');
+      });
+
+      it('should refuse dependencies that close a cycle', async () => {
+        expect(await repository.addDependency(design.id, release.id)).toBe('cycle');
+        expect(await repository.addDependency(build.id, release.id)).toBe('cycle');
+        expect((await repository.getBlockers([design.id])).get(design.id)).toEqual([]);
+      });
+
+      it('should only count live, pending blockers', async () => {
+        expect(await repository.getBlockers([build.id, release.id, design.id])).toEqual(new Map([
+          [build.id, [design.id]],
+          [release.id, [build.id]],
+          [design.id, []]
+        ]));
+
+        await repository.update(design.id, { completed: true });
+        await repository.delete(build.id);
+
+        const blockers = await repository.getBlockers([build.id, release.id]);
+        expect(blockers.get(build.id)).toEqual([]);
+        expect(blockers.get(release.id)).toEqual([]);
+      });
+
+      it('should filter by blocked', async () => {
+        const blocked = await repository.getAll({ blocked: true });
+        const free = await repository.getAll({ blocked: false });
+
+        expect(blocked.map(todo => todo.id)).toEqual([release.id, build.id]);
+        expect(free.map(todo => todo.id)).toEqual([design.id]);
+        expect(await repository.count({ blocked: true })).toBe(2);
+      });
+
+      it('should remove dependencies', async () => {
+        expect(await repository.removeDependency(release.id, build.id)).toBe(true);
+        expect(await repository.removeDependency(release.id, build.id)).toBe(false);
+        expect(await repository.count({ blocked: true })).toBe(1);
+      });
+
+      it('should walk the graph both ways', async () => {
+        const graph = await repository.getDependencyGraph(build.id);
+
+        expect(graph.nodes.map(todo => todo.id)).toEqual([design.id, build.id, release.id]);
+        expect(graph.edges).toEqual([
+          { todo_id: build.id, depends_on_id: design.id },
+          { todo_id: release.id, depends_on_id: build.id }
+        ]);
+      });
+
+      it('should leave trashed and invisible todos out of the graph', async () => {
+        const alice = await createUser();
+        const owned = await repository.create({ title: 'Alice task' }, { ownerId: alice });
+        await repository.addDependency(design.id, owned.id);
+        await repository.delete(build.id);
+
+        const graph = await repository.getDependencyGraph(release.id, { ownerId: null });
+        expect(graph).toEqual({ nodes: [expect.objectContaining({ id: release.id })], edges: [] });
+
+        const fromDesign = await repository.getDependencyGraph(design.id, { ownerId: null });
+        expect(fromDesign.nodes.map(todo => todo.id)).toEqual([design.id]);
+      });
+    });
+
+    describe('projects', () => {
+      let home;
+      let work;
+      let todos;
+
+      beforeEach(async () => {
+        home = await createProject('Home');
+        work = await createProject('Work');
+        todos = await seed([
+          { title: 'Paint fence', projectId: home },
+          { title: 'Write report', projectId: work, priority: 'high' },
+          { title: 'Loose end' }
+        ]);
+      });
+
+      it('should store the project of a todo', async () => {
+        expect(todos.map(todo => todo.project_id)).toEqual([home, work, null]);
+      });
+
+      it('should filter by project', async () => {
+        const inWork = await repository.getAll({ projectId: work });
+
+        expect(inWork.map(todo => todo.id)).toEqual([todos[1].id]);
+        expect(await repository.count({ projectId: home })).toBe(1);
+      });
+
+      it('should move todos between projects and out of them', async () => {
+        const moved = await repository.update(todos[0].id, { projectId: work });
+        expect(moved.project_id).toBe(work);
+        expect(moved.version).toBe(2);
+
+        const loose = await repository.update(todos[1].id, { projectId: null });
+        expect(loose.project_id).toBeNull();
+        expect(await repository.count({ projectId: work })).toBe(1);
+      });
+
+      it('should compute statistics per project', async () => {
+        await repository.update(todos[1].id, { completed: true });
+
+        const stats = await repository.getStats({ projectId: work });
+        expect(stats).toMatchObject({ total: 1, completed: 1, pending: 0 });
+        expect(stats.by_priority).toEqual({ high: 1, medium: 0, low: 0 });
+      });
+    });
+
+    describe('kanban states', () => {
+      let todos;
+
+      beforeEach(async () => {
+        todos = await seed([{ title: 'Spec' }, { title: 'Code' }, { title: 'Ship' }]);
+      });
+
+      it('should store the state and its position', async () => {
+        expect(todos[0]).toMatchObject({ state: null, state_position: expect.any(String) });
+
+        const moved = await repository.update(todos[0].id, { state: 'review', statePosition: 'M' });
+        expect(moved).toMatchObject({ state: 'review', state_position: 'M', version: 2 });
+      });
+
+      it('should rank new todos at the repository clock\'s time', async () => {
+        const clock = { now: () => new Date('2030-01-01T00:00:00.000Z') };
+        repository = await makeRepository({ clock });
+
+        const todo = await repository.create({ title: 'Spec' });
+
+        expect(todo).toMatchObject({
+          created_at: clock.now(),
+          state_position: arrivalPosition(clock.now(), todo.id),
+          position: defaultPosition(clock.now(), todo.id)
+        });
+      });
+
+      it('should send the todo to the end of its new column when completed changes', async () => {
+        const clock = { now: () => new Date('2030-01-01T00:00:00.000Z') };
+        repository = await makeRepository({ clock });
+        todos = await seed([{ title: 'Spec' }, { title: 'Code' }]);
+        await repository.update(todos[0].id, { state: 'review', statePosition: 'M' });
+        await repository.update(todos[1].id, { state: 'review', statePosition: 'N' });
+
+        const done = await repository.update(todos[0].id, { completed: true });
+        expect(done).toMatchObject({ state: null, state_position: arrivalPosition(clock.now(), todos[0].id) });
+
+        const unchanged = await repository.update(todos[1].id, { completed: false, title: 'Code it' });
+        expect(unchanged).toMatchObject({ state: 'review', state_position: 'N' });
+
+        const reopened = await repository.update(todos[0].id, { completed: false, state: 'doing' });
+        expect(reopened).toMatchObject({ completed: false, state: 'doing' });
+      });
+
+      it('should send the todo to the end of the first column when its project changes', async () => {
+        const clock = { now: () => new Date('2030-01-01T00:00:00.000Z') };
+        repository = await makeRepository({ clock });
+        const project = await createProject('Board');
+        const [todo] = await seed([{ title: 'Spec' }]);
+        await repository.update(todo.id, { state: 'review', statePosition: 'M' });
+
+        const unchanged = await repository.update(todo.id, { projectId: null, title: 'Spec it' });
+        expect(unchanged).toMatchObject({ state: 'review', state_position: 'M' });
+
+        const moved = await repository.update(todo.id, { projectId: project });
+        expect(moved).toMatchObject({ project_id: project, state: null, state_position: arrivalPosition(clock.now(), todo.id) });
+      });
+
+      it('should filter by stored state', async () => {
+        await repository.update(todos[0].id, { state: 'review' });
+        await repository.update(todos[1].id, { state: 'doing' });
+
+        const inReview = await repository.getAll({ stateIn: ['review'] });
+        const elsewhere = await repository.getAll({ stateNotIn: ['review'] });
+
+        expect(inReview.map(todo => todo.id)).toEqual([todos[0].id]);
+        expect(elsewhere.map(todo => todo.id)).toEqual([todos[2].id, todos[1].id]);
+      });
+
+      it('should filter todos without a project', async () => {
+        const project = await createProject('Board');
+        await repository.update(todos[0].id, { projectId: project });
+
+        expect(await repository.count({ projectId: null })).toBe(2);
+      });
+
+      it('should sort by position in the column, new todos last', async () => {
+        await repository.update(todos[2].id, { statePosition: '0' });
+
+        const sorted = await repository.getAll({ sort: [{ field: 'state_position', direction: 'asc' }] });
+        expect(sorted.map(todo => todo.id)).toEqual([todos[2].id, todos[0].id, todos[1].id]);
+      });
+    });
+
+    describe('manual order', () => {
+      const BY_POSITION = [{ field: 'position', direction: 'asc' }];
+      let todos;
+
+      beforeEach(async () => {
+        todos = await seed([{ title: 'First' }, { title: 'Second' }, { title: 'Third' }]);
+      });
+
+      it('should rank new todos newest first, like the default order', async () => {
+        const sorted = await repository.getAll({ sort: BY_POSITION });
+
+        expect(typeof todos[0].position).toBe('string');
+        expect(sorted.map(todo => todo.id)).toEqual((await repository.getAll()).map(todo => todo.id));
+      });
+
+      it('should store a new position', async () => {
+        const [newest] = await repository.getAll({ sort: BY_POSITION });
+        const moved = await repository.update(todos[0].id, { position: newest.position.slice(0, -1) });
+
+        expect(moved.version).toBe(2);
+        const sorted = await repository.getAll({ sort: BY_POSITION });
+        expect(sorted.map(todo => todo.id)).toEqual([todos[0].id, todos[2].id, todos[1].id]);
+      });
+
+      it('should find the adjacent positions', async () => {
+        const [third, second, first] = await repository.getAll({ sort: BY_POSITION });
+
+        expect(await repository.getAdjacentPosition(second.position, 'next')).toBe(first.position);
+        expect(await repository.getAdjacentPosition(second.position, 'prev')).toBe(third.position);
+        expect(await repository.getAdjacentPosition(first.position, 'next')).toBeNull();
+        expect(await repository.getAdjacentPosition(third.position, 'prev')).toBeNull();
+      });
+
+      it('should skip trashed todos and todos outside the scope', async () => {
+        const owner = await createUser();
+        const mine = await repository.create({ title: 'Mine' }, { ownerId: owner });
+        await repository.delete(todos[1].id);
+
+        expect(await repository.getAdjacentPosition(todos[2].position, 'next')).toBe(todos[0].position);
+        expect(await repository.getAdjacentPosition(mine.position, 'next', { ownerId: owner })).toBeNull();
+        expect(await repository.getAdjacentPosition(todos[0].position, 'prev', { ownerId: null })).toBe(todos[2].position);
+      });
+    });
+
+    describe('getAll and count', () => {
+      let todos;
+
+      beforeEach(async () => {
+        todos = await seed([
+          { title: 'Low pending', priority: 'low' },
+          { title: 'High pending', priority: 'high' },
+          { title: 'High done', priority: 'high' },
+          { title: 'Medium pending' }
+        ]);
+        await repository.update(todos[2].id, { completed: true });
+      });
+
+      it('should return newest todos first', async () => {
+        const result = await repository.getAll();
+
+        expect(result.map(todo => todo.title)).toEqual([
+          'Medium pending',
+          'High done',
+          'High pending',
+          'Low pending'
+        ]);
+      });
+
+      it('should paginate with limit and offset', async () => {
+        const firstPage = await repository.getAll({ limit: 2, offset: 0 });
+        const secondPage = await repository.getAll({ limit: 2, offset: 2 });
+
+        expect(firstPage.map(todo => todo.title)).toEqual(['Medium pending', 'High done']);
+        expect(secondPage.map(todo => todo.title)).toEqual(['High pending', 'Low pending']);
+      });
+
+      it('should filter by status', async () => {
+        const completed = await repository.getAll({ status: 'completed' });
+        const pending = await repository.getAll({ status: 'pending' });
+
+        expect(completed.map(todo => todo.title)).toEqual(['High done']);
+        expect(pending).toHaveLength(3);
+        expect(await repository.count({ status: 'completed' })).toBe(1);
+        expect(await repository.count({ status: 'pending' })).toBe(3);
+      });
+
+      it('should filter by priority', async () => {
+        const high = await repository.getAll({ priority: 'high' });
+
+        expect(high.map(todo => todo.title)).toEqual(['High done', 'High pending']);
+        expect(await repository.count({ priority: 'high' })).toBe(2);
+      });
+
+      it('should combine filters', async () => {
+        const result = await repository.getAll({ status: 'pending', priority: 'high' });
+
+        expect(result.map(todo => todo.title)).toEqual(['High pending']);
+        expect(await repository.count({ status: 'pending', priority: 'high' })).toBe(1);
+      });
+
+      it('should count everything without filters', async () => {
+        expect(await repository.count()).toBe(4);
+      });
+    });
+
+    describe('rich filters and sorting', () => {
+      const past = new Date('2000-01-01T00:00:00.000Z');
+      const soon = new Date('2999-01-01T00:00:00.000Z');
+      const later = new Date('2999-06-01T00:00:00.000Z');
+      let todos;
+
+      beforeEach(async () => {
+        todos = await seed([
+          { title: 'Overdue', priority: 'low', dueDate: past, description: 'Late' },
+          { title: 'Soon', priority: 'high', dueDate: soon },
+          { title: 'Later', priority: 'medium', dueDate: later, description: '' },
+          { title: 'Someday', priority: 'high' },
+          { title: 'Done late', priority: 'medium', dueDate: past }
+        ]);
+        await repository.update(todos[4].id, { completed: true });
+      });
+
+      const titles = (result) => result.map(todo => todo.title);
+
+      it('should filter by several priorities', async () => {
+        const result = await repository.getAll({ priority: ['low', 'medium'] });
+
+        expect(titles(result)).toEqual(['Done late', 'Later', 'Overdue']);
+        expect(await repository.count({ priority: ['low', 'medium'] })).toBe(3);
+      });
+
+      it('should filter by due date range, inclusively', async () => {
+        const result = await repository.getAll({ dueAfter: soon, dueBefore: later });
+
+        expect(titles(result)).toEqual(['Later', 'Soon']);
+        expect(await repository.count({ dueBefore: soon })).toBe(3);
+      });
+
+      it('should filter overdue todos', async () => {
+        expect(titles(await repository.getAll({ overdue: true }))).toEqual(['Overdue']);
+        expect(await repository.count({ overdue: false })).toBe(4);
+      });
+
+      it('should judge overdue todos by the repository clock', async () => {
+        repository = await makeRepository({ clock: { now: () => new Date('1999-12-31T00:00:00.000Z') } });
+        await seed([{ title: 'Due in 2000', dueDate: new Date('2000-01-01') }, { title: 'No due date' }]);
+
+        expect(await repository.count({ overdue: true })).toBe(0);
+        expect(await repository.count({ overdue: false })).toBe(2);
+        expect((await repository.getStats()).overdue).toBe(0);
+      });
+
+      it('should filter by description presence', async () => {
+        expect(titles(await repository.getAll({ hasDescription: true }))).toEqual(['Overdue']);
+        expect(await repository.count({ hasDescription: false })).toBe(4);
+      });
+
+      it('should filter by creation and update dates', async () => {
+        const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+        expect(await repository.count({ createdAfter: anHourAgo })).toBe(5);
+        expect(await repository.count({ createdBefore: anHourAgo })).toBe(0);
+        expect(await repository.count({ updatedBefore: anHourAgo })).toBe(0);
+      });
+
+      it('should sort by due date with todos without one last', async () => {
+        const result = await repository.getAll({ sort: [{ field: 'due_date', direction: 'asc' }] });
+
+        expect(titles(result)).toEqual(['Done late', 'Overdue', 'Soon', 'Later', 'Someday']);
+      });
+
+      it('should sort by several fields', async () => {
+        const result = await repository.getAll({
+          sort: [{ field: 'priority', direction: 'desc' }, { field: 'title', direction: 'asc' }]
+        });
+
+        expect(titles(result)).toEqual(['Someday', 'Soon', 'Done late', 'Later', 'Overdue']);
+      });
+
+      it('should reject fields outside the whitelist', async () => {
+        await expect(repository.getAll({ sort: [{ field: 'id; DROP TABLE todos', direction: 'asc' }] }))
+          .rejects.toThrow();
+      });
+    });
+
+    describe('getStats', () => {
+      it('should return zeroed statistics for an empty repository', async () => {
+        expect(await repository.getStats()).toEqual({
+          total: 0,
+          completed: 0,
+          pending: 0,
+          by_priority: { high: 0, medium: 0, low: 0 },
+          overdue: 0
+        });
+      });
+
+      it('should aggregate todos', async () => {
+        const todos = await seed([
+          { title: 'Overdue', priority: 'high', dueDate: new Date('2000-01-01') },
+          { title: 'Overdue but done', priority: 'low', dueDate: new Date('2000-01-01') },
+          { title: 'Future', dueDate: new Date('2999-01-01') }
+        ]);
+        await repository.update(todos[1].id, { completed: true });
+
+        expect(await repository.getStats()).toEqual({
+          total: 3,
+          completed: 1,
+          pending: 2,
+          by_priority: { high: 1, medium: 1, low: 1 },
+          overdue: 1
+        });
+      });
+    });
+
+    describe('search', () => {
+      beforeEach(async () => {
+        await seed([
+          { title: 'Learn Docker', description: 'Containers' },
+          { title: 'Buy milk' },
+          { title: 'Deploy', description: 'Push the docker image' },
+          { title: 'Docker compose' }
+        ]);
+      });
+
+      it('should match title or description case-insensitively, title matches first', async () => {
+        const result = await repository.search('DOCKER');
+
+        expect(result.map(todo => todo.title)).toEqual(['Docker compose', 'Learn Docker', 'Deploy']);
+        expect(result[0].rank).toBeGreaterThan(result[2].rank);
+      });
+
+      it('should paginate results and count every match', async () => {
+        const result = await repository.search('docker', { limit: 1, offset: 1 });
+
+        expect(result.map(todo => todo.title)).toEqual(['Learn Docker']);
+        expect(await repository.countSearch('docker')).toBe(3);
+      });
+
+      it('should return an empty list when nothing matches', async () => {
+        expect(await repository.search('kubernetes')).toEqual([]);
+        expect(await repository.countSearch('kubernetes')).toBe(0);
+      });
+
+      it('should require every word', async () => {
+        const result = await repository.search('docker image');
+
+        expect(result.map(todo => todo.title)).toEqual(['Deploy']);
+      });
+
+      it('should match quoted phrases', async () => {
+        const result = await repository.search('"docker image"');
+
+        expect(result.map(todo => todo.title)).toEqual(['Deploy']);
+        expect(await repository.countSearch('"image docker"')).toBe(0);
+      });
+
+      it('should support OR and exclusions', async () => {
+        expect((await repository.search('milk OR compose')).map(todo => todo.title))
+          .toEqual(['Docker compose', 'Buy milk']);
+        // ts_rank scores every match of a query with an exclusion alike, so only the matches compare
+        expect((await repository.search('docker -compose')).map(todo => todo.title).sort())
+          .toEqual(['Deploy', 'Learn Docker']);
+      });
+
+      it('should highlight matches', async () => {
+        const [first] = await repository.search('compose');
+
+        expect(first.highlight.title).toBe('Docker <mark>compose</mark>');
+      });
+    });
+
+    describe('cursor pagination', () => {
+      const titles = (result) => result.map(todo => todo.title);
+      const at = (direction) => async (todo, order = {}) => {
+        const keys = await repository.cursorKeys([todo.id], order);
+        return { keys: JSON.parse(JSON.stringify(keys.get(todo.id))), direction };
+      };
+      const after = at('next');
+      const before = at('prev');
+
+      it('should page forwards and backwards from a todo', async () => {
+        const todos = await seed([{ title: 'One' }, { title: 'Two' }, { title: 'Three' }, { title: 'Four' }, { title: 'Five' }]);
+
+        expect(titles(await repository.getAll({ limit: 2, cursor: await after(todos[3]) }))).toEqual(['Three', 'Two']);
+        expect(titles(await repository.getAll({ limit: 2, cursor: await after(todos[1]) }))).toEqual(['One']);
+        expect(titles(await repository.getAll({ limit: 2, cursor: await before(todos[2]) }))).toEqual(['Five', 'Four']);
+        expect(titles(await repository.getAll({ limit: 2, cursor: await before(todos[4]) }))).toEqual([]);
+      });
+
+      it('should neither skip nor repeat todos created between pages', async () => {
+        const todos = await seed([{ title: 'One' }, { title: 'Two' }, { title: 'Three' }]);
+        const firstPage = await repository.getAll({ limit: 2 });
+        const cursor = await after(todos[1]);
+
+        await repository.create({ title: 'Newcomer' });
+
+        expect(titles(firstPage)).toEqual(['Three', 'Two']);
+        expect(titles(await repository.getAll({ limit: 2, cursor }))).toEqual(['One']);
+      });
+
+      it('should follow the sort order, NULLs last', async () => {
+        const [, noDueDate, soon, nothingDue] = await seed([
+          { title: 'Past', dueDate: new Date('2000-01-01T00:00:00.000Z') },
+          { title: 'No due date' },
+          { title: 'Soon', dueDate: new Date('2999-01-01T00:00:00.000Z') },
+          { title: 'Nothing due' }
+        ]);
+        const sort = [{ field: 'due_date', direction: 'asc' }];
+
+        expect(titles(await repository.getAll({ sort, limit: 2, cursor: await after(soon, { sort }) })))
+          .toEqual(['Nothing due', 'No due date']);
+        expect(titles(await repository.getAll({ sort, limit: 2, cursor: await before(nothingDue, { sort }) })))
+          .toEqual(['Past', 'Soon']);
+        expect(titles(await repository.getAll({ sort, limit: 2, cursor: await before(noDueDate, { sort }) })))
+          .toEqual(['Soon', 'Nothing due']);
+      });
+
+      it('should apply filters to the page but not to the cursor todo', async () => {
+        const todos = await seed([{ title: 'One' }, { title: 'Two' }, { title: 'Three' }]);
+        await repository.update(todos[2].id, { completed: true });
+
+        const result = await repository.getAll({ status: 'pending', cursor: await after(todos[2]) });
+
+        expect(titles(result)).toEqual(['Two', 'One']);
+      });
+
+      it('should keep the position of a cursor todo that changed or is gone', async () => {
+        const todos = await seed([{ title: 'Apple' }, { title: 'Banana' }, { title: 'Cherry' }, { title: 'Date' }]);
+        const sort = [{ field: 'title', direction: 'asc' }];
+        const cursor = await after(todos[1], { sort });
+
+        await repository.update(todos[1].id, { title: 'Zucchini' });
+        expect(titles(await repository.getAll({ sort, limit: 2, cursor }))).toEqual(['Cherry', 'Date']);
+
+        await repository.delete(todos[1].id);
+        await repository.purge(new Date(Date.now() + 60 * 1000));
+        expect(titles(await repository.getAll({ sort, limit: 2, cursor }))).toEqual(['Cherry', 'Date']);
+      });
+
+      it('should page search results by relevance', async () => {
+        const [learn, , deploy, compose] = await seed([
+          { title: 'Learn Docker', description: 'Containers' },
+          { title: 'Buy milk' },
+          { title: 'Deploy', description: 'Push the docker image' },
+          { title: 'Docker compose' }
+        ]);
+
+        const order = { search: 'docker' };
+
+        expect(titles(await repository.search('docker', { limit: 1, cursor: await after(compose, order) })))
+          .toEqual(['Learn Docker']);
+        expect(titles(await repository.search('docker', { cursor: await after(learn, order) }))).toEqual(['Deploy']);
+        expect(titles(await repository.search('docker', { cursor: await before(deploy, order) })))
+          .toEqual(['Docker compose', 'Learn Docker']);
+      });
+    });
+
+    describe('ownership', () => {
+      let alice;
+      let bob;
+      let aliceTodo;
+      let bobTodo;
+      let sharedTodo;
+
+      beforeEach(async () => {
+        alice = await createUser();
+        bob = await createUser();
+        aliceTodo = await repository.create({ title: 'Alice task', priority: 'high' }, { ownerId: alice });
+        bobTodo = await repository.create({ title: 'Bob task' }, { ownerId: bob });
+        sharedTodo = await repository.create({ title: 'Unowned task' });
+      });
+
+      it('should list only the owner\'s todos', async () => {
+        const result = await repository.getAll({ ownerId: alice });
+
+        expect(result.map(todo => todo.id)).toEqual([aliceTodo.id]);
+        expect(await repository.count({ ownerId: alice })).toBe(1);
+      });
+
+      it('should list only unowned todos for a null owner', async () => {
+        const result = await repository.getAll({ ownerId: null });
+
+        expect(result.map(todo => todo.id)).toEqual([sharedTodo.id]);
+      });
+
+      it('should list every todo without an owner filter', async () => {
+        expect(await repository.count()).toBe(3);
+      });
+
+      it('should hide other users\' todos from getById', async () => {
+        expect(await repository.getById(bobTodo.id, { ownerId: alice })).toBeNull();
+        expect(await repository.getById(aliceTodo.id, { ownerId: alice })).toEqual(aliceTodo);
+      });
+
+      it('should not update other users\' todos', async () => {
+        expect(await repository.update(bobTodo.id, { title: 'Hijacked' }, { ownerId: alice })).toBeNull();
+        expect((await repository.getById(bobTodo.id)).title).toBe('Bob task');
+      });
+
+      it('should not delete other users\' todos', async () => {
+        expect(await repository.delete(bobTodo.id, { ownerId: alice })).toBe(false);
+        expect(await repository.delete(aliceTodo.id, { ownerId: alice })).toBe(true);
+        expect(await repository.getById(bobTodo.id)).not.toBeNull();
+      });
+
+      it('should scope statistics', async () => {
+        const stats = await repository.getStats({ ownerId: alice });
+
+        expect(stats.total).toBe(1);
+        expect(stats.by_priority.high).toBe(1);
+        expect((await repository.getStats()).total).toBe(3);
+      });
+
+      it('should scope search', async () => {
+        const result = await repository.search('task', { ownerId: bob });
+
+        expect(result.map(todo => todo.id)).toEqual([bobTodo.id]);
+      });
+    });
+
+    describe('trash', () => {
+      let kept;
+      let trashed;
+
+      beforeEach(async () => {
+        [kept, trashed] = await seed([
+          { title: 'Kept task', priority: 'high' },
+          { title: 'Trashed task', priority: 'high' }
+        ]);
+        await repository.delete(trashed.id);
+      });
+
+      it('should hide trashed todos from lists, counts, stats and search', async () => {
+        expect((await repository.getAll()).map(todo => todo.id)).toEqual([kept.id]);
+        expect(await repository.count()).toBe(1);
+        expect((await repository.getStats()).by_priority.high).toBe(1);
+        expect((await repository.search('task')).map(todo => todo.id)).toEqual([kept.id]);
+        expect(await repository.getById(trashed.id)).toBeNull();
+      });
+
+      it('should not update or delete trashed todos again', async () => {
+        expect(await repository.update(trashed.id, { title: 'Changed' })).toBeNull();
+        expect(await repository.delete(trashed.id)).toBe(false);
+      });
+
+      it('should list the trash', async () => {
+        const result = await repository.getAll({ trashed: true });
+
+        expect(result.map(todo => todo.id)).toEqual([trashed.id]);
+        expect(result[0].deleted_at).not.toBeNull();
+        expect(await repository.count({ trashed: true })).toBe(1);
+      });
+
+      it('should restore trashed todos', async () => {
+        const restored = await repository.restore(trashed.id);
+
+        expect(restored.id).toBe(trashed.id);
+        expect(restored.deleted_at).toBeNull();
+        expect(await repository.count()).toBe(2);
+        expect(await repository.restore(kept.id)).toBeNull();
+      });
+
+      it('should scope the trash by owner', async () => {
+        const owner = await createUser();
+        const owned = await repository.create({ title: 'Owned' }, { ownerId: owner });
+        await repository.delete(owned.id, { ownerId: owner });
+
+        expect(await repository.count({ trashed: true, ownerId: owner })).toBe(1);
+        expect(await repository.restore(owned.id, { ownerId: await createUser() })).toBeNull();
+      });
+
+      it('should purge only todos trashed before the cutoff', async () => {
+        expect(await repository.purge(new Date(Date.now() - 60 * 1000))).toBe(0);
+        expect(await repository.purge(new Date(Date.now() + 60 * 1000))).toBe(1);
+        expect(await repository.count({ trashed: true })).toBe(0);
+        expect(await repository.restore(trashed.id)).toBeNull();
+        expect(await repository.count()).toBe(1);
+      });
+    });
+
+    describe('tag filters', () => {
+      let work;
+      let urgent;
+      let both;
+
+      beforeEach(async () => {
+        [work, urgent, both] = await seed([{ title: 'Work' }, { title: 'Urgent' }, { title: 'Both' }]);
+        await seed([{ title: 'Untagged' }]);
+        await tagTodo(work.id, 'Work');
+        await tagTodo(urgent.id, 'Urgent');
+        await tagTodo(both.id, 'Work');
+        await tagTodo(both.id, 'Urgent');
+      });
+
+      it('should match any of the tags by default', async () => {
+        const result = await repository.getAll({ tags: ['Work', 'Urgent'] });
+
+        expect(result.map(todo => todo.id)).toEqual([both.id, urgent.id, work.id]);
+        expect(await repository.count({ tags: ['Work', 'Urgent'] })).toBe(3);
+      });
+
+      it('should match all of the tags', async () => {
+        const result = await repository.getAll({ tags: ['Work', 'Urgent'], tagMatch: 'all' });
+
+        expect(result.map(todo => todo.id)).toEqual([both.id]);
+        expect(await repository.count({ tags: ['Work', 'Urgent'], tagMatch: 'all' })).toBe(1);
+      });
+
+      it('should compare tag names case-insensitively', async () => {
+        expect(await repository.count({ tags: ['work'] })).toBe(2);
+      });
+
+      it('should match nothing for an unknown tag', async () => {
+        expect(await repository.count({ tags: ['Travel'] })).toBe(0);
+        expect(await repository.count({ tags: ['Work', 'Travel'], tagMatch: 'all' })).toBe(0);
+      });
+    });
+  });
+};
+
+module.exports = {
+  runTodoRepositoryConformance
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalDiskStorage = require('../../src/storage/localDiskStorage');
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('LocalDiskStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = new LocalDiskStorage({ root });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should store, read and delete contents', async () => {
+    await storage.put('7/report', Readable.from(['hello ', 'world']));
+
+    expect(await read(await storage.get('7/report'))).toBe('hello world');
+    expect(fs.readdirSync(path.join(root, '7'))).toEqual(['report']);
+
+    await storage.delete('7/report');
+    expect(await storage.get('7/report')).toBeNull();
+  });
+
+  it('should ignore deleting missing contents', async () => {
+    await expect(storage.delete('7/missing')).resolves.toBeUndefined();
+  });
+
+  it('should not leave partial files behind', async () => {
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('connection reset'));
+      }
+    });
+
+    await expect(storage.put('7/broken', failing)).rejects.toThrow('connection reset');
+    expect(fs.readdirSync(path.join(root, '7'))).toEqual([]);
+  });
+
+  it('should refuse keys outside its root', async () => {
+    await expect(storage.put('../escape', Readable.from(['x']))).rejects.toThrow('Invalid storage key');
+    await expect(storage.get('/etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,23 @@
+const MemoryTodoRepository = require('../../src/repositories/memoryTodoRepository');
+const MemoryTagRepository = require('../../src/repositories/memoryTagRepository');
+const MemoryProjectRepository = require('../../src/repositories/memoryProjectRepository');
+const { runTodoRepositoryConformance } = require('../shared/todoRepositoryConformance');
+
+let nextUserId = 1;
+let tags;
+let projects;
+
+runTodoRepositoryConformance('MemoryTodoRepository', {
+  makeRepository: async ({ clock } = {}) => {
+    tags = new MemoryTagRepository();
+    const todos = new MemoryTodoRepository({ tags, clock });
+    projects = new MemoryProjectRepository({ todos });
+    return todos;
+  },
+  createUser: async () => nextUserId++,
+  tagTodo: async (todoId, tagName) => {
+    const tag = await tags.findByName(tagName) || await tags.create({ name: tagName });
+    await tags.attach(todoId, tag.id);
+  },
+  createProject: async (name) => (await projects.create({ name })).id
+});
@@ -0,0 +1,81 @@
+const PostgresTodoRepository = require('../../src/repositories/postgresTodoRepository');
+
+// Fake pg client that answers each statement from a queue and records what it ran
+const makeDb = (responses) => {
+  const client = {
+    query: jest.fn(async (text) => {
+      if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(text)) {
+        return {};
+      }
+      const next = responses.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    }),
+    release: jest.fn()
+  };
+
+  return {
+    client,
+    query: jest.fn(),
+    getClient: jest.fn(async () => client)
+  };
+};
+
+const statements = (client) => client.query.mock.calls.map(([text]) => text.trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('PostgresTodoRepository auditing', () => {
+  const before = { id: 1, title: 'Before', completed: false, updated_at: '2024-01-15T10:00:00.000Z' };
+  const after = { id: 1, title: 'After', completed: false, updated_at: '2024-01-15T11:00:00.000Z' };
+
+  it('should not open a transaction without an actorId', async () => {
+    const db = makeDb([]);
+    db.query.mockResolvedValue({ rows: [after] });
+
+    await new PostgresTodoRepository(db).update(1, { title: 'After' });
+
+    expect(db.getClient).not.toHaveBeenCalled();
+  });
+
+  it('should write the update and its audit entry in one transaction', async () => {
+    const db = makeDb([{ rows: [before] }, { rows: [after] }, { rows: [{ id: 10 }] }]);
+
+    const result = await new PostgresTodoRepository(db).update(1, { title: 'After' }, { ownerId: 7, actorId: 7 });
+
+    expect(result).toEqual(after);
+    expect(statements(db.client)).toEqual([
+      'BEGIN',
+      'SELECT id, title,',
+      'UPDATE todos SET',
+      'INSERT INTO audit_logs',
+      'COMMIT'
+    ]);
+
+    const [, auditParams] = db.client.query.mock.calls[3];
+    expect(auditParams).toEqual([
+      'todos', 1, 'UPDATE', JSON.stringify({ title: 'Before' }), JSON.stringify({ title: 'After' }), 7
+    ]);
+    expect(db.client.release).toHaveBeenCalled();
+  });
+
+  it('should skip the audit entry when nothing changed', async () => {
+    const db = makeDb([{ rows: [before] }, { rows: [], rowCount: 0 }]);
+
+    const deleted = await new PostgresTodoRepository(db).delete(1, { ownerId: 7, actorId: 7 });
+
+    expect(deleted).toBe(false);
+    expect(statements(db.client)).not.toContain('INSERT INTO audit_logs');
+  });
+
+  it('should roll back the change when the audit entry fails', async () => {
+    const db = makeDb([{ rows: [after] }, new Error('audit_logs is gone')]);
+
+    await expect(new PostgresTodoRepository(db).create({ title: 'After' }, { actorId: null }))
+      .rejects.toThrow('Failed to create todo');
+
+    expect(statements(db.client)).toContain('ROLLBACK');
+    expect(statements(db.client)).not.toContain('COMMIT');
+    expect(db.client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+const postgresTransaction = require('../../src/repositories/postgresTransaction');
+
+// Fake pg client recording every statement; updates fail for todo 999
+const makeDb = () => {
+  const client = {
+    query: jest.fn(async (text, params = []) => {
+      if (text.includes('UPDATE todos') && params.includes(999)) {
+        throw new Error('boom');
+      }
+      return { rows: [{ id: 1 }], rowCount: 1 };
+    }),
+    release: jest.fn()
+  };
+
+  return { client, getClient: jest.fn(async () => client) };
+};
+
+const statements = (client) => client.query.mock.calls.map(([text]) => text.trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('postgresTransaction', () => {
+  it('should run the work on one client and commit', async () => {
+    const db = makeDb();
+
+    await postgresTransaction(db)(({ todos }) => todos.update(1, { title: 'A' }, { actorId: 7 }));
+
+    expect(statements(db.client)).toEqual([
+      'BEGIN',
+      'SELECT id, title,',
+      'UPDATE todos SET',
+      'INSERT INTO audit_logs',
+      'COMMIT'
+    ]);
+    expect(db.client.release).toHaveBeenCalled();
+  });
+
+  it('should roll back when the work throws', async () => {
+    const db = makeDb();
+
+    await expect(postgresTransaction(db)(({ todos }) => todos.update(999, { title: 'A' })))
+      .rejects.toThrow('Failed to update todo');
+
+    expect(statements(db.client)).toEqual(['BEGIN', 'UPDATE todos SET', 'ROLLBACK']);
+    expect(db.client.release).toHaveBeenCalled();
+  });
+
+  it('should undo only the failing savepoint', async () => {
+    const db = makeDb();
+
+    await postgresTransaction(db)(async ({ todos, savepoint }) => {
+      await savepoint(() => todos.update(1, { title: 'A' }));
+      await expect(savepoint(() => todos.update(999, { title: 'B' }))).rejects.toThrow();
+    });
+
+    expect(statements(db.client)).toEqual([
+      'BEGIN',
+      'SAVEPOINT item_1',
+      'UPDATE todos SET',
+      'RELEASE SAVEPOINT item_1',
+      'SAVEPOINT item_2',
+      'UPDATE todos SET',
+      'ROLLBACK TO SAVEPOINT',
+      'COMMIT'
+    ]);
+  });
+});
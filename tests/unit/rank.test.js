@@ -0,0 +1,63 @@
+const { defaultPosition, rankBetween } = require('../../src/utils/rank');
+
+describe('rank', () => {
+  describe('defaultPosition', () => {
+    it('should rank newer todos first', () => {
+      const older = defaultPosition(new Date('2024-01-01T00:00:00Z'), 1);
+      const newer = defaultPosition(new Date('2024-01-02T00:00:00Z'), 2);
+
+      expect(newer < older).toBe(true);
+    });
+
+    it('should break ties by id, highest first', () => {
+      const at = new Date('2024-01-01T00:00:00Z');
+
+      expect(defaultPosition(at, 8) < defaultPosition(at, 7)).toBe(true);
+    });
+  });
+
+  describe('rankBetween', () => {
+    it('should rank between two ranks', () => {
+      const rank = rankBetween('A', 'C');
+
+      expect(rank > 'A' && rank < 'C').toBe(true);
+    });
+
+    it('should go deeper when the ranks are next to each other', () => {
+      const rank = rankBetween('A', 'B');
+
+      expect(rank > 'A' && rank < 'B').toBe(true);
+      expect(rank.startsWith('A')).toBe(true);
+    });
+
+    it('should rank before the first and after the last', () => {
+      expect(rankBetween(null, '5V') < '5V').toBe(true);
+      expect(rankBetween('zz', null) > 'zz').toBe(true);
+      expect(typeof rankBetween(null, null)).toBe('string');
+    });
+
+    it('should never end a rank with the smallest digit', () => {
+      expect(rankBetween(null, '01')).toMatch(/[^0]$/);
+      expect(rankBetween('1', '2')).toMatch(/[^0]$/);
+    });
+
+    it('should reject ranks in the wrong order', () => {
+      expect(() => rankBetween('B', 'A')).toThrow();
+      expect(() => rankBetween('A', 'A')).toThrow();
+    });
+
+    it('should keep the order through many insertions', () => {
+      const ranks = [defaultPosition(new Date('2024-01-01T00:00:00Z'), 1)];
+
+      // Always insert at the same spot, the worst case for the rank length
+      for (let i = 0; i < 200; i++) {
+        ranks.splice(1, 0, rankBetween(ranks[0], ranks[1] === undefined ? null : ranks[1]));
+        ranks.unshift(rankBetween(null, ranks[0]));
+      }
+
+      expect([...ranks].sort()).toEqual(ranks);
+      expect(new Set(ranks).size).toBe(ranks.length);
+      expect(Math.max(...ranks.map(rank => rank.length))).toBeLessThan(60);
+    });
+  });
+});
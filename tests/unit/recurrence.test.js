@@ -0,0 +1,75 @@
+const { nextOccurrence } = require('../../src/utils/recurrence');
+
+const occurrenceAfter = (rule, dueDate, occurrence) => {
+  const date = nextOccurrence(rule, new Date(dueDate), occurrence);
+  return date && date.toISOString();
+};
+
+describe('nextOccurrence', () => {
+  it('should repeat every N days', () => {
+    expect(occurrenceAfter({ frequency: 'daily', interval: 3 }, '2024-01-30T09:00:00Z')).toBe('2024-02-02T09:00:00.000Z');
+  });
+
+  it('should repeat weekly on the weekday of the due date', () => {
+    expect(occurrenceAfter({ frequency: 'weekly' }, '2024-01-03T09:00:00Z')).toBe('2024-01-10T09:00:00.000Z');
+  });
+
+  it('should repeat weekly on the given weekdays', () => {
+    const rule = { frequency: 'weekly', byDay: ['MO', 'WE', 'FR'] };
+
+    expect(occurrenceAfter(rule, '2024-01-03T09:00:00Z')).toBe('2024-01-05T09:00:00.000Z');
+    expect(occurrenceAfter(rule, '2024-01-05T09:00:00Z')).toBe('2024-01-08T09:00:00.000Z');
+  });
+
+  it('should skip weeks outside the interval', () => {
+    const rule = { frequency: 'weekly', interval: 2, byDay: ['MO', 'WE'] };
+
+    expect(occurrenceAfter(rule, '2024-01-01T09:00:00Z')).toBe('2024-01-03T09:00:00.000Z');
+    expect(occurrenceAfter(rule, '2024-01-03T09:00:00Z')).toBe('2024-01-15T09:00:00.000Z');
+  });
+
+  it('should repeat monthly on the nth weekday', () => {
+    expect(occurrenceAfter({ frequency: 'monthly', byDay: ['2TU'] }, '2024-01-09T09:00:00Z')).toBe('2024-02-13T09:00:00.000Z');
+    expect(occurrenceAfter({ frequency: 'monthly', byDay: ['-1FR'] }, '2024-01-26T09:00:00Z')).toBe('2024-02-23T09:00:00.000Z');
+  });
+
+  it('should skip months without the day', () => {
+    expect(occurrenceAfter({ frequency: 'monthly' }, '2024-01-31T09:00:00Z')).toBe('2024-03-31T09:00:00.000Z');
+    expect(occurrenceAfter({ frequency: 'monthly', byDay: ['5MO'] }, '2024-01-29T09:00:00Z')).toBe('2024-04-29T09:00:00.000Z');
+  });
+
+  it('should keep the local time of day across daylight saving changes', () => {
+    const rule = { frequency: 'weekly', timezone: 'Europe/Madrid' };
+
+    // 09:00 CET, then 09:00 CEST
+    expect(occurrenceAfter(rule, '2024-03-25T08:00:00Z')).toBe('2024-04-01T07:00:00.000Z');
+  });
+
+  it('should count days in the rule time zone', () => {
+    // Saturday 05:00 in Tokyo is still Friday in UTC
+    const rule = { frequency: 'weekly', byDay: ['SA'], timezone: 'Asia/Tokyo' };
+
+    expect(occurrenceAfter(rule, '2024-03-08T20:00:00Z')).toBe('2024-03-15T20:00:00.000Z');
+  });
+
+  it('should move times skipped by daylight saving forward', () => {
+    // 02:30 does not exist in New York on 2024-03-10
+    const rule = { frequency: 'daily', timezone: 'America/New_York' };
+
+    expect(occurrenceAfter(rule, '2024-03-09T07:30:00Z')).toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  it('should end the series after `count` occurrences', () => {
+    const rule = { frequency: 'daily', count: 3 };
+
+    expect(occurrenceAfter(rule, '2024-01-01T09:00:00Z', 2)).toBe('2024-01-02T09:00:00.000Z');
+    expect(occurrenceAfter(rule, '2024-01-02T09:00:00Z', 3)).toBeNull();
+  });
+
+  it('should end the series after `until`', () => {
+    const rule = { frequency: 'weekly', until: '2024-01-10' };
+
+    expect(occurrenceAfter(rule, '2024-01-03T09:00:00Z')).toBe('2024-01-10T09:00:00.000Z');
+    expect(occurrenceAfter(rule, '2024-01-10T09:00:00Z')).toBeNull();
+  });
+});
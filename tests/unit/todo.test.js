@@ -1,11 +1,12 @@
-const TodoModel = require('../../src/models/todoModel');
-const { query } = require('../../src/config/database');
-
 // Mock the database query function
+// (declared before the requires: babel-jest is disabled, so jest.mock is not hoisted)
 jest.mock('../../src/config/database', () => ({
   query: jest.fn()
 }));
 
+const TodoModel = require('../../src/models/todoModel');
+const { query } = require('../../src/config/database');
+
 describe('TodoModel', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -59,6 +60,27 @@ describe('TodoModel', () => {
       );
     });
 
+    it('should read the page after a cursor instead of using an offset', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await TodoModel.getAll({ status: 'pending', cursor: { keys: ['2024-01-15T10:00:00.123456', 5], direction: 'next' } });
+
+      const [queryText, params] = query.mock.calls[0];
+      expect(queryText).toContain('todos.created_at < $2');
+      expect(queryText).toContain('todos.id < $3');
+      expect(queryText).not.toContain('OFFSET');
+      expect(params).toEqual([false, '2024-01-15T10:00:00.123456', 5, 10]);
+    });
+
+    it('should return pages before a cursor in display order', async () => {
+      query.mockResolvedValue({ rows: [{ id: 6 }, { id: 7 }] });
+
+      const result = await TodoModel.getAll({ cursor: { keys: ['2024-01-15T10:00:00.123456', 5], direction: 'prev' } });
+
+      expect(query.mock.calls[0][0]).toContain('ORDER BY todos.created_at ASC NULLS FIRST, todos.id ASC NULLS FIRST');
+      expect(result).toEqual([{ id: 7 }, { id: 6 }]);
+    });
+
     it('should handle database errors', async () => {
       query.mockRejectedValue(new Error('Database connection failed'));
 
@@ -117,7 +139,7 @@ describe('TodoModel', () => {
 
       expect(query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO todos'),
-        [todoData.title, todoData.description, todoData.priority, undefined]
+        [todoData.title, todoData.description, todoData.priority, undefined, expect.any(Date), expect.any(Date)]
       );
       expect(result).toEqual(mockCreatedTodo);
     });
@@ -143,7 +165,7 @@ describe('TodoModel', () => {
 
       expect(query).toHaveBeenCalledWith(
         expect.stringContaining('INSERT INTO todos'),
-        [todoData.title, todoData.description, 'medium', undefined]
+        [todoData.title, todoData.description, 'medium', undefined, expect.any(Date), expect.any(Date)]
       );
     });
 
@@ -177,7 +199,7 @@ describe('TodoModel', () => {
 
       expect(query).toHaveBeenCalledWith(
         expect.stringContaining('UPDATE todos SET'),
-        [updateData.title, updateData.completed, 1]
+        [updateData.title, updateData.completed, expect.any(String), 1]
       );
       expect(result).toEqual(mockUpdatedTodo);
     });
@@ -202,14 +224,14 @@ describe('TodoModel', () => {
   });
 
   describe('delete', () => {
-    it('should delete todo successfully', async () => {
+    it('should move todo to the trash', async () => {
       query.mockResolvedValue({ rowCount: 1 });
 
       const result = await TodoModel.delete(1);
 
       expect(query).toHaveBeenCalledWith(
-        'DELETE FROM todos WHERE id = $1 RETURNING id',
-        [1]
+        expect.stringContaining('UPDATE todos SET deleted_at = $2'),
+        [1, expect.any(Date)]
       );
       expect(result).toBe(true);
     });
@@ -236,7 +258,7 @@ describe('TodoModel', () => {
       const result = await TodoModel.count();
 
       expect(query).toHaveBeenCalledWith(
-        'SELECT COUNT(*) as count FROM todos ',
+        'SELECT COUNT(*) as count FROM todos WHERE deleted_at IS NULL',
         []
       );
       expect(result).toBe(5);
@@ -301,8 +323,8 @@ describe('TodoModel', () => {
       const result = await TodoModel.search('Search Term');
 
       expect(query).toHaveBeenCalledWith(
-        expect.stringContaining('WHERE'),
-        ['%Search Term%', 10, 0]
+        expect.stringContaining('websearch_to_tsquery'),
+        ['Search Term', 10, 0]
       );
       expect(result).toEqual(mockTodos);
     });
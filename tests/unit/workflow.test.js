@@ -0,0 +1,81 @@
+const {
+  DEFAULT_WORKFLOW,
+  stateOf,
+  allowedMoves,
+  canMove,
+  stateFilters,
+  workflowProblem
+} = require('../../src/utils/workflow');
+
+const kanban = {
+  states: [
+    { key: 'backlog', name: 'Backlog', terminal: false },
+    { key: 'in_progress', name: 'In Progress', terminal: false },
+    { key: 'review', name: 'Review', terminal: false },
+    { key: 'done', name: 'Done', terminal: true }
+  ],
+  transitions: {
+    backlog: ['in_progress'],
+    in_progress: ['backlog', 'review'],
+    review: ['in_progress', 'done'],
+    done: ['review']
+  }
+};
+
+describe('workflow', () => {
+  describe('stateOf', () => {
+    it('should use the stored state of pending todos', () => {
+      expect(stateOf(kanban, { completed: false, state: 'review' })).toBe('review');
+    });
+
+    it('should fall back to the first state', () => {
+      expect(stateOf(kanban, { completed: false, state: null })).toBe('backlog');
+      expect(stateOf(kanban, { completed: false, state: 'gone' })).toBe('backlog');
+      expect(stateOf(kanban, { completed: false, state: 'done' })).toBe('backlog');
+    });
+
+    it('should put completed todos in the terminal state', () => {
+      expect(stateOf(kanban, { completed: true, state: 'review' })).toBe('done');
+      expect(stateOf(DEFAULT_WORKFLOW, { completed: true, state: null })).toBe('done');
+    });
+  });
+
+  describe('transitions', () => {
+    it('should follow the transition table', () => {
+      expect(allowedMoves(kanban, 'review')).toEqual(['in_progress', 'done']);
+      expect(canMove(kanban, 'backlog', 'done')).toBe(false);
+      expect(canMove(kanban, 'backlog', 'backlog')).toBe(true);
+    });
+
+    it('should allow every move without a table', () => {
+      expect(allowedMoves(DEFAULT_WORKFLOW, 'todo')).toEqual(['done']);
+      expect(canMove(DEFAULT_WORKFLOW, 'done', 'todo')).toBe(true);
+    });
+  });
+
+  describe('stateFilters', () => {
+    it('should select each column', () => {
+      expect(stateFilters(kanban, 'backlog')).toEqual({ status: 'pending', stateNotIn: ['in_progress', 'review'] });
+      expect(stateFilters(kanban, 'review')).toEqual({ status: 'pending', stateIn: ['review'] });
+      expect(stateFilters(kanban, 'done')).toEqual({ status: 'completed' });
+    });
+  });
+
+  describe('workflowProblem', () => {
+    it('should accept sound workflows', () => {
+      expect(workflowProblem(kanban)).toBeNull();
+      expect(workflowProblem(DEFAULT_WORKFLOW)).toBeNull();
+    });
+
+    it('should need one terminal state, not first', () => {
+      const states = kanban.states.map((state) => ({ ...state, terminal: false }));
+
+      expect(workflowProblem({ states, transitions: null })).toMatch(/exactly one terminal/);
+      expect(workflowProblem({ states: [...kanban.states].reverse(), transitions: null })).toMatch(/first state/);
+    });
+
+    it('should reject transitions to unknown states', () => {
+      expect(workflowProblem({ ...kanban, transitions: { backlog: ['qa'] } })).toMatch(/"qa"/);
+    });
+  });
+});